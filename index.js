@@ -2,19 +2,50 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import express from 'express';
 import swaggerUi from 'swagger-ui-express';
+import { startAccountPurgeScheduler } from './modules/auth/AccountPurgeScheduler.js';
 import authRoutes from './modules/auth/AuthRoutes.js';
+import { registerBudgetAlertHandlers } from './modules/budget/BudgetAlertService.js';
+import { startBudgetPeriodScheduler } from './modules/budget/BudgetPeriodScheduler.js';
+import { fillMissingBudgetTimeZones } from './modules/budget/BudgetPeriodService.js';
 import budgetRoutes from './modules/budget/BudgetRoutes.js';
+import BudgetSettings from './modules/budget/BudgetSchema.js';
+import currencyRoutes from './modules/currency/CurrencyRoutes.js';
 import expenseRoutes from './modules/expenses/ExpenseRoutes.js';
+import { startRecurringScheduler } from './modules/expenses/RecurringScheduler.js';
+import goalRoutes from './modules/goals/GoalRoutes.js';
+import incomeRoutes from './modules/income/IncomeRoutes.js';
+import notificationRoutes from './modules/notifications/NotificationRoutes.js';
+import { registerNotificationHandlers } from './modules/notifications/NotificationService.js';
+import tagRoutes from './modules/tags/TagRoutes.js';
+import webhookRoutes from './modules/webhooks/WebhookRoutes.js';
+import { startWebhookScheduler } from './modules/webhooks/WebhookScheduler.js';
+import { registerWebhookHandlers } from './modules/webhooks/WebhookService.js';
+import workspaceRoutes from './modules/workspaces/WorkspaceRoutes.js';
 import { connectDB } from './shared/config/database.js';
 import { swaggerSpec } from './shared/config/swagger.js';
 import { pinoHttp } from 'pino-http';
 import logger from './shared/config/logger.js';
 
 dotenv.config();
-connectDB();
+connectDB().then(() => {
+  // До рабочих пространств индекс userId_1 настроек бюджета был уникальным:
+  // syncIndexes пересоздает его по схеме (неуникальным) в уже развернутых базах
+  BudgetSettings.syncIndexes().catch((err) => {
+    logger.error({ err }, 'BudgetSettings index sync failed');
+  });
+  // Настройки, созданные до учета часового пояса, переводятся на часовой пояс владельца
+  fillMissingBudgetTimeZones().catch((err) => {
+    logger.error({ err }, 'Budget timezone migration failed');
+  });
+});
 
 const app = express();
 
+// За обратным прокси req.ip берется из X-Forwarded-For (нужно для лимитов запросов по IP)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
@@ -29,6 +60,13 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use('/api/auth', authRoutes);
 app.use('/api/budget', budgetRoutes);
 app.use('/api/expenses', expenseRoutes);
+app.use('/api/income', incomeRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/currency', currencyRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/tags', tagRoutes);
 
 // Базовый роут для проверки работы сервера
 app.get('/', (req, res) => {
@@ -61,4 +99,21 @@ app.listen(PORT, (err) => {
   }
   logger.info(`Server is running on port ${PORT}`);
   logger.info(`API available at http://localhost:${PORT}`);
+
+  // Фоновое создание регулярных расходов
+  startRecurringScheduler();
+
+  // Безвозвратное удаление аккаунтов после льготного периода
+  startAccountPurgeScheduler();
+
+  // Подписчики доменных событий: пороги бюджета, уведомления и внешние webhooks
+  registerBudgetAlertHandlers();
+  registerNotificationHandlers();
+  registerWebhookHandlers();
+
+  // Повторные отправки webhooks с экспоненциальной паузой
+  startWebhookScheduler();
+
+  // Закрытие завершившихся периодов бюджета (после подписчиков - ради события period.closed)
+  startBudgetPeriodScheduler();
 });
@@ -0,0 +1,170 @@
+import { once } from 'node:events';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { ZipArchive } from 'archiver';
+import logger from '../../shared/config/logger.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import ExchangeRate from '../currency/ExchangeRateSchema.js';
+import CategoryRule from '../expenses/CategoryRuleSchema.js';
+import Expense from '../expenses/ExpenseSchema.js';
+import ImportBatch from '../expenses/ImportBatchSchema.js';
+import { openReceiptStream } from '../expenses/ReceiptService.js';
+import RecurringExpense from '../expenses/RecurringExpenseSchema.js';
+import Settlement from '../expenses/SettlementSchema.js';
+import Goal from '../goals/GoalSchema.js';
+import Income from '../income/IncomeSchema.js';
+import NotificationPreference from '../notifications/NotificationPreferenceSchema.js';
+import Notification from '../notifications/NotificationSchema.js';
+import Webhook from '../webhooks/WebhookSchema.js';
+import Workspace from '../workspaces/WorkspaceSchema.js';
+import { AVATAR_SIZES, openAvatarStream } from './AvatarService.js';
+import Session from './SessionSchema.js';
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+};
+
+/**
+ * JSON-массив из курсора MongoDB в виде потока (документы не загружаются в память целиком)
+ */
+const jsonArrayStream = (cursor) =>
+  Readable.from(
+    (async function* () {
+      yield '[';
+      let first = true;
+      for await (const doc of cursor) {
+        yield `${first ? '' : ','}\n${JSON.stringify(doc)}`;
+        first = false;
+      }
+      yield '\n]\n';
+    })()
+  );
+
+const toJson = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+/**
+ * Добавление файла в архив с ожиданием его записи:
+ * потоки файлов из хранилища открываются по одному
+ */
+const appendEntry = async (archive, source, name) => {
+  const written = once(archive, 'entry');
+  archive.append(source, { name });
+  await written;
+};
+
+/**
+ * Формирование ZIP-архива со всеми данными пользователя с записью в поток (HTTP-ответ)
+ */
+export const streamAccountArchive = async (user, stream) => {
+  const archive = new ZipArchive({ zlib: { level: 6 } });
+  archive.pipe(stream);
+
+  const userId = user._id;
+
+  await appendEntry(
+    archive,
+    toJson({
+      ...user.toPublicJSON(),
+      lastLogin: user.lastLogin,
+      isActive: user.isActive,
+      deletionRequestedAt: user.deletionRequestedAt,
+      deletionScheduledAt: user.deletionScheduledAt,
+    }),
+    'profile.json'
+  );
+
+  // Рабочие пространства пользователя и настройки бюджета, которые он создал
+  await appendEntry(
+    archive,
+    toJson(
+      (await Workspace.find({ 'members.userId': userId })).map((workspace) =>
+        workspace.toPublicJSON(userId)
+      )
+    ),
+    'workspaces.json'
+  );
+  await appendEntry(archive, toJson(await BudgetSettings.find({ userId })), 'budget-settings.json');
+  await appendEntry(
+    archive,
+    jsonArrayStream(Expense.find({ userId }).sort({ date: 1 }).cursor()),
+    'expenses.json'
+  );
+  await appendEntry(
+    archive,
+    toJson(await RecurringExpense.find({ userId })),
+    'recurring-expenses.json'
+  );
+  await appendEntry(
+    archive,
+    jsonArrayStream(Income.find({ userId }).sort({ date: 1 }).cursor()),
+    'incomes.json'
+  );
+  await appendEntry(archive, toJson(await CategoryRule.find({ userId })), 'category-rules.json');
+  await appendEntry(archive, toJson(await Goal.find({ userId })), 'goals.json');
+  await appendEntry(
+    archive,
+    toJson(await Settlement.find({ $or: [{ fromUserId: userId }, { toUserId: userId }] })),
+    'settlements.json'
+  );
+  await appendEntry(archive, toJson(await ExchangeRate.find({ userId })), 'exchange-rates.json');
+  await appendEntry(
+    archive,
+    jsonArrayStream(ImportBatch.find({ userId }).cursor()),
+    'imports.json'
+  );
+  await appendEntry(
+    archive,
+    toJson((await Session.find({ userId })).map((session) => session.toPublicJSON())),
+    'sessions.json'
+  );
+  await appendEntry(
+    archive,
+    jsonArrayStream(Notification.find({ userId }).sort({ createdAt: 1 }).cursor()),
+    'notifications.json'
+  );
+  await appendEntry(
+    archive,
+    toJson(await NotificationPreference.findOne({ userId })),
+    'notification-preferences.json'
+  );
+  await appendEntry(
+    archive,
+    toJson((await Webhook.find({ userId })).map((webhook) => webhook.toPublicJSON())),
+    'webhooks.json'
+  );
+
+  // Файлы чеков: receipts/<ID расхода>.<расширение>
+  const expensesWithReceipts = Expense.find({ userId, receiptFile: { $ne: null } })
+    .select('receiptFile')
+    .cursor();
+
+  for await (const expense of expensesWithReceipts) {
+    const receipt = await openReceiptStream(expense);
+
+    if (!receipt) {
+      logger.warn({ expenseId: expense._id }, 'Receipt file missing during account export');
+      continue;
+    }
+
+    const extension =
+      path.extname(expense.receiptFile.originalName || '') ||
+      IMAGE_EXTENSIONS[receipt.contentType] ||
+      '';
+    await appendEntry(archive, receipt.stream, `receipts/${expense._id}${extension}`);
+  }
+
+  // Аватар в наибольшем размере
+  if (user.avatarFile) {
+    const [largestSize] = Object.entries(AVATAR_SIZES).sort((a, b) => b[1] - a[1])[0];
+    const avatarStream = await openAvatarStream(user, largestSize);
+
+    if (avatarStream) {
+      await appendEntry(archive, avatarStream, 'avatar.webp');
+    }
+  }
+
+  await archive.finalize();
+};
@@ -0,0 +1,125 @@
+import logger from '../../shared/config/logger.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import ExchangeRate from '../currency/ExchangeRateSchema.js';
+import Expense from '../expenses/ExpenseSchema.js';
+import ImportBatch from '../expenses/ImportBatchSchema.js';
+import { removeUserReceipts } from '../expenses/ReceiptService.js';
+import RecurringExpense from '../expenses/RecurringExpenseSchema.js';
+import Income from '../income/IncomeSchema.js';
+import NotificationPreference from '../notifications/NotificationPreferenceSchema.js';
+import Notification from '../notifications/NotificationSchema.js';
+import { removeUserFromWorkspaces } from '../workspaces/WorkspaceService.js';
+import ActionToken from './ActionTokenSchema.js';
+import User from './AuthSchema.js';
+import { removeAvatarFiles } from './AvatarService.js';
+import Session from './SessionSchema.js';
+
+// Модели с личными данными пользователя (поле userId), удаляемые вместе с аккаунтом
+const USER_OWNED_MODELS = [
+  ExchangeRate,
+  Session,
+  ActionToken,
+  Notification,
+  NotificationPreference,
+];
+
+// Модели с данными рабочих пространств: вместе с аккаунтом удаляются только записи,
+// еще не привязанные к пространству, остальные - вместе с пространством
+const WORKSPACE_OWNED_MODELS = [Expense, RecurringExpense, Income, BudgetSettings, ImportBatch];
+
+let timer = null;
+let isProcessing = false;
+
+/**
+ * Срок, в течение которого удаленный аккаунт можно восстановить
+ */
+export const getDeletionGracePeriodMs = () =>
+  (Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Безвозвратное удаление пользователя и всех его данных.
+ * Пользователь удаляется последним: если удаление прервется, следующий проход его повторит.
+ */
+export const purgeAccount = async (user) => {
+  // Личные пространства удаляются, из общих пользователь выходит (данные остаются участникам)
+  await removeUserFromWorkspaces(user._id);
+  await removeUserReceipts(user._id);
+  await removeAvatarFiles(user._id, user.avatarFile);
+
+  for (const Model of WORKSPACE_OWNED_MODELS) {
+    await Model.deleteMany({ userId: user._id, workspaceId: null });
+  }
+
+  for (const Model of USER_OWNED_MODELS) {
+    await Model.deleteMany({ userId: user._id });
+  }
+
+  await User.deleteOne({ _id: user._id });
+};
+
+/**
+ * Удаление всех аккаунтов, у которых закончился срок восстановления
+ */
+export const processDueAccountDeletions = async (now = new Date()) => {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+  let purged = 0;
+
+  try {
+    const users = await User.find({
+      isActive: false,
+      deletionScheduledAt: { $ne: null, $lte: now },
+    });
+
+    for (const user of users) {
+      try {
+        await purgeAccount(user);
+        purged += 1;
+      } catch (error) {
+        logger.error({ err: error, userId: user._id }, 'Account Purge Error');
+      }
+    }
+
+    if (purged > 0) {
+      logger.info(`Удалено аккаунтов: ${purged}`);
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return purged;
+};
+
+/**
+ * Запуск планировщика удаления аккаунтов
+ */
+export const startAccountPurgeScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const intervalMs = Number(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const run = () => {
+    processDueAccountDeletions().catch((error) => {
+      logger.error({ err: error }, 'Account Purge Scheduler Error');
+    });
+  };
+
+  run();
+  timer = setInterval(run, intervalMs);
+  logger.info(`Account purge scheduler started (interval ${intervalMs} ms)`);
+};
+
+/**
+ * Остановка планировщика удаления аккаунтов
+ */
+export const stopAccountPurgeScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+export const ACTION_TOKEN_PURPOSES = ['email-verification', 'password-reset'];
+
+/**
+ * Одноразовый токен для действий по ссылке из письма
+ * Сам токен - подписанный JWT, здесь хранится запись для контроля однократного использования
+ */
+const ActionTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ACTION_TOKEN_PURPOSES,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB сам удаляет истекшие токены
+ActionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ActionToken', ActionTokenSchema);
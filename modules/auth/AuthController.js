@@ -1,14 +1,50 @@
 import { validationResult } from 'express-validator';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from './AuthSchema.js';
 import logger from '../../shared/config/logger.js';
+import { sendTemplateMail } from '../../shared/config/mail.js';
+import { INVALID_IMAGE_ERROR, detectImageType } from '../../shared/utils/image.js';
+import { syncPersonalBudgetTimeZone } from '../budget/BudgetPeriodService.js';
+import { streamAccountArchive } from './AccountExportService.js';
+import { getDeletionGracePeriodMs } from './AccountPurgeScheduler.js';
+import {
+  AVATAR_SIZES,
+  DEFAULT_AVATAR_SIZE,
+  deleteAvatar as removeAvatar,
+  openAvatarStream,
+  saveAvatar,
+} from './AvatarService.js';
+import {
+  consumeActionToken,
+  createSession,
+  getActiveSessions,
+  getLastActionTokenIssuedAt,
+  issueActionToken,
+  revokeAllSessions as revokeAllUserSessions,
+  revokeSession as revokeUserSession,
+  rotateRefreshToken,
+} from './TokenService.js';
+
+// Минимальный интервал между повторными письмами подтверждения
+const RESEND_VERIFICATION_INTERVAL_MS = 60 * 1000;
 
 /**
- * Генерация JWT токена
+ * Ссылка на страницу клиента с токеном из письма
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
+const buildClientLink = (path, token) => {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${appUrl}${path}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Отправка письма для подтверждения email
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await issueActionToken(user._id, 'email-verification');
+
+  await sendTemplateMail(user.email, 'verifyEmail', user.locale, {
+    name: user.name,
+    link: buildClientLink('/verify-email', token),
   });
 };
 
@@ -27,7 +63,7 @@ export const register = async (req, res) => {
       });
     }
 
-    const { email, password, name } = req.body;
+    const { email, password, name, locale, timezone } = req.body;
 
     // Проверка существования пользователя
     const existingUser = await User.findOne({ email });
@@ -42,16 +78,26 @@ export const register = async (req, res) => {
       email,
       password,
       name,
+      locale,
+      timezone,
     });
 
     await user.save();
 
-    // Генерация токена
-    const token = generateToken(user._id);
+    // Ошибка отправки письма не должна срывать регистрацию - письмо можно запросить повторно
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      logger.error({ err: error }, 'SendVerificationEmail Error');
+    }
+
+    // Создание сессии и пары токенов
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
       message: 'Регистрация успешна',
       token,
+      refreshToken,
       user: user.toPublicJSON(),
     });
   } catch (error) {
@@ -92,7 +138,9 @@ export const login = async (req, res) => {
     // Проверка активности аккаунта
     if (!user.isActive) {
       return res.status(403).json({
-        message: 'Аккаунт деактивирован. Обратитесь в поддержку.',
+        message: user.isPendingDeletion()
+          ? 'Аккаунт удален. До окончательного удаления его можно восстановить через POST /api/auth/account/reactivate.'
+          : 'Аккаунт деактивирован. Обратитесь в поддержку.',
       });
     }
 
@@ -109,12 +157,13 @@ export const login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Генерация токена
-    const token = generateToken(user._id);
+    // Создание сессии и пары токенов
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.json({
       message: 'Авторизация успешна',
       token,
+      refreshToken,
       user: user.toPublicJSON(),
     });
   } catch (error) {
@@ -158,7 +207,15 @@ export const getMe = async (req, res) => {
  */
 export const updateProfile = async (req, res) => {
   try {
-    const { name, avatar } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { name, locale, timezone } = req.body;
 
     const user = await User.findById(req.userId);
 
@@ -169,11 +226,19 @@ export const updateProfile = async (req, res) => {
     }
 
     // Обновление полей
+    // Аватар меняется только через PUT /api/auth/avatar
     if (name) user.name = name;
-    if (avatar !== undefined) user.avatar = avatar;
+    if (locale) user.locale = locale;
+    const timezoneChanged = Boolean(timezone) && timezone !== user.timezone;
+    if (timezone) user.timezone = timezone;
 
     await user.save();
 
+    // Периоды личного бюджета считаются в часовом поясе профиля
+    if (timezoneChanged) {
+      await syncPersonalBudgetTimeZone(user._id, timezone);
+    }
+
     res.json({
       message: 'Профиль обновлен',
       user: user.toPublicJSON(),
@@ -228,8 +293,14 @@ export const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Все сессии (включая текущую) отзываются, текущее устройство получает новую
+    await revokeAllUserSessions(user._id);
+    const { token, refreshToken } = await createSession(user._id, req);
+
     res.json({
       message: 'Пароль успешно изменен',
+      token,
+      refreshToken,
     });
   } catch (error) {
     logger.error({ err: error }, 'ChangePassword Error');
@@ -271,12 +342,28 @@ export const deleteAccount = async (req, res) => {
       });
     }
 
-    // Деактивация вместо удаления (soft delete)
+    // Аккаунт деактивируется сразу, а удаляется безвозвратно после льготного периода
+    const now = new Date();
     user.isActive = false;
+    user.deletionRequestedAt = now;
+    user.deletionScheduledAt = new Date(now.getTime() + getDeletionGracePeriodMs());
     await user.save();
 
+    await revokeAllUserSessions(user._id);
+
+    try {
+      await sendTemplateMail(user.email, 'accountDeletion', user.locale, {
+        name: user.name,
+        link: `${process.env.APP_URL || 'http://localhost:3000'}/restore-account`,
+        date: user.deletionScheduledAt,
+      });
+    } catch (error) {
+      logger.error({ err: error }, 'Account deletion email failed');
+    }
+
     res.json({
-      message: 'Аккаунт успешно удален',
+      message: 'Аккаунт удален. До окончательного удаления его можно восстановить.',
+      deletionScheduledAt: user.deletionScheduledAt,
     });
   } catch (error) {
     logger.error({ err: error }, 'DeleteAccount Error');
@@ -286,3 +373,563 @@ export const deleteAccount = async (req, res) => {
     });
   }
 };
+
+/**
+ * Восстановление удаленного аккаунта до окончания льготного периода
+ * POST /api/auth/account/reactivate
+ */
+export const reactivateAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        message: 'Неверный email или пароль',
+      });
+    }
+
+    if (!user.isPendingDeletion()) {
+      return res.status(400).json({
+        message: user.isActive
+          ? 'Аккаунт активен, восстановление не требуется'
+          : 'Аккаунт деактивирован. Обратитесь в поддержку.',
+      });
+    }
+
+    user.isActive = true;
+    user.deletionRequestedAt = null;
+    user.deletionScheduledAt = null;
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user._id, req);
+
+    res.json({
+      message: 'Аккаунт восстановлен',
+      token,
+      refreshToken,
+      user: user.toPublicJSON(),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ReactivateAccount Error');
+    res.status(500).json({
+      message: 'Ошибка при восстановлении аккаунта',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Выгрузка всех данных пользователя (ZIP-архив)
+ * GET /api/auth/account/export
+ */
+export const exportAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'Пользователь не найден',
+      });
+    }
+
+    const fileName = `ai-budget-export-${new Date().toISOString().split('T')[0]}.zip`;
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await streamAccountArchive(user, res);
+  } catch (error) {
+    logger.error({ err: error }, 'ExportAccount Error');
+
+    // Если архив уже начал передаваться, статус не изменить - обрываем соединение
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      message: 'Ошибка при выгрузке данных аккаунта',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Загрузка аватара
+ * PUT /api/auth/avatar
+ */
+export const uploadAvatar = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Файл аватара не передан (поле "avatar")',
+      });
+    }
+
+    // Проверяем реальное содержимое файла, а не заявленный клиентом mimetype
+    if (!detectImageType(req.file.buffer)) {
+      return res.status(400).json({
+        message: 'Файл не является изображением. Разрешены: JPEG, PNG, GIF, WebP',
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'Пользователь не найден',
+      });
+    }
+
+    await saveAvatar(user, req.file.buffer);
+
+    res.json({
+      message: 'Аватар обновлен',
+      user: user.toPublicJSON(),
+    });
+  } catch (error) {
+    if (error.code === INVALID_IMAGE_ERROR) {
+      return res.status(400).json({
+        message: 'Не удалось прочитать изображение: файл поврежден или обрезан',
+      });
+    }
+
+    logger.error({ err: error }, 'UploadAvatar Error');
+    res.status(500).json({
+      message: 'Ошибка при загрузке аватара',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление аватара
+ * DELETE /api/auth/avatar
+ */
+export const deleteAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'Пользователь не найден',
+      });
+    }
+
+    if (!user.avatarFile) {
+      return res.status(404).json({
+        message: 'Аватар не загружен',
+      });
+    }
+
+    await removeAvatar(user);
+
+    res.json({
+      message: 'Аватар удален',
+      user: user.toPublicJSON(),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteAvatar Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении аватара',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение аватара пользователя (публичный роут для <img src>)
+ * GET /api/auth/avatar/:userId?size=small|medium|large
+ */
+export const getAvatar = async (req, res) => {
+  try {
+    const size = req.query.size || DEFAULT_AVATAR_SIZE;
+
+    if (!AVATAR_SIZES[size]) {
+      return res.status(400).json({
+        message: `Размер должен быть одним из: ${Object.keys(AVATAR_SIZES).join(', ')}`,
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({
+        message: 'Аватар не найден',
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user || !user.isActive || !user.avatarFile) {
+      return res.status(404).json({
+        message: 'Аватар не найден',
+      });
+    }
+
+    const stream = await openAvatarStream(user, size);
+
+    if (!stream) {
+      return res.status(404).json({
+        message: 'Файл аватара не найден в хранилище',
+      });
+    }
+
+    res.set({
+      'Content-Type': 'image/webp',
+      // URL содержит версию, поэтому ответ можно кэшировать надолго
+      'Cache-Control': 'public, max-age=604800',
+    });
+
+    stream.on('error', (error) => {
+      logger.error({ err: error }, 'GetAvatar Stream Error');
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Ошибка при чтении аватара' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    stream.pipe(res);
+  } catch (error) {
+    logger.error({ err: error }, 'GetAvatar Error');
+    res.status(500).json({
+      message: 'Ошибка при получении аватара',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Обновление пары токенов по refresh-токену
+ * POST /api/auth/refresh
+ */
+export const refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        message: 'Refresh-токен недействителен. Пожалуйста, войдите снова.',
+      });
+    }
+
+    const user = await User.findById(tokens.session.userId);
+
+    if (!user || !user.isActive) {
+      await revokeUserSession(tokens.session.userId, tokens.session._id);
+      return res.status(401).json({
+        message: 'Аккаунт деактивирован или не существует',
+      });
+    }
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Refresh Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении токена',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Выход (отзыв текущей сессии)
+ * POST /api/auth/logout
+ */
+export const logout = async (req, res) => {
+  try {
+    await revokeUserSession(req.userId, req.sessionId);
+
+    res.json({
+      message: 'Выход выполнен',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Logout Error');
+    res.status(500).json({
+      message: 'Ошибка при выходе',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Список активных сессий (устройств) пользователя
+ * GET /api/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.userId);
+
+    res.json({
+      sessions: sessions.map((session) => session.toPublicJSON(req.sessionId)),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetSessions Error');
+    res.status(500).json({
+      message: 'Ошибка при получении сессий',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отзыв одной сессии
+ * DELETE /api/auth/sessions/:id
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        message: 'Сессия не найдена',
+      });
+    }
+
+    const revoked = await revokeUserSession(req.userId, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        message: 'Сессия не найдена',
+      });
+    }
+
+    res.json({
+      message: 'Сессия завершена',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RevokeSession Error');
+    res.status(500).json({
+      message: 'Ошибка при завершении сессии',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отзыв всех сессий пользователя
+ * DELETE /api/auth/sessions?keepCurrent=true
+ */
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const revokedCount = await revokeAllUserSessions(
+      req.userId,
+      keepCurrent ? req.sessionId : null
+    );
+
+    res.json({
+      message: `Завершено сессий: ${revokedCount}`,
+      revokedCount,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RevokeAllSessions Error');
+    res.status(500).json({
+      message: 'Ошибка при завершении сессий',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Подтверждение email по токену из письма
+ * POST /api/auth/verify-email
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const userId = await consumeActionToken(req.body.token, 'email-verification');
+
+    if (!userId) {
+      return res.status(400).json({
+        message: 'Ссылка недействительна или устарела. Запросите новое письмо.',
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'Пользователь не найден',
+      });
+    }
+
+    user.isEmailVerified = true;
+    await user.save();
+
+    res.json({
+      message: 'Email подтвержден',
+      user: user.toPublicJSON(),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'VerifyEmail Error');
+    res.status(500).json({
+      message: 'Ошибка при подтверждении email',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Повторная отправка письма для подтверждения email
+ * POST /api/auth/resend-verification
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'Пользователь не найден',
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        message: 'Email уже подтвержден',
+      });
+    }
+
+    const lastIssuedAt = await getLastActionTokenIssuedAt(user._id, 'email-verification');
+
+    if (lastIssuedAt && Date.now() - lastIssuedAt.getTime() < RESEND_VERIFICATION_INTERVAL_MS) {
+      return res.status(429).json({
+        message: 'Письмо уже отправлено. Повторная отправка возможна через минуту.',
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      message: 'Письмо для подтверждения отправлено',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ResendVerification Error');
+    res.status(500).json({
+      message: 'Ошибка при отправке письма',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Запрос на сброс пароля
+ * POST /api/auth/forgot-password
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      const token = await issueActionToken(user._id, 'password-reset');
+
+      // Ошибка почты не должна менять ответ: иначе по ней видно, что email зарегистрирован
+      try {
+        await sendTemplateMail(user.email, 'resetPassword', user.locale, {
+          name: user.name,
+          link: buildClientLink('/reset-password', token),
+        });
+      } catch (error) {
+        logger.error({ err: error, userId: user._id }, 'Password reset email failed');
+      }
+    }
+
+    // Одинаковый ответ, чтобы нельзя было проверить, зарегистрирован ли email
+    res.json({
+      message:
+        'Если аккаунт с таким email существует, мы отправили на него ссылку для сброса пароля',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ForgotPassword Error');
+    res.status(500).json({
+      message: 'Ошибка при запросе сброса пароля',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Установка нового пароля по токену из письма
+ * POST /api/auth/reset-password
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const userId = await consumeActionToken(token, 'password-reset');
+
+    if (!userId) {
+      return res.status(400).json({
+        message: 'Ссылка недействительна или устарела. Запросите сброс пароля заново.',
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'Пользователь не найден',
+      });
+    }
+
+    user.password = password;
+    // Письмо получено - значит адрес принадлежит пользователю
+    user.isEmailVerified = true;
+    await user.save();
+
+    // Все существующие сессии завершаются, войти нужно с новым паролем
+    await revokeAllUserSessions(user._id);
+
+    res.json({
+      message: 'Пароль успешно изменен. Войдите с новым паролем.',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ResetPassword Error');
+    res.status(500).json({
+      message: 'Ошибка при сбросе пароля',
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,10 @@
 import express from 'express';
 import { body } from 'express-validator';
+import { SUPPORTED_LOCALES } from '../../shared/mail/templates.js';
 import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import rateLimit from '../../shared/middlewares/RateLimitMiddleware.js';
+import uploadSingle from '../../shared/middlewares/UploadMiddleware.js';
+import { isValidTimeZone } from '../../shared/utils/timezone.js';
 import * as AuthController from './AuthController.js';
 
 const router = express.Router();
@@ -15,6 +19,28 @@ const registerValidation = [
     .isLength({ min: 2, max: 50 })
     .withMessage('Имя должно быть от 2 до 50 символов')
     .trim(),
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Язык должен быть одним из: ${SUPPORTED_LOCALES.join(', ')}`),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Часовой пояс должен быть в формате IANA, например Europe/Moscow'),
+];
+
+/**
+ * Валидация для обновления профиля
+ */
+const profileValidation = [
+  body('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Язык должен быть одним из: ${SUPPORTED_LOCALES.join(', ')}`),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Часовой пояс должен быть в формате IANA, например Europe/Moscow'),
 ];
 
 /**
@@ -25,14 +51,106 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Пароль обязателен'),
 ];
 
+/**
+ * Валидация для обновления токенов
+ */
+const refreshValidation = [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh-токен обязателен'),
+];
+
+/**
+ * Валидация для подтверждения email
+ */
+const verifyEmailValidation = [body('token').isString().notEmpty().withMessage('Токен обязателен')];
+
+/**
+ * Валидация для запроса сброса пароля
+ */
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Введите корректный email').normalizeEmail(),
+];
+
+// Окно ограничения писем со ссылками (сброс пароля, подтверждение email)
+const MAIL_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const MAIL_LIMIT_MESSAGE = 'Слишком много запросов. Попробуйте позже.';
+
+/**
+ * Лимиты запросов сброса пароля: по IP и по email (email уже нормализован валидацией)
+ */
+const forgotPasswordLimits = [
+  rateLimit({
+    windowMs: MAIL_LIMIT_WINDOW_MS,
+    max: 10,
+    key: (req) => `forgot-password:ip:${req.ip}`,
+    message: MAIL_LIMIT_MESSAGE,
+  }),
+  rateLimit({
+    windowMs: MAIL_LIMIT_WINDOW_MS,
+    max: 3,
+    key: (req) =>
+      typeof req.body?.email === 'string' ? `forgot-password:email:${req.body.email}` : null,
+    message: MAIL_LIMIT_MESSAGE,
+  }),
+];
+
+/**
+ * Лимиты повторной отправки письма подтверждения: по IP и по пользователю
+ */
+const resendVerificationLimits = [
+  rateLimit({
+    windowMs: MAIL_LIMIT_WINDOW_MS,
+    max: 10,
+    key: (req) => `resend-verification:ip:${req.ip}`,
+    message: MAIL_LIMIT_MESSAGE,
+  }),
+  rateLimit({
+    windowMs: MAIL_LIMIT_WINDOW_MS,
+    max: 3,
+    key: (req) => `resend-verification:user:${req.userId}`,
+    message: MAIL_LIMIT_MESSAGE,
+  }),
+];
+
+/**
+ * Валидация для сброса пароля
+ */
+const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('Токен обязателен'),
+  body('password').isLength({ min: 6 }).withMessage('Пароль должен быть минимум 6 символов'),
+];
+
 // Публичные роуты (без авторизации)
 router.post('/register', registerValidation, AuthController.register);
 router.post('/login', loginValidation, AuthController.login);
+router.post('/refresh', refreshValidation, AuthController.refresh);
+router.post('/verify-email', verifyEmailValidation, AuthController.verifyEmail);
+router.post(
+  '/forgot-password',
+  forgotPasswordValidation,
+  forgotPasswordLimits,
+  AuthController.forgotPassword
+);
+router.post('/reset-password', resetPasswordValidation, AuthController.resetPassword);
+router.get('/avatar/:userId', AuthController.getAvatar);
+router.post('/account/reactivate', loginValidation, AuthController.reactivateAccount);
 
 // Защищенные роуты (требуется авторизация)
 router.get('/me', checkAuth, AuthController.getMe);
-router.put('/profile', checkAuth, AuthController.updateProfile);
+router.post('/logout', checkAuth, AuthController.logout);
+router.post(
+  '/resend-verification',
+  checkAuth,
+  resendVerificationLimits,
+  AuthController.resendVerification
+);
+router.get('/sessions', checkAuth, AuthController.getSessions);
+router.delete('/sessions', checkAuth, AuthController.revokeAllSessions);
+router.delete('/sessions/:id', checkAuth, AuthController.revokeSession);
+router.put('/profile', checkAuth, profileValidation, AuthController.updateProfile);
+router.put('/avatar', checkAuth, uploadSingle('avatar'), AuthController.uploadAvatar);
+router.delete('/avatar', checkAuth, AuthController.deleteAvatar);
 router.put('/change-password', checkAuth, AuthController.changePassword);
+router.get('/account/export', checkAuth, AuthController.exportAccount);
 router.delete('/account', checkAuth, AuthController.deleteAccount);
 
 export default router;
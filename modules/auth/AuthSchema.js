@@ -1,5 +1,7 @@
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from '../../shared/mail/templates.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone } from '../../shared/utils/timezone.js';
 
 const UserSchema = new mongoose.Schema(
   {
@@ -29,14 +31,41 @@ const UserSchema = new mongoose.Schema(
       minlength: [2, 'Имя должно быть минимум 2 символа'],
       maxlength: [50, 'Имя не должно превышать 50 символов'],
     },
+    // Публичный URL аватара (выставляется только при загрузке через PUT /api/auth/avatar)
     avatar: {
       type: String,
       default: null,
     },
+    // Загруженный аватар: версия файлов в хранилище
+    avatarFile: {
+      type: new mongoose.Schema(
+        {
+          version: { type: String, required: true },
+          updatedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
     },
+    // Язык писем и уведомлений
+    locale: {
+      type: String,
+      enum: SUPPORTED_LOCALES,
+      default: DEFAULT_LOCALE,
+    },
+    // Часовой пояс IANA: в нем считаются границы дней в фильтрах и датах расходов
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `${props.value} не является часовым поясом IANA`,
+      },
+    },
     lastLogin: {
       type: Date,
       default: null,
@@ -45,6 +74,16 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Запрос на удаление аккаунта: до deletionScheduledAt аккаунт можно восстановить,
+    // после - он удаляется безвозвратно вместе со всеми данными
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Автоматически добавляет createdAt и updatedAt
@@ -53,6 +92,8 @@ const UserSchema = new mongoose.Schema(
 
 // Индексы для оптимизации поиска
 UserSchema.index({ email: 1 });
+// Индекс для выборки аккаунтов, которые пора удалить
+UserSchema.index({ deletionScheduledAt: 1 });
 
 // Хук для хеширования пароля перед сохранением
 UserSchema.pre('save', async function () {
@@ -74,14 +115,22 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Метод для проверки, ожидает ли аккаунт окончательного удаления
+UserSchema.methods.isPendingDeletion = function () {
+  return !this.isActive && Boolean(this.deletionScheduledAt);
+};
+
 // Метод для получения публичных данных пользователя (без пароля)
 UserSchema.methods.toPublicJSON = function () {
   return {
     _id: this._id,
     email: this.email,
     name: this.name,
-    avatar: this.avatar,
+    // Произвольные строки из старого updateProfile не отдаем - только загруженный аватар
+    avatar: this.avatarFile ? this.avatar : null,
     isEmailVerified: this.isEmailVerified,
+    locale: this.locale,
+    timezone: this.timezone,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
   };
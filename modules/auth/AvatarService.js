@@ -0,0 +1,96 @@
+import logger from '../../shared/config/logger.js';
+import { getStorage } from '../../shared/config/storage.js';
+import { createSquareImage } from '../../shared/utils/image.js';
+
+/**
+ * Стандартные размеры аватара (квадрат, px)
+ */
+export const AVATAR_SIZES = {
+  small: 64,
+  medium: 128,
+  large: 256,
+};
+
+export const DEFAULT_AVATAR_SIZE = 'medium';
+
+const getAvatarKey = (userId, version, size) => `avatars/${userId}/${version}-${size}.webp`;
+
+/**
+ * Публичный URL аватара пользователя
+ * Путь постоянный, параметр v меняется при каждой загрузке для сброса кэша
+ */
+export const getAvatarUrl = (userId, version) => `/api/auth/avatar/${userId}?v=${version}`;
+
+/**
+ * Удаление всех размеров аватара из хранилища
+ */
+export const removeAvatarFiles = async (userId, avatarFile) => {
+  if (!avatarFile) {
+    return;
+  }
+
+  const storage = getStorage();
+
+  for (const size of Object.keys(AVATAR_SIZES)) {
+    const key = getAvatarKey(userId, avatarFile.version, size);
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      logger.warn({ err: error, key }, 'Avatar file cleanup failed');
+    }
+  }
+};
+
+/**
+ * Сохранение аватара во всех стандартных размерах
+ */
+export const saveAvatar = async (user, buffer) => {
+  const storage = getStorage();
+  const previousFile = user.avatarFile;
+  const version = Date.now().toString(36);
+
+  // Изображение не декодируется или сбой хранилища - удаляем уже сохраненные размеры
+  try {
+    for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+      const image = await createSquareImage(buffer, pixels);
+      await storage.save(getAvatarKey(user._id, version, size), image, 'image/webp');
+    }
+  } catch (error) {
+    await removeAvatarFiles(user._id, { version });
+    throw error;
+  }
+
+  user.avatarFile = { version, updatedAt: new Date() };
+  user.avatar = getAvatarUrl(user._id, version);
+
+  try {
+    await user.save();
+  } catch (error) {
+    await removeAvatarFiles(user._id, { version });
+    throw error;
+  }
+
+  await removeAvatarFiles(user._id, previousFile);
+
+  return user;
+};
+
+/**
+ * Удаление аватара пользователя
+ */
+export const deleteAvatar = async (user) => {
+  const avatarFile = user.avatarFile;
+
+  user.avatarFile = null;
+  user.avatar = null;
+  await user.save();
+
+  await removeAvatarFiles(user._id, avatarFile);
+};
+
+/**
+ * Открытие потока чтения аватара нужного размера
+ */
+export const openAvatarStream = (user, size = DEFAULT_AVATAR_SIZE) => {
+  return getStorage().createReadStream(getAvatarKey(user._id, user.avatarFile.version, size));
+};
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * Серверная сессия пользователя (одно устройство / один вход)
+ * Хранит только хеш текущего refresh-токена, сам токен знает лишь клиент
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB сам удаляет истекшие сессии
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Метод для проверки, действует ли сессия
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Метод для получения публичных данных сессии (без хеша токена)
+SessionSchema.methods.toPublicJSON = function (currentSessionId) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    isCurrent: currentSessionId ? this._id.equals(currentSessionId) : false,
+  };
+};
+
+export default mongoose.model('Session', SessionSchema);
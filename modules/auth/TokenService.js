@@ -0,0 +1,202 @@
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import ActionToken from './ActionTokenSchema.js';
+import Session from './SessionSchema.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTokenTtlMs = () =>
+  (Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Генерация короткоживущего access-токена (JWT), привязанного к сессии
+ */
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+  });
+};
+
+/**
+ * Генерация refresh-токена в формате "<sessionId>.<secret>"
+ */
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+};
+
+/**
+ * Создание новой сессии и пары токенов при входе
+ */
+export const createSession = async (userId, req) => {
+  const session = new Session({
+    userId,
+    refreshTokenHash: 'pending',
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(userId, session._id),
+    refreshToken,
+  };
+};
+
+/**
+ * Обмен refresh-токена на новую пару токенов (ротация)
+ * Повторное использование уже замененного токена означает его утечку -
+ * такая сессия отзывается целиком. Возвращает null, если токен недействителен.
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken(session._id);
+
+  // Атомарная замена хеша: параллельный запрос с тем же токеном получит null
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      lastUsedAt: new Date(),
+      userAgent: req.get('user-agent') || session.userAgent,
+      ip: req.ip || session.ip,
+      expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  return {
+    session: rotated,
+    token: generateAccessToken(rotated.userId, rotated._id),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+/**
+ * Проверка, что сессия существует и не отозвана
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, userId });
+  return Boolean(session && session.isActive());
+};
+
+/**
+ * Отзыв одной сессии пользователя
+ */
+export const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Отзыв всех сессий пользователя (кроме exceptSessionId, если указан)
+ */
+export const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Список активных сессий пользователя
+ */
+export const getActiveSessions = (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+    lastUsedAt: -1,
+  });
+};
+
+/**
+ * Время жизни одноразовых токенов по назначению
+ */
+const ACTION_TOKEN_TTL_MS = {
+  'email-verification': 24 * 60 * 60 * 1000,
+  'password-reset': 60 * 60 * 1000,
+};
+
+/**
+ * Выпуск одноразового токена для ссылки из письма
+ * Предыдущие неиспользованные токены с тем же назначением аннулируются
+ */
+export const issueActionToken = async (userId, purpose) => {
+  const now = new Date();
+
+  await ActionToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: now });
+
+  const actionToken = await ActionToken.create({
+    userId,
+    purpose,
+    expiresAt: new Date(now.getTime() + ACTION_TOKEN_TTL_MS[purpose]),
+  });
+
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, {
+    jwtid: actionToken._id.toString(),
+    expiresIn: Math.floor(ACTION_TOKEN_TTL_MS[purpose] / 1000),
+  });
+};
+
+/**
+ * Проверка и погашение одноразового токена
+ * Возвращает userId или null, если токен поддельный, истек или уже использован
+ */
+export const consumeActionToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+
+  if (decoded.purpose !== purpose || !mongoose.isValidObjectId(decoded.jti)) {
+    return null;
+  }
+
+  // Атомарное погашение: повторный запрос с тем же токеном получит null
+  const actionToken = await ActionToken.findOneAndUpdate(
+    { _id: decoded.jti, userId: decoded.userId, purpose, usedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  return actionToken ? actionToken.userId : null;
+};
+
+/**
+ * Время выпуска последнего токена (для ограничения частоты повторной отправки писем)
+ */
+export const getLastActionTokenIssuedAt = async (userId, purpose) => {
+  const actionToken = await ActionToken.findOne({ userId, purpose }).sort({ createdAt: -1 });
+  return actionToken ? actionToken.createdAt : null;
+};
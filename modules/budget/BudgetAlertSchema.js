@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Отметка о достижении порога бюджета в периоде
+ * Уникальный индекс гарантирует одно уведомление на порог за период,
+ * даже если несколько расходов пересекли его одновременно.
+ */
+const BudgetAlertSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    // 'overall' - общий бюджет, 'category:<название>' - лимит категории
+    scope: {
+      type: String,
+      required: true,
+    },
+    percentUsed: {
+      type: Number,
+      required: true,
+    },
+    thresholdPercent: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+BudgetAlertSchema.index({ workspaceId: 1, periodStart: 1, scope: 1 }, { unique: true });
+
+export default mongoose.model('BudgetAlert', BudgetAlertSchema);
@@ -0,0 +1,133 @@
+import { publish, subscribe } from '../../shared/events/bus.js';
+import Expense from '../expenses/ExpenseSchema.js';
+import { getBudgetExpenseScope } from '../expenses/SplitService.js';
+import BudgetAlert from './BudgetAlertSchema.js';
+import { getCurrentRollover } from './BudgetPeriodService.js';
+import BudgetSettings from './BudgetSchema.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Проверка порогов бюджета текущего периода после изменения расходов
+ * Для каждого впервые пересеченного порога (общий бюджет или лимит категории)
+ * публикуется событие budget.threshold_reached - не чаще одного раза за период.
+ */
+export const checkBudgetThresholds = async (workspaceId, date) => {
+  const settings = await BudgetSettings.findOne({ workspaceId });
+  if (!settings || !settings.notifications.enabled) {
+    return [];
+  }
+
+  const { periodStart, periodEnd } = settings.getCurrentPeriod();
+
+  // Расходы задним числом на прошлые периоды уведомлений не вызывают
+  if (date && (date < periodStart || date > periodEnd)) {
+    return [];
+  }
+
+  // В личном пространстве учитывается доля владельца в разделенных расходах
+  const scope = await getBudgetExpenseScope(workspaceId);
+  const totals = await Expense.aggregate([
+    {
+      $match: {
+        ...scope.match,
+        date: { $gte: periodStart, $lte: periodEnd },
+      },
+    },
+    { $group: { _id: '$category', spent: { $sum: scope.amountExpr } } },
+  ]);
+
+  const spentByCategory = Object.fromEntries(totals.map((item) => [item._id, item.spent]));
+  const totalSpent = totals.reduce((sum, item) => sum + item.spent, 0);
+
+  // Лимиты с учетом переноса из прошлого периода
+  const rollover = await getCurrentRollover(settings);
+
+  const scopes = [
+    {
+      scope: 'overall',
+      category: null,
+      spent: totalSpent,
+      limit: settings.monthlyBudget + rollover.overall,
+      thresholdPercent: settings.notifications.thresholdPercent,
+    },
+    ...settings.categoryLimits.map(({ name }) => {
+      const { limit, thresholdPercent } = settings.getCategoryLimit(name);
+
+      return {
+        scope: `category:${name}`,
+        category: name,
+        spent: spentByCategory[name] || 0,
+        limit: limit + (rollover.categories[name] || 0),
+        thresholdPercent,
+      };
+    }),
+  ];
+
+  const reached = [];
+
+  for (const item of scopes) {
+    if (item.limit <= 0) {
+      continue;
+    }
+
+    const percentUsed = (item.spent / item.limit) * 100;
+    if (percentUsed < item.thresholdPercent) {
+      continue;
+    }
+
+    try {
+      await BudgetAlert.create({
+        workspaceId,
+        periodStart,
+        scope: item.scope,
+        percentUsed,
+        thresholdPercent: item.thresholdPercent,
+      });
+    } catch (error) {
+      // Порог в этом периоде уже отмечен
+      if (error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+
+    const event = {
+      workspaceId,
+      periodStart,
+      periodEnd,
+      scope: item.scope,
+      category: item.category,
+      spent: round(item.spent),
+      limit: item.limit,
+      percentUsed: round(percentUsed),
+      thresholdPercent: item.thresholdPercent,
+      currencyCode: settings.currencyCode,
+    };
+
+    publish('budget.threshold_reached', event);
+    reached.push(event);
+  }
+
+  return reached;
+};
+
+/**
+ * Подписка на изменения расходов и настроек бюджета
+ */
+export const registerBudgetAlertHandlers = () => {
+  const handler = ({ payload }) => checkBudgetThresholds(payload.workspaceId, payload.expense.date);
+
+  subscribe('expense.created', ({ payload }) => {
+    // Импортированные расходы проверяются один раз на весь импорт (import.committed)
+    if (payload.expense.importSource?.batchId) {
+      return;
+    }
+    return handler({ payload });
+  });
+  subscribe('expense.updated', handler);
+  subscribe('import.committed', ({ payload }) => checkBudgetThresholds(payload.workspaceId));
+
+  // Уменьшение бюджета или лимита тоже может перевести расходы через порог
+  subscribe('budget.updated', ({ payload }) => checkBudgetThresholds(payload.workspaceId));
+};
@@ -1,7 +1,174 @@
 import { validationResult } from 'express-validator';
+import User from '../auth/AuthSchema.js';
+import { rebaseWorkspaceExpenses } from '../currency/CurrencyService.js';
 import Expense from '../expenses/ExpenseSchema.js';
+import { getBudgetExpenseScope } from '../expenses/SplitService.js';
+import { getPlannedGoalContributions } from '../goals/GoalService.js';
+import Income from '../income/IncomeSchema.js';
+import { closeDuePeriods, getCurrentRollover, recomputePeriods } from './BudgetPeriodService.js';
+import BudgetPeriod from './BudgetPeriodSchema.js';
 import BudgetSettings from './BudgetSchema.js';
+import { buildForecast, getUpcomingRecurringInBase } from './ForecastService.js';
+import { renderBudgetReportPdf } from './ReportService.js';
 import logger from '../../shared/config/logger.js';
+import { publish } from '../../shared/events/bus.js';
+import {
+  DEFAULT_TIMEZONE,
+  formatDateInZone,
+  getDayBounds,
+  parseDateBoundary,
+} from '../../shared/utils/timezone.js';
+
+/**
+ * Разбор списка категорий из запроса
+ * Принимает строки (старый формат) и объекты { name, limit, thresholdPercent }.
+ * Для строки сохраняется ранее заданный лимит категории, объект задает лимит явно
+ * (объект без limit снимает лимит).
+ */
+const parseCategories = (categories, existingLimits = []) => {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return { error: 'Категории должны быть непустым массивом' };
+  }
+
+  const names = [];
+  const limits = [];
+
+  for (const item of categories) {
+    const isObject = item !== null && typeof item === 'object';
+    const name = isObject ? item.name : item;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Название категории должно быть непустой строкой' };
+    }
+
+    const trimmedName = name.trim();
+
+    if (names.includes(trimmedName)) {
+      return { error: `Категория "${trimmedName}" указана несколько раз` };
+    }
+
+    names.push(trimmedName);
+
+    if (!isObject) {
+      const existing = existingLimits.find((limit) => limit.name === trimmedName);
+      if (existing) {
+        limits.push(existing);
+      }
+      continue;
+    }
+
+    if (item.limit === undefined || item.limit === null) {
+      continue;
+    }
+
+    const limit = Number(item.limit);
+    if (!Number.isFinite(limit) || limit < 0) {
+      return { error: `Лимит категории "${trimmedName}" должен быть положительным числом` };
+    }
+
+    let thresholdPercent = null;
+    if (item.thresholdPercent !== undefined && item.thresholdPercent !== null) {
+      thresholdPercent = Number(item.thresholdPercent);
+      if (!Number.isFinite(thresholdPercent) || thresholdPercent < 0 || thresholdPercent > 100) {
+        return { error: `Порог категории "${trimmedName}" должен быть от 0 до 100` };
+      }
+    }
+
+    limits.push({ name: trimmedName, limit, thresholdPercent });
+  }
+
+  return { names, limits };
+};
+
+/**
+ * Сводка по каждой категории: лимит, потрачено, остаток и флаги превышения
+ * Перенос из прошлого периода (rolloverByCategory) увеличивает или уменьшает лимит категории.
+ */
+const buildCategoryBreakdown = (settings, spentByCategory, rolloverByCategory = {}) => {
+  // Категории из настроек плюс те, по которым есть расходы, но их уже нет в списке
+  const names = [...new Set([...settings.categories, ...Object.keys(spentByCategory)])];
+
+  return names.map((name) => {
+    const spent = spentByCategory[name] || 0;
+    const categoryLimit = settings.getCategoryLimit(name);
+
+    if (!categoryLimit) {
+      return {
+        name,
+        limit: null,
+        rolloverIn: 0,
+        effectiveLimit: null,
+        spent,
+        remaining: null,
+        percentUsed: null,
+        thresholdPercent: null,
+        isOverThreshold: false,
+        isOverLimit: false,
+      };
+    }
+
+    const { limit, thresholdPercent } = categoryLimit;
+    const rolloverIn = rolloverByCategory[name] || 0;
+    const effectiveLimit = Math.max(limit + rolloverIn, 0);
+    const percentUsed = effectiveLimit > 0 ? (spent / effectiveLimit) * 100 : spent > 0 ? 100 : 0;
+
+    return {
+      name,
+      limit,
+      rolloverIn,
+      effectiveLimit,
+      spent,
+      remaining: limit + rolloverIn - spent,
+      percentUsed: Math.round(percentUsed * 100) / 100,
+      thresholdPercent,
+      isOverThreshold: percentUsed >= thresholdPercent,
+      isOverLimit: spent > effectiveLimit,
+    };
+  });
+};
+
+/**
+ * Денежный поток за период: доходы, чистые сбережения и норма сбережений (%)
+ */
+const buildCashFlow = (totalIncome, totalSpent) => {
+  const netSavings = totalIncome - totalSpent;
+
+  return {
+    totalIncome,
+    netSavings,
+    // Без доходов норма сбережений не определена
+    savingsRate: totalIncome > 0 ? Math.round((netSavings / totalIncome) * 10000) / 100 : null,
+  };
+};
+
+/**
+ * Расходы по участникам рабочего пространства: сколько потратил каждый (с учетом разделения
+ * расходов - только своя часть) и его доля
+ * Учитываются и бывшие участники, если их расходы остались в периоде.
+ */
+const buildMemberBreakdown = async (workspace, spentByMember, totalSpent) => {
+  const roles = new Map(workspace.members.map((member) => [String(member.userId), member.role]));
+  const userIds = [...new Set([...roles.keys(), ...Object.keys(spentByMember)])];
+
+  const users = await User.find({ _id: { $in: userIds } }).select('name email');
+  const usersById = new Map(users.map((user) => [user.id, user]));
+
+  return userIds
+    .map((userId) => {
+      const user = usersById.get(userId);
+      const { spent = 0, count = 0 } = spentByMember[userId] || {};
+
+      return {
+        userId,
+        name: user ? user.name || user.email : null,
+        role: roles.get(userId) || null,
+        spent,
+        expensesCount: count,
+        share: totalSpent > 0 ? Math.round((spent / totalSpent) * 10000) / 100 : 0,
+      };
+    })
+    .sort((a, b) => b.spent - a.spent);
+};
 
 /**
  * Создание или обновление настроек бюджета
@@ -17,50 +184,121 @@ export const createOrUpdateSettings = async (req, res) => {
       });
     }
 
-    const { monthlyBudget, currencyCode, monthStart, notifications, categories } = req.body;
-    const userId = req.userId;
+    const {
+      monthlyBudget,
+      currencyCode,
+      monthStart,
+      periodType,
+      periodLengthDays,
+      timezone,
+      notifications,
+      rollover,
+      categories,
+    } = req.body;
+    const workspaceId = req.workspaceId;
 
     // Проверяем существование настроек
-    let settings = await BudgetSettings.findOne({ userId });
+    let settings = await BudgetSettings.findOne({ workspaceId });
+
+    // Произвольному периоду нужна длина: новая или ранее сохраненная
+    const resultingPeriodType = periodType ?? settings?.periodType;
+    const resultingLengthDays =
+      periodLengthDays !== undefined ? periodLengthDays : settings?.periodLengthDays;
+    if (resultingPeriodType === 'custom' && !resultingLengthDays) {
+      return res.status(400).json({
+        message: 'Для произвольного периода укажите periodLengthDays',
+      });
+    }
+
+    let parsedCategories = null;
+    if (categories !== undefined) {
+      parsedCategories = parseCategories(categories, settings ? settings.categoryLimits : []);
+
+      if (parsedCategories.error) {
+        return res.status(400).json({
+          message: parsedCategories.error,
+        });
+      }
+    }
 
     if (settings) {
+      const previousCurrency = settings.currencyCode;
+
+      // Завершившиеся периоды закрываются со старыми настройками, чтобы изменения
+      // не попали в их снимки
+      await closeDuePeriods(settings);
+
       // Обновление существующих настроек
       if (monthlyBudget !== undefined) settings.monthlyBudget = monthlyBudget;
       if (currencyCode !== undefined) settings.currencyCode = currencyCode.toUpperCase();
-      if (monthStart !== undefined) settings.monthStart = new Date(monthStart);
+      if (timezone !== undefined && timezone !== settings.timezone) {
+        // Дата привязки переносится на тот же календарный день в новом часовом поясе
+        settings.setTimeZone(timezone);
+      }
+      if (monthStart !== undefined) {
+        settings.monthStart = parseDateBoundary(monthStart, settings.timezone);
+      }
+      if (periodType !== undefined) settings.periodType = periodType;
+      if (periodLengthDays !== undefined) settings.periodLengthDays = periodLengthDays;
       if (notifications !== undefined) settings.notifications = notifications;
-      if (categories !== undefined) settings.categories = categories;
+      if (rollover?.mode !== undefined) settings.rollover.mode = rollover.mode;
+      if (parsedCategories) {
+        settings.categories = parsedCategories.names;
+        settings.categoryLimits = parsedCategories.limits;
+      }
 
       await settings.save();
 
+      // Смена базовой валюты - пересчитываем суммы всех расходов
+      const rebase =
+        settings.currencyCode !== previousCurrency
+          ? await rebaseWorkspaceExpenses(workspaceId, settings.currencyCode, previousCurrency)
+          : null;
+
+      publish('budget.updated', { workspaceId, userId: req.userId, settings });
+
       return res.json({
         message: 'Настройки бюджета обновлены',
         settings,
+        rebase,
       });
     }
 
-    // Создание новых настроек
+    // Создание новых настроек: часовой пояс по умолчанию - часовой пояс пользователя
+    const settingsTimeZone = timezone || req.timezone || DEFAULT_TIMEZONE;
     settings = new BudgetSettings({
-      userId,
+      userId: req.userId,
+      workspaceId,
       monthlyBudget: monthlyBudget || 0,
       currencyCode: (currencyCode || 'EUR').toUpperCase(),
-      monthStart: monthStart ? new Date(monthStart) : new Date(),
+      monthStart: monthStart
+        ? parseDateBoundary(monthStart, settingsTimeZone)
+        : getDayBounds(new Date(), settingsTimeZone).start,
+      periodType: periodType || 'monthly',
+      periodLengthDays: periodLengthDays ?? null,
+      timezone: settingsTimeZone,
       notifications: notifications || { enabled: true, thresholdPercent: 80 },
-      categories: categories || [
-        'Food',
-        'Transport',
-        'Entertainment',
-        'Shopping',
-        'Health',
-        'Other',
-      ],
+      rollover: { mode: rollover?.mode || 'none' },
+      categories: parsedCategories
+        ? parsedCategories.names
+        : ['Food', 'Transport', 'Entertainment', 'Shopping', 'Health', 'Other'],
+      categoryLimits: parsedCategories ? parsedCategories.limits : [],
     });
 
     await settings.save();
 
+    // Расходы, созданные до настроек, считались в валюте по умолчанию (EUR)
+    const rebase =
+      settings.currencyCode !== 'EUR'
+        ? await rebaseWorkspaceExpenses(workspaceId, settings.currencyCode, 'EUR')
+        : null;
+
+    publish('budget.updated', { workspaceId, userId: req.userId, settings });
+
     res.status(201).json({
       message: 'Настройки бюджета созданы',
       settings,
+      rebase,
     });
   } catch (error) {
     logger.error({ err: error }, 'CreateOrUpdateSettings Error');
@@ -72,12 +310,12 @@ export const createOrUpdateSettings = async (req, res) => {
 };
 
 /**
- * Получение настроек бюджета текущего пользователя
+ * Получение настроек бюджета текущего рабочего пространства
  * GET /api/budget/settings
  */
 export const getSettings = async (req, res) => {
   try {
-    const settings = await BudgetSettings.findOne({ userId: req.userId });
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
 
     if (!settings) {
       return res.status(404).json({
@@ -97,13 +335,87 @@ export const getSettings = async (req, res) => {
   }
 };
 
+/**
+ * Итоги периода: расходы (всего, по категориям и по участникам), остаток бюджета,
+ * лимиты категорий и доходы
+ * С переносом (rollover) остаток и лимиты считаются от бюджета с учетом прошлого периода.
+ */
+const collectPeriodSummary = async (
+  settings,
+  workspaceId,
+  periodStart,
+  periodEnd,
+  rollover = null
+) => {
+  // Расходы за период: в личном пространстве - доля владельца, в том числе в разделенных
+  // с ним расходах других пространств
+  const scope = await getBudgetExpenseScope(workspaceId);
+  const expenses = await Expense.find({
+    ...scope.match,
+    date: {
+      $gte: periodStart,
+      $lte: periodEnd,
+    },
+  });
+
+  // Подсчет общих расходов
+  const totalSpent = expenses.reduce((sum, expense) => sum + scope.getAmount(expense), 0);
+
+  // Подсчет расходов по категориям
+  const spentByCategory = expenses.reduce((acc, expense) => {
+    const category = expense.category || 'Other';
+    acc[category] = (acc[category] || 0) + scope.getAmount(expense);
+    return acc;
+  }, {});
+
+  // Подсчет расходов по участникам: каждому - его часть расхода
+  const spentByMember = expenses.reduce((acc, expense) => {
+    for (const { userId, amount } of scope.getMemberShares(expense)) {
+      const key = String(userId);
+      if (!acc[key]) {
+        acc[key] = { spent: 0, count: 0 };
+      }
+      acc[key].spent += amount;
+      acc[key].count += 1;
+    }
+    return acc;
+  }, {});
+
+  // Расчет оставшегося бюджета
+  const effectiveBudget = settings.monthlyBudget + (rollover ? rollover.overall : 0);
+  const remaining = effectiveBudget - totalSpent;
+  const percentUsed = effectiveBudget > 0 ? (totalSpent / effectiveBudget) * 100 : 0;
+
+  // Доходы за период
+  const income = await Income.getTotalForPeriod(workspaceId, periodStart, periodEnd);
+
+  // Лимиты и пороги по категориям
+  const categories = buildCategoryBreakdown(
+    settings,
+    spentByCategory,
+    rollover ? rollover.categories : {}
+  );
+
+  return {
+    effectiveBudget,
+    totalSpent,
+    spentByCategory,
+    spentByMember,
+    remaining,
+    percentUsed,
+    categories,
+    income,
+    expensesCount: expenses.length,
+  };
+};
+
 /**
  * Получение сводки по бюджету (расходы за текущий период)
  * GET /api/budget/summary
  */
 export const getBudgetSummary = async (req, res) => {
   try {
-    const settings = await BudgetSettings.findOne({ userId: req.userId });
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
 
     if (!settings) {
       return res.status(404).json({
@@ -114,29 +426,43 @@ export const getBudgetSummary = async (req, res) => {
     // Получаем текущий период
     const { periodStart, periodEnd } = settings.getCurrentPeriod();
 
-    // Получаем все расходы за текущий период
-    const expenses = await Expense.find({
-      userId: req.userId,
-      date: {
-        $gte: periodStart,
-        $lte: periodEnd,
-      },
-    });
-
-    // Подсчет общих расходов
-    const totalSpent = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-
-    // Подсчет расходов по категориям
-    const spentByCategory = expenses.reduce((acc, expense) => {
-      const category = expense.category || 'Other';
-      acc[category] = (acc[category] || 0) + expense.amount;
-      return acc;
-    }, {});
-
-    // Расчет оставшегося бюджета
-    const remaining = settings.monthlyBudget - totalSpent;
-    const percentUsed =
-      settings.monthlyBudget > 0 ? (totalSpent / settings.monthlyBudget) * 100 : 0;
+    // Перенос экономии или перерасхода из последнего закрытого периода
+    const rollover = await getCurrentRollover(settings);
+
+    const {
+      effectiveBudget,
+      totalSpent,
+      spentByCategory,
+      spentByMember,
+      remaining,
+      percentUsed,
+      categories,
+      income,
+      expensesCount,
+    } = await collectPeriodSummary(settings, req.workspaceId, periodStart, periodEnd, rollover);
+
+    const members = await buildMemberBreakdown(req.workspace, spentByMember, totalSpent);
+
+    // Предстоящие регулярные списания до конца текущего периода
+    const upcomingRecurring = await getUpcomingRecurringInBase(
+      settings,
+      req.workspaceId,
+      new Date(),
+      periodEnd,
+      req.userId
+    );
+    const upcomingRecurringTotal = upcomingRecurring.reduce(
+      (sum, item) => sum + (item.baseAmount ?? 0),
+      0
+    );
+
+    // Плановые взносы на цели накопления в этом периоде
+    const goals = await getPlannedGoalContributions(
+      settings,
+      req.workspaceId,
+      { periodStart, periodEnd, schedule: settings.getPeriodSchedule() },
+      req.userId
+    );
 
     // Проверка, нужно ли отправить уведомление
     const shouldNotify =
@@ -145,6 +471,8 @@ export const getBudgetSummary = async (req, res) => {
     res.json({
       summary: {
         monthlyBudget: settings.monthlyBudget,
+        rollover,
+        effectiveBudget,
         totalSpent,
         remaining,
         percentUsed: Math.round(percentUsed * 100) / 100,
@@ -154,7 +482,22 @@ export const getBudgetSummary = async (req, res) => {
           end: periodEnd,
         },
         spentByCategory,
-        expensesCount: expenses.length,
+        categories,
+        overLimitCategories: categories.filter((item) => item.isOverLimit).map((item) => item.name),
+        expensesCount,
+        members,
+        ...buildCashFlow(income.totalAmount, totalSpent),
+        incomesCount: income.count,
+        upcomingRecurring: {
+          total: upcomingRecurringTotal,
+          remainingAfterRecurring: remaining - upcomingRecurringTotal,
+          items: upcomingRecurring,
+        },
+        goals: {
+          total: goals.total,
+          items: goals.items,
+        },
+        availableBudget: remaining - upcomingRecurringTotal - goals.total,
         shouldNotify,
         notificationMessage: shouldNotify
           ? `Вы потратили ${percentUsed.toFixed(1)}% вашего бюджета!`
@@ -170,6 +513,235 @@ export const getBudgetSummary = async (req, res) => {
   }
 };
 
+/**
+ * Прогноз расходов до конца текущего периода: итог, дневная норма и дата исчерпания бюджета,
+ * общий и по категориям
+ * GET /api/budget/forecast
+ */
+export const getBudgetForecast = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
+
+    if (!settings) {
+      return res.status(404).json({
+        message: 'Настройки бюджета не найдены. Создайте настройки.',
+      });
+    }
+
+    const { historyPeriods = 3 } = req.query;
+
+    const forecast = await buildForecast(settings, req.workspaceId, {
+      historyPeriods: Number(historyPeriods),
+      userId: req.userId,
+    });
+
+    res.json({
+      forecast,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetBudgetForecast Error');
+    res.status(500).json({
+      message: 'Ошибка при расчете прогноза',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Список периодов бюджета с точными границами
+ * По умолчанию - пять прошлых периодов, текущий и следующий.
+ * GET /api/budget/periods
+ */
+export const getBudgetPeriods = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
+
+    if (!settings) {
+      return res.status(404).json({
+        message: 'Настройки бюджета не найдены. Создайте настройки.',
+      });
+    }
+
+    const now = new Date();
+    const from = req.query.from
+      ? parseDateBoundary(req.query.from, settings.timezone)
+      : settings.shiftPeriod(now, -5).periodStart;
+    const to = req.query.to
+      ? parseDateBoundary(req.query.to, settings.timezone, 'end')
+      : settings.shiftPeriod(now, 1).periodEnd;
+
+    if (from > to) {
+      return res.status(400).json({
+        message: 'Дата from должна быть не позже даты to',
+      });
+    }
+
+    const periods = settings.listPeriods(from, to);
+    const current = settings.getPeriodContaining(now);
+
+    // Закрытые периоды (есть снимок в истории)
+    const snapshots = await BudgetPeriod.find({
+      workspaceId: req.workspaceId,
+      periodStart: { $in: periods.map((period) => period.periodStart) },
+    }).select('periodStart');
+    const closedStarts = new Set(snapshots.map((snapshot) => snapshot.periodStart.getTime()));
+
+    res.json({
+      periodType: settings.periodType,
+      periodLengthDays: settings.periodLengthDays,
+      anchor: settings.monthStart,
+      periods: periods.map(({ periodStart, periodEnd }) => ({
+        start: periodStart,
+        end: periodEnd,
+        days: Math.round((periodEnd.getTime() + 1 - periodStart.getTime()) / (24 * 60 * 60 * 1000)),
+        isCurrent: periodStart.getTime() === current.periodStart.getTime(),
+        closed: closedStarts.has(periodStart.getTime()),
+      })),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetBudgetPeriods Error');
+    res.status(500).json({
+      message: 'Ошибка при получении периодов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отчет по бюджету за период: сводка, расходы по категориям и крупнейшие расходы
+ * GET /api/budget/report?period=YYYY-MM&format=pdf|json
+ */
+export const getBudgetReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { period, date, format = 'pdf' } = req.query;
+
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
+
+    if (!settings) {
+      return res.status(404).json({
+        message: 'Настройки бюджета не найдены',
+      });
+    }
+
+    // Период, в который попадает дата, или первый период, начинающийся в указанном месяце;
+    // по умолчанию - текущий
+    let periodStart;
+    let periodEnd;
+    if (date) {
+      ({ periodStart, periodEnd } = settings.getPeriodContaining(
+        parseDateBoundary(date, settings.timezone)
+      ));
+    } else if (period) {
+      const [year, month] = period.split('-').map(Number);
+      ({ periodStart, periodEnd } = settings.getPeriodForMonth(year, month - 1));
+    } else {
+      ({ periodStart, periodEnd } = settings.getCurrentPeriod());
+    }
+
+    // Перенос известен только для текущего периода, закрытые периоды есть в истории
+    const isCurrentPeriod =
+      periodStart.getTime() === settings.getCurrentPeriod().periodStart.getTime();
+    const rollover = isCurrentPeriod ? await getCurrentRollover(settings) : null;
+
+    const { effectiveBudget, totalSpent, remaining, percentUsed, income, expensesCount } =
+      await collectPeriodSummary(settings, req.workspaceId, periodStart, periodEnd, rollover);
+
+    // Категории и крупнейшие расходы - в той же области, что и итог (в личном пространстве -
+    // доля владельца), иначе их суммы не сходятся с totalSpent
+    const scope = await getBudgetExpenseScope(req.workspaceId);
+    const byCategory = await Expense.getExpensesByCategory(
+      req.workspaceId,
+      periodStart,
+      periodEnd,
+      scope
+    );
+    const topExpenses = await Expense.getTopExpenses(
+      req.workspaceId,
+      periodStart,
+      periodEnd,
+      10,
+      scope
+    );
+
+    const report = {
+      period: {
+        start: periodStart,
+        end: periodEnd,
+      },
+      currencyCode: settings.currencyCode,
+      timeZone: settings.timezone,
+      monthlyBudget: settings.monthlyBudget,
+      effectiveBudget,
+      totalSpent,
+      remaining,
+      percentUsed: Math.round(percentUsed * 100) / 100,
+      ...buildCashFlow(income.totalAmount, totalSpent),
+      expensesCount,
+      byCategory: byCategory.map((item) => ({
+        category: item._id,
+        totalAmount: item.totalAmount,
+        count: item.count,
+        limit: settings.getCategoryLimit(item._id)?.limit ?? null,
+        share: totalSpent > 0 ? Math.round((item.totalAmount / totalSpent) * 10000) / 100 : 0,
+      })),
+      topExpenses: topExpenses.map((expense) => ({
+        _id: expense._id,
+        date: expense.date,
+        category: expense.category,
+        note: expense.note,
+        amount: expense.amount,
+        currencyCode: expense.currencyCode,
+        amountInBase: expense.amountInBase,
+      })),
+      generatedAt: new Date(),
+    };
+
+    if (format === 'json') {
+      return res.json({ report });
+    }
+
+    // Отчет формируется на языке пользователя
+    const user = await User.findById(req.userId).select('locale');
+
+    // Для немесячных периодов в имени файла - день начала периода (в часовом поясе бюджета)
+    const startDate = formatDateInZone(periodStart, settings.timezone);
+    const fileName = `budget-report-${settings.periodType === 'monthly' ? startDate.slice(0, 7) : startDate}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    renderBudgetReportPdf(report, res, user?.locale);
+  } catch (error) {
+    logger.error({ err: error }, 'GetBudgetReport Error');
+    res.status(500).json({
+      message: 'Ошибка при формировании отчета',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Обновление списка категорий
  * PUT /api/budget/categories
@@ -184,7 +756,7 @@ export const updateCategories = async (req, res) => {
       });
     }
 
-    const settings = await BudgetSettings.findOne({ userId: req.userId });
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
 
     if (!settings) {
       return res.status(404).json({
@@ -192,12 +764,27 @@ export const updateCategories = async (req, res) => {
       });
     }
 
-    settings.categories = categories;
+    const parsedCategories = parseCategories(categories, settings.categoryLimits);
+
+    if (parsedCategories.error) {
+      return res.status(400).json({
+        message: parsedCategories.error,
+      });
+    }
+
+    // Снимки завершившихся периодов сохраняют прежние лимиты
+    await closeDuePeriods(settings);
+
+    settings.categories = parsedCategories.names;
+    settings.categoryLimits = parsedCategories.limits;
     await settings.save();
 
+    publish('budget.updated', { workspaceId: req.workspaceId, userId: req.userId, settings });
+
     res.json({
       message: 'Категории обновлены',
       categories: settings.categories,
+      categoryLimits: settings.categoryLimits,
     });
   } catch (error) {
     logger.error({ err: error }, 'UpdateCategories Error');
@@ -214,7 +801,7 @@ export const updateCategories = async (req, res) => {
  */
 export const deleteSettings = async (req, res) => {
   try {
-    const settings = await BudgetSettings.findOneAndDelete({ userId: req.userId });
+    const settings = await BudgetSettings.findOneAndDelete({ workspaceId: req.workspaceId });
 
     if (!settings) {
       return res.status(404).json({
@@ -235,14 +822,90 @@ export const deleteSettings = async (req, res) => {
 };
 
 /**
- * Получение истории изменений бюджета (за разные периоды)
+ * Запись истории по снимку закрытого периода
+ */
+const formatClosedPeriod = (snapshot) => {
+  const effectiveBudget = snapshot.monthlyBudget + snapshot.rolloverIn;
+
+  return {
+    period: {
+      start: snapshot.periodStart,
+      end: snapshot.periodEnd,
+    },
+    closed: true,
+    closedAt: snapshot.closedAt,
+    recomputedAt: snapshot.recomputedAt,
+    currencyCode: snapshot.currencyCode,
+    monthlyBudget: snapshot.monthlyBudget,
+    rolloverMode: snapshot.rolloverMode,
+    rolloverIn: snapshot.rolloverIn,
+    effectiveBudget,
+    totalSpent: snapshot.totalSpent,
+    remaining: snapshot.remaining,
+    percentUsed:
+      effectiveBudget > 0 ? Math.round((snapshot.totalSpent / effectiveBudget) * 10000) / 100 : 0,
+    expensesCount: snapshot.expensesCount,
+    ...buildCashFlow(snapshot.totalIncome, snapshot.totalSpent),
+    incomesCount: snapshot.incomesCount,
+    categories: snapshot.categories,
+  };
+};
+
+/**
+ * Запись истории по живым данным (текущий период или период без снимка)
+ */
+const formatOpenPeriod = async (settings, workspaceId, { periodStart, periodEnd }, rollover) => {
+  const { effectiveBudget, totalSpent, remaining, percentUsed, categories, income, expensesCount } =
+    await collectPeriodSummary(settings, workspaceId, periodStart, periodEnd, rollover);
+
+  return {
+    period: {
+      start: periodStart,
+      end: periodEnd,
+    },
+    closed: false,
+    closedAt: null,
+    recomputedAt: null,
+    currencyCode: settings.currencyCode,
+    monthlyBudget: settings.monthlyBudget,
+    rolloverMode: rollover ? rollover.mode : 'none',
+    rolloverIn: rollover ? rollover.overall : 0,
+    effectiveBudget,
+    totalSpent,
+    remaining,
+    percentUsed: Math.round(percentUsed * 100) / 100,
+    expensesCount,
+    ...buildCashFlow(income.totalAmount, totalSpent),
+    incomesCount: income.count,
+    categories: categories.map((item) => ({
+      name: item.name,
+      limit: item.limit,
+      rolloverIn: item.rolloverIn,
+      spent: item.spent,
+      remaining: item.remaining,
+    })),
+  };
+};
+
+/**
+ * Получение истории бюджета по периодам: текущий период по живым данным,
+ * прошлые - по снимкам закрытых периодов (бюджет, лимиты и валюта на момент закрытия)
+ * Периоды до первого снимка считаются по текущим настройкам и помечены closed: false.
  * GET /api/budget/history
  */
 export const getBudgetHistory = async (req, res) => {
   try {
-    const { months = 6 } = req.query; // По умолчанию 6 месяцев
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { months = 6 } = req.query; // По умолчанию 6 периодов
 
-    const settings = await BudgetSettings.findOne({ userId: req.userId });
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
 
     if (!settings) {
       return res.status(404).json({
@@ -250,45 +913,32 @@ export const getBudgetHistory = async (req, res) => {
       });
     }
 
-    const history = [];
-    const now = new Date();
-    const startDay = settings.monthStart.getDate();
-
-    // Генерируем данные за последние N месяцев
-    for (let i = 0; i < Number(months); i++) {
-      const periodStart = new Date(now.getFullYear(), now.getMonth() - i, startDay);
-      const periodEnd = new Date(
-        now.getFullYear(),
-        now.getMonth() - i + 1,
-        startDay - 1,
-        23,
-        59,
-        59,
-        999
-      );
-
-      // Получаем расходы за период
-      const expenses = await Expense.find({
-        userId: req.userId,
-        date: {
-          $gte: periodStart,
-          $lte: periodEnd,
-        },
-      });
+    const count = Number(months);
 
-      const totalSpent = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-      const remaining = settings.monthlyBudget - totalSpent;
+    // Перед выдачей закрываем периоды, которые успели завершиться
+    await closeDuePeriods(settings);
+    const rollover = await getCurrentRollover(settings);
 
-      history.push({
-        period: {
-          start: periodStart,
-          end: periodEnd,
-        },
-        monthlyBudget: settings.monthlyBudget,
-        totalSpent,
-        remaining,
-        expensesCount: expenses.length,
-      });
+    const current = settings.getCurrentPeriod();
+    const history = [await formatOpenPeriod(settings, req.workspaceId, current, rollover)];
+
+    if (count > 1) {
+      const snapshots = await BudgetPeriod.find({
+        workspaceId: req.workspaceId,
+        periodStart: { $lt: current.periodStart },
+      })
+        .sort({ periodStart: -1 })
+        .limit(count - 1);
+
+      history.push(...snapshots.map(formatClosedPeriod));
+    }
+
+    // Более ранние периоды без снимков
+    let before = history.at(-1).period.start;
+    while (history.length < count) {
+      const period = settings.getPeriodContaining(new Date(before.getTime() - 1));
+      history.push(await formatOpenPeriod(settings, req.workspaceId, period, null));
+      before = period.periodStart;
     }
 
     res.json({
@@ -303,3 +953,45 @@ export const getBudgetHistory = async (req, res) => {
     });
   }
 };
+
+/**
+ * Пересчет итогов закрытых периодов (например, после расходов, добавленных задним числом)
+ * POST /api/budget/history/recompute
+ */
+export const recomputeBudgetHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
+
+    if (!settings) {
+      return res.status(404).json({
+        message: 'Настройки бюджета не найдены',
+      });
+    }
+
+    await closeDuePeriods(settings);
+
+    // Без даты пересчитываются все закрытые периоды
+    const from = req.body.from ? parseDateBoundary(req.body.from, settings.timezone) : new Date(0);
+    const { recomputed, skipped } = await recomputePeriods(settings, from);
+
+    res.json({
+      message: `Пересчитано периодов: ${recomputed}`,
+      recomputed,
+      skipped,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RecomputeBudgetHistory Error');
+    res.status(500).json({
+      message: 'Ошибка при пересчете истории',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,73 @@
+import logger from '../../shared/config/logger.js';
+import { closeDuePeriods } from './BudgetPeriodService.js';
+import BudgetSettings from './BudgetSchema.js';
+
+let timer = null;
+let isProcessing = false;
+
+/**
+ * Закрытие завершившихся периодов бюджета во всех рабочих пространствах
+ */
+export const processDueBudgetPeriods = async (now = new Date()) => {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+  let closed = 0;
+
+  try {
+    const cursor = BudgetSettings.find({ workspaceId: { $type: 'objectId' } }).cursor();
+
+    for await (const settings of cursor) {
+      try {
+        const periods = await closeDuePeriods(settings, now);
+        closed += periods.length;
+      } catch (error) {
+        logger.error(
+          { err: error, workspaceId: settings.workspaceId },
+          'Budget Period Close Error'
+        );
+      }
+    }
+
+    if (closed > 0) {
+      logger.info(`Закрыто периодов бюджета: ${closed}`);
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return closed;
+};
+
+/**
+ * Запуск планировщика закрытия периодов бюджета
+ */
+export const startBudgetPeriodScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const intervalMs = Number(process.env.BUDGET_PERIOD_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const run = () => {
+    processDueBudgetPeriods().catch((error) => {
+      logger.error({ err: error }, 'Budget Period Scheduler Error');
+    });
+  };
+
+  run();
+  timer = setInterval(run, intervalMs);
+  logger.info(`Budget period scheduler started (interval ${intervalMs} ms)`);
+};
+
+/**
+ * Остановка планировщика закрытия периодов бюджета
+ */
+export const stopBudgetPeriodScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
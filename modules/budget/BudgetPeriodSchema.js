@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import { ROLLOVER_MODES } from './BudgetSchema.js';
+
+const PeriodCategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Лимит категории на момент закрытия (null - лимит не задан)
+    limit: {
+      type: Number,
+      default: null,
+    },
+    // Перенос из предыдущего периода (режим переноса по категориям)
+    rolloverIn: {
+      type: Number,
+      default: 0,
+    },
+    spent: {
+      type: Number,
+      default: 0,
+    },
+    // Лимит с переносом минус потрачено (null - лимит не задан)
+    remaining: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Закрытый период бюджета: снимок бюджета, лимитов и валюты на момент закрытия
+ * и итоги расходов. История строится по снимкам, поэтому изменение настроек
+ * не переписывает прошлые периоды; итоги пересчитываются явно (recompute).
+ */
+const BudgetPeriodSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    currencyCode: {
+      type: String,
+      required: true,
+    },
+    monthlyBudget: {
+      type: Number,
+      required: true,
+    },
+    rolloverMode: {
+      type: String,
+      enum: ROLLOVER_MODES,
+      default: 'none',
+    },
+    // Перенос общего бюджета из предыдущего периода (экономия > 0, перерасход < 0)
+    rolloverIn: {
+      type: Number,
+      default: 0,
+    },
+    totalSpent: {
+      type: Number,
+      default: 0,
+    },
+    // Бюджет с переносом минус потрачено
+    remaining: {
+      type: Number,
+      default: 0,
+    },
+    categories: {
+      type: [PeriodCategorySchema],
+      default: [],
+    },
+    expensesCount: {
+      type: Number,
+      default: 0,
+    },
+    totalIncome: {
+      type: Number,
+      default: 0,
+    },
+    incomesCount: {
+      type: Number,
+      default: 0,
+    },
+    closedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recomputedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+BudgetPeriodSchema.index({ workspaceId: 1, periodStart: 1 }, { unique: true });
+
+export default mongoose.model('BudgetPeriod', BudgetPeriodSchema);
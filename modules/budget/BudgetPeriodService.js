@@ -0,0 +1,387 @@
+import logger from '../../shared/config/logger.js';
+import { publish } from '../../shared/events/bus.js';
+import User from '../auth/AuthSchema.js';
+import { convertToBase } from '../currency/CurrencyService.js';
+import Expense from '../expenses/ExpenseSchema.js';
+import { getBudgetExpenseScope } from '../expenses/SplitService.js';
+import Income from '../income/IncomeSchema.js';
+import Workspace from '../workspaces/WorkspaceSchema.js';
+import BudgetPeriod from './BudgetPeriodSchema.js';
+import BudgetSettings from './BudgetSchema.js';
+
+// Сколько прошлых периодов закрывается задним числом при первом закрытии
+const MAX_BACKFILL_PERIODS = 24;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Итоги расходов и доходов за период в текущей базовой валюте пространства
+ * (в личном пространстве - доля владельца в разделенных расходах)
+ */
+const collectPeriodTotals = async (workspaceId, periodStart, periodEnd) => {
+  const scope = await getBudgetExpenseScope(workspaceId);
+
+  const totals = await Expense.aggregate([
+    {
+      $match: {
+        ...scope.match,
+        date: { $gte: periodStart, $lte: periodEnd },
+      },
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$category', 'Other'] },
+        spent: { $sum: scope.amountExpr },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const income = await Income.getTotalForPeriod(workspaceId, periodStart, periodEnd);
+
+  return {
+    spentByCategory: Object.fromEntries(totals.map((item) => [item._id, item.spent])),
+    expensesCount: totals.reduce((sum, item) => sum + item.count, 0),
+    totalIncome: income.totalAmount,
+    incomesCount: income.count,
+  };
+};
+
+/**
+ * Перевод суммы между валютами по курсу на дату (null - курс неизвестен)
+ */
+const convertAmount = async (amount, fromCurrency, toCurrency, date) => {
+  if (fromCurrency === toCurrency || amount === 0) {
+    return amount;
+  }
+
+  const conversion = await convertToBase(amount, fromCurrency, toCurrency, date);
+  return conversion ? conversion.baseAmount : null;
+};
+
+/**
+ * Перенос из закрытого периода в следующий в валюте следующего периода
+ * Без курса перенос не выполняется (0), чтобы не смешивать валюты.
+ */
+const getRolloverFrom = async (previous, mode, currencyCode, date) => {
+  const rollover = { overall: 0, categories: {} };
+
+  if (!previous || mode === 'none') {
+    return rollover;
+  }
+
+  if (mode === 'overall') {
+    const amount = await convertAmount(
+      previous.remaining,
+      previous.currencyCode,
+      currencyCode,
+      date
+    );
+    if (amount === null) {
+      logger.warn(
+        { workspaceId: previous.workspaceId, from: previous.currencyCode, to: currencyCode },
+        'Period rollover skipped: exchange rate missing'
+      );
+    }
+    rollover.overall = amount ?? 0;
+    return rollover;
+  }
+
+  for (const category of previous.categories) {
+    if (category.remaining === null) {
+      continue;
+    }
+
+    const amount = await convertAmount(
+      category.remaining,
+      previous.currencyCode,
+      currencyCode,
+      date
+    );
+    rollover.categories[category.name] = amount ?? 0;
+  }
+
+  return rollover;
+};
+
+/**
+ * Итоговые поля снимка: остатки общего бюджета и категорий с учетом переноса
+ */
+const buildSnapshotTotals = ({ monthlyBudget, categoryNames, limits }, totals, rollover) => {
+  const limitsByName = new Map(limits.map((item) => [item.name, item.limit]));
+  const names = [
+    ...new Set([...categoryNames, ...limitsByName.keys(), ...Object.keys(totals.spentByCategory)]),
+  ];
+
+  const categories = names.map((name) => {
+    const limit = limitsByName.get(name) ?? null;
+    const spent = round(totals.spentByCategory[name] || 0);
+    // Перенос по категории имеет смысл только при заданном лимите
+    const rolloverIn = limit === null ? 0 : round(rollover.categories[name] || 0);
+
+    return {
+      name,
+      limit,
+      rolloverIn,
+      spent,
+      remaining: limit === null ? null : round(limit + rolloverIn - spent),
+    };
+  });
+
+  const totalSpent = round(categories.reduce((sum, item) => sum + item.spent, 0));
+  const rolloverIn = round(rollover.overall);
+
+  return {
+    rolloverIn,
+    totalSpent,
+    remaining: round(monthlyBudget + rolloverIn - totalSpent),
+    categories,
+    expensesCount: totals.expensesCount,
+    totalIncome: round(totals.totalIncome),
+    incomesCount: totals.incomesCount,
+  };
+};
+
+/**
+ * Закрытие одного периода: снимок текущих настроек и итогов
+ * Если период уже закрыт параллельно, возвращается существующий снимок.
+ */
+const closePeriod = async (settings, { periodStart, periodEnd }, previous) => {
+  const workspaceId = settings.workspaceId;
+  const totals = await collectPeriodTotals(workspaceId, periodStart, periodEnd);
+  const rollover = await getRolloverFrom(
+    previous,
+    settings.rollover.mode,
+    settings.currencyCode,
+    periodStart
+  );
+
+  let snapshot;
+  try {
+    snapshot = await BudgetPeriod.create({
+      workspaceId,
+      periodStart,
+      periodEnd,
+      currencyCode: settings.currencyCode,
+      monthlyBudget: settings.monthlyBudget,
+      rolloverMode: settings.rollover.mode,
+      ...buildSnapshotTotals(
+        {
+          monthlyBudget: settings.monthlyBudget,
+          categoryNames: settings.categories,
+          limits: settings.categoryLimits,
+        },
+        totals,
+        rollover
+      ),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return BudgetPeriod.findOne({ workspaceId, periodStart });
+    }
+    throw error;
+  }
+
+  publish('period.closed', { workspaceId, period: snapshot });
+
+  return snapshot;
+};
+
+/**
+ * Закрытие всех завершившихся и еще не закрытых периодов пространства
+ * Периоды закрываются по порядку, чтобы перенос каждого учитывал предыдущий.
+ * Без снимков история начинается с периода создания настроек; задним числом закрывается
+ * не больше MAX_BACKFILL_PERIODS периодов.
+ */
+export const closeDuePeriods = async (settings, now = new Date()) => {
+  const workspaceId = settings.workspaceId;
+  const current = settings.getPeriodContaining(now);
+
+  let previous = await BudgetPeriod.findOne({ workspaceId }).sort({ periodStart: -1 });
+
+  let cursor = previous
+    ? new Date(previous.periodEnd.getTime() + 1)
+    : settings.getPeriodContaining(settings.createdAt || now).periodStart;
+
+  // Слишком старые периоды не закрываются, перенос из давнего снимка не выполняется
+  const earliestStart = settings.shiftPeriod(now, -MAX_BACKFILL_PERIODS).periodStart;
+  if (cursor < earliestStart) {
+    cursor = earliestStart;
+    previous = null;
+  }
+
+  const closed = [];
+
+  while (cursor < current.periodStart) {
+    // После смены расписания периодов первый период начинается сразу за последним снимком
+    const periodStart = cursor;
+    let { periodEnd } = settings.getPeriodContaining(cursor);
+    if (periodEnd >= current.periodStart) {
+      periodEnd = new Date(current.periodStart.getTime() - 1);
+    }
+
+    previous = await closePeriod(settings, { periodStart, periodEnd }, previous);
+    closed.push(previous);
+    cursor = new Date(previous.periodEnd.getTime() + 1);
+  }
+
+  return closed;
+};
+
+/**
+ * Перенос в текущий период из последнего закрытого
+ * Перед расчетом закрываются периоды, которые успели завершиться.
+ */
+export const getCurrentRollover = async (settings, now = new Date()) => {
+  const { mode } = settings.rollover;
+
+  if (mode === 'none') {
+    return { mode, overall: 0, categories: {}, fromPeriod: null };
+  }
+
+  await closeDuePeriods(settings, now);
+
+  const previous = await BudgetPeriod.findOne({ workspaceId: settings.workspaceId }).sort({
+    periodStart: -1,
+  });
+  const rollover = await getRolloverFrom(
+    previous,
+    mode,
+    settings.currencyCode,
+    settings.getPeriodContaining(now).periodStart
+  );
+
+  return {
+    mode,
+    overall: round(rollover.overall),
+    categories: rollover.categories,
+    fromPeriod: previous ? { start: previous.periodStart, end: previous.periodEnd } : null,
+  };
+};
+
+/**
+ * Пересчет итогов закрытых периодов начиная с даты (например, после расходов задним числом)
+ * Бюджет, лимиты, валюта и режим переноса каждого снимка сохраняются, меняются только
+ * итоги, а перенос пересчитывается каскадом. Если базовая валюта с тех пор сменилась,
+ * расходы переводятся в валюту снимка; периоды без курса пропускаются.
+ */
+export const recomputePeriods = async (settings, from) => {
+  const workspaceId = settings.workspaceId;
+
+  const snapshots = await BudgetPeriod.find({
+    workspaceId,
+    periodEnd: { $gte: from },
+  }).sort({ periodStart: 1 });
+
+  if (snapshots.length === 0) {
+    return { recomputed: 0, skipped: [] };
+  }
+
+  let previous = await BudgetPeriod.findOne({
+    workspaceId,
+    periodStart: { $lt: snapshots[0].periodStart },
+  }).sort({ periodStart: -1 });
+
+  let recomputed = 0;
+  const skipped = [];
+
+  for (const snapshot of snapshots) {
+    const totals = await collectPeriodTotals(workspaceId, snapshot.periodStart, snapshot.periodEnd);
+
+    if (snapshot.currencyCode !== settings.currencyCode) {
+      const convert = (amount) =>
+        convertAmount(amount, settings.currencyCode, snapshot.currencyCode, snapshot.periodEnd);
+
+      const spentEntries = await Promise.all(
+        Object.entries(totals.spentByCategory).map(async ([name, spent]) => [
+          name,
+          await convert(spent),
+        ])
+      );
+      const totalIncome = await convert(totals.totalIncome);
+
+      if (totalIncome === null || spentEntries.some(([, spent]) => spent === null)) {
+        skipped.push({ start: snapshot.periodStart, end: snapshot.periodEnd });
+        previous = snapshot;
+        continue;
+      }
+
+      totals.spentByCategory = Object.fromEntries(spentEntries);
+      totals.totalIncome = totalIncome;
+    }
+
+    const rollover = await getRolloverFrom(
+      previous,
+      snapshot.rolloverMode,
+      snapshot.currencyCode,
+      snapshot.periodStart
+    );
+
+    snapshot.set(
+      buildSnapshotTotals(
+        {
+          monthlyBudget: snapshot.monthlyBudget,
+          categoryNames: snapshot.categories.map((item) => item.name),
+          limits: snapshot.categories.filter((item) => item.limit !== null),
+        },
+        totals,
+        rollover
+      )
+    );
+    snapshot.recomputedAt = new Date();
+    await snapshot.save();
+
+    recomputed += 1;
+    previous = snapshot;
+  }
+
+  return { recomputed, skipped };
+};
+
+/**
+ * Перевод периодов личного бюджета на новый часовой пояс профиля
+ * Завершившиеся периоды закрываются до смены, поэтому их снимки сохраняют прежние границы.
+ */
+export const syncPersonalBudgetTimeZone = async (userId, timeZone) => {
+  const workspace = await Workspace.findOne({ ownerId: userId, isPersonal: true }).select('_id');
+  const settings = workspace ? await BudgetSettings.findOne({ workspaceId: workspace._id }) : null;
+
+  if (!settings || settings.timezone === timeZone) {
+    return null;
+  }
+
+  await closeDuePeriods(settings);
+  settings.setTimeZone(timeZone);
+  await settings.save();
+
+  publish('budget.updated', { workspaceId: workspace._id, userId, settings });
+  return settings;
+};
+
+/**
+ * Часовой пояс для настроек бюджета, созданных до появления часовых поясов
+ * Раньше периоды считались в локальном времени сервера: берется часовой пояс из профиля
+ * владельца, если он его указал, иначе пояс сервера - границы периодов не сдвигаются.
+ */
+export const fillMissingBudgetTimeZones = async () => {
+  const serverTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const legacy = await BudgetSettings.find({ timezone: { $exists: false } })
+    .select('userId')
+    .lean();
+
+  for (const settings of legacy) {
+    // lean: без значения по умолчанию, чтобы отличить указанный пояс от незаданного
+    const owner = await User.findById(settings.userId).select('timezone').lean();
+
+    await BudgetSettings.updateOne(
+      { _id: settings._id, timezone: { $exists: false } },
+      { $set: { timezone: owner?.timezone || serverTimeZone } }
+    );
+  }
+
+  if (legacy.length > 0) {
+    logger.info(`Часовой пояс задан для настроек бюджета: ${legacy.length}`);
+  }
+
+  return legacy.length;
+};
@@ -1,7 +1,11 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import workspaceAccess from '../../shared/middlewares/WorkspaceMiddleware.js';
+import { PERIOD_TYPES } from '../../shared/utils/period.js';
+import { isValidTimeZone } from '../../shared/utils/timezone.js';
 import * as BudgetController from './BudgetController.js';
+import { ROLLOVER_MODES } from './BudgetSchema.js';
 
 const router = express.Router();
 
@@ -23,14 +27,119 @@ const settingsValidation = [
     .optional()
     .isISO8601()
     .withMessage('Дата начала месяца должна быть в формате ISO 8601'),
+  body('periodType')
+    .optional()
+    .isIn(PERIOD_TYPES)
+    .withMessage(`Тип периода должен быть одним из: ${PERIOD_TYPES.join(', ')}`),
+  body('periodLengthDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 366 })
+    .withMessage('Длина периода должна быть от 1 до 366 дней')
+    .toInt(),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Часовой пояс должен быть в формате IANA, например Europe/Moscow'),
+  body('rollover.mode')
+    .optional()
+    .isIn(ROLLOVER_MODES)
+    .withMessage(`Режим переноса должен быть одним из: ${ROLLOVER_MODES.join(', ')}`),
+];
+
+/**
+ * Валидация параметров отчета
+ */
+const reportValidation = [
+  query('period')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Период должен быть в формате YYYY-MM'),
+  query('date').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  query('format').optional().isIn(['pdf', 'json']).withMessage('Формат должен быть pdf или json'),
+];
+
+/**
+ * Валидация параметров списка периодов
+ */
+const periodsValidation = [
+  query('from').optional().isISO8601().withMessage('Дата from должна быть в формате ISO 8601'),
+  query('to').optional().isISO8601().withMessage('Дата to должна быть в формате ISO 8601'),
+];
+
+/**
+ * Валидация параметров истории
+ */
+const historyValidation = [
+  query('months')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('months должен быть от 1 до 60'),
+];
+
+/**
+ * Валидация пересчета истории
+ */
+const recomputeValidation = [
+  body('from').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+];
+
+/**
+ * Валидация параметров прогноза
+ */
+const forecastValidation = [
+  query('historyPeriods')
+    .optional()
+    .isInt({ min: 0, max: 12 })
+    .withMessage('historyPeriods должен быть от 0 до 12'),
 ];
 
-// Все роуты требуют авторизации
-router.post('/settings', checkAuth, settingsValidation, BudgetController.createOrUpdateSettings);
-router.get('/settings', checkAuth, BudgetController.getSettings);
-router.get('/summary', checkAuth, BudgetController.getBudgetSummary);
-router.get('/history', checkAuth, BudgetController.getBudgetHistory);
-router.put('/categories', checkAuth, BudgetController.updateCategories);
-router.delete('/settings', checkAuth, BudgetController.deleteSettings);
+// Все роуты требуют авторизации: чтение доступно любому участнику рабочего пространства,
+// изменение настроек бюджета - только владельцу
+router.post(
+  '/settings',
+  checkAuth,
+  workspaceAccess('owner'),
+  settingsValidation,
+  BudgetController.createOrUpdateSettings
+);
+router.get('/settings', checkAuth, workspaceAccess('viewer'), BudgetController.getSettings);
+router.get('/summary', checkAuth, workspaceAccess('viewer'), BudgetController.getBudgetSummary);
+router.get(
+  '/periods',
+  checkAuth,
+  workspaceAccess('viewer'),
+  periodsValidation,
+  BudgetController.getBudgetPeriods
+);
+router.get(
+  '/history',
+  checkAuth,
+  workspaceAccess('viewer'),
+  historyValidation,
+  BudgetController.getBudgetHistory
+);
+router.post(
+  '/history/recompute',
+  checkAuth,
+  workspaceAccess('owner'),
+  recomputeValidation,
+  BudgetController.recomputeBudgetHistory
+);
+router.get(
+  '/forecast',
+  checkAuth,
+  workspaceAccess('viewer'),
+  forecastValidation,
+  BudgetController.getBudgetForecast
+);
+router.get(
+  '/report',
+  checkAuth,
+  workspaceAccess('viewer'),
+  reportValidation,
+  BudgetController.getBudgetReport
+);
+router.put('/categories', checkAuth, workspaceAccess('owner'), BudgetController.updateCategories);
+router.delete('/settings', checkAuth, workspaceAccess('owner'), BudgetController.deleteSettings);
 
 export default router;
@@ -1,12 +1,35 @@
 import mongoose from 'mongoose';
+import {
+  DEFAULT_PERIOD_SCHEDULE,
+  PERIOD_TYPES,
+  getPeriodContaining,
+  listPeriods,
+  shiftPeriod,
+} from '../../shared/utils/period.js';
+import {
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  isValidTimeZone,
+  zonedDate,
+} from '../../shared/utils/timezone.js';
+
+// Перенос остатка закрытого периода в следующий: нет, общего бюджета, лимитов категорий
+export const ROLLOVER_MODES = ['none', 'overall', 'categories'];
 
 const BudgetSettingsSchema = new mongoose.Schema(
   {
+    // Кто создал настройки
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Рабочее пространство, которому принадлежат настройки (по одним настройкам на пространство)
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+    },
     monthlyBudget: {
       type: Number,
       required: [true, 'Месячный бюджет обязателен'],
@@ -27,14 +50,45 @@ const BudgetSettingsSchema = new mongoose.Schema(
         message: (props) => `${props.value} не является валидным кодом валюты (ISO 4217)!`,
       },
     },
+    // Дата привязки периодов: для месячных - день начала месяца, для остальных - начало
+    // одного из периодов
     monthStart: {
       type: Date,
       required: [true, 'Дата начала месяца обязательна'],
+      // Полночь первого числа текущего месяца в часовом поясе по умолчанию (UTC)
       default: () => {
         const now = new Date();
-        return new Date(now.getFullYear(), now.getMonth(), 1);
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      },
+    },
+    periodType: {
+      type: String,
+      enum: PERIOD_TYPES,
+      default: 'monthly',
+    },
+    // Часовой пояс IANA, в котором начинаются периоды (общий для всех участников пространства;
+    // в личном пространстве следует за часовым поясом профиля владельца)
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: (props) => `${props.value} не является часовым поясом IANA`,
       },
     },
+    // Длина периода в днях для periodType: custom
+    periodLengthDays: {
+      type: Number,
+      min: [1, 'Период не может быть короче 1 дня'],
+      max: [366, 'Период не может быть длиннее 366 дней'],
+      default: null,
+      required: [
+        function () {
+          return this.periodType === 'custom';
+        },
+        'Для произвольного периода нужна длина в днях',
+      ],
+    },
     // Дополнительные настройки для расширения функционала
     notifications: {
       enabled: {
@@ -48,10 +102,46 @@ const BudgetSettingsSchema = new mongoose.Schema(
         default: 80, // Уведомление при достижении 80% бюджета
       },
     },
+    // Перенос экономии или перерасхода закрытого периода в следующий
+    rollover: {
+      mode: {
+        type: String,
+        enum: ROLLOVER_MODES,
+        default: 'none',
+      },
+    },
     categories: {
       type: [String],
       default: ['Food', 'Transport', 'Entertainment', 'Shopping', 'Health', 'Other'],
     },
+    // Лимиты по категориям (только для категорий, у которых лимит задан)
+    categoryLimits: {
+      type: [
+        new mongoose.Schema(
+          {
+            name: {
+              type: String,
+              required: true,
+              trim: true,
+            },
+            limit: {
+              type: Number,
+              required: true,
+              min: [0, 'Лимит не может быть отрицательным'],
+            },
+            // Порог уведомления, null - используется общий notifications.thresholdPercent
+            thresholdPercent: {
+              type: Number,
+              min: 0,
+              max: 100,
+              default: null,
+            },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -59,42 +149,106 @@ const BudgetSettingsSchema = new mongoose.Schema(
 );
 
 // Индексы для оптимизации
-BudgetSettingsSchema.index({ userId: 1 }, { unique: true });
+BudgetSettingsSchema.index({ userId: 1 });
+BudgetSettingsSchema.index(
+  { workspaceId: 1 },
+  { unique: true, partialFilterExpression: { workspaceId: { $type: 'objectId' } } }
+);
 
 // Виртуальное поле для получения дня начала месяца
 BudgetSettingsSchema.virtual('monthStartDay').get(function () {
-  return this.monthStart.getDate();
+  return getZonedParts(this.monthStart, this.timezone || DEFAULT_TIMEZONE).day;
 });
 
 // Метод для проверки, нужно ли сбросить период
 BudgetSettingsSchema.methods.shouldResetPeriod = function () {
-  const now = new Date();
-  const startDay = this.monthStart.getDate();
-  const currentDay = now.getDate();
+  const timeZone = this.timezone || DEFAULT_TIMEZONE;
+  const startDay = getZonedParts(this.monthStart, timeZone).day;
+  const currentDay = getZonedParts(new Date(), timeZone).day;
 
   // Если текущий день >= дня начала месяца в настройках
   return currentDay >= startDay;
 };
 
+// Метод для получения лимита категории (null, если лимит не задан)
+BudgetSettingsSchema.methods.getCategoryLimit = function (name) {
+  const categoryLimit = this.categoryLimits.find((item) => item.name === name);
+
+  if (!categoryLimit) {
+    return null;
+  }
+
+  return {
+    limit: categoryLimit.limit,
+    thresholdPercent: categoryLimit.thresholdPercent ?? this.notifications.thresholdPercent,
+  };
+};
+
+// Метод для получения расписания периодов (тип, дата привязки, длина, часовой пояс)
+BudgetSettingsSchema.methods.getPeriodSchedule = function () {
+  return {
+    type: this.periodType || 'monthly',
+    anchor: this.monthStart,
+    lengthDays: this.periodLengthDays,
+    timeZone: this.timezone || DEFAULT_TIMEZONE,
+  };
+};
+
+// Метод для получения периода бюджета, в который попадает дата
+BudgetSettingsSchema.methods.getPeriodContaining = function (date) {
+  return getPeriodContaining(this.getPeriodSchedule(), date);
+};
+
 // Метод для получения текущего периода бюджета
 BudgetSettingsSchema.methods.getCurrentPeriod = function () {
-  const now = new Date();
-  const startDay = this.monthStart.getDate();
-
-  let periodStart;
-  let periodEnd;
-
-  if (now.getDate() >= startDay) {
-    // Текущий период начался в этом месяце
-    periodStart = new Date(now.getFullYear(), now.getMonth(), startDay);
-    periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, startDay - 1, 23, 59, 59, 999);
-  } else {
-    // Текущий период начался в прошлом месяце
-    periodStart = new Date(now.getFullYear(), now.getMonth() - 1, startDay);
-    periodEnd = new Date(now.getFullYear(), now.getMonth(), startDay - 1, 23, 59, 59, 999);
-  }
+  return this.getPeriodContaining(new Date());
+};
+
+// Метод для получения периода, сдвинутого на offset периодов от периода с датой
+BudgetSettingsSchema.methods.shiftPeriod = function (date, offset) {
+  return shiftPeriod(this.getPeriodSchedule(), date, offset);
+};
+
+// Метод для получения первого периода, который начинается в указанном месяце (month - с 0)
+BudgetSettingsSchema.methods.getPeriodForMonth = function (year, month) {
+  const monthStart = zonedDate(this.timezone || DEFAULT_TIMEZONE, year, month, 1);
+  const period = this.getPeriodContaining(monthStart);
+
+  return period.periodStart < monthStart ? this.shiftPeriod(monthStart, 1) : period;
+};
+
+// Метод для получения периодов, пересекающихся с интервалом
+BudgetSettingsSchema.methods.listPeriods = function (from, to) {
+  return listPeriods(this.getPeriodSchedule(), from, to);
+};
+
+// Метод для смены часового пояса: дата привязки переносится на тот же календарный день
+BudgetSettingsSchema.methods.setTimeZone = function (timeZone) {
+  const anchor = getZonedParts(this.monthStart, this.timezone);
+  this.monthStart = zonedDate(timeZone, anchor.year, anchor.month, anchor.day);
+  this.timezone = timeZone;
+  return this;
+};
+
+// Статический метод для получения периода пространства, в который попадает дата
+// (без настроек бюджета - календарный месяц в часовом поясе timeZone)
+BudgetSettingsSchema.statics.getWorkspacePeriod = async function (
+  workspaceId,
+  date = new Date(),
+  timeZone = DEFAULT_TIMEZONE
+) {
+  const settings = await this.findOne({ workspaceId });
+  const schedule = settings
+    ? settings.getPeriodSchedule()
+    : { ...DEFAULT_PERIOD_SCHEDULE, timeZone };
+
+  return { ...getPeriodContaining(schedule, date), schedule };
+};
 
-  return { periodStart, periodEnd };
+// Статический метод для получения базовой валюты рабочего пространства
+BudgetSettingsSchema.statics.getBaseCurrency = async function (workspaceId) {
+  const settings = await this.findOne({ workspaceId }).select('currencyCode');
+  return settings ? settings.currencyCode : 'EUR';
 };
 
 export default mongoose.model('BudgetSettings', BudgetSettingsSchema);
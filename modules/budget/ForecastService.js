@@ -0,0 +1,268 @@
+import { getDayBounds } from '../../shared/utils/timezone.js';
+import { convertToBase } from '../currency/CurrencyService.js';
+import Expense from '../expenses/ExpenseSchema.js';
+import RecurringExpense from '../expenses/RecurringExpenseSchema.js';
+import { getBudgetExpenseScope } from '../expenses/SplitService.js';
+import { getCurrentRollover } from './BudgetPeriodService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Предстоящие регулярные списания за интервал с суммой в базовой валюте
+ * (платежи в другой валюте пересчитываются по текущему курсу, без курса - baseAmount = null)
+ */
+export const getUpcomingRecurringInBase = async (settings, workspaceId, from, to, userId) => {
+  const upcoming = await RecurringExpense.getUpcomingOccurrences(workspaceId, from, to);
+
+  for (const item of upcoming) {
+    const conversion = await convertToBase(
+      item.amount,
+      item.currencyCode || settings.currencyCode,
+      settings.currencyCode,
+      new Date(),
+      userId
+    );
+    item.baseAmount = conversion ? conversion.baseAmount : null;
+  }
+
+  return upcoming;
+};
+
+/**
+ * Средний дневной темп "обычных" (не регулярных) расходов в оставшейся части прошлых периодов:
+ * для каждого периода берутся траты с того же дня от начала периода, что и сегодня.
+ * Периоды без единого расхода (до начала ведения бюджета) не учитываются.
+ */
+const buildHistoricalRates = (pastPeriods, expenses, daysElapsed) => {
+  const rates = [];
+
+  for (const { periodStart, periodEnd } of pastPeriods) {
+    const inPeriod = expenses.filter(
+      (expense) => expense.date >= periodStart && expense.date <= periodEnd
+    );
+    if (inPeriod.length === 0) {
+      continue;
+    }
+
+    const pivot = new Date(periodStart.getTime() + daysElapsed * DAY_MS);
+    const remainingDays = Math.max((periodEnd - pivot) / DAY_MS, 1);
+
+    const byCategory = {};
+    let total = 0;
+    for (const expense of inPeriod) {
+      if (expense.date < pivot || expense.recurringId) {
+        continue;
+      }
+      total += expense.amount;
+      byCategory[expense.category] = (byCategory[expense.category] || 0) + expense.amount;
+    }
+
+    rates.push({
+      total: total / remainingDays,
+      byCategory: Object.fromEntries(
+        Object.entries(byCategory).map(([name, spent]) => [name, spent / remainingDays])
+      ),
+    });
+  }
+
+  return rates;
+};
+
+/**
+ * Прогноз по одному бюджету (общему или категории)
+ * budget = null - лимит не задан: прогноз траты без остатка, дневной нормы и даты исчерпания
+ */
+const projectScope = ({
+  budget,
+  expenses,
+  upcoming,
+  historicalRate,
+  now,
+  daysElapsed,
+  daysRemaining,
+  periodEnd,
+  timeZone,
+}) => {
+  const spent = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+
+  // Текущий темп считается по обычным расходам: регулярные учитываются по расписанию
+  const discretionarySpent = expenses
+    .filter((expense) => !expense.recurringId)
+    .reduce((sum, expense) => sum + expense.amount, 0);
+  const dailyPace = discretionarySpent / daysElapsed;
+
+  // Чем дальше период, тем больше доверия текущему темпу, а не истории
+  const elapsedShare = daysElapsed / (daysElapsed + daysRemaining);
+  const dailyRate =
+    historicalRate === null
+      ? dailyPace
+      : elapsedShare * dailyPace + (1 - elapsedShare) * historicalRate;
+
+  const upcomingRecurring = upcoming.reduce((sum, item) => sum + (item.baseAmount ?? 0), 0);
+  const projectedDiscretionary = dailyRate * daysRemaining;
+  const projectedTotal = spent + projectedDiscretionary + upcomingRecurring;
+
+  const forecast = {
+    budget,
+    spent: roundAmount(spent),
+    dailyPace: roundAmount(dailyPace),
+    historicalDailyRate: historicalRate === null ? null : roundAmount(historicalRate),
+    projectedDiscretionary: roundAmount(projectedDiscretionary),
+    upcomingRecurring: roundAmount(upcomingRecurring),
+    projectedTotal: roundAmount(projectedTotal),
+    projectedRemaining: null,
+    isProjectedOverBudget: false,
+    safeToSpendPerDay: null,
+    exhaustionDate: null,
+  };
+
+  if (budget === null) {
+    return forecast;
+  }
+
+  forecast.projectedRemaining = roundAmount(budget - projectedTotal);
+  forecast.isProjectedOverBudget = projectedTotal > budget;
+
+  // Сколько можно тратить в день, чтобы с учетом регулярных платежей уложиться в бюджет
+  forecast.safeToSpendPerDay = roundAmount(
+    Math.max(budget - spent - upcomingRecurring, 0) / Math.max(daysRemaining, 1)
+  );
+
+  // Бюджет уже исчерпан - дата расхода, на котором это произошло
+  if (spent > budget) {
+    let cumulative = 0;
+    const sorted = [...expenses].sort((a, b) => a.date - b.date);
+    for (const expense of sorted) {
+      cumulative += expense.amount;
+      if (cumulative > budget) {
+        forecast.exhaustionDate = expense.date;
+        break;
+      }
+    }
+    return forecast;
+  }
+
+  // Пошаговый прогноз по дням до конца периода
+  const totalDays = Math.ceil(daysRemaining);
+  for (let day = 1; day <= totalDays; day++) {
+    const pointDate = new Date(Math.min(now.getTime() + day * DAY_MS, periodEnd.getTime()));
+    const recurringSoFar = upcoming
+      .filter((item) => item.date <= pointDate)
+      .reduce((sum, item) => sum + (item.baseAmount ?? 0), 0);
+    const cumulative = spent + dailyRate * Math.min(day, daysRemaining) + recurringSoFar;
+
+    if (cumulative > budget) {
+      // Дата исчерпания - начало дня в часовом поясе бюджета
+      forecast.exhaustionDate = getDayBounds(pointDate, timeZone).start;
+      break;
+    }
+  }
+
+  return forecast;
+};
+
+/**
+ * Прогноз расходов до конца текущего периода: общий и по категориям
+ * Складывается из уже потраченного, темпа обычных расходов (текущего и за прошлые периоды)
+ * и известных регулярных платежей.
+ */
+export const buildForecast = async (
+  settings,
+  workspaceId,
+  { now = new Date(), historyPeriods = 3, userId = null } = {}
+) => {
+  const { periodStart, periodEnd } = settings.getCurrentPeriod();
+
+  const pastPeriods = [];
+  for (let index = 1; index <= historyPeriods; index++) {
+    pastPeriods.push(settings.shiftPeriod(periodStart, -index));
+  }
+  const historyStart = pastPeriods.length > 0 ? pastPeriods.at(-1).periodStart : periodStart;
+
+  // Расходы в той же области, что и итоги бюджета: в личном пространстве - доля владельца,
+  // в том числе в разделенных с ним расходах других пространств
+  const expenseScope = await getBudgetExpenseScope(workspaceId);
+  const expenses = (
+    await Expense.find({
+      ...expenseScope.match,
+      date: { $gte: historyStart, $lte: periodEnd },
+    }).select('workspaceId userId date amount baseAmount currencyCode category recurringId split')
+  ).map((expense) => ({
+    date: expense.date,
+    category: expense.category,
+    recurringId: expense.recurringId,
+    amount: expenseScope.getAmount(expense),
+  }));
+
+  const current = expenses.filter((expense) => expense.date >= periodStart);
+  const upcoming = await getUpcomingRecurringInBase(settings, workspaceId, now, periodEnd, userId);
+
+  // Неполный первый день считается целым, чтобы темп не разлетался в начале периода
+  const daysElapsed = Math.max((now - periodStart) / DAY_MS, 1);
+  const daysRemaining = Math.max((periodEnd - now) / DAY_MS, 0);
+
+  const rates = buildHistoricalRates(
+    pastPeriods,
+    expenses.filter((expense) => expense.date < periodStart),
+    daysElapsed
+  );
+  const averageRate = (pick) =>
+    rates.length > 0 ? rates.reduce((sum, rate) => sum + pick(rate), 0) / rates.length : null;
+
+  const scope = {
+    now,
+    daysElapsed,
+    daysRemaining,
+    periodEnd,
+    timeZone: settings.getPeriodSchedule().timeZone,
+  };
+
+  // Бюджет и лимиты с учетом переноса из прошлого периода
+  const rollover = await getCurrentRollover(settings, now);
+
+  const overall = projectScope({
+    ...scope,
+    budget: settings.monthlyBudget + rollover.overall,
+    expenses: current,
+    upcoming,
+    historicalRate: averageRate((rate) => rate.total),
+  });
+
+  const names = [
+    ...new Set([
+      ...settings.categories,
+      ...current.map((expense) => expense.category),
+      ...upcoming.map((item) => item.category),
+    ]),
+  ];
+
+  const categories = names.map((name) => {
+    const categoryLimit = settings.getCategoryLimit(name);
+
+    return {
+      name,
+      ...projectScope({
+        ...scope,
+        budget: categoryLimit ? categoryLimit.limit + (rollover.categories[name] || 0) : null,
+        expenses: current.filter((expense) => expense.category === name),
+        upcoming: upcoming.filter((item) => item.category === name),
+        historicalRate: averageRate((rate) => rate.byCategory[name] || 0),
+      }),
+    };
+  });
+
+  return {
+    currencyCode: settings.currencyCode,
+    period: {
+      start: periodStart,
+      end: periodEnd,
+    },
+    daysElapsed: Math.round(daysElapsed * 10) / 10,
+    daysRemaining: Math.round(daysRemaining * 10) / 10,
+    historyPeriodsUsed: rates.length,
+    overall,
+    categories,
+  };
+};
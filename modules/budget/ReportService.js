@@ -0,0 +1,216 @@
+import { createRequire } from 'node:module';
+import PDFDocument from 'pdfkit';
+import { DEFAULT_LOCALE } from '../../shared/mail/templates.js';
+import { DEFAULT_TIMEZONE } from '../../shared/utils/timezone.js';
+
+const require = createRequire(import.meta.url);
+
+// Встроенные шрифты PDF не содержат кириллицы, поэтому нужен TTF-шрифт
+const FONT_REGULAR =
+  process.env.REPORT_FONT_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const FONT_BOLD =
+  process.env.REPORT_FONT_BOLD_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+const labels = {
+  ru: {
+    title: 'Отчет по бюджету',
+    period: 'Период',
+    generatedAt: 'Сформирован',
+    summary: 'Сводка',
+    monthlyBudget: 'Бюджет',
+    totalSpent: 'Потрачено',
+    remaining: 'Остаток',
+    percentUsed: 'Использовано бюджета',
+    totalIncome: 'Доходы',
+    netSavings: 'Сбережения',
+    savingsRate: 'Норма сбережений',
+    expensesCount: 'Количество расходов',
+    categories: 'Расходы по категориям',
+    category: 'Категория',
+    count: 'Кол-во',
+    spent: 'Потрачено',
+    limit: 'Лимит',
+    share: 'Доля',
+    topExpenses: 'Крупнейшие расходы',
+    date: 'Дата',
+    note: 'Описание',
+    amount: 'Сумма',
+    empty: 'Нет данных',
+  },
+  en: {
+    title: 'Budget report',
+    period: 'Period',
+    generatedAt: 'Generated',
+    summary: 'Summary',
+    monthlyBudget: 'Budget',
+    totalSpent: 'Spent',
+    remaining: 'Remaining',
+    percentUsed: 'Budget used',
+    totalIncome: 'Income',
+    netSavings: 'Net savings',
+    savingsRate: 'Savings rate',
+    expensesCount: 'Number of expenses',
+    categories: 'Spending by category',
+    category: 'Category',
+    count: 'Count',
+    spent: 'Spent',
+    limit: 'Limit',
+    share: 'Share',
+    topExpenses: 'Top expenses',
+    date: 'Date',
+    note: 'Description',
+    amount: 'Amount',
+    empty: 'No data',
+  },
+};
+
+const PAGE_MARGIN = 50;
+
+/**
+ * Таблица с переносом на новую страницу
+ * columns - [{ header, width, align }], rows - массив массивов строк
+ */
+const drawTable = (doc, columns, rows, emptyText) => {
+  const startX = PAGE_MARGIN;
+  const rowHeight = 18;
+
+  const drawRow = (cells, font) => {
+    if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = startX;
+
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(cell, x + 2, y + 4, { width: width - 4, align, lineBreak: false, ellipsis: true });
+      x += width;
+    });
+
+    doc.y = y + rowHeight;
+    doc.x = startX;
+  };
+
+  drawRow(
+    columns.map((column) => column.header),
+    FONT_BOLD
+  );
+  doc
+    .moveTo(startX, doc.y)
+    .lineTo(startX + columns.reduce((sum, column) => sum + column.width, 0), doc.y)
+    .strokeColor('#999999')
+    .stroke();
+
+  if (rows.length === 0) {
+    drawRow([emptyText, ...columns.slice(1).map(() => '')], FONT_REGULAR);
+  }
+
+  for (const row of rows) {
+    drawRow(row, FONT_REGULAR);
+  }
+};
+
+const heading = (doc, text) => {
+  doc.moveDown(1).font(FONT_BOLD).fontSize(13).text(text, PAGE_MARGIN).moveDown(0.3);
+};
+
+/**
+ * Формирование PDF-отчета по бюджету за период с записью в поток (например, HTTP-ответ)
+ * report - данные сводки (см. getBudgetReport в BudgetController)
+ */
+export const renderBudgetReportPdf = (report, stream, locale = DEFAULT_LOCALE) => {
+  const t = labels[locale] || labels[DEFAULT_LOCALE];
+  const intlLocale = locale === 'en' ? 'en-US' : 'ru-RU';
+
+  const money = (value) =>
+    value === null || value === undefined
+      ? '-'
+      : new Intl.NumberFormat(intlLocale, {
+          style: 'currency',
+          currency: report.currencyCode,
+        }).format(value);
+  // Даты выводятся в часовом поясе бюджета, чтобы границы периода совпадали с настройками
+  const timeZone = report.timeZone || DEFAULT_TIMEZONE;
+  const date = (value) => new Intl.DateTimeFormat(intlLocale, { timeZone }).format(new Date(value));
+  const percent = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  doc.pipe(stream);
+
+  // Заголовок
+  doc.font(FONT_BOLD).fontSize(18).text(t.title);
+  doc
+    .font(FONT_REGULAR)
+    .fontSize(10)
+    .fillColor('#555555')
+    .text(`${t.period}: ${date(report.period.start)} - ${date(report.period.end)}`)
+    .text(
+      `${t.generatedAt}: ${new Intl.DateTimeFormat(intlLocale, { dateStyle: 'medium', timeStyle: 'short', timeZone }).format(report.generatedAt)}`
+    )
+    .fillColor('#000000');
+
+  // Сводка
+  heading(doc, t.summary);
+  drawTable(
+    doc,
+    [
+      { header: '', width: 250 },
+      { header: '', width: 245, align: 'right' },
+    ],
+    [
+      [t.monthlyBudget, money(report.monthlyBudget)],
+      [t.totalSpent, money(report.totalSpent)],
+      [t.remaining, money(report.remaining)],
+      [t.percentUsed, percent(report.percentUsed)],
+      [t.totalIncome, money(report.totalIncome)],
+      [t.netSavings, money(report.netSavings)],
+      [t.savingsRate, percent(report.savingsRate)],
+      [t.expensesCount, String(report.expensesCount)],
+    ],
+    t.empty
+  );
+
+  // Категории
+  heading(doc, t.categories);
+  drawTable(
+    doc,
+    [
+      { header: t.category, width: 165 },
+      { header: t.count, width: 60, align: 'right' },
+      { header: t.spent, width: 100, align: 'right' },
+      { header: t.limit, width: 100, align: 'right' },
+      { header: t.share, width: 70, align: 'right' },
+    ],
+    report.byCategory.map((item) => [
+      item.category,
+      String(item.count),
+      money(item.totalAmount),
+      money(item.limit),
+      percent(item.share),
+    ]),
+    t.empty
+  );
+
+  // Крупнейшие расходы
+  heading(doc, t.topExpenses);
+  drawTable(
+    doc,
+    [
+      { header: t.date, width: 75 },
+      { header: t.category, width: 100 },
+      { header: t.note, width: 210 },
+      { header: t.amount, width: 110, align: 'right' },
+    ],
+    report.topExpenses.map((expense) => [
+      date(expense.date),
+      expense.category,
+      expense.note || '',
+      money(expense.amountInBase),
+    ]),
+    t.empty
+  );
+
+  doc.end();
+};
@@ -0,0 +1,152 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import { getExchangeRate } from './CurrencyService.js';
+import ExchangeRate from './ExchangeRateSchema.js';
+
+/**
+ * Получение ручных курсов пользователя
+ * GET /api/currency/rates
+ */
+export const getRates = async (req, res) => {
+  try {
+    const { baseCurrency, quoteCurrency } = req.query;
+
+    const filter = { userId: req.userId };
+    if (baseCurrency) filter.baseCurrency = baseCurrency.toUpperCase();
+    if (quoteCurrency) filter.quoteCurrency = quoteCurrency.toUpperCase();
+
+    const rates = await ExchangeRate.find(filter).sort({ date: -1 });
+
+    res.json({
+      rates,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetRates Error');
+    res.status(500).json({
+      message: 'Ошибка при получении курсов валют',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Создание или обновление ручного курса на дату
+ * PUT /api/currency/rates
+ */
+export const upsertRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { baseCurrency, quoteCurrency, rate, date } = req.body;
+
+    const base = baseCurrency.toUpperCase();
+    const quote = quoteCurrency.toUpperCase();
+
+    if (base === quote) {
+      return res.status(400).json({
+        message: 'Валюты пары должны различаться',
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      {
+        userId: req.userId,
+        baseCurrency: base,
+        quoteCurrency: quote,
+        date: ExchangeRate.toRateDate(date ? new Date(date) : new Date()),
+      },
+      { $set: { rate: Number(rate), source: 'manual' } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Курс сохранен',
+      rate: exchangeRate,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpsertRate Error');
+    res.status(500).json({
+      message: 'Ошибка при сохранении курса',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление ручного курса
+ * DELETE /api/currency/rates/:id
+ */
+export const deleteRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (!rate) {
+      return res.status(404).json({
+        message: 'Курс не найден',
+      });
+    }
+
+    res.json({
+      message: 'Курс удален',
+      rate,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteRate Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении курса',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Пересчет суммы между валютами (тот же курс, что будет использован для расхода)
+ * GET /api/currency/convert?amount=100&from=USD&to=EUR&date=2026-02-01
+ */
+export const convert = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { amount, from, to, date } = req.query;
+
+    const rate = await getExchangeRate(
+      from.toUpperCase(),
+      to.toUpperCase(),
+      date ? new Date(date) : new Date(),
+      req.userId
+    );
+
+    if (!rate) {
+      return res.status(404).json({
+        message: `Курс ${from.toUpperCase()} -> ${to.toUpperCase()} не найден`,
+      });
+    }
+
+    res.json({
+      amount: Number(amount),
+      convertedAmount: Math.round(Number(amount) * rate.rate * 100) / 100,
+      rate,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Convert Error');
+    res.status(500).json({
+      message: 'Ошибка при пересчете валюты',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,44 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import * as CurrencyController from './CurrencyController.js';
+
+const router = express.Router();
+
+/**
+ * Валидация кода валюты (ISO 4217)
+ */
+const currencyCode = (field) =>
+  field
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Код валюты должен содержать 3 символа')
+    .isAlpha()
+    .withMessage('Код валюты должен содержать только буквы');
+
+/**
+ * Валидация для ручного курса
+ */
+const rateValidation = [
+  currencyCode(body('baseCurrency')),
+  currencyCode(body('quoteCurrency')),
+  body('rate').isFloat({ gt: 0 }).withMessage('Курс должен быть положительным числом'),
+  body('date').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+];
+
+/**
+ * Валидация для пересчета
+ */
+const convertValidation = [
+  query('amount').isFloat().withMessage('Сумма должна быть числом'),
+  currencyCode(query('from')),
+  currencyCode(query('to')),
+  query('date').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+];
+
+// Все роуты требуют авторизации
+router.get('/rates', checkAuth, CurrencyController.getRates);
+router.put('/rates', checkAuth, rateValidation, CurrencyController.upsertRate);
+router.delete('/rates/:id', checkAuth, CurrencyController.deleteRate);
+router.get('/convert', checkAuth, convertValidation, CurrencyController.convert);
+
+export default router;
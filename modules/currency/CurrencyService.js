@@ -0,0 +1,191 @@
+import { getRateFetcher } from '../../shared/config/currency.js';
+import logger from '../../shared/config/logger.js';
+import Expense from '../expenses/ExpenseSchema.js';
+import Settlement from '../expenses/SettlementSchema.js';
+import Income from '../income/IncomeSchema.js';
+import ExchangeRate from './ExchangeRateSchema.js';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Источник курса у документа, который не удалось пересчитать в базовую валюту
+export const MISSING_RATE_SOURCE = 'missing';
+
+/**
+ * Поиск последнего курса пары (в любом направлении) не позже даты
+ */
+const findStoredRate = async (filter, from, to, date) => {
+  const stored = await ExchangeRate.findOne({
+    ...filter,
+    $or: [
+      { baseCurrency: from, quoteCurrency: to },
+      { baseCurrency: to, quoteCurrency: from },
+    ],
+    date: { $lte: date },
+  }).sort({ date: -1 });
+
+  if (!stored) {
+    return null;
+  }
+
+  return {
+    rate: stored.baseCurrency === from ? stored.rate : 1 / stored.rate,
+    source: stored.source,
+    date: stored.date,
+  };
+};
+
+/**
+ * Получение курса from -> to на дату
+ * Порядок: ручной курс пользователя -> общий курс на этот день -> сервис курсов
+ * (результат кэшируется в таблице) -> последний известный общий курс.
+ * Возвращает { rate, source, date } или null, если курс неизвестен.
+ */
+export const getExchangeRate = async (from, to, date = new Date(), userId = null) => {
+  const day = ExchangeRate.toRateDate(date);
+
+  if (from === to) {
+    return { rate: 1, source: 'identity', date: day };
+  }
+
+  if (userId) {
+    const manual = await findStoredRate({ userId, source: 'manual' }, from, to, day);
+    if (manual) {
+      return manual;
+    }
+  }
+
+  const shared = await findStoredRate({ userId: null }, from, to, day);
+  if (shared && shared.date.getTime() === day.getTime()) {
+    return shared;
+  }
+
+  const fetcher = getRateFetcher();
+  if (fetcher) {
+    try {
+      const rate = await fetcher.fetchRate(from, to, day);
+
+      if (rate) {
+        await ExchangeRate.updateOne(
+          { userId: null, baseCurrency: from, quoteCurrency: to, date: day },
+          { $set: { rate, source: 'fetched' } },
+          { upsert: true }
+        );
+        return { rate, source: 'fetched', date: day };
+      }
+    } catch (error) {
+      logger.warn({ err: error, from, to }, 'Exchange rate fetch failed');
+    }
+  }
+
+  return shared;
+};
+
+/**
+ * Пересчет суммы в базовую валюту со снимком использованного курса
+ * Возвращает { baseAmount, exchangeRate } или null, если курс неизвестен
+ */
+export const convertToBase = async (amount, currencyCode, baseCurrency, date, userId) => {
+  const rate = await getExchangeRate(currencyCode, baseCurrency, date, userId);
+
+  if (!rate) {
+    return null;
+  }
+
+  return {
+    baseAmount: roundAmount(amount * rate.rate),
+    exchangeRate: {
+      baseCurrency,
+      rate: rate.rate,
+      source: rate.source,
+      rateDate: rate.date,
+    },
+  };
+};
+
+/**
+ * Пересчет расхода (или шаблона регулярного расхода) в базовую валюту
+ * Заполняет baseAmount и exchangeRate, возвращает false, если курс неизвестен
+ */
+export const applyBaseConversion = async (doc, baseCurrency, date = doc.date) => {
+  const conversion = await convertToBase(
+    doc.amount,
+    doc.currencyCode,
+    baseCurrency,
+    date,
+    doc.userId
+  );
+
+  if (!conversion) {
+    return false;
+  }
+
+  doc.baseAmount = conversion.baseAmount;
+  doc.exchangeRate = conversion.exchangeRate;
+  return true;
+};
+
+/**
+ * Отметка документа, для которого нет курса в новую базовую валюту:
+ * в итогах он не учитывается (сумма в базовой валюте 0), пока его не пересчитают
+ */
+const markUnconverted = (doc, baseCurrency) => {
+  doc.baseAmount = 0;
+  doc.exchangeRate = { baseCurrency, rate: 0, source: MISSING_RATE_SOURCE, rateDate: null };
+};
+
+/**
+ * Пересчет всех расходов, доходов и расчетов рабочего пространства в новую базовую валюту
+ * (при ее смене в настройках)
+ * previousCurrency - валюта старых расходов и доходов, созданных до появления мультивалютности
+ * Документы без курса отмечаются как непересчитанные (см. markUnconverted), их ID
+ * возвращаются в unconverted; при следующей смене валюты они пересчитываются снова.
+ */
+export const rebaseWorkspaceExpenses = async (workspaceId, baseCurrency, previousCurrency) => {
+  // Старые расходы и доходы без валюты считаются в прежней валюте бюджета
+  for (const Model of [Expense, Income]) {
+    await Model.updateMany(
+      { workspaceId, currencyCode: null },
+      { $set: { currencyCode: previousCurrency } }
+    );
+  }
+
+  const filter = {
+    workspaceId,
+    $or: [
+      { 'exchangeRate.baseCurrency': { $ne: baseCurrency } },
+      { 'exchangeRate.source': MISSING_RATE_SOURCE },
+    ],
+  };
+  // Расчеты пересчитываются из валюты, в которой были зарегистрированы
+  const collections = {
+    expenses: await Expense.find(filter),
+    settlements: await Settlement.find(filter),
+    incomes: await Income.find(filter),
+  };
+
+  let updated = 0;
+  let failed = 0;
+  const unconverted = { expenses: [], settlements: [], incomes: [] };
+
+  for (const [name, docs] of Object.entries(collections)) {
+    for (const doc of docs) {
+      if (await applyBaseConversion(doc, baseCurrency)) {
+        updated += 1;
+      } else {
+        markUnconverted(doc, baseCurrency);
+        unconverted[name].push(doc._id);
+        failed += 1;
+      }
+      await doc.save();
+    }
+  }
+
+  if (failed > 0) {
+    logger.warn(
+      { workspaceId, baseCurrency, failed },
+      'Expenses, incomes or settlements left without base conversion'
+    );
+  }
+
+  return { updated, failed, unconverted };
+};
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+/**
+ * Проверка кода валюты (ISO 4217)
+ */
+export const isCurrencyCode = (value) => /^[A-Z]{3}$/.test(value);
+
+/**
+ * Курс валюты на дату: 1 baseCurrency = rate quoteCurrency
+ * Ручные курсы принадлежат пользователю, полученные от сервиса курсов - общие (userId = null)
+ */
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    baseCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      validate: {
+        validator: isCurrencyCode,
+        message: (props) => `${props.value} не является валидным кодом валюты (ISO 4217)!`,
+      },
+    },
+    quoteCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      validate: {
+        validator: isCurrencyCode,
+        message: (props) => `${props.value} не является валидным кодом валюты (ISO 4217)!`,
+      },
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Курс обязателен'],
+      validate: {
+        validator: (v) => v > 0,
+        message: 'Курс должен быть положительным',
+      },
+    },
+    // Начало дня (UTC), на который действует курс
+    date: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'fetched'],
+      default: 'manual',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Один курс пары на день для каждого владельца
+ExchangeRateSchema.index(
+  { userId: 1, baseCurrency: 1, quoteCurrency: 1, date: -1 },
+  { unique: true }
+);
+
+// Приведение даты к началу дня (UTC) - курсы хранятся с дневной точностью
+ExchangeRateSchema.statics.toRateDate = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+export default mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -0,0 +1,93 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import { getZonedParts, parseDateBoundary, zonedDate } from '../../shared/utils/timezone.js';
+import { scanAnomalies } from './AnomalyService.js';
+import Expense from './ExpenseSchema.js';
+
+// Период проверки по умолчанию - последние 30 дней
+const DEFAULT_SCAN_DAYS = 30;
+
+/**
+ * Необычные расходы за период: выбросы по сумме, скачки повторяющихся платежей, дубликаты
+ * GET /api/expenses/anomalies
+ */
+export const getAnomalies = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { startDate, endDate, types } = req.query;
+
+    const end = endDate ? parseDateBoundary(endDate, req.timezone, 'end') : new Date();
+    const endParts = getZonedParts(end, req.timezone);
+    const start = startDate
+      ? parseDateBoundary(startDate, req.timezone)
+      : zonedDate(req.timezone, endParts.year, endParts.month, endParts.day - DEFAULT_SCAN_DAYS);
+
+    const items = await scanAnomalies(req.workspaceId, {
+      startDate: start,
+      endDate: end,
+      types: types ? types.split(',') : null,
+    });
+
+    res.json({
+      period: {
+        start,
+        end,
+      },
+      items: items.map(({ expense, anomalies }) => ({
+        expenseId: expense._id,
+        date: expense.date,
+        amount: expense.amount,
+        currencyCode: expense.currencyCode,
+        baseAmount: expense.baseAmount,
+        category: expense.category,
+        note: expense.note,
+        anomalies,
+      })),
+      total: items.length,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetAnomalies Error');
+    res.status(500).json({
+      message: 'Ошибка при поиске необычных расходов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Скрытие предупреждения: расход больше не попадает в список необычных
+ * POST /api/expenses/:id/anomalies/dismiss
+ */
+export const dismissAnomalies = async (req, res) => {
+  try {
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, workspaceId: req.workspaceId },
+      { $set: { anomaliesDismissedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!expense) {
+      return res.status(404).json({
+        message: 'Расход не найден',
+      });
+    }
+
+    res.json({
+      message: 'Предупреждение скрыто',
+      expense: expense.withTimeZone(req.timezone),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DismissAnomalies Error');
+    res.status(500).json({
+      message: 'Ошибка при скрытии предупреждения',
+      error: error.message,
+    });
+  }
+};
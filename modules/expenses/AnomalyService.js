@@ -0,0 +1,274 @@
+import Expense from './ExpenseSchema.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Глубина истории, с которой сравнивается расход
+const HISTORY_DAYS = 180;
+
+// Одинаковые расходы в пределах окна считаются возможными дубликатами
+const DUPLICATE_WINDOW_DAYS = 2;
+
+// Минимум расходов в истории для поиска выбросов
+const MIN_SAMPLE_SIZE = 5;
+
+// Порог робастного z-score (по медиане и MAD) для выброса
+const OUTLIER_SCORE = 3.5;
+
+// Рост суммы повторяющегося платежа, при котором он считается скачком (%)
+const JUMP_PERCENT = 20;
+
+// Допустимый разброс прошлых сумм, чтобы платежи считались одним и тем же платежом
+const STABLE_TOLERANCE = 0.05;
+
+// Платежи продавцу без шаблона считаются подпиской, если идут не чаще раза в неделю
+const MIN_SUBSCRIPTION_INTERVAL_DAYS = 6;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const baseOf = (expense) => expense.baseAmount ?? expense.amount;
+
+/**
+ * Ключ "продавца" по заметке: без регистра, цифр и знаков ("UBER *TRIP 4821" -> "uber trip")
+ */
+export const normalizeMerchant = (note) => {
+  const key = String(note ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}]+/gu, ' ')
+    .trim();
+
+  return key || null;
+};
+
+/**
+ * Порядок расходов: по дате, при равной дате - по ID (время создания)
+ */
+const isBefore = (a, b) =>
+  a.date < b.date || (a.date.getTime() === b.date.getTime() && String(a._id) < String(b._id));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Индекс расходов для сравнения: по категории, по продавцу и по шаблону регулярного расхода
+ */
+export const buildAnomalyIndex = (expenses) => {
+  const index = { byCategory: new Map(), byMerchant: new Map(), byRecurring: new Map() };
+
+  const add = (map, key, expense) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(expense);
+  };
+
+  for (const expense of expenses) {
+    add(index.byCategory, expense.category, expense);
+
+    const merchant = normalizeMerchant(expense.note);
+    if (merchant) {
+      add(index.byMerchant, merchant, expense);
+    }
+    if (expense.recurringId) {
+      add(index.byRecurring, String(expense.recurringId), expense);
+    }
+  }
+
+  return index;
+};
+
+/**
+ * Возможный дубликат: та же сумма, валюта и заметка (без заметки - категория) в пределах окна
+ * Помечается добавленный позже из пары (ObjectId растет со временем создания);
+ * повторения одного регулярного расхода дубликатами не считаются.
+ */
+const findDuplicate = (expense, index, merchant) => {
+  const candidates = merchant
+    ? index.byMerchant.get(merchant) || []
+    : (index.byCategory.get(expense.category) || []).filter((other) => !other.note);
+
+  return candidates.find(
+    (other) =>
+      String(other._id) < String(expense._id) &&
+      other.amount === expense.amount &&
+      other.currencyCode === expense.currencyCode &&
+      Math.abs(other.date - expense.date) <= DUPLICATE_WINDOW_DAYS * DAY_MS &&
+      !(expense.recurringId && other.recurringId && expense.recurringId.equals(other.recurringId))
+  );
+};
+
+/**
+ * Скачок суммы повторяющегося платежа: прошлые платежи того же шаблона (или регулярные
+ * платежи продавцу) были стабильны, а текущий заметно больше последнего
+ */
+const findRecurringJump = (expense, index, merchant) => {
+  const series = expense.recurringId
+    ? index.byRecurring.get(String(expense.recurringId)) || []
+    : (merchant && index.byMerchant.get(merchant)) || [];
+
+  const previous = series
+    .filter((other) => isBefore(other, expense) && other.currencyCode === expense.currencyCode)
+    .sort((a, b) => a.date - b.date)
+    .slice(-3);
+
+  if (previous.length < 2) {
+    return null;
+  }
+
+  // Частые покупки у одного продавца (кофейня) - не подписка
+  if (!expense.recurringId) {
+    const tooFrequent = previous.some(
+      (other, position) =>
+        position > 0 &&
+        other.date - previous[position - 1].date < MIN_SUBSCRIPTION_INTERVAL_DAYS * DAY_MS
+    );
+    if (tooFrequent) {
+      return null;
+    }
+  }
+
+  const amounts = previous.map((other) => other.amount);
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  if (min <= 0 || max / min > 1 + STABLE_TOLERANCE) {
+    return null;
+  }
+
+  const last = previous.at(-1);
+  const changePercent = ((expense.amount - last.amount) / last.amount) * 100;
+  if (changePercent < JUMP_PERCENT) {
+    return null;
+  }
+
+  return {
+    type: 'recurringJump',
+    message: `Сумма выросла на ${Math.round(changePercent)}% по сравнению с прошлыми платежами (${last.amount})`,
+    expectedAmount: roundAmount(baseOf(last)),
+    score: null,
+    changePercent: roundAmount(changePercent),
+    relatedExpenseId: last._id,
+  };
+};
+
+/**
+ * Выброс по сумме относительно прошлых расходов у того же продавца, а если их мало - в категории
+ * MAD = 0 (все суммы одинаковы) - выбросом считается сумма втрое больше медианы
+ */
+const findOutlier = (expense, index, merchant) => {
+  const prior = (list) => (list || []).filter((other) => isBefore(other, expense));
+
+  let sample = merchant ? prior(index.byMerchant.get(merchant)) : [];
+  let scope = `у "${expense.note}"`;
+  if (sample.length < MIN_SAMPLE_SIZE) {
+    sample = prior(index.byCategory.get(expense.category));
+    scope = `в категории "${expense.category}"`;
+  }
+
+  if (sample.length < MIN_SAMPLE_SIZE) {
+    return null;
+  }
+
+  const amounts = sample.map(baseOf);
+  const center = median(amounts);
+  const mad = median(amounts.map((amount) => Math.abs(amount - center)));
+  const amount = baseOf(expense);
+
+  if (amount <= center) {
+    return null;
+  }
+
+  const score = mad > 0 ? (amount - center) / (1.4826 * mad) : null;
+  const isOutlier = score !== null ? score >= OUTLIER_SCORE : center > 0 && amount >= center * 3;
+
+  if (!isOutlier) {
+    return null;
+  }
+
+  return {
+    type: 'outlier',
+    message: `Сумма необычно велика для расходов ${scope}: обычно около ${roundAmount(center)}`,
+    expectedAmount: roundAmount(center),
+    score: score === null ? null : roundAmount(score),
+    changePercent: center > 0 ? roundAmount(((amount - center) / center) * 100) : null,
+    relatedExpenseId: null,
+  };
+};
+
+/**
+ * Необычности расхода относительно индекса окружающих расходов (сам расход может в нем быть)
+ */
+export const findAnomalies = (expense, index) => {
+  const merchant = normalizeMerchant(expense.note);
+  const anomalies = [];
+
+  const duplicate = findDuplicate(expense, index, merchant);
+  if (duplicate) {
+    anomalies.push({
+      type: 'duplicate',
+      message: `Возможный дубликат: такой же расход от ${duplicate.date.toISOString().split('T')[0]}`,
+      expectedAmount: null,
+      score: null,
+      changePercent: null,
+      relatedExpenseId: duplicate._id,
+    });
+  }
+
+  const jump = findRecurringJump(expense, index, merchant);
+  if (jump) {
+    anomalies.push(jump);
+  }
+
+  // Скачок повторяющегося платежа уже объясняет необычную сумму
+  const outlier = jump ? null : findOutlier(expense, index, merchant);
+  if (outlier) {
+    anomalies.push(outlier);
+  }
+
+  return anomalies;
+};
+
+/**
+ * Расходы пространства для сравнения с расходами за интервал: история до него и окно дубликатов
+ */
+const loadComparisonExpenses = (workspaceId, from, to) => {
+  return Expense.find({
+    workspaceId,
+    date: {
+      $gte: new Date(from.getTime() - HISTORY_DAYS * DAY_MS),
+      $lte: new Date(to.getTime() + DUPLICATE_WINDOW_DAYS * DAY_MS),
+    },
+  }).select('amount baseAmount currencyCode date category note recurringId anomaliesDismissedAt');
+};
+
+/**
+ * Проверка нового (еще не сохраненного) расхода
+ */
+export const detectExpenseAnomalies = async (expense) => {
+  const others = await loadComparisonExpenses(expense.workspaceId, expense.date, expense.date);
+  return findAnomalies(expense, buildAnomalyIndex([...others, expense]));
+};
+
+/**
+ * Необычные расходы за интервал (без скрытых пользователем)
+ * types - только указанные виды
+ */
+export const scanAnomalies = async (workspaceId, { startDate, endDate, types = null }) => {
+  const expenses = await loadComparisonExpenses(workspaceId, startDate, endDate);
+  const index = buildAnomalyIndex(expenses);
+
+  return expenses
+    .filter(
+      (expense) =>
+        expense.date >= startDate && expense.date <= endDate && !expense.anomaliesDismissedAt
+    )
+    .map((expense) => ({
+      expense,
+      anomalies: findAnomalies(expense, index).filter(
+        (anomaly) => !types || types.includes(anomaly.type)
+      ),
+    }))
+    .filter((item) => item.anomalies.length > 0)
+    .sort((a, b) => b.expense.date - a.expense.date);
+};
@@ -0,0 +1,110 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import {
+  parseExpenseDraft,
+  suggestCategories,
+  trainCategoryModel,
+} from './CategorizationService.js';
+
+/**
+ * Подсказка категории для будущего расхода
+ * POST /api/expenses/suggest-category
+ */
+export const suggestCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { note, amount } = req.body;
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
+
+    const suggestions = await suggestCategories(
+      req.workspaceId,
+      { note, amount },
+      settings ? settings.categories : null
+    );
+
+    res.json({
+      suggestions,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'SuggestCategory Error');
+    res.status(500).json({
+      message: 'Ошибка при подборе категории',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Разбор расхода из текста ("кофе 4.50 вчера") в черновик; расход не создается
+ * POST /api/expenses/parse
+ */
+export const parseExpense = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
+
+    const draft = await parseExpenseDraft(req.workspaceId, req.body.text, {
+      categories: settings ? settings.categories : null,
+      currencyCode: settings ? settings.currencyCode : 'EUR',
+    });
+
+    if (draft.amount === null) {
+      return res.status(422).json({
+        message: 'Не удалось найти сумму расхода в тексте',
+        draft,
+      });
+    }
+
+    res.json({
+      draft,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ParseExpense Error');
+    res.status(500).json({
+      message: 'Ошибка при разборе текста расхода',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Переобучение локальной модели подсказок по всей истории расходов
+ * (исправления категорий после этого учитываются с обычным весом)
+ * POST /api/expenses/categorizer/train
+ */
+export const trainCategorizer = async (req, res) => {
+  try {
+    const model = await trainCategoryModel(req.workspaceId);
+
+    res.json({
+      message: 'Модель подсказок категорий переобучена',
+      documents: model.documents,
+      categories: model.classes.map((item) => ({
+        category: item.category,
+        documents: item.documents,
+      })),
+      trainedAt: model.trainedAt,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'TrainCategorizer Error');
+    res.status(500).json({
+      message: 'Ошибка при обучении модели',
+      error: error.message,
+    });
+  }
+};
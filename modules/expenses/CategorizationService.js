@@ -0,0 +1,258 @@
+import { tokenizeExpense } from '../../shared/categorizer/NaiveBayesCategorizer.js';
+import { getCategorizer, getLocalCategorizer } from '../../shared/config/categorizer.js';
+import logger from '../../shared/config/logger.js';
+import CategoryModel from './CategoryModelSchema.js';
+import Expense from './ExpenseSchema.js';
+import { parseExpenseText } from './parsers/TextParser.js';
+
+// Исправление категории пользователем весит больше обычного расхода: модель быстрее переучивается
+const CORRECTION_WEIGHT = 3;
+
+// Сколько подсказок возвращать
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Минимальная уверенность, с которой подсказка назначается расходу без категории автоматически
+ */
+export const getAutoCategoryConfidence = () => Number(process.env.AUTO_CATEGORY_CONFIDENCE) || 0.6;
+
+/**
+ * Расход пригоден для обучения: есть заметка и осмысленная категория
+ */
+const isLabeled = (expense) => Boolean(expense.note) && expense.category !== 'Other';
+
+/**
+ * Добавление (weight > 0) или удаление (weight < 0) расхода из частот модели
+ */
+const updateModelCounts = (model, category, tokens, weight) => {
+  let item = model.classes.find((entry) => entry.category === category);
+
+  if (!item) {
+    if (weight < 0) {
+      return;
+    }
+    model.classes.push({ category, documents: 0, tokenTotal: 0, tokens: {} });
+    item = model.classes[model.classes.length - 1];
+  }
+
+  // При удалении частоты не уходят ниже нуля (модель могла обучаться на других данных)
+  const documents = Math.max(item.documents + weight, 0);
+  model.documents = Math.max(model.documents + (documents - item.documents), 0);
+  item.documents = documents;
+
+  for (const token of tokens) {
+    const count = item.tokens.get(token) || 0;
+    const next = Math.max(count + weight, 0);
+    item.tokenTotal = Math.max(item.tokenTotal + (next - count), 0);
+
+    if (next > 0) {
+      item.tokens.set(token, next);
+    } else {
+      item.tokens.delete(token);
+    }
+  }
+};
+
+const expenseTokens = (expense) =>
+  tokenizeExpense(expense.note, expense.baseAmount ?? expense.amount);
+
+/**
+ * Обучение модели заново по всей истории расходов пространства
+ */
+export const trainCategoryModel = async (workspaceId) => {
+  const model =
+    (await CategoryModel.findOne({ workspaceId })) || new CategoryModel({ workspaceId });
+  model.documents = 0;
+  model.classes = [];
+
+  const cursor = Expense.find({
+    workspaceId,
+    category: { $ne: 'Other' },
+    note: { $nin: [null, ''] },
+  })
+    .select('note category amount baseAmount')
+    .cursor();
+
+  for await (const expense of cursor) {
+    const tokens = expenseTokens(expense);
+    if (tokens.length > 0) {
+      updateModelCounts(model, expense.category, tokens, 1);
+    }
+  }
+
+  model.trainedAt = new Date();
+
+  try {
+    await model.save();
+  } catch (error) {
+    // Параллельный запрос уже создал модель
+    if (error.code === 11000) {
+      return CategoryModel.findOne({ workspaceId });
+    }
+    throw error;
+  }
+
+  return model;
+};
+
+/**
+ * Модель пространства; при первом обращении обучается по истории
+ */
+export const getCategoryModel = async (workspaceId) => {
+  const model = await CategoryModel.findOne({ workspaceId });
+  return model || trainCategoryModel(workspaceId);
+};
+
+/**
+ * Дообучение модели на новых расходах (создание, импорт)
+ * Ошибки не прерывают сохранение расходов: модель можно переобучить позже.
+ */
+export const learnExpenses = async (workspaceId, expenses) => {
+  const labeled = expenses.filter(isLabeled);
+  if (labeled.length === 0) {
+    return;
+  }
+
+  try {
+    const model = await CategoryModel.findOne({ workspaceId });
+    if (!model) {
+      // Новая модель обучится по истории, в которой расходы уже есть
+      await trainCategoryModel(workspaceId);
+      return;
+    }
+
+    for (const expense of labeled) {
+      const tokens = expenseTokens(expense);
+      if (tokens.length > 0) {
+        updateModelCounts(model, expense.category, tokens, 1);
+      }
+    }
+
+    await model.save();
+  } catch (error) {
+    logger.warn({ err: error, workspaceId }, 'Category model update failed');
+  }
+};
+
+/**
+ * Дообучение на исправлении категории: старая метка снимается,
+ * новая добавляется с повышенным весом
+ */
+export const learnCorrection = async (workspaceId, expense, previousCategory) => {
+  const tokens = expenseTokens(expense);
+  if (tokens.length === 0 || previousCategory === expense.category) {
+    return;
+  }
+
+  try {
+    const model = await getCategoryModel(workspaceId);
+
+    if (previousCategory !== 'Other') {
+      updateModelCounts(model, previousCategory, tokens, -1);
+    }
+    if (expense.category !== 'Other') {
+      updateModelCounts(model, expense.category, tokens, CORRECTION_WEIGHT);
+    }
+    model.corrections += 1;
+
+    await model.save();
+  } catch (error) {
+    logger.warn({ err: error, workspaceId }, 'Category model update failed');
+  }
+};
+
+const roundConfidence = (suggestions) =>
+  suggestions.slice(0, MAX_SUGGESTIONS).map((item) => ({
+    category: item.category,
+    confidence: Math.round(item.confidence * 1000) / 1000,
+  }));
+
+/**
+ * Функция подсказок категории: expense => [{ category, confidence }] по убыванию уверенности
+ * categories - допустимые категории (настройки бюджета). Модель загружается один раз,
+ * при ошибке внешнего провайдера используется локальная модель.
+ */
+export const createCategorySuggester = (workspaceId, categories) => {
+  const categorizer = getCategorizer();
+  const local = getLocalCategorizer();
+  let model = null;
+
+  return async ({ note, amount }) => {
+    if (!note) {
+      return [];
+    }
+
+    const input = { text: note, amount, categories };
+
+    // Внешнему провайдеру нужен список категорий
+    if (categorizer !== local && categories) {
+      try {
+        return roundConfidence(await categorizer.suggest(input));
+      } catch (error) {
+        logger.warn({ err: error }, 'Categorizer failed, falling back to local model');
+      }
+    }
+
+    if (!model) {
+      model = await getCategoryModel(workspaceId);
+    }
+
+    return roundConfidence(await local.suggest({ ...input, model }));
+  };
+};
+
+/**
+ * Подсказки категории для одного расхода
+ */
+export const suggestCategories = (workspaceId, expense, categories) =>
+  createCategorySuggester(workspaceId, categories)(expense);
+
+/**
+ * Черновик расхода из произвольного текста: сумма, валюта, дата, заметка и подсказки категории
+ * Провайдер с собственным разбором (LLM) используется первым, локальный разбор - запасной вариант
+ */
+export const parseExpenseDraft = async (
+  workspaceId,
+  text,
+  { categories, currencyCode, now = new Date() }
+) => {
+  const categorizer = getCategorizer();
+
+  if (typeof categorizer.parse === 'function') {
+    try {
+      const draft = await categorizer.parse({
+        text,
+        categories: categories || [],
+        currencyCode,
+        today: now.toISOString().split('T')[0],
+      });
+
+      if (draft.amount !== null) {
+        return {
+          ...draft,
+          currencyCode: draft.currencyCode || currencyCode,
+          date: draft.date ? new Date(`${draft.date}T12:00:00`) : now,
+          suggestions: roundConfidence(draft.suggestions),
+          source: 'llm',
+        };
+      }
+    } catch (error) {
+      logger.warn({ err: error }, 'Categorizer parse failed, falling back to local parser');
+    }
+  }
+
+  const draft = parseExpenseText(text, now);
+  const suggestions = await suggestCategories(
+    workspaceId,
+    { note: draft.note, amount: draft.amount },
+    categories
+  );
+
+  return {
+    ...draft,
+    currencyCode: draft.currencyCode || currencyCode,
+    date: draft.date || now,
+    suggestions,
+    source: 'local',
+  };
+};
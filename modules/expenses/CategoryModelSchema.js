@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * Частоты слов заметок по одной категории (веса могут быть дробными)
+ */
+const CategoryClassSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+    },
+    // Сколько расходов (с учетом веса исправлений) отнесено к категории
+    documents: {
+      type: Number,
+      default: 0,
+    },
+    tokenTotal: {
+      type: Number,
+      default: 0,
+    },
+    tokens: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Локальная модель подсказок категорий рабочего пространства (наивный Байес)
+ * Строится по истории расходов и дообучается при создании расходов и исправлении категорий.
+ */
+const CategoryModelSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      unique: true,
+    },
+    documents: {
+      type: Number,
+      default: 0,
+    },
+    classes: {
+      type: [CategoryClassSchema],
+      default: [],
+    },
+    // Сколько раз пользователи исправляли категорию после подсказки или импорта
+    corrections: {
+      type: Number,
+      default: 0,
+    },
+    trainedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('CategoryModel', CategoryModelSchema);
@@ -0,0 +1,386 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import CategoryRule from './CategoryRuleSchema.js';
+import { applyRuleToHistory, buildNotePattern, collectRuleChanges } from './CategoryRuleService.js';
+
+/**
+ * Условия правила из запроса (незаданные поля - условие не проверяется)
+ */
+const normalizeConditions = (conditions = {}) => ({
+  note: {
+    value: conditions.note?.value || null,
+    matchType: conditions.note?.matchType || 'contains',
+  },
+  amountMin: conditions.amountMin ?? null,
+  amountMax: conditions.amountMax ?? null,
+  tags: conditions.tags || [],
+  sources: conditions.sources || [],
+});
+
+/**
+ * Действия правила из запроса
+ */
+const normalizeActions = (actions = {}) => ({
+  category: actions.category || null,
+  tags: actions.tags || [],
+});
+
+/**
+ * Проверка правила перед сохранением, возвращает текст ошибки или null
+ */
+const validateRule = async (rule, workspaceId) => {
+  const { conditions, actions } = rule;
+
+  const hasConditions =
+    Boolean(conditions.note.value) ||
+    conditions.amountMin !== null ||
+    conditions.amountMax !== null ||
+    conditions.tags.length > 0 ||
+    conditions.sources.length > 0;
+
+  if (!hasConditions) {
+    return 'Укажите хотя бы одно условие правила';
+  }
+
+  if (!rule.hasActions()) {
+    return 'Укажите категорию или теги, которые назначает правило';
+  }
+
+  if (
+    conditions.amountMin !== null &&
+    conditions.amountMax !== null &&
+    conditions.amountMin > conditions.amountMax
+  ) {
+    return 'Минимальная сумма не может быть больше максимальной';
+  }
+
+  try {
+    buildNotePattern(conditions.note);
+  } catch {
+    return 'Некорректное регулярное выражение в условии по заметке (обратные ссылки и lookaround не поддерживаются)';
+  }
+
+  if (actions.category) {
+    const settings = await BudgetSettings.findOne({ workspaceId });
+    if (settings && !settings.categories.includes(actions.category)) {
+      return `Категория "${actions.category}" не найдена в настройках бюджета`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Поиск правила текущего рабочего пространства
+ */
+const findRule = (req) => {
+  return CategoryRule.findOne({
+    _id: req.params.id,
+    workspaceId: req.workspaceId,
+  });
+};
+
+/**
+ * Получение правил категоризации в порядке проверки
+ * GET /api/expenses/rules
+ */
+export const getRules = async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ workspaceId: req.workspaceId }).sort({
+      priority: -1,
+      position: 1,
+      createdAt: 1,
+    });
+
+    res.json({
+      rules,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetRules Error');
+    res.status(500).json({
+      message: 'Ошибка при получении правил',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Создание правила (добавляется в конец списка)
+ * POST /api/expenses/rules
+ */
+export const createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { name, priority, isActive, stopProcessing, conditions, actions } = req.body;
+
+    const last = await CategoryRule.findOne({ workspaceId: req.workspaceId })
+      .sort({ position: -1 })
+      .select('position');
+
+    const rule = new CategoryRule({
+      userId: req.userId,
+      workspaceId: req.workspaceId,
+      name,
+      priority: priority ?? 0,
+      position: last ? last.position + 1 : 0,
+      isActive: isActive ?? true,
+      stopProcessing: stopProcessing ?? false,
+      conditions: normalizeConditions(conditions),
+      actions: normalizeActions(actions),
+    });
+
+    const ruleError = await validateRule(rule, req.workspaceId);
+    if (ruleError) {
+      return res.status(400).json({
+        message: ruleError,
+      });
+    }
+
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Правило создано',
+      rule,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CreateRule Error');
+    res.status(500).json({
+      message: 'Ошибка при создании правила',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Обновление правила (conditions и actions заменяются целиком)
+ * PUT /api/expenses/rules/:id
+ */
+export const updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await findRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Правило не найдено',
+      });
+    }
+
+    const { name, priority, isActive, stopProcessing, conditions, actions } = req.body;
+
+    if (name !== undefined) rule.name = name;
+    if (priority !== undefined) rule.priority = priority;
+    if (isActive !== undefined) rule.isActive = isActive;
+    if (stopProcessing !== undefined) rule.stopProcessing = stopProcessing;
+    if (conditions !== undefined) rule.conditions = normalizeConditions(conditions);
+    if (actions !== undefined) rule.actions = normalizeActions(actions);
+
+    const ruleError = await validateRule(rule, req.workspaceId);
+    if (ruleError) {
+      return res.status(400).json({
+        message: ruleError,
+      });
+    }
+
+    await rule.save();
+
+    res.json({
+      message: 'Правило обновлено',
+      rule,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpdateRule Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении правила',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление правила
+ * DELETE /api/expenses/rules/:id
+ */
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await CategoryRule.findOneAndDelete({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Правило не найдено',
+      });
+    }
+
+    res.json({
+      message: 'Правило удалено',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteRule Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении правила',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Изменение порядка правил: позиции задаются по порядку ruleIds,
+ * не перечисленные правила идут следом в прежнем порядке
+ * PUT /api/expenses/rules/order
+ */
+export const reorderRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { ruleIds } = req.body;
+
+    const rules = await CategoryRule.find({ workspaceId: req.workspaceId }).sort({
+      position: 1,
+      createdAt: 1,
+    });
+    const rulesById = new Map(rules.map((rule) => [rule.id, rule]));
+
+    if (ruleIds.some((id) => !rulesById.has(id)) || new Set(ruleIds).size !== ruleIds.length) {
+      return res.status(400).json({
+        message: 'Список должен содержать уникальные ID правил этого рабочего пространства',
+      });
+    }
+
+    const ordered = [
+      ...ruleIds.map((id) => rulesById.get(id)),
+      ...rules.filter((rule) => !ruleIds.includes(rule.id)),
+    ];
+
+    await CategoryRule.bulkWrite(
+      ordered.map((rule, position) => ({
+        updateOne: {
+          filter: { _id: rule._id },
+          update: { $set: { position } },
+        },
+      }))
+    );
+
+    res.json({
+      message: 'Порядок правил обновлен',
+      ruleIds: ordered.map((rule) => rule._id),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ReorderRules Error');
+    res.status(500).json({
+      message: 'Ошибка при изменении порядка правил',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Пробный запуск правила: какие существующие расходы оно изменит
+ * POST /api/expenses/rules/:id/dry-run
+ */
+export const dryRunRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await findRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Правило не найдено',
+      });
+    }
+
+    const { startDate, endDate, onlyUncategorized, limit = 100 } = req.body;
+
+    const changes = await collectRuleChanges(rule, req.workspaceId, {
+      startDate,
+      endDate,
+      onlyUncategorized,
+      timeZone: req.timezone,
+    });
+
+    res.json({
+      total: changes.length,
+      changes: changes.slice(0, Number(limit)),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DryRunRule Error');
+    res.status(500).json({
+      message: 'Ошибка при пробном запуске правила',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Применение правила к существующим расходам
+ * POST /api/expenses/rules/:id/apply
+ */
+export const applyRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await findRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Правило не найдено',
+      });
+    }
+
+    const { startDate, endDate, onlyUncategorized } = req.body;
+
+    const modifiedCount = await applyRuleToHistory(rule, req.workspaceId, {
+      startDate,
+      endDate,
+      onlyUncategorized,
+      timeZone: req.timezone,
+    });
+
+    res.json({
+      message: `Правило применено, изменено расходов: ${modifiedCount}`,
+      modifiedCount,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ApplyRule Error');
+    res.status(500).json({
+      message: 'Ошибка при применении правила',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * Откуда появился расход: вручную, из регулярного платежа или из выписки (по формату файла)
+ */
+export const RULE_SOURCES = ['manual', 'recurring', 'csv', 'ofx', 'qif'];
+
+// Способы сравнения заметки расхода с образцом (без учета регистра)
+export const NOTE_MATCH_TYPES = ['contains', 'startsWith', 'equals', 'regex'];
+
+const CategoryRuleSchema = new mongoose.Schema(
+  {
+    // Кто создал правило
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Название правила обязательно'],
+      trim: true,
+      maxlength: [100, 'Название не должно превышать 100 символов'],
+    },
+    // Правила проверяются по убыванию приоритета, при равном приоритете - по позиции
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    position: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Не проверять следующие правила, если это сработало
+    stopProcessing: {
+      type: Boolean,
+      default: false,
+    },
+    // Условия объединяются через И, незаданные условия не проверяются
+    conditions: {
+      note: {
+        value: {
+          type: String,
+          trim: true,
+          maxlength: [200, 'Образец заметки не должен превышать 200 символов'],
+          default: null,
+        },
+        matchType: { type: String, enum: NOTE_MATCH_TYPES, default: 'contains' },
+      },
+      amountMin: { type: Number, default: null },
+      amountMax: { type: Number, default: null },
+      // У расхода должны быть все перечисленные теги
+      tags: { type: [String], default: [] },
+      // Расход должен прийти из одного из источников
+      sources: { type: [{ type: String, enum: RULE_SOURCES }], default: [] },
+    },
+    actions: {
+      category: { type: String, trim: true, default: null },
+      // Теги добавляются к уже имеющимся
+      tags: { type: [String], default: [] },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CategoryRuleSchema.index({ workspaceId: 1, priority: -1, position: 1 });
+
+// Метод для проверки, что правило что-то меняет
+CategoryRuleSchema.methods.hasActions = function () {
+  return Boolean(this.actions.category) || this.actions.tags.length > 0;
+};
+
+export default mongoose.model('CategoryRule', CategoryRuleSchema);
@@ -0,0 +1,240 @@
+import { RE2JS } from 're2js';
+import { DEFAULT_TIMEZONE, parseDateBoundary } from '../../shared/utils/timezone.js';
+import CategoryRule from './CategoryRuleSchema.js';
+import Expense from './ExpenseSchema.js';
+
+// Размер пачки обновлений при применении правила к истории
+const APPLY_BATCH_SIZE = 500;
+
+// Сравнивается только начало заметки
+const NOTE_MATCH_INPUT_LIMIT = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Источник расхода для условия sources: формат выписки, регулярный платеж или ручной ввод
+ */
+export const getExpenseSource = (expense) => {
+  if (expense.importSource?.format) {
+    return expense.importSource.format;
+  }
+  return expense.recurringId ? 'recurring' : 'manual';
+};
+
+/**
+ * Регулярное выражение для условия по заметке (null, если условие не задано)
+ * Образец regex компилируется в RE2: время проверки линейно по длине заметки,
+ * обратные ссылки и lookaround не поддерживаются.
+ * Бросает ошибку, если образец regex некорректен
+ */
+export const buildNotePattern = (note) => {
+  if (!note?.value) {
+    return null;
+  }
+
+  if (note.matchType === 'regex') {
+    return RE2JS.compile(note.value, RE2JS.CASE_INSENSITIVE);
+  }
+
+  const value = escapeRegex(note.value);
+
+  switch (note.matchType) {
+    case 'startsWith':
+      return new RegExp(`^${value}`, 'i');
+    case 'equals':
+      return new RegExp(`^${value}$`, 'i');
+    default:
+      return new RegExp(value, 'i');
+  }
+};
+
+/**
+ * Функция проверки расхода на соответствие условиям правила
+ * Расход - документ или объект с полями note, amount, tags, importSource, recurringId
+ * Правило с regex, который не поддерживается RE2 (сохраненное раньше), не срабатывает.
+ */
+export const buildRuleMatcher = (rule) => {
+  const { conditions } = rule;
+
+  let notePattern;
+  try {
+    notePattern = buildNotePattern(conditions.note);
+  } catch {
+    return () => false;
+  }
+
+  return (expense) => {
+    if (notePattern && !notePattern.test((expense.note || '').slice(0, NOTE_MATCH_INPUT_LIMIT))) {
+      return false;
+    }
+
+    if (conditions.amountMin !== null && expense.amount < conditions.amountMin) {
+      return false;
+    }
+
+    if (conditions.amountMax !== null && expense.amount > conditions.amountMax) {
+      return false;
+    }
+
+    const tags = expense.tags || [];
+    if (conditions.tags.some((tag) => !tags.includes(tag))) {
+      return false;
+    }
+
+    if (conditions.sources.length > 0 && !conditions.sources.includes(getExpenseSource(expense))) {
+      return false;
+    }
+
+    return true;
+  };
+};
+
+/**
+ * Активные правила рабочего пространства в порядке проверки
+ */
+export const getActiveRules = (workspaceId) => {
+  return CategoryRule.find({ workspaceId, isActive: true }).sort({
+    priority: -1,
+    position: 1,
+    createdAt: 1,
+  });
+};
+
+/**
+ * Применение правил к расходу
+ * Категорию задает первое сработавшее правило с категорией (если keepCategory не задан
+ * и категория есть среди categories), теги добавляются от всех сработавших правил.
+ * Возвращает { category, tags, ruleIds }, category = null - правила категорию не задали.
+ */
+export const applyRules = (rules, expense, { keepCategory = false, categories = null } = {}) => {
+  let category = null;
+  const tags = [...(expense.tags || [])];
+  const ruleIds = [];
+
+  for (const rule of rules) {
+    if (!buildRuleMatcher(rule)(expense)) {
+      continue;
+    }
+
+    ruleIds.push(rule._id);
+
+    const ruleCategory = rule.actions.category;
+    if (
+      !keepCategory &&
+      !category &&
+      ruleCategory &&
+      (!categories || categories.includes(ruleCategory))
+    ) {
+      category = ruleCategory;
+    }
+
+    for (const tag of rule.actions.tags) {
+      if (!tags.includes(tag)) {
+        tags.push(tag);
+      }
+    }
+
+    if (rule.stopProcessing) {
+      break;
+    }
+  }
+
+  return { category, tags, ruleIds };
+};
+
+/**
+ * Фильтр расходов по периоду для применения правила к истории
+ * (даты без времени - календарные дни в часовом поясе timeZone, конец дня включается)
+ */
+const buildHistoryFilter = (
+  workspaceId,
+  { startDate, endDate, onlyUncategorized, timeZone = DEFAULT_TIMEZONE }
+) => {
+  const filter = { workspaceId };
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) {
+      filter.date.$gte = parseDateBoundary(startDate, timeZone);
+    }
+    if (endDate) {
+      filter.date.$lte = parseDateBoundary(endDate, timeZone, 'end');
+    }
+  }
+
+  // Только расходы без осмысленной категории
+  if (onlyUncategorized) {
+    filter.category = 'Other';
+  }
+
+  return filter;
+};
+
+/**
+ * Изменения, которые правило внесет в существующие расходы
+ * Возвращает только расходы, у которых изменится категория или добавятся теги.
+ */
+export const collectRuleChanges = async (rule, workspaceId, options = {}) => {
+  const matches = buildRuleMatcher(rule);
+  const changes = [];
+
+  const cursor = Expense.find(buildHistoryFilter(workspaceId, options))
+    .select('date amount currencyCode note category tags importSource recurringId')
+    .sort({ date: -1 })
+    .cursor();
+
+  for await (const expense of cursor) {
+    if (!matches(expense)) {
+      continue;
+    }
+
+    const category = rule.actions.category || expense.category;
+    const addedTags = rule.actions.tags.filter((tag) => !expense.tags.includes(tag));
+
+    if (category === expense.category && addedTags.length === 0) {
+      continue;
+    }
+
+    changes.push({
+      expenseId: expense._id,
+      date: expense.date,
+      amount: expense.amount,
+      currencyCode: expense.currencyCode,
+      note: expense.note,
+      category: { from: expense.category, to: category },
+      addedTags,
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Применение правила к существующим расходам
+ * Возвращает количество измененных расходов
+ */
+export const applyRuleToHistory = async (rule, workspaceId, options = {}) => {
+  const changes = await collectRuleChanges(rule, workspaceId, options);
+  let modified = 0;
+
+  for (let index = 0; index < changes.length; index += APPLY_BATCH_SIZE) {
+    const batch = changes.slice(index, index + APPLY_BATCH_SIZE);
+
+    const result = await Expense.bulkWrite(
+      batch.map((change) => ({
+        updateOne: {
+          filter: { _id: change.expenseId, workspaceId },
+          update: {
+            $set: { category: change.category.to },
+            $addToSet: { tags: { $each: change.addedTags } },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
@@ -1,6 +1,110 @@
 import { validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import logger from '../../shared/config/logger.js';
+import { publish } from '../../shared/events/bus.js';
+import { formatDateInZone, parseDateBoundary } from '../../shared/utils/timezone.js';
 import BudgetSettings from '../budget/BudgetSchema.js';
-import Expense from './ExpenseSchema.js';
+import { applyBaseConversion } from '../currency/CurrencyService.js';
+import { detectExpenseAnomalies } from './AnomalyService.js';
+import {
+  getAutoCategoryConfidence,
+  learnCorrection,
+  learnExpenses,
+  suggestCategories,
+} from './CategorizationService.js';
+import { applyRules, getActiveRules } from './CategoryRuleService.js';
+import Expense, { BASE_AMOUNT_EXPR, buildShareExpr } from './ExpenseSchema.js';
+import { EXPORT_FORMATS, streamExpenses } from './ExportService.js';
+import { findReceiptFiles, removeReceiptFiles } from './ReceiptService.js';
+import RecurringExpense from './RecurringExpenseSchema.js';
+import { materializeRecurringExpense } from './RecurringScheduler.js';
+import { parseSplit, recalculateSplit } from './SplitService.js';
+import { MAX_TIMESERIES_BUCKETS, buildTimeseries, countBuckets } from './StatisticsService.js';
+
+// Операторы MongoDB для режимов отбора по тегам
+const TAG_MATCH_OPERATORS = {
+  any: '$in',
+  all: '$all',
+  none: '$nin',
+};
+
+/**
+ * Участник из параметра participant (me - текущий пользователь), null если не задан
+ */
+const resolveParticipant = (query, userId) => {
+  const participant = query.participant === 'me' ? String(userId) : query.participant;
+
+  return mongoose.isValidObjectId(participant) ? new mongoose.Types.ObjectId(participant) : null;
+};
+
+/**
+ * Фильтр расходов по параметрам запроса (общий для списка и экспорта)
+ * Даты без времени считаются календарными днями в часовом поясе пользователя.
+ */
+const buildExpenseFilter = (query, workspaceId, userId, timeZone) => {
+  const {
+    category,
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    search,
+    tags,
+    tagMatch = 'any',
+  } = query;
+
+  const filter = { workspaceId };
+
+  // Расходы, в которых у участника есть доля: разделенные с ним и добавленные им без разделения
+  const participant = resolveParticipant(query, userId);
+  if (participant) {
+    filter.$or = [
+      { 'split.participants.userId': participant },
+      { split: null, userId: participant },
+    ];
+  }
+
+  // Фильтр по категории
+  if (category) {
+    filter.category = category;
+  }
+
+  // Фильтр по датам
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) {
+      filter.date.$gte = parseDateBoundary(startDate, timeZone);
+    }
+    if (endDate) {
+      filter.date.$lte = parseDateBoundary(endDate, timeZone, 'end');
+    }
+  }
+
+  // Фильтр по сумме в базовой валюте пространства (как итоги и сортировка по сумме)
+  if (minAmount || maxAmount) {
+    const bounds = [];
+    if (minAmount) {
+      bounds.push({ $gte: [BASE_AMOUNT_EXPR, Number(minAmount)] });
+    }
+    if (maxAmount) {
+      bounds.push({ $lte: [BASE_AMOUNT_EXPR, Number(maxAmount)] });
+    }
+    filter.$expr = { $and: bounds };
+  }
+
+  // Поиск по заметкам
+  if (search) {
+    filter.note = { $regex: search, $options: 'i' };
+  }
+
+  // Фильтр по тегам: хотя бы один из тегов (any), все теги (all) или ни одного (none)
+  if (tags) {
+    const tagsArray = Array.isArray(tags) ? tags : tags.split(',');
+    filter.tags = { [TAG_MATCH_OPERATORS[tagMatch]]: tagsArray };
+  }
+
+  return filter;
+};
 
 /**
  * Создание нового расхода
@@ -16,14 +120,59 @@ export const createExpense = async (req, res) => {
       });
     }
 
-    const { amount, date, category, note, receipt, isRecurring, recurringFrequency, tags } =
-      req.body;
+    const {
+      amount,
+      date,
+      category,
+      note,
+      receipt,
+      isRecurring,
+      recurringFrequency,
+      tags,
+      currencyCode,
+      split,
+    } = req.body;
     const userId = req.userId;
+    const workspaceId = req.workspaceId;
+
+    // Разделение расхода между участниками пространства
+    let parsedSplit = null;
+    if (split) {
+      parsedSplit = await parseSplit(split, amount, req.workspace, userId);
+
+      if (parsedSplit.error) {
+        return res.status(400).json({
+          message: parsedSplit.error,
+        });
+      }
+    }
 
     // Проверка наличия настроек бюджета
-    const settings = await BudgetSettings.findOne({ userId });
+    const settings = await BudgetSettings.findOne({ workspaceId });
+
+    // Правила категоризации: категория, если клиент ее не указал, и дополнительные теги
+    const rules = await getActiveRules(workspaceId);
+    const ruleResult = applyRules(
+      rules,
+      { note, amount, tags: tags || [], importSource: null, recurringId: null },
+      { keepCategory: Boolean(category), categories: settings ? settings.categories : null }
+    );
+
+    // Категорию не указали и правила ее не задали - подсказка модели, если она достаточно уверена
+    let suggestions = [];
+    if (!category && !ruleResult.category) {
+      suggestions = await suggestCategories(
+        workspaceId,
+        { note, amount },
+        settings ? settings.categories : null
+      );
+    }
+    const suggestedCategory =
+      suggestions.length > 0 && suggestions[0].confidence >= getAutoCategoryConfidence()
+        ? suggestions[0].category
+        : null;
 
-    const validatedCategory = category || 'Other';
+    const validatedCategory = category || ruleResult.category || suggestedCategory || 'Other';
 
     // Проверка, существует ли категория в настройках
     if (settings && !settings.categories.includes(validatedCategory)) {
@@ -32,23 +181,93 @@ export const createExpense = async (req, res) => {
       });
     }
 
+    const expenseDate = date ? new Date(date) : new Date();
+
+    // Валюта расхода по умолчанию - валюта бюджета
+    const baseCurrency = settings ? settings.currencyCode : 'EUR';
+    const expenseCurrency = currencyCode ? currencyCode.toUpperCase() : baseCurrency;
+
+    // Пересчет в валюту бюджета по курсу на дату расхода
+    const conversionProbe = { amount, currencyCode: expenseCurrency, date: expenseDate, userId };
+    if (!(await applyBaseConversion(conversionProbe, baseCurrency))) {
+      return res.status(400).json({
+        message: `Нет курса ${expenseCurrency} -> ${baseCurrency} на дату расхода. Добавьте курс вручную.`,
+      });
+    }
+
+    // Регулярный расход: шаблон, текущий расход - его первое повторение
+    // (сохраняется после расхода, чтобы при ошибке не остался шаблон без расхода)
+    let template = null;
+    if (isRecurring && recurringFrequency) {
+      template = new RecurringExpense({
+        userId,
+        workspaceId,
+        amount,
+        category: validatedCategory,
+        note: note || null,
+        tags: ruleResult.tags,
+        currencyCode: expenseCurrency,
+        frequency: recurringFrequency,
+        startDate: expenseDate,
+        timezone: req.timezone,
+        nextOccurrence: expenseDate,
+      });
+      template.nextOccurrence = template.getNextOccurrence(expenseDate);
+      await template.validate();
+    }
+
     const expense = new Expense({
       userId,
+      workspaceId,
       amount,
-      date: date ? new Date(date) : new Date(),
+      currencyCode: expenseCurrency,
+      date: expenseDate,
       category: validatedCategory,
       note: note || null,
       receipt: receipt || null,
       isRecurring: isRecurring || false,
       recurringFrequency: recurringFrequency || null,
-      tags: tags || [],
+      baseAmount: conversionProbe.baseAmount,
+      exchangeRate: conversionProbe.exchangeRate,
+      recurringId: template ? template._id : null,
+      occurrenceDate: template ? expenseDate : null,
+      tags: ruleResult.tags,
+      split: parsedSplit ? parsedSplit.split : null,
     });
 
+    // Сравнение с историей: выброс по сумме, скачок подписки, возможный дубликат
+    expense.anomalies = await detectExpenseAnomalies(expense);
+
     await expense.save();
 
+    if (template) {
+      try {
+        await template.save();
+      } catch (error) {
+        // Без шаблона расход не создается целиком
+        await Expense.deleteOne({ _id: expense._id });
+        throw error;
+      }
+    }
+
+    // Модель учится на категориях пользователя и правил, но не на собственных подсказках
+    if (!suggestedCategory) {
+      await learnExpenses(workspaceId, [expense]);
+    }
+
+    // Если первый платеж в прошлом - догоняем уже наступившие повторения
+    if (template) {
+      await materializeRecurringExpense(template);
+    }
+
+    publish('expense.created', { workspaceId, userId, expense });
+
     res.status(201).json({
       message: 'Расход создан',
-      expense,
+      expense: expense.withTimeZone(req.timezone),
+      recurringExpense: template,
+      appliedRules: ruleResult.ruleIds,
+      suggestions,
     });
   } catch (error) {
     logger.error({ err: error }, 'CreateExpense Error');
@@ -60,65 +279,23 @@ export const createExpense = async (req, res) => {
 };
 
 /**
- * Получение всех расходов пользователя с фильтрацией и пагинацией
+ * Получение всех расходов рабочего пространства с фильтрацией и пагинацией
  * GET /api/expenses
  */
 export const getExpenses = async (req, res) => {
   try {
-    const {
-      category,
-      startDate,
-      endDate,
-      minAmount,
-      maxAmount,
-      search,
-      tags,
-      sort = '-date',
-      page = 1,
-      limit = 50,
-    } = req.query;
-
-    const filter = { userId: req.userId };
-
-    // Фильтр по категории
-    if (category) {
-      filter.category = category;
-    }
-
-    // Фильтр по датам
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) {
-        filter.date.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        filter.date.$lte = end;
-      }
-    }
-
-    // Фильтр по сумме
-    if (minAmount || maxAmount) {
-      filter.amount = {};
-      if (minAmount) {
-        filter.amount.$gte = Number(minAmount);
-      }
-      if (maxAmount) {
-        filter.amount.$lte = Number(maxAmount);
-      }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
     }
 
-    // Поиск по заметкам
-    if (search) {
-      filter.note = { $regex: search, $options: 'i' };
-    }
+    const { sort = '-date', page = 1, limit = 50 } = req.query;
 
-    // Фильтр по тегам
-    if (tags) {
-      const tagsArray = Array.isArray(tags) ? tags : tags.split(',');
-      filter.tags = { $in: tagsArray };
-    }
+    const filter = buildExpenseFilter(req.query, req.workspaceId, req.userId, req.timezone);
+    const participant = resolveParticipant(req.query, req.userId);
 
     // Получение расходов с пагинацией
     const expenses = await Expense.find(filter)
@@ -130,13 +307,21 @@ export const getExpenses = async (req, res) => {
     const total = await Expense.countDocuments(filter);
 
     // Подсчет общей суммы отфильтрованных расходов
+    // В aggregate нет автоматического приведения типов, workspaceId нужен как ObjectId
+    // С фильтром по участнику дополнительно считается сумма его долей
     const totalAmount = await Expense.aggregate([
-      { $match: filter },
-      { $group: { _id: null, total: { $sum: '$amount' } } },
+      { $match: { ...filter, workspaceId: new mongoose.Types.ObjectId(req.workspaceId) } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: BASE_AMOUNT_EXPR },
+          share: { $sum: participant ? buildShareExpr(participant) : 0 },
+        },
+      },
     ]);
 
     res.json({
-      expenses,
+      expenses: expenses.map((expense) => expense.withTimeZone(req.timezone)),
       pagination: {
         total,
         totalPages: Math.ceil(total / limit),
@@ -145,6 +330,7 @@ export const getExpenses = async (req, res) => {
       },
       summary: {
         totalAmount: totalAmount[0]?.total || 0,
+        shareAmount: participant ? totalAmount[0]?.share || 0 : undefined,
         count: total,
       },
     });
@@ -157,6 +343,50 @@ export const getExpenses = async (req, res) => {
   }
 };
 
+/**
+ * Экспорт расходов с теми же фильтрами, что и у списка
+ * GET /api/expenses/export?format=csv|xlsx|json
+ */
+export const exportExpenses = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { format = 'csv', sort = '-date' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Формат должен быть одним из: ${EXPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    const filter = buildExpenseFilter(req.query, req.workspaceId, req.userId, req.timezone);
+
+    // Курсор вместо find(): большая история не загружается в память целиком
+    const cursor = Expense.find(filter).sort(sort).cursor();
+
+    const fileName = `expenses-${formatDateInZone(new Date(), req.timezone)}`;
+    await streamExpenses(cursor, res, format, fileName, req.timezone);
+  } catch (error) {
+    logger.error({ err: error }, 'ExportExpenses Error');
+
+    // Если выгрузка уже началась, статус не изменить - обрываем соединение
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      message: 'Ошибка при экспорте расходов',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Получение расхода по ID
  * GET /api/expenses/:id
@@ -165,7 +395,7 @@ export const getExpenseById = async (req, res) => {
   try {
     const expense = await Expense.findOne({
       _id: req.params.id,
-      userId: req.userId,
+      workspaceId: req.workspaceId,
     });
 
     if (!expense) {
@@ -175,7 +405,7 @@ export const getExpenseById = async (req, res) => {
     }
 
     res.json({
-      expense,
+      expense: expense.withTimeZone(req.timezone),
     });
   } catch (error) {
     logger.error({ err: error }, 'GetExpenseById Error');
@@ -200,12 +430,22 @@ export const updateExpense = async (req, res) => {
       });
     }
 
-    const { amount, date, category, note, receipt, isRecurring, recurringFrequency, tags } =
-      req.body;
+    const {
+      amount,
+      date,
+      category,
+      note,
+      receipt,
+      isRecurring,
+      recurringFrequency,
+      tags,
+      currencyCode,
+      split,
+    } = req.body;
 
     const expense = await Expense.findOne({
       _id: req.params.id,
-      userId: req.userId,
+      workspaceId: req.workspaceId,
     });
 
     if (!expense) {
@@ -216,7 +456,7 @@ export const updateExpense = async (req, res) => {
 
     // Проверка категории, если она изменяется
     if (category && category !== expense.category) {
-      const settings = await BudgetSettings.findOne({ userId: req.userId });
+      const settings = await BudgetSettings.findOne({ workspaceId: req.workspaceId });
       if (settings && !settings.categories.includes(category)) {
         return res.status(400).json({
           message: `Категория "${category}" не найдена в ваших настройках`,
@@ -224,6 +464,8 @@ export const updateExpense = async (req, res) => {
       }
     }
 
+    const previousCategory = expense.category;
+
     // Обновление полей
     if (amount !== undefined) expense.amount = amount;
     if (date !== undefined) expense.date = new Date(date);
@@ -233,12 +475,56 @@ export const updateExpense = async (req, res) => {
     if (isRecurring !== undefined) expense.isRecurring = isRecurring;
     if (recurringFrequency !== undefined) expense.recurringFrequency = recurringFrequency;
     if (tags !== undefined) expense.tags = tags;
+    if (currencyCode !== undefined) expense.currencyCode = currencyCode.toUpperCase();
+
+    // Новое разделение (null - отменить разделение) или пересчет частей при смене суммы
+    if (split !== undefined || (expense.split && expense.isModified('amount'))) {
+      let parsedSplit = { split: null };
+      if (split) {
+        parsedSplit = await parseSplit(split, expense.amount, req.workspace, req.userId);
+      } else if (split === undefined) {
+        parsedSplit = await recalculateSplit(expense.split, expense.amount, req.workspace);
+      }
+
+      if (parsedSplit.error) {
+        return res.status(400).json({
+          message: parsedSplit.error,
+        });
+      }
+
+      expense.split = parsedSplit.split;
+    }
+
+    // Сумма, дата или валюта изменились - пересчитываем по курсу на дату расхода
+    if (
+      expense.isModified('amount') ||
+      expense.isModified('date') ||
+      expense.isModified('currencyCode')
+    ) {
+      const baseCurrency = await BudgetSettings.getBaseCurrency(req.workspaceId);
+      if (!expense.currencyCode) {
+        expense.currencyCode = baseCurrency;
+      }
+
+      if (!(await applyBaseConversion(expense, baseCurrency))) {
+        return res.status(400).json({
+          message: `Нет курса ${expense.currencyCode} -> ${baseCurrency} на дату расхода. Добавьте курс вручную.`,
+        });
+      }
+    }
 
     await expense.save();
 
+    // Исправление категории - сигнал для модели подсказок
+    if (expense.category !== previousCategory) {
+      await learnCorrection(req.workspaceId, expense, previousCategory);
+    }
+
+    publish('expense.updated', { workspaceId: req.workspaceId, userId: req.userId, expense });
+
     res.json({
       message: 'Расход обновлен',
-      expense,
+      expense: expense.withTimeZone(req.timezone),
     });
   } catch (error) {
     logger.error({ err: error }, 'UpdateExpense Error');
@@ -257,7 +543,7 @@ export const deleteExpense = async (req, res) => {
   try {
     const expense = await Expense.findOneAndDelete({
       _id: req.params.id,
-      userId: req.userId,
+      workspaceId: req.workspaceId,
     });
 
     if (!expense) {
@@ -266,9 +552,13 @@ export const deleteExpense = async (req, res) => {
       });
     }
 
+    await removeReceiptFiles(expense.receiptFile);
+
+    publish('expense.deleted', { workspaceId: req.workspaceId, userId: req.userId, expense });
+
     res.json({
       message: 'Расход удален',
-      expense,
+      expense: expense.withTimeZone(req.timezone),
     });
   } catch (error) {
     logger.error({ err: error }, 'DeleteExpense Error');
@@ -292,17 +582,18 @@ export const getExpensesByCategory = async (req, res) => {
     let end;
 
     if (startDate && endDate) {
-      start = new Date(startDate);
-      end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
+      start = parseDateBoundary(startDate, req.timezone);
+      end = parseDateBoundary(endDate, req.timezone, 'end');
     } else {
-      // По умолчанию - текущий месяц
-      const now = new Date();
-      start = new Date(now.getFullYear(), now.getMonth(), 1);
-      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+      // По умолчанию - текущий период бюджета
+      ({ periodStart: start, periodEnd: end } = await BudgetSettings.getWorkspacePeriod(
+        req.workspaceId,
+        new Date(),
+        req.timezone
+      ));
     }
 
-    const categoryStats = await Expense.getExpensesByCategory(req.userId, start, end);
+    const categoryStats = await Expense.getExpensesByCategory(req.workspaceId, start, end);
 
     res.json({
       period: { start, end },
@@ -330,17 +621,18 @@ export const getExpensesStatistics = async (req, res) => {
     let end;
 
     if (startDate && endDate) {
-      start = new Date(startDate);
-      end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
+      start = parseDateBoundary(startDate, req.timezone);
+      end = parseDateBoundary(endDate, req.timezone, 'end');
     } else {
-      // По умолчанию - текущий месяц
-      const now = new Date();
-      start = new Date(now.getFullYear(), now.getMonth(), 1);
-      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+      // По умолчанию - текущий период бюджета
+      ({ periodStart: start, periodEnd: end } = await BudgetSettings.getWorkspacePeriod(
+        req.workspaceId,
+        new Date(),
+        req.timezone
+      ));
     }
 
-    const statistics = await Expense.getStatistics(req.userId, start, end);
+    const statistics = await Expense.getStatistics(req.workspaceId, start, end);
 
     res.json({
       period: { start, end },
@@ -355,6 +647,70 @@ export const getExpensesStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Временной ряд расходов: суммы по дням, неделям или месяцам (общие, по категориям или тегам),
+ * скользящее среднее, сравнение с прошлыми периодами и тепловая карта по дням недели и часам
+ * GET /api/expenses/statistics/timeseries
+ */
+export const getExpensesTimeseries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { startDate, endDate, interval = 'day', groupBy, window } = req.query;
+
+    // Определение периода
+    let start;
+    let end;
+
+    if (startDate && endDate) {
+      start = parseDateBoundary(startDate, req.timezone);
+      end = parseDateBoundary(endDate, req.timezone, 'end');
+    } else {
+      // По умолчанию - текущий период бюджета
+      ({ periodStart: start, periodEnd: end } = await BudgetSettings.getWorkspacePeriod(
+        req.workspaceId,
+        new Date(),
+        req.timezone
+      ));
+    }
+
+    if (start > end) {
+      return res.status(400).json({
+        message: 'Дата startDate должна быть не позже даты endDate',
+      });
+    }
+
+    if (countBuckets(start, end, interval, req.timezone) > MAX_TIMESERIES_BUCKETS) {
+      return res.status(400).json({
+        message: `Слишком много интервалов (больше ${MAX_TIMESERIES_BUCKETS}): уменьшите период или увеличьте шаг`,
+      });
+    }
+
+    const timeseries = await buildTimeseries(req.workspaceId, {
+      start,
+      end,
+      interval,
+      groupBy: groupBy || null,
+      window,
+      timeZone: req.timezone,
+    });
+
+    res.json(timeseries);
+  } catch (error) {
+    logger.error({ err: error }, 'GetExpensesTimeseries Error');
+    res.status(500).json({
+      message: 'Ошибка при получении временного ряда расходов',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Массовое удаление расходов
  * POST /api/expenses/bulk-delete
@@ -369,10 +725,23 @@ export const bulkDeleteExpenses = async (req, res) => {
       });
     }
 
-    const result = await Expense.deleteMany({
+    const filter = {
       _id: { $in: expenseIds },
-      userId: req.userId,
-    });
+      workspaceId: req.workspaceId,
+    };
+
+    const receiptFiles = await findReceiptFiles(filter);
+    const expenses = await Expense.find(filter);
+
+    const result = await Expense.deleteMany(filter);
+
+    for (const receiptFile of receiptFiles) {
+      await removeReceiptFiles(receiptFile);
+    }
+
+    for (const expense of expenses) {
+      publish('expense.deleted', { workspaceId: req.workspaceId, userId: req.userId, expense });
+    }
 
     res.json({
       message: `Удалено расходов: ${result.deletedCount}`,
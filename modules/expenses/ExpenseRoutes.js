@@ -1,7 +1,22 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
+import { statementUpload } from '../../shared/config/multer.js';
 import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import uploadSingle from '../../shared/middlewares/UploadMiddleware.js';
+import workspaceAccess from '../../shared/middlewares/WorkspaceMiddleware.js';
+import * as AnomalyController from './AnomalyController.js';
+import * as CategorizationController from './CategorizationController.js';
+import * as CategoryRuleController from './CategoryRuleController.js';
+import { NOTE_MATCH_TYPES, RULE_SOURCES } from './CategoryRuleSchema.js';
 import * as ExpenseController from './ExpenseController.js';
+import { ANOMALY_TYPES, TAG_MATCH_MODES } from './ExpenseSchema.js';
+import { IMPORT_FORMATS } from './ImportBatchSchema.js';
+import * as ImportController from './ImportController.js';
+import * as ReceiptController from './ReceiptController.js';
+import * as RecurringExpenseController from './RecurringExpenseController.js';
+import { RECURRING_FREQUENCIES } from './RecurringExpenseSchema.js';
+import * as SettlementController from './SettlementController.js';
+import { TIMESERIES_GROUPS, TIMESERIES_INTERVALS } from './StatisticsService.js';
 
 const router = express.Router();
 
@@ -18,22 +33,474 @@ const expenseValidation = [
     .isLength({ max: 500 })
     .withMessage('Заметка не должна превышать 500 символов'),
   body('tags').optional().isArray().withMessage('Теги должны быть массивом'),
+  body('currencyCode')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Код валюты должен содержать 3 символа')
+    .isAlpha()
+    .withMessage('Код валюты должен содержать только буквы'),
+  body('recurringFrequency')
+    .optional({ values: 'null' })
+    .isIn(RECURRING_FREQUENCIES)
+    .withMessage(`Частота повторения должна быть одной из: ${RECURRING_FREQUENCIES.join(', ')}`),
+  body('split')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Разделение должно быть объектом { method, participants, paidBy }'),
+];
+
+/**
+ * Валидация правила категоризации
+ */
+const ruleValidation = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Название правила должно быть от 1 до 100 символов'),
+  body('priority').optional().isInt().toInt().withMessage('Приоритет должен быть целым числом'),
+  body('isActive').optional().isBoolean().withMessage('isActive должен быть булевым значением'),
+  body('stopProcessing')
+    .optional()
+    .isBoolean()
+    .withMessage('stopProcessing должен быть булевым значением'),
+  body('conditions').optional().isObject().withMessage('Условия должны быть объектом'),
+  body('conditions.note.value')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Образец заметки не должен превышать 200 символов'),
+  body('conditions.note.matchType')
+    .optional()
+    .isIn(NOTE_MATCH_TYPES)
+    .withMessage(`Способ сравнения должен быть одним из: ${NOTE_MATCH_TYPES.join(', ')}`),
+  body('conditions.amountMin')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Минимальная сумма должна быть положительным числом'),
+  body('conditions.amountMax')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Максимальная сумма должна быть положительным числом'),
+  body('conditions.tags').optional().isArray().withMessage('Теги условия должны быть массивом'),
+  body('conditions.sources').optional().isArray().withMessage('Источники должны быть массивом'),
+  body('conditions.sources.*')
+    .isIn(RULE_SOURCES)
+    .withMessage(`Источник должен быть одним из: ${RULE_SOURCES.join(', ')}`),
+  body('actions').optional().isObject().withMessage('Действия должны быть объектом'),
+  body('actions.category')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .withMessage('Категория должна быть строкой'),
+  body('actions.tags').optional().isArray().withMessage('Теги действия должны быть массивом'),
+];
+
+/**
+ * Валидация порядка правил
+ */
+const ruleOrderValidation = [
+  body('ruleIds').isArray({ min: 1 }).withMessage('ruleIds должен быть непустым массивом'),
+  body('ruleIds.*').isMongoId().withMessage('Некорректный ID правила'),
+];
+
+/**
+ * Валидация параметров применения правила к истории
+ */
+const ruleHistoryValidation = [
+  body('startDate').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  body('endDate').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  body('onlyUncategorized')
+    .optional()
+    .isBoolean()
+    .withMessage('onlyUncategorized должен быть булевым значением'),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('limit должен быть от 1 до 1000'),
+];
+
+/**
+ * Валидация запроса подсказки категории
+ */
+const suggestCategoryValidation = [
+  body('note')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Заметка обязательна и не должна превышать 500 символов'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Сумма должна быть положительным числом'),
+];
+
+/**
+ * Валидация текста для разбора расхода
+ */
+const parseExpenseValidation = [
+  body('text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Текст обязателен и не должен превышать 500 символов'),
+];
+
+/**
+ * Валидация параметров поиска необычных расходов
+ */
+const anomaliesValidation = [
+  query('startDate').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  query('endDate').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  query('types')
+    .optional()
+    .custom((value) => value.split(',').every((type) => ANOMALY_TYPES.includes(type)))
+    .withMessage(`Виды должны быть из списка: ${ANOMALY_TYPES.join(', ')}`),
+];
+
+/**
+ * Валидация фильтра списка и экспорта расходов
+ */
+const listValidation = [
+  query('tagMatch')
+    .optional()
+    .isIn(TAG_MATCH_MODES)
+    .withMessage(`Режим отбора по тегам должен быть одним из: ${TAG_MATCH_MODES.join(', ')}`),
+];
+
+/**
+ * Валидация параметров временного ряда расходов
+ */
+const timeseriesValidation = [
+  query('startDate').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  query('endDate').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  query('interval')
+    .optional()
+    .isIn(TIMESERIES_INTERVALS)
+    .withMessage(`Шаг должен быть одним из: ${TIMESERIES_INTERVALS.join(', ')}`),
+  query('groupBy')
+    .optional()
+    .isIn(TIMESERIES_GROUPS)
+    .withMessage(`Разбивка должна быть одной из: ${TIMESERIES_GROUPS.join(', ')}`),
+  query('window')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Окно скользящего среднего должно быть от 1 до 90 интервалов')
+    .toInt(),
+];
+
+/**
+ * Валидация для регистрации расчета между участниками
+ */
+const settlementValidation = [
+  body('toUserId').isMongoId().withMessage('Укажите получателя расчета (toUserId)'),
+  body('fromUserId').optional().isMongoId().withMessage('Некорректный ID плательщика'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Сумма должна быть положительным числом'),
+  body('date').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Заметка не должна превышать 500 символов'),
+];
+
+/**
+ * Валидация для операций с регулярными расходами
+ */
+const recurringDateValidation = [
+  body('date').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  body('endDate').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+];
+
+/**
+ * Валидация параметров импорта выписки (поля multipart/form-data)
+ */
+const importValidation = [
+  body('format')
+    .optional()
+    .isIn(IMPORT_FORMATS)
+    .withMessage(`Формат должен быть одним из: ${IMPORT_FORMATS.join(', ')}`),
+  body('decimalSeparator')
+    .optional()
+    .isIn(['.', ','])
+    .withMessage('Десятичный разделитель должен быть "." или ","'),
+  body('delimiter')
+    .optional()
+    .isIn([',', ';', '\t', '|'])
+    .withMessage('Разделитель колонок должен быть одним из: , ; | или табуляция'),
+  body('dateFormat')
+    .optional()
+    .matches(/^(?=.*(YYYY|YY))(?=.*MM)(?=.*DD)[YMD./\- ]+$/)
+    .withMessage('Формат даты должен состоять из YYYY (или YY), MM, DD и разделителей'),
+  body('amountSign')
+    .optional()
+    .isIn(['auto', 'negative', 'positive'])
+    .withMessage('Знак расходов должен быть одним из: auto, negative, positive'),
+  body('hasHeader').optional().isBoolean().withMessage('hasHeader должен быть булевым значением'),
+  body('currencyCode')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Код валюты должен содержать 3 символа')
+    .isAlpha()
+    .withMessage('Код валюты должен содержать только буквы'),
+  body('encoding')
+    .optional()
+    .isIn(['utf-8', 'windows-1251', 'koi8-r', 'iso-8859-1', 'windows-1252'])
+    .withMessage('Неподдерживаемая кодировка файла'),
+];
+
+/**
+ * Валидация подтверждения импорта
+ */
+const confirmImportValidation = [
+  body('include').optional().isArray().withMessage('include должен быть массивом индексов строк'),
+  body('include.*').isInt({ min: 0 }).toInt().withMessage('Индекс строки должен быть числом'),
+  body('exclude').optional().isArray().withMessage('exclude должен быть массивом индексов строк'),
+  body('exclude.*').isInt({ min: 0 }).toInt().withMessage('Индекс строки должен быть числом'),
 ];
 
-// Все роуты требуют авторизации
+// Все роуты требуют авторизации: чтение доступно любому участнику рабочего пространства,
+// изменения - редактору и владельцу
+
+// Регулярные расходы (до /:id, чтобы "recurring" не принимался за ID)
+router.get(
+  '/recurring',
+  checkAuth,
+  workspaceAccess('viewer'),
+  RecurringExpenseController.getRecurringExpenses
+);
+router.post(
+  '/recurring/:id/pause',
+  checkAuth,
+  workspaceAccess('editor'),
+  RecurringExpenseController.pauseRecurringExpense
+);
+router.post(
+  '/recurring/:id/resume',
+  checkAuth,
+  workspaceAccess('editor'),
+  RecurringExpenseController.resumeRecurringExpense
+);
+router.post(
+  '/recurring/:id/skip',
+  checkAuth,
+  workspaceAccess('editor'),
+  recurringDateValidation,
+  RecurringExpenseController.skipRecurringOccurrence
+);
+router.post(
+  '/recurring/:id/end',
+  checkAuth,
+  workspaceAccess('editor'),
+  recurringDateValidation,
+  RecurringExpenseController.endRecurringExpense
+);
+
+// Импорт банковских выписок (multipart/form-data, поле "file")
+router.post(
+  '/import',
+  checkAuth,
+  workspaceAccess('editor'),
+  uploadSingle('file', statementUpload, 10),
+  importValidation,
+  ImportController.previewImport
+);
+router.get('/import/:id', checkAuth, workspaceAccess('viewer'), ImportController.getImport);
+router.post(
+  '/import/:id/confirm',
+  checkAuth,
+  workspaceAccess('editor'),
+  confirmImportValidation,
+  ImportController.confirmImport
+);
+router.delete('/import/:id', checkAuth, workspaceAccess('editor'), ImportController.cancelImport);
+
+// Правила категоризации (до /:id, чтобы "rules" не принимался за ID)
+router.get('/rules', checkAuth, workspaceAccess('viewer'), CategoryRuleController.getRules);
+router.post(
+  '/rules',
+  checkAuth,
+  workspaceAccess('editor'),
+  ruleValidation,
+  CategoryRuleController.createRule
+);
+router.put(
+  '/rules/order',
+  checkAuth,
+  workspaceAccess('editor'),
+  ruleOrderValidation,
+  CategoryRuleController.reorderRules
+);
+router.put(
+  '/rules/:id',
+  checkAuth,
+  workspaceAccess('editor'),
+  ruleValidation,
+  CategoryRuleController.updateRule
+);
+router.delete(
+  '/rules/:id',
+  checkAuth,
+  workspaceAccess('editor'),
+  CategoryRuleController.deleteRule
+);
+router.post(
+  '/rules/:id/dry-run',
+  checkAuth,
+  workspaceAccess('viewer'),
+  ruleHistoryValidation,
+  CategoryRuleController.dryRunRule
+);
+router.post(
+  '/rules/:id/apply',
+  checkAuth,
+  workspaceAccess('editor'),
+  ruleHistoryValidation,
+  CategoryRuleController.applyRule
+);
+
+// Подсказки категорий и разбор текста (до /:id)
+router.post(
+  '/suggest-category',
+  checkAuth,
+  workspaceAccess('viewer'),
+  suggestCategoryValidation,
+  CategorizationController.suggestCategory
+);
+router.post(
+  '/parse',
+  checkAuth,
+  workspaceAccess('viewer'),
+  parseExpenseValidation,
+  CategorizationController.parseExpense
+);
+router.post(
+  '/categorizer/train',
+  checkAuth,
+  workspaceAccess('editor'),
+  CategorizationController.trainCategorizer
+);
+
+// Разделенные расходы: балансы и расчеты (до /:id)
+router.get('/balances', checkAuth, workspaceAccess('viewer'), SettlementController.getBalances);
+router.get(
+  '/settlements',
+  checkAuth,
+  workspaceAccess('viewer'),
+  SettlementController.getSettlements
+);
+router.post(
+  '/settlements',
+  checkAuth,
+  workspaceAccess('editor'),
+  settlementValidation,
+  SettlementController.createSettlement
+);
+router.delete(
+  '/settlements/:id',
+  checkAuth,
+  workspaceAccess('editor'),
+  SettlementController.deleteSettlement
+);
+
+// Необычные расходы (до /:id)
+router.get(
+  '/anomalies',
+  checkAuth,
+  workspaceAccess('viewer'),
+  anomaliesValidation,
+  AnomalyController.getAnomalies
+);
+
+// Экспорт (до /:id, чтобы "export" не принимался за ID)
+router.get(
+  '/export',
+  checkAuth,
+  workspaceAccess('viewer'),
+  listValidation,
+  ExpenseController.exportExpenses
+);
 
 // CRUD операции
-router.post('/', checkAuth, expenseValidation, ExpenseController.createExpense);
-router.get('/', checkAuth, ExpenseController.getExpenses);
-router.get('/:id', checkAuth, ExpenseController.getExpenseById);
-router.put('/:id', checkAuth, expenseValidation, ExpenseController.updateExpense);
-router.delete('/:id', checkAuth, ExpenseController.deleteExpense);
+router.post(
+  '/',
+  checkAuth,
+  workspaceAccess('editor'),
+  expenseValidation,
+  ExpenseController.createExpense
+);
+router.get(
+  '/',
+  checkAuth,
+  workspaceAccess('viewer'),
+  listValidation,
+  ExpenseController.getExpenses
+);
+router.get('/:id', checkAuth, workspaceAccess('viewer'), ExpenseController.getExpenseById);
+router.put(
+  '/:id',
+  checkAuth,
+  workspaceAccess('editor'),
+  expenseValidation,
+  ExpenseController.updateExpense
+);
+router.delete('/:id', checkAuth, workspaceAccess('editor'), ExpenseController.deleteExpense);
+
+// Чеки (multipart/form-data, поле "receipt")
+router.post(
+  '/:id/receipt',
+  checkAuth,
+  workspaceAccess('editor'),
+  uploadSingle('receipt'),
+  ReceiptController.uploadReceipt
+);
+router.get('/:id/receipt', checkAuth, workspaceAccess('viewer'), ReceiptController.getReceipt);
+router.delete(
+  '/:id/receipt',
+  checkAuth,
+  workspaceAccess('editor'),
+  ReceiptController.removeReceipt
+);
+
+// Скрытие предупреждения о необычном расходе
+router.post(
+  '/:id/anomalies/dismiss',
+  checkAuth,
+  workspaceAccess('editor'),
+  AnomalyController.dismissAnomalies
+);
 
 // Статистика
-router.get('/statistics/by-category', checkAuth, ExpenseController.getExpensesByCategory);
-router.get('/statistics/summary', checkAuth, ExpenseController.getExpensesStatistics);
+router.get(
+  '/statistics/by-category',
+  checkAuth,
+  workspaceAccess('viewer'),
+  ExpenseController.getExpensesByCategory
+);
+router.get(
+  '/statistics/summary',
+  checkAuth,
+  workspaceAccess('viewer'),
+  ExpenseController.getExpensesStatistics
+);
+router.get(
+  '/statistics/timeseries',
+  checkAuth,
+  workspaceAccess('viewer'),
+  timeseriesValidation,
+  ExpenseController.getExpensesTimeseries
+);
 
 // Массовые операции
-router.post('/bulk-delete', checkAuth, ExpenseController.bulkDeleteExpenses);
+router.post(
+  '/bulk-delete',
+  checkAuth,
+  workspaceAccess('editor'),
+  ExpenseController.bulkDeleteExpenses
+);
 
 export default router;
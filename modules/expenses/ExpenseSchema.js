@@ -1,4 +1,97 @@
 import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE, formatDateInZone, getZonedParts } from '../../shared/utils/timezone.js';
+
+/**
+ * Сумма расхода в базовой валюте пользователя для агрегаций
+ * (у расходов, созданных до мультивалютности, baseAmount нет - они уже в базовой валюте)
+ */
+export const BASE_AMOUNT_EXPR = { $ifNull: ['$baseAmount', '$amount'] };
+
+/**
+ * Способы разделения расхода: поровну, пропорционально долям, точными суммами
+ */
+export const SPLIT_METHODS = ['equal', 'shares', 'exact'];
+
+/**
+ * Режимы отбора расходов по тегам: хотя бы один из тегов, все теги, ни одного из тегов
+ */
+export const TAG_MATCH_MODES = ['any', 'all', 'none'];
+
+/**
+ * Часть участника разделенного расхода в валюте расхода для агрегаций
+ */
+export const buildParticipantAmountExpr = (userId) => ({
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: '$split.participants',
+          cond: { $eq: ['$$this.userId', userId] },
+        },
+      },
+      in: '$$this.amount',
+    },
+  },
+});
+
+/**
+ * Доля участника в расходе в базовой валюте для агрегаций
+ * Расход без разделения целиком относится к тому, кто его добавил.
+ */
+export const buildShareExpr = (userId) => ({
+  $cond: [
+    { $eq: [{ $ifNull: ['$split', null] }, null] },
+    { $cond: [{ $eq: ['$userId', userId] }, BASE_AMOUNT_EXPR, 0] },
+    {
+      $multiply: [
+        buildParticipantAmountExpr(userId),
+        { $cond: [{ $gt: ['$amount', 0] }, { $divide: [BASE_AMOUNT_EXPR, '$amount'] }, 0] },
+      ],
+    },
+  ],
+});
+
+/**
+ * Виды необычных расходов: выброс по сумме, скачок суммы повторяющегося платежа, возможный дубликат
+ */
+export const ANOMALY_TYPES = ['outlier', 'recurringJump', 'duplicate'];
+
+const AnomalySchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ANOMALY_TYPES, required: true },
+    message: { type: String, required: true },
+    // Ожидаемая сумма в базовой валюте (медиана истории или прошлый платеж)
+    expectedAmount: { type: Number, default: null },
+    // Насколько сумма отличается от ожидаемой: робастный z-score или процент изменения
+    score: { type: Number, default: null },
+    changePercent: { type: Number, default: null },
+    // Расход, с которым сравнивали (прошлый платеж или дубликат)
+    relatedExpenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', default: null },
+  },
+  { _id: false }
+);
+
+const SplitParticipantSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Доля для способа shares
+    shares: {
+      type: Number,
+      default: null,
+    },
+    // Часть суммы расхода в валюте расхода
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
 
 const ExpenseSchema = new mongoose.Schema(
   {
@@ -8,11 +101,47 @@ const ExpenseSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Рабочее пространство (бюджет), которому принадлежит расход; userId - кто его добавил
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true,
+    },
     amount: {
       type: Number,
       required: [true, 'Сумма расхода обязательна'],
       min: [0, 'Сумма не может быть отрицательной'],
     },
+    // Валюта расхода (ISO 4217)
+    currencyCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+      validate: {
+        validator: (v) => v === null || /^[A-Z]{3}$/.test(v),
+        message: (props) => `${props.value} не является валидным кодом валюты (ISO 4217)!`,
+      },
+    },
+    // Сумма в базовой валюте бюджета по курсу на дату расхода
+    baseAmount: {
+      type: Number,
+      default: null,
+    },
+    // Снимок курса, по которому посчитан baseAmount
+    exchangeRate: {
+      type: new mongoose.Schema(
+        {
+          baseCurrency: { type: String, required: true },
+          rate: { type: Number, required: true },
+          source: { type: String, default: null },
+          rateDate: { type: Date, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     date: {
       type: Date,
       required: true,
@@ -36,6 +165,21 @@ const ExpenseSchema = new mongoose.Schema(
       type: String, // URL или путь к файлу чека
       default: null,
     },
+    // Загруженное изображение чека (файл в хранилище, см. shared/config/storage.js)
+    receiptFile: {
+      type: new mongoose.Schema(
+        {
+          key: { type: String, required: true },
+          thumbnailKey: { type: String, default: null },
+          contentType: { type: String, required: true },
+          size: { type: Number, default: 0 },
+          originalName: { type: String, default: null },
+          uploadedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     isRecurring: {
       type: Boolean,
       default: false,
@@ -45,38 +189,133 @@ const ExpenseSchema = new mongoose.Schema(
       enum: ['daily', 'weekly', 'monthly', 'yearly', null],
       default: null,
     },
+    // Шаблон регулярного расхода, из которого создан этот расход
+    recurringId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringExpense',
+      default: null,
+    },
+    // Плановая дата повторения (ключ идемпотентности вместе с recurringId)
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
     tags: {
       type: [String],
       default: [],
     },
+    // Разделение расхода между участниками рабочего пространства
+    split: {
+      type: new mongoose.Schema(
+        {
+          method: { type: String, enum: SPLIT_METHODS, required: true },
+          // Кто заплатил (по умолчанию - кто добавил расход)
+          paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+          participants: { type: [SplitParticipantSchema], default: [] },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Необычность расхода, найденная при создании (см. AnomalyService.js)
+    anomalies: {
+      type: [AnomalySchema],
+      default: [],
+    },
+    // Пользователь посмотрел предупреждение и считает расход нормальным
+    anomaliesDismissedAt: {
+      type: Date,
+      default: null,
+    },
+    // Источник импортированного расхода (банковская выписка)
+    importSource: {
+      type: new mongoose.Schema(
+        {
+          batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch', default: null },
+          format: { type: String, required: true },
+          fileName: { type: String, default: null },
+          externalId: { type: String, default: null },
+          // Отпечаток транзакции: повторный импорт той же выписки не создает дубликатов
+          fingerprint: { type: String, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
   },
   {
     timestamps: true,
+    // formattedDate попадает в JSON-ответы API
+    toJSON: { virtuals: ['formattedDate'] },
   }
 );
 
 // Составные индексы для оптимизации частых запросов
 ExpenseSchema.index({ userId: 1, date: -1 });
-ExpenseSchema.index({ userId: 1, category: 1 });
-ExpenseSchema.index({ userId: 1, date: -1, category: 1 });
+ExpenseSchema.index({ workspaceId: 1, date: -1 });
+ExpenseSchema.index({ workspaceId: 1, category: 1 });
+ExpenseSchema.index({ workspaceId: 1, date: -1, category: 1 });
+ExpenseSchema.index({ workspaceId: 1, 'split.participants.userId': 1 });
+// Одно повторение регулярного расхода - не более одного документа
+ExpenseSchema.index(
+  { recurringId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringId: { $type: 'objectId' } } }
+);
+// Одна транзакция выписки - не более одного расхода в рабочем пространстве
+ExpenseSchema.index(
+  { workspaceId: 1, 'importSource.fingerprint': 1 },
+  { unique: true, partialFilterExpression: { 'importSource.fingerprint': { $type: 'string' } } }
+);
+
+// Виртуальное поле для суммы в базовой валюте
+ExpenseSchema.virtual('amountInBase').get(function () {
+  return this.baseAmount ?? this.amount;
+});
+
+// Метод для получения доли участника в базовой валюте
+ExpenseSchema.methods.getShareOf = function (userId) {
+  if (!this.split) {
+    return this.userId.equals(userId) ? this.amountInBase : 0;
+  }
+
+  const participant = this.split.participants.find((item) => item.userId.equals(userId));
+  if (!participant || this.amount <= 0) {
+    return 0;
+  }
+
+  return (participant.amount * this.amountInBase) / this.amount;
+};
 
-// Виртуальное поле для форматированной даты
+// Виртуальное поле для даты расхода в часовом поясе пользователя (см. withTimeZone)
 ExpenseSchema.virtual('formattedDate').get(function () {
-  return this.date.toISOString().split('T')[0];
+  return this.getFormattedDate(this.$locals.timeZone);
 });
 
-// Метод для получения месяца и года расхода
-ExpenseSchema.methods.getMonthYear = function () {
+// Часовой пояс пользователя для formattedDate в ответе API
+ExpenseSchema.methods.withTimeZone = function (timeZone) {
+  this.$locals.timeZone = timeZone;
+  return this;
+};
+
+// Метод для получения даты расхода (YYYY-MM-DD) в часовом поясе
+ExpenseSchema.methods.getFormattedDate = function (timeZone = DEFAULT_TIMEZONE) {
+  return formatDateInZone(this.date, timeZone);
+};
+
+// Метод для получения месяца и года расхода в часовом поясе
+ExpenseSchema.methods.getMonthYear = function (timeZone = DEFAULT_TIMEZONE) {
+  const { month, year } = getZonedParts(this.date, timeZone);
+
   return {
-    month: this.date.getMonth() + 1,
-    year: this.date.getFullYear(),
+    month: month + 1,
+    year,
   };
 };
 
 // Статический метод для получения расходов за период
-ExpenseSchema.statics.getExpensesByPeriod = async function (userId, startDate, endDate) {
+ExpenseSchema.statics.getExpensesByPeriod = async function (workspaceId, startDate, endDate) {
   return this.find({
-    userId,
+    workspaceId,
     date: {
       $gte: startDate,
       $lte: endDate,
@@ -84,12 +323,24 @@ ExpenseSchema.statics.getExpensesByPeriod = async function (userId, startDate, e
   }).sort({ date: -1 });
 };
 
+// Условие и выражение суммы по умолчанию: все расходы пространства в базовой валюте
+// (scope из getBudgetExpenseScope заменяет их областью бюджета)
+const workspaceScope = (workspaceId) => ({
+  match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) },
+  amountExpr: BASE_AMOUNT_EXPR,
+});
+
 // Статический метод для получения расходов по категориям
-ExpenseSchema.statics.getExpensesByCategory = async function (userId, startDate, endDate) {
+ExpenseSchema.statics.getExpensesByCategory = async function (
+  workspaceId,
+  startDate,
+  endDate,
+  scope = workspaceScope(workspaceId)
+) {
   return this.aggregate([
     {
       $match: {
-        userId: new mongoose.Types.ObjectId(userId),
+        ...scope.match,
         date: {
           $gte: startDate,
           $lte: endDate,
@@ -99,9 +350,8 @@ ExpenseSchema.statics.getExpensesByCategory = async function (userId, startDate,
     {
       $group: {
         _id: '$category',
-        totalAmount: { $sum: '$amount' },
+        totalAmount: { $sum: scope.amountExpr },
         count: { $sum: 1 },
-        expenses: { $push: '$$ROOT' },
       },
     },
     {
@@ -110,12 +360,45 @@ ExpenseSchema.statics.getExpensesByCategory = async function (userId, startDate,
   ]);
 };
 
+// Статический метод для получения самых крупных расходов за период (в базовой валюте)
+ExpenseSchema.statics.getTopExpenses = async function (
+  workspaceId,
+  startDate,
+  endDate,
+  limit = 10,
+  scope = workspaceScope(workspaceId)
+) {
+  return this.aggregate([
+    {
+      $match: {
+        ...scope.match,
+        date: {
+          $gte: startDate,
+          $lte: endDate,
+        },
+      },
+    },
+    {
+      $project: {
+        date: 1,
+        category: 1,
+        note: 1,
+        amount: 1,
+        currencyCode: 1,
+        amountInBase: scope.amountExpr,
+      },
+    },
+    { $sort: { amountInBase: -1, date: -1 } },
+    { $limit: limit },
+  ]);
+};
+
 // Статический метод для получения статистики за период
-ExpenseSchema.statics.getStatistics = async function (userId, startDate, endDate) {
+ExpenseSchema.statics.getStatistics = async function (workspaceId, startDate, endDate) {
   const result = await this.aggregate([
     {
       $match: {
-        userId: new mongoose.Types.ObjectId(userId),
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
         date: {
           $gte: startDate,
           $lte: endDate,
@@ -125,10 +408,10 @@ ExpenseSchema.statics.getStatistics = async function (userId, startDate, endDate
     {
       $group: {
         _id: null,
-        totalAmount: { $sum: '$amount' },
-        avgAmount: { $avg: '$amount' },
-        minAmount: { $min: '$amount' },
-        maxAmount: { $max: '$amount' },
+        totalAmount: { $sum: BASE_AMOUNT_EXPR },
+        avgAmount: { $avg: BASE_AMOUNT_EXPR },
+        minAmount: { $min: BASE_AMOUNT_EXPR },
+        maxAmount: { $max: BASE_AMOUNT_EXPR },
         count: { $sum: 1 },
       },
     },
@@ -0,0 +1,126 @@
+import { once } from 'node:events';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+// Колонки выгрузки: заголовок и значение из расхода (дата - в часовом поясе пользователя)
+const COLUMNS = [
+  { key: 'id', header: 'ID', width: 26, value: (expense) => expense.id },
+  {
+    key: 'date',
+    header: 'Date',
+    width: 12,
+    value: (expense, timeZone) => expense.getFormattedDate(timeZone),
+  },
+  { key: 'amount', header: 'Amount', width: 12, value: (expense) => expense.amount },
+  { key: 'currencyCode', header: 'Currency', width: 10, value: (expense) => expense.currencyCode },
+  { key: 'baseAmount', header: 'Base amount', width: 14, value: (expense) => expense.amountInBase },
+  {
+    key: 'baseCurrency',
+    header: 'Base currency',
+    width: 14,
+    value: (expense) => expense.exchangeRate?.baseCurrency ?? expense.currencyCode,
+  },
+  { key: 'category', header: 'Category', width: 16, value: (expense) => expense.category },
+  { key: 'note', header: 'Note', width: 40, value: (expense) => expense.note },
+  { key: 'tags', header: 'Tags', width: 20, value: (expense) => expense.tags.join(';') },
+  { key: 'isRecurring', header: 'Recurring', width: 10, value: (expense) => expense.isRecurring },
+];
+
+/**
+ * Запись в поток с учетом backpressure: ждем drain, если буфер ответа заполнен
+ */
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+};
+
+/**
+ * Экранирование значения CSV. Значения, начинающиеся с =, +, -, @, экранируются
+ * апострофом, чтобы табличный редактор не выполнил их как формулу
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (cursor, stream, timeZone) => {
+  // BOM, чтобы Excel правильно определил UTF-8
+  await write(stream, `﻿${COLUMNS.map((column) => column.header).join(',')}\r\n`);
+
+  for await (const expense of cursor) {
+    await write(
+      stream,
+      `${COLUMNS.map((column) => escapeCsv(column.value(expense, timeZone))).join(',')}\r\n`
+    );
+  }
+
+  stream.end();
+};
+
+const writeJson = async (cursor, stream, timeZone) => {
+  await write(stream, '[');
+
+  let first = true;
+  for await (const expense of cursor) {
+    await write(stream, `${first ? '' : ','}\n${JSON.stringify(expense.withTimeZone(timeZone))}`);
+    first = false;
+  }
+
+  await write(stream, '\n]\n');
+  stream.end();
+};
+
+const writeXlsx = async (cursor, stream, timeZone) => {
+  // Потоковая запись: строки сбрасываются в ответ по мере чтения курсора
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Expenses');
+
+  sheet.columns = COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+
+  for await (const expense of cursor) {
+    sheet
+      .addRow(
+        Object.fromEntries(COLUMNS.map((column) => [column.key, column.value(expense, timeZone)]))
+      )
+      .commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Потоковая выгрузка расходов из курсора MongoDB в HTTP-ответ
+ * Даты в CSV и XLSX выводятся в часовом поясе timeZone, в JSON - как есть (ISO 8601, UTC)
+ * и дополнительно formattedDate в часовом поясе timeZone.
+ */
+export const streamExpenses = async (cursor, res, format, fileName, timeZone) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  switch (format) {
+    case 'xlsx':
+      return writeXlsx(cursor, res, timeZone);
+    case 'json':
+      return writeJson(cursor, res, timeZone);
+    default:
+      return writeCsv(cursor, res, timeZone);
+  }
+};
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+export const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+
+/**
+ * Статусы строк предпросмотра:
+ * new - будет импортирована; duplicate - похожа на существующий расход (по умолчанию пропускается);
+ * imported - уже импортирована ранее из той же выписки; credit - поступление, а не расход;
+ * invalid - не удалось разобрать
+ */
+export const IMPORT_ROW_STATUSES = ['new', 'duplicate', 'imported', 'credit', 'invalid'];
+
+// Время жизни неподтвержденного предпросмотра
+export const IMPORT_PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ImportRowSchema = new mongoose.Schema(
+  {
+    index: { type: Number, required: true },
+    // Номер строки (или транзакции) в исходном файле
+    line: { type: Number, default: null },
+    date: { type: Date, default: null },
+    amount: { type: Number, default: null },
+    currencyCode: { type: String, default: null },
+    baseAmount: { type: Number, default: null },
+    exchangeRate: { type: mongoose.Schema.Types.Mixed, default: null },
+    category: { type: String, default: null },
+    // Теги, назначенные правилами категоризации
+    tags: { type: [String], default: [] },
+    // Уверенность подсказки, если категорию назначила модель (null - из выписки или правил)
+    categoryConfidence: { type: Number, default: null },
+    note: { type: String, default: null },
+    externalId: { type: String, default: null },
+    fingerprint: { type: String, default: null },
+    status: { type: String, enum: IMPORT_ROW_STATUSES, required: true },
+    // Существующий расход, на который похожа строка (для duplicate и imported)
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', default: null },
+    error: { type: String, default: null },
+    // Расход, созданный из строки при подтверждении
+    expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', default: null },
+  },
+  { _id: false }
+);
+
+const ImportBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Рабочее пространство, в которое импортируются расходы
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true,
+    },
+    format: {
+      type: String,
+      enum: IMPORT_FORMATS,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    // SHA-256 содержимого файла
+    fileHash: {
+      type: String,
+      required: true,
+    },
+    baseCurrency: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['preview', 'committed', 'cancelled'],
+      default: 'preview',
+    },
+    rows: {
+      type: [ImportRowSchema],
+      default: [],
+    },
+    committedAt: {
+      type: Date,
+      default: null,
+    },
+    importedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Неподтвержденный предпросмотр удаляется автоматически, подтвержденный хранится
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + IMPORT_PREVIEW_TTL_MS),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ImportBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Метод для подсчета строк по статусам
+ImportBatchSchema.methods.getSummary = function () {
+  const summary = Object.fromEntries(IMPORT_ROW_STATUSES.map((status) => [status, 0]));
+
+  for (const row of this.rows) {
+    summary[row.status] += 1;
+  }
+
+  return { total: this.rows.length, ...summary };
+};
+
+// Метод для получения публичных данных пакета импорта
+ImportBatchSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    format: this.format,
+    fileName: this.fileName,
+    baseCurrency: this.baseCurrency,
+    status: this.status,
+    summary: this.getSummary(),
+    importedCount: this.importedCount,
+    rows: this.rows,
+    createdAt: this.createdAt,
+    committedAt: this.committedAt,
+    expiresAt: this.expiresAt,
+  };
+};
+
+export default mongoose.model('ImportBatch', ImportBatchSchema);
@@ -0,0 +1,205 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import ImportBatch from './ImportBatchSchema.js';
+import { commitImport, createImportPreview, parseStatement } from './ImportService.js';
+
+/**
+ * Колонки CSV приходят либо JSON-строкой, либо полями вида mapping[date]
+ */
+const parseMapping = (mapping) => {
+  if (!mapping || typeof mapping === 'object') {
+    return mapping || {};
+  }
+
+  return JSON.parse(mapping);
+};
+
+/**
+ * Поиск пакета импорта текущего рабочего пространства
+ */
+const findBatch = (req) => {
+  return ImportBatch.findOne({
+    _id: req.params.id,
+    workspaceId: req.workspaceId,
+  });
+};
+
+/**
+ * Загрузка выписки и предпросмотр импорта
+ * POST /api/expenses/import
+ */
+export const previewImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Файл выписки не передан (поле "file")',
+      });
+    }
+
+    const {
+      format,
+      dateFormat,
+      decimalSeparator,
+      delimiter,
+      hasHeader,
+      amountSign,
+      currencyCode,
+      encoding,
+    } = req.body;
+
+    let options;
+    let statement;
+    try {
+      options = {
+        format,
+        mapping: parseMapping(req.body.mapping),
+        dateFormat,
+        decimalSeparator,
+        delimiter,
+        hasHeader: hasHeader === undefined ? undefined : hasHeader === true || hasHeader === 'true',
+        amountSign,
+        currencyCode,
+        encoding,
+        // Даты выписки - календарные дни в часовом поясе пользователя
+        timeZone: req.timezone,
+      };
+      statement = parseStatement(req.file.buffer, req.file.originalname, options);
+    } catch (error) {
+      return res.status(400).json({
+        message: `Не удалось разобрать файл выписки: ${error.message}`,
+      });
+    }
+
+    const batch = await createImportPreview(
+      req.userId,
+      req.workspaceId,
+      { ...statement, fileName: req.file.originalname, buffer: req.file.buffer },
+      options
+    );
+
+    res.status(201).json({
+      message: 'Предпросмотр импорта создан. Подтвердите импорт, чтобы создать расходы.',
+      import: batch.toPublicJSON(),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'PreviewImport Error');
+    res.status(500).json({
+      message: 'Ошибка при импорте выписки',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение пакета импорта
+ * GET /api/expenses/import/:id
+ */
+export const getImport = async (req, res) => {
+  try {
+    const batch = await findBatch(req);
+
+    if (!batch) {
+      return res.status(404).json({
+        message: 'Импорт не найден',
+      });
+    }
+
+    res.json({
+      import: batch.toPublicJSON(),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetImport Error');
+    res.status(500).json({
+      message: 'Ошибка при получении импорта',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Подтверждение импорта
+ * POST /api/expenses/import/:id/confirm
+ */
+export const confirmImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { include, exclude } = req.body;
+
+    const batch = await findBatch(req);
+
+    if (!batch) {
+      return res.status(404).json({
+        message: 'Импорт не найден',
+      });
+    }
+
+    if (batch.status !== 'preview') {
+      return res.status(409).json({
+        message: batch.status === 'committed' ? 'Импорт уже подтвержден' : 'Импорт был отменен',
+      });
+    }
+
+    await commitImport(batch, { include, exclude });
+
+    res.json({
+      message: `Импортировано расходов: ${batch.importedCount}`,
+      import: batch.toPublicJSON(),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ConfirmImport Error');
+    res.status(500).json({
+      message: 'Ошибка при подтверждении импорта',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отмена неподтвержденного импорта
+ * DELETE /api/expenses/import/:id
+ */
+export const cancelImport = async (req, res) => {
+  try {
+    const batch = await findBatch(req);
+
+    if (!batch) {
+      return res.status(404).json({
+        message: 'Импорт не найден',
+      });
+    }
+
+    if (batch.status !== 'preview') {
+      return res.status(409).json({
+        message: 'Отменить можно только неподтвержденный импорт',
+      });
+    }
+
+    batch.status = 'cancelled';
+    await batch.save();
+
+    res.json({
+      message: 'Импорт отменен',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CancelImport Error');
+    res.status(500).json({
+      message: 'Ошибка при отмене импорта',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,361 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { publish } from '../../shared/events/bus.js';
+import { formatDateInZone } from '../../shared/utils/timezone.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import { applyBaseConversion } from '../currency/CurrencyService.js';
+import {
+  createCategorySuggester,
+  getAutoCategoryConfidence,
+  learnExpenses,
+} from './CategorizationService.js';
+import { applyRules, getActiveRules } from './CategoryRuleService.js';
+import Expense from './ExpenseSchema.js';
+import ImportBatch from './ImportBatchSchema.js';
+import { parseCsv } from './parsers/CsvParser.js';
+import { parseOfx } from './parsers/OfxParser.js';
+import { parseQif } from './parsers/QifParser.js';
+
+// Максимум транзакций в одном файле
+export const MAX_IMPORT_ROWS = 5000;
+
+// Расходы с той же суммой в пределах суток считаются возможными дубликатами
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Определение формата по расширению файла, а при его отсутствии - по содержимому
+ */
+export const detectFormat = (fileName, text) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.ofx' || extension === '.qfx') return 'ofx';
+  if (extension === '.qif') return 'qif';
+  if (extension === '.csv') return 'csv';
+
+  if (/<OFX>/i.test(text)) return 'ofx';
+  if (/^!Type:/im.test(text)) return 'qif';
+  return 'csv';
+};
+
+/**
+ * Разбор файла выписки в список транзакций
+ * Даты выписки - календарные дни в часовом поясе options.timeZone (полдень дня).
+ * Бросает ошибку, если файл не удалось разобрать
+ */
+export const parseStatement = (buffer, fileName, options = {}) => {
+  const text = new TextDecoder(options.encoding || 'utf-8').decode(buffer);
+  const format = options.format || detectFormat(fileName, text);
+
+  let transactions;
+  switch (format) {
+    case 'ofx':
+      transactions = parseOfx(text, options);
+      break;
+    case 'qif':
+      transactions = parseQif(text, options);
+      break;
+    default:
+      transactions = parseCsv(text, options);
+  }
+
+  if (transactions.length === 0) {
+    throw new Error('В файле не найдено ни одной транзакции');
+  }
+
+  if (transactions.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Слишком много транзакций в файле (максимум ${MAX_IMPORT_ROWS})`);
+  }
+
+  return { format, transactions };
+};
+
+/**
+ * Отпечаток транзакции для идемпотентного импорта.
+ * Если банк выдает идентификатор транзакции (FITID, номер чека) - используется он,
+ * иначе дата, сумма, валюта и описание плюс порядковый номер одинаковых строк в файле
+ * (две одинаковые покупки кофе в один день - это две разные транзакции).
+ */
+const buildFingerprint = (format, row, occurrence, timeZone) => {
+  if (row.externalId) {
+    return sha256(`${format}|id|${row.externalId}`);
+  }
+
+  const note = (row.note || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return sha256(
+    `${formatDateInZone(row.date, timeZone)}|${row.amount.toFixed(2)}|${row.currencyCode}|${note}|${occurrence}`
+  );
+};
+
+/**
+ * Приведение категории из выписки к категории из настроек бюджета (без учета регистра)
+ */
+const resolveCategory = (category, settings) => {
+  if (!settings) {
+    return category || 'Other';
+  }
+
+  const match = category
+    ? settings.categories.find((name) => name.toLowerCase() === category.toLowerCase())
+    : null;
+
+  return match || 'Other';
+};
+
+/**
+ * Поиск существующих расходов, похожих на строки выписки (та же сумма и валюта, дата ±1 день)
+ * Каждый существующий расход сопоставляется не более чем с одной строкой
+ */
+const markDuplicates = async (workspaceId, rows, baseCurrency) => {
+  const candidates = rows.filter((row) => row.status === 'new');
+
+  if (candidates.length === 0) {
+    return;
+  }
+
+  const times = candidates.map((row) => row.date.getTime());
+  const existing = await Expense.find({
+    workspaceId,
+    date: {
+      $gte: new Date(Math.min(...times) - DUPLICATE_WINDOW_MS),
+      $lte: new Date(Math.max(...times) + DUPLICATE_WINDOW_MS),
+    },
+  }).select('amount currencyCode date');
+
+  const used = new Set();
+
+  for (const row of candidates) {
+    const match = existing.find(
+      (expense) =>
+        !used.has(expense.id) &&
+        (expense.currencyCode || baseCurrency) === row.currencyCode &&
+        Math.abs(expense.amount - row.amount) < 0.005 &&
+        Math.abs(expense.date - row.date) <= DUPLICATE_WINDOW_MS
+    );
+
+    if (match) {
+      used.add(match.id);
+      row.status = 'duplicate';
+      row.duplicateOf = match._id;
+    }
+  }
+};
+
+/**
+ * Создание предпросмотра импорта: нормализация строк, пересчет в валюту бюджета,
+ * поиск уже импортированных строк и возможных дубликатов
+ */
+export const createImportPreview = async (
+  userId,
+  workspaceId,
+  { format, fileName, buffer, transactions },
+  options = {}
+) => {
+  const settings = await BudgetSettings.findOne({ workspaceId });
+  const rules = await getActiveRules(workspaceId);
+  const suggestCategory = createCategorySuggester(
+    workspaceId,
+    settings ? settings.categories : null
+  );
+  const baseCurrency = settings ? settings.currencyCode : 'EUR';
+  const defaultCurrency = options.currencyCode ? options.currencyCode.toUpperCase() : baseCurrency;
+
+  // Знак расходов: в банковских выписках списания обычно отрицательные
+  let amountSign = options.amountSign || (format === 'csv' ? 'auto' : 'negative');
+  if (amountSign === 'auto') {
+    amountSign = transactions.some((transaction) => transaction.amount < 0)
+      ? 'negative'
+      : 'positive';
+  }
+
+  const occurrences = new Map();
+  const rows = [];
+
+  for (const [index, transaction] of transactions.entries()) {
+    const row = {
+      index,
+      line: transaction.line,
+      date: transaction.date,
+      amount: transaction.amount,
+      currencyCode: transaction.currencyCode || defaultCurrency,
+      category: resolveCategory(transaction.category, settings),
+      note: transaction.note ? transaction.note.slice(0, 500) : null,
+      externalId: transaction.externalId,
+      status: 'new',
+      error: transaction.error,
+    };
+    rows.push(row);
+
+    if (row.error) {
+      row.status = 'invalid';
+      continue;
+    }
+
+    if (row.amount === 0) {
+      row.status = 'invalid';
+      row.error = 'Нулевая сумма';
+      continue;
+    }
+
+    if ((amountSign === 'negative') !== row.amount < 0) {
+      row.status = 'credit';
+      continue;
+    }
+
+    row.amount = roundAmount(Math.abs(row.amount));
+
+    // Правила категоризации: категория, если выписка не дала известной категории, и теги
+    const ruleResult = applyRules(
+      rules,
+      { note: row.note, amount: row.amount, tags: [], importSource: { format } },
+      {
+        keepCategory: row.category !== 'Other',
+        categories: settings ? settings.categories : null,
+      }
+    );
+    row.category = ruleResult.category || row.category;
+    row.tags = ruleResult.tags;
+
+    // Без категории после правил - подсказка модели, если она достаточно уверена
+    if (row.category === 'Other') {
+      const [suggestion] = await suggestCategory({ note: row.note, amount: row.amount });
+      if (suggestion && suggestion.confidence >= getAutoCategoryConfidence()) {
+        row.category = suggestion.category;
+        row.categoryConfidence = suggestion.confidence;
+      }
+    }
+
+    const key = `${formatDateInZone(row.date, options.timeZone)}|${row.amount}|${row.currencyCode}|${row.note}`;
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    row.fingerprint = buildFingerprint(format, row, occurrence, options.timeZone);
+
+    const conversion = { amount: row.amount, currencyCode: row.currencyCode, userId };
+    if (!(await applyBaseConversion(conversion, baseCurrency, row.date))) {
+      row.status = 'invalid';
+      row.error = `Нет курса ${row.currencyCode} -> ${baseCurrency} на дату операции`;
+      continue;
+    }
+    row.baseAmount = conversion.baseAmount;
+    row.exchangeRate = conversion.exchangeRate;
+  }
+
+  // Строки, уже импортированные ранее (повторный импорт той же выписки)
+  const fingerprints = rows.filter((row) => row.status === 'new').map((row) => row.fingerprint);
+  const imported = await Expense.find({
+    workspaceId,
+    'importSource.fingerprint': { $in: fingerprints },
+  }).select('importSource.fingerprint');
+  const importedByFingerprint = new Map(
+    imported.map((expense) => [expense.importSource.fingerprint, expense._id])
+  );
+
+  for (const row of rows) {
+    if (row.status === 'new' && importedByFingerprint.has(row.fingerprint)) {
+      row.status = 'imported';
+      row.duplicateOf = importedByFingerprint.get(row.fingerprint);
+    }
+  }
+
+  await markDuplicates(workspaceId, rows, baseCurrency);
+
+  return ImportBatch.create({
+    userId,
+    workspaceId,
+    format,
+    fileName,
+    fileHash: sha256(buffer),
+    baseCurrency,
+    rows,
+  });
+};
+
+/**
+ * Подтверждение импорта: создание расходов из новых строк
+ * include - индексы строк-дубликатов, которые все равно нужно импортировать
+ * exclude - индексы новых строк, которые импортировать не нужно
+ * Upsert по отпечатку делает операцию идемпотентной.
+ */
+export const commitImport = async (batch, { include = [], exclude = [] } = {}) => {
+  const selected = batch.rows.filter(
+    (row) =>
+      (row.status === 'new' && !exclude.includes(row.index)) ||
+      (row.status === 'duplicate' && include.includes(row.index))
+  );
+
+  if (selected.length > 0) {
+    try {
+      await Expense.bulkWrite(
+        selected.map((row) => ({
+          updateOne: {
+            filter: { workspaceId: batch.workspaceId, 'importSource.fingerprint': row.fingerprint },
+            update: {
+              $setOnInsert: {
+                userId: batch.userId,
+                workspaceId: batch.workspaceId,
+                amount: row.amount,
+                currencyCode: row.currencyCode,
+                baseAmount: row.baseAmount,
+                exchangeRate: row.exchangeRate,
+                date: row.date,
+                category: row.category,
+                note: row.note,
+                tags: row.tags,
+                importSource: {
+                  batchId: batch._id,
+                  format: batch.format,
+                  fileName: batch.fileName,
+                  externalId: row.externalId,
+                  fingerprint: row.fingerprint,
+                },
+              },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Дубликат от параллельного подтверждения - строки уже импортированы
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  const created = await Expense.find({
+    workspaceId: batch.workspaceId,
+    'importSource.batchId': batch._id,
+  });
+  const createdByFingerprint = new Map(
+    created.map((expense) => [expense.importSource.fingerprint, expense._id])
+  );
+
+  for (const row of batch.rows) {
+    row.expenseId = createdByFingerprint.get(row.fingerprint) || null;
+  }
+
+  // Модель подсказок учится на категориях из выписки и правил, но не на собственных подсказках
+  await learnExpenses(
+    batch.workspaceId,
+    selected.filter((row) => row.expenseId && row.categoryConfidence === null)
+  );
+
+  batch.status = 'committed';
+  batch.committedAt = new Date();
+  batch.importedCount = created.length;
+  batch.expiresAt = null;
+  await batch.save();
+
+  // События по каждому расходу (webhooks) и одно на весь импорт - для проверки порогов бюджета
+  const { workspaceId, userId } = batch;
+  for (const expense of created) {
+    publish('expense.created', { workspaceId, userId, expense });
+  }
+  publish('import.committed', { workspaceId, userId, batchId: batch._id, count: created.length });
+
+  return batch;
+};
@@ -0,0 +1,150 @@
+import logger from '../../shared/config/logger.js';
+import { INVALID_IMAGE_ERROR, detectImageType } from '../../shared/utils/image.js';
+import Expense from './ExpenseSchema.js';
+import { deleteReceipt, openReceiptStream, saveReceipt } from './ReceiptService.js';
+
+/**
+ * Загрузка изображения чека к расходу
+ * POST /api/expenses/:id/receipt
+ */
+export const uploadReceipt = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Файл чека не передан (поле "receipt")',
+      });
+    }
+
+    // Проверяем реальное содержимое файла, а не заявленный клиентом mimetype
+    const imageType = detectImageType(req.file.buffer);
+
+    if (!imageType) {
+      return res.status(400).json({
+        message: 'Файл не является изображением. Разрешены: JPEG, PNG, GIF, WebP',
+      });
+    }
+
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        message: 'Расход не найден',
+      });
+    }
+
+    await saveReceipt(expense, req.file, imageType);
+
+    res.status(201).json({
+      message: 'Чек загружен',
+      expense: expense.withTimeZone(req.timezone),
+    });
+  } catch (error) {
+    if (error.code === INVALID_IMAGE_ERROR) {
+      return res.status(400).json({
+        message: 'Не удалось прочитать изображение: файл поврежден или обрезан',
+      });
+    }
+
+    logger.error({ err: error }, 'UploadReceipt Error');
+    res.status(500).json({
+      message: 'Ошибка при загрузке чека',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение изображения чека
+ * GET /api/expenses/:id/receipt?size=thumbnail
+ */
+export const getReceipt = async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        message: 'Расход не найден',
+      });
+    }
+
+    if (!expense.receiptFile) {
+      return res.status(404).json({
+        message: 'У расхода нет загруженного чека',
+      });
+    }
+
+    const file = await openReceiptStream(expense, req.query.size === 'thumbnail');
+
+    if (!file) {
+      return res.status(404).json({
+        message: 'Файл чека не найден в хранилище',
+      });
+    }
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': 'private, max-age=86400',
+    });
+
+    file.stream.on('error', (error) => {
+      logger.error({ err: error }, 'GetReceipt Stream Error');
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Ошибка при чтении чека' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    file.stream.pipe(res);
+  } catch (error) {
+    logger.error({ err: error }, 'GetReceipt Error');
+    res.status(500).json({
+      message: 'Ошибка при получении чека',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление чека у расхода
+ * DELETE /api/expenses/:id/receipt
+ */
+export const removeReceipt = async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        message: 'Расход не найден',
+      });
+    }
+
+    if (!expense.receiptFile) {
+      return res.status(404).json({
+        message: 'У расхода нет загруженного чека',
+      });
+    }
+
+    await deleteReceipt(expense);
+
+    res.json({
+      message: 'Чек удален',
+      expense: expense.withTimeZone(req.timezone),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RemoveReceipt Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении чека',
+      error: error.message,
+    });
+  }
+};
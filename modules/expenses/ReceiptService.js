@@ -0,0 +1,133 @@
+import crypto from 'node:crypto';
+import logger from '../../shared/config/logger.js';
+import { getStorage } from '../../shared/config/storage.js';
+import { createThumbnail } from '../../shared/utils/image.js';
+import Expense from './ExpenseSchema.js';
+
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Удаление файлов чека из хранилища
+ * Ошибки только логируются - потерянный файл не должен ломать удаление расхода
+ */
+export const removeReceiptFiles = async (receiptFile) => {
+  if (!receiptFile) {
+    return;
+  }
+
+  const storage = getStorage();
+
+  for (const key of [receiptFile.key, receiptFile.thumbnailKey]) {
+    if (!key) continue;
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      logger.warn({ err: error, key }, 'Receipt file cleanup failed');
+    }
+  }
+};
+
+/**
+ * Сохранение изображения чека и его миниатюры, привязка к расходу
+ * imageType - результат detectImageType для содержимого файла
+ */
+export const saveReceipt = async (expense, file, imageType) => {
+  const storage = getStorage();
+  const previousFile = expense.receiptFile;
+
+  const baseKey = `receipts/${expense.userId}/${expense._id}-${crypto.randomUUID()}`;
+  const key = `${baseKey}.${imageType.extension}`;
+  const thumbnailKey = `${baseKey}-thumb.webp`;
+
+  // Поврежденное изображение (ошибка декодирования) или сбой хранилища - уже записанные
+  // файлы удаляются, расход не меняется
+  try {
+    await storage.save(key, file.buffer, imageType.mimetype);
+    const thumbnail = await createThumbnail(file.buffer, THUMBNAIL_SIZE);
+    await storage.save(thumbnailKey, thumbnail, 'image/webp');
+  } catch (error) {
+    await removeReceiptFiles({ key, thumbnailKey });
+    throw error;
+  }
+
+  expense.receiptFile = {
+    key,
+    thumbnailKey,
+    contentType: imageType.mimetype,
+    size: file.size,
+    originalName: file.originalname || null,
+    uploadedAt: new Date(),
+  };
+  expense.receipt = `/api/expenses/${expense._id}/receipt`;
+
+  try {
+    await expense.save();
+  } catch (error) {
+    await removeReceiptFiles({ key, thumbnailKey });
+    throw error;
+  }
+
+  // Старый чек удаляем только после успешного сохранения нового
+  await removeReceiptFiles(previousFile);
+
+  return expense;
+};
+
+/**
+ * Открытие потока чтения чека (оригинал или миниатюра)
+ */
+export const openReceiptStream = async (expense, thumbnail = false) => {
+  const { key, thumbnailKey, contentType } = expense.receiptFile;
+
+  const stream = await getStorage().createReadStream(thumbnail ? thumbnailKey : key);
+
+  return stream ? { stream, contentType: thumbnail ? 'image/webp' : contentType } : null;
+};
+
+/**
+ * Удаление чека у расхода
+ */
+export const deleteReceipt = async (expense) => {
+  const receiptFile = expense.receiptFile;
+
+  expense.receiptFile = null;
+  expense.receipt = null;
+  await expense.save();
+
+  await removeReceiptFiles(receiptFile);
+};
+
+/**
+ * Получение файлов чеков всех расходов, подходящих под фильтр
+ * Используется, чтобы удалить файлы после удаления самих расходов
+ */
+export const findReceiptFiles = async (filter) => {
+  const expenses = await Expense.find({ ...filter, receiptFile: { $ne: null } }).select(
+    'receiptFile'
+  );
+
+  return expenses.map((expense) => expense.receiptFile);
+};
+
+/**
+ * Удаление чеков пользователя вне рабочих пространств (при удалении аккаунта)
+ * Чеки в пространствах удаляются вместе с пространством, в общих - остаются у участников.
+ */
+export const removeUserReceipts = async (userId) => {
+  const receiptFiles = await findReceiptFiles({ userId, workspaceId: null });
+
+  if (receiptFiles.length === 0) {
+    return 0;
+  }
+
+  await Expense.updateMany(
+    { userId, workspaceId: null, receiptFile: { $ne: null } },
+    { $set: { receiptFile: null, receipt: null } }
+  );
+
+  for (const receiptFile of receiptFiles) {
+    await removeReceiptFiles(receiptFile);
+  }
+
+  return receiptFiles.length;
+};
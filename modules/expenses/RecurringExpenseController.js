@@ -0,0 +1,263 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import { getDayBounds, parseDateBoundary } from '../../shared/utils/timezone.js';
+import RecurringExpense from './RecurringExpenseSchema.js';
+import { materializeRecurringExpense } from './RecurringScheduler.js';
+
+/**
+ * Поиск шаблона регулярного расхода текущего рабочего пространства
+ */
+const findTemplate = (req) => {
+  return RecurringExpense.findOne({
+    _id: req.params.id,
+    workspaceId: req.workspaceId,
+  });
+};
+
+/**
+ * Получение списка регулярных расходов
+ * GET /api/expenses/recurring
+ */
+export const getRecurringExpenses = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { workspaceId: req.workspaceId };
+    if (status) {
+      filter.status = status;
+    }
+
+    const recurringExpenses = await RecurringExpense.find(filter).sort({ nextOccurrence: 1 });
+
+    res.json({
+      recurringExpenses,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetRecurringExpenses Error');
+    res.status(500).json({
+      message: 'Ошибка при получении регулярных расходов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Приостановка регулярного расхода
+ * POST /api/expenses/recurring/:id/pause
+ */
+export const pauseRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        message: 'Регулярный расход не найден',
+      });
+    }
+
+    if (template.status !== 'active') {
+      return res.status(400).json({
+        message: 'Приостановить можно только активный регулярный расход',
+      });
+    }
+
+    // Сначала создаем уже наступившие повторения, чтобы пауза не "съела" их
+    await materializeRecurringExpense(template);
+
+    if (template.status === 'active') {
+      template.status = 'paused';
+      await template.save();
+    }
+
+    res.json({
+      message: 'Регулярный расход приостановлен',
+      recurringExpense: template,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'PauseRecurringExpense Error');
+    res.status(500).json({
+      message: 'Ошибка при приостановке регулярного расхода',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Возобновление регулярного расхода
+ * POST /api/expenses/recurring/:id/resume
+ */
+export const resumeRecurringExpense = async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        message: 'Регулярный расход не найден',
+      });
+    }
+
+    if (template.status !== 'paused') {
+      return res.status(400).json({
+        message: 'Возобновить можно только приостановленный регулярный расход',
+      });
+    }
+
+    // Повторения за время паузы не создаются
+    const now = new Date();
+    if (template.nextOccurrence <= now) {
+      template.nextOccurrence = template.getOccurrenceAfter(now);
+    }
+
+    template.status =
+      template.endDate && template.nextOccurrence > template.endDate ? 'ended' : 'active';
+    await template.save();
+
+    res.json({
+      message: 'Регулярный расход возобновлен',
+      recurringExpense: template,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'ResumeRecurringExpense Error');
+    res.status(500).json({
+      message: 'Ошибка при возобновлении регулярного расхода',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Пропуск одного предстоящего повторения
+ * POST /api/expenses/recurring/:id/skip
+ */
+export const skipRecurringOccurrence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { date } = req.body;
+
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        message: 'Регулярный расход не найден',
+      });
+    }
+
+    if (template.status === 'ended') {
+      return res.status(400).json({
+        message: 'Серия регулярных расходов уже завершена',
+      });
+    }
+
+    // По умолчанию пропускается ближайшее повторение
+    let occurrence = template.nextOccurrence;
+
+    if (date) {
+      // День пропуска - календарный день в часовом поясе пользователя
+      const { start, end } = getDayBounds(parseDateBoundary(date, req.timezone), req.timezone);
+
+      [occurrence] = template.getOccurrencesBetween(start, end);
+
+      if (!occurrence) {
+        return res.status(400).json({
+          message: 'На указанную дату нет предстоящего повторения',
+        });
+      }
+    }
+
+    if (occurrence.getTime() === template.nextOccurrence.getTime()) {
+      template.nextOccurrence = template.getNextOccurrence(occurrence);
+      if (template.endDate && template.nextOccurrence > template.endDate) {
+        template.status = 'ended';
+      }
+    } else {
+      template.skippedDates.push(occurrence);
+    }
+
+    await template.save();
+
+    res.json({
+      message: 'Повторение пропущено',
+      skippedDate: occurrence,
+      recurringExpense: template,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'SkipRecurringOccurrence Error');
+    res.status(500).json({
+      message: 'Ошибка при пропуске повторения',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Завершение серии регулярных расходов
+ * POST /api/expenses/recurring/:id/end
+ */
+export const endRecurringExpense = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { endDate } = req.body;
+
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        message: 'Регулярный расход не найден',
+      });
+    }
+
+    if (template.status === 'ended') {
+      return res.status(400).json({
+        message: 'Серия регулярных расходов уже завершена',
+      });
+    }
+
+    const now = new Date();
+    const end = endDate ? new Date(endDate) : now;
+
+    if (end < template.startDate) {
+      return res.status(400).json({
+        message: 'Дата окончания не может быть раньше начала серии',
+      });
+    }
+
+    // Наступившие до даты окончания повторения должны быть созданы
+    if (template.status === 'active') {
+      await materializeRecurringExpense(template, end < now ? end : now);
+    }
+
+    template.endDate = end;
+    if (end <= now || template.nextOccurrence > end) {
+      template.status = 'ended';
+    }
+    await template.save();
+
+    res.json({
+      message:
+        template.status === 'ended'
+          ? 'Серия регулярных расходов завершена'
+          : 'Дата окончания серии установлена',
+      recurringExpense: template,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'EndRecurringExpense Error');
+    res.status(500).json({
+      message: 'Ошибка при завершении серии регулярных расходов',
+      error: error.message,
+    });
+  }
+};
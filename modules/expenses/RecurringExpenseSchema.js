@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import { getZonedParts, isValidTimeZone, zonedDate } from '../../shared/utils/timezone.js';
+
+export const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Сдвиг даты на заданное количество периодов в часовом поясе timeZone
+ * (без пояса - в локальном времени сервера). Местное время платежа сохраняется
+ * и при переходе на летнее время.
+ * Для месячной и годовой частоты день берется из anchorDay и ограничивается
+ * длиной месяца (31 января -> 28/29 февраля -> 31 марта).
+ */
+export const addFrequency = (date, frequency, count = 1, anchorDay = null, timeZone = null) => {
+  const { year, month, day, hour, minute, second, millisecond } = getZonedParts(date, timeZone);
+  const time = [hour, minute, second, millisecond];
+
+  switch (frequency) {
+    case 'daily':
+      return zonedDate(timeZone, year, month, day + count, ...time);
+    case 'weekly':
+      return zonedDate(timeZone, year, month, day + 7 * count, ...time);
+    case 'monthly':
+    case 'yearly': {
+      const targetMonth = month + (frequency === 'monthly' ? count : 12 * count);
+      const daysInMonth = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+      return zonedDate(
+        timeZone,
+        year,
+        targetMonth,
+        Math.min(anchorDay ?? day, daysInMonth),
+        ...time
+      );
+    }
+    default:
+      throw new Error(`Неизвестная частота повторения: ${frequency}`);
+  }
+};
+
+const RecurringExpenseSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Рабочее пространство, в котором создаются повторения
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Сумма расхода обязательна'],
+      min: [0, 'Сумма не может быть отрицательной'],
+    },
+    category: {
+      type: String,
+      required: true,
+      default: 'Other',
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Заметка не может превышать 500 символов'],
+      default: null,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    // Валюта платежа (ISO 4217), null - валюта бюджета
+    currencyCode: {
+      type: String,
+      uppercase: true,
+      default: null,
+    },
+    frequency: {
+      type: String,
+      enum: RECURRING_FREQUENCIES,
+      required: [true, 'Частота повторения обязательна'],
+    },
+    // Дата первого платежа, от нее отсчитываются все последующие
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    // Часовой пояс IANA, в котором считаются дни повторений (пользователя, создавшего шаблон);
+    // null - локальное время сервера (шаблоны, созданные до появления часовых поясов)
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isValidTimeZone(v),
+        message: (props) => `${props.value} не является часовым поясом IANA`,
+      },
+    },
+    // Дата окончания серии (включительно), null - бессрочно
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // Ближайшее еще не сгенерированное повторение
+    nextOccurrence: {
+      type: Date,
+      required: true,
+    },
+    // Повторения, которые пользователь решил пропустить
+    skippedDates: {
+      type: [Date],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'ended'],
+      default: 'active',
+    },
+    lastGeneratedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Индекс для выборки шаблонов, по которым пора создавать расходы
+RecurringExpenseSchema.index({ status: 1, nextOccurrence: 1 });
+
+// Виртуальное поле для дня, к которому привязаны месячные и годовые повторения
+RecurringExpenseSchema.virtual('anchorDay').get(function () {
+  return getZonedParts(this.startDate, this.timezone).day;
+});
+
+// Метод для получения повторения, следующего за указанным повторением
+RecurringExpenseSchema.methods.getNextOccurrence = function (occurrence) {
+  return addFrequency(occurrence, this.frequency, 1, this.anchorDay, this.timezone);
+};
+
+// Метод для получения первого повторения строго после произвольной даты (не раньше nextOccurrence)
+RecurringExpenseSchema.methods.getOccurrenceAfter = function (date) {
+  let occurrence = this.nextOccurrence;
+
+  while (occurrence <= date) {
+    occurrence = this.getNextOccurrence(occurrence);
+  }
+
+  return occurrence;
+};
+
+// Метод для проверки, пропущено ли повторение
+RecurringExpenseSchema.methods.isSkipped = function (date) {
+  return this.skippedDates.some((skipped) => skipped.getTime() === date.getTime());
+};
+
+// Метод для получения повторений в диапазоне дат (без пропущенных)
+RecurringExpenseSchema.methods.getOccurrencesBetween = function (from, to) {
+  const occurrences = [];
+  let occurrence = this.nextOccurrence;
+
+  while (occurrence <= to && (!this.endDate || occurrence <= this.endDate)) {
+    if (occurrence >= from && !this.isSkipped(occurrence)) {
+      occurrences.push(occurrence);
+    }
+    occurrence = this.getNextOccurrence(occurrence);
+  }
+
+  return occurrences;
+};
+
+// Статический метод для получения предстоящих списаний за период
+RecurringExpenseSchema.statics.getUpcomingOccurrences = async function (workspaceId, from, to) {
+  const templates = await this.find({
+    workspaceId,
+    status: 'active',
+    nextOccurrence: { $lte: to },
+  });
+
+  return templates
+    .flatMap((template) =>
+      template.getOccurrencesBetween(from, to).map((date) => ({
+        recurringId: template._id,
+        date,
+        amount: template.amount,
+        currencyCode: template.currencyCode,
+        category: template.category,
+        note: template.note,
+        frequency: template.frequency,
+      }))
+    )
+    .sort((a, b) => a.date - b.date);
+};
+
+export default mongoose.model('RecurringExpense', RecurringExpenseSchema);
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { addFrequency } from './RecurringExpenseSchema.js';
+
+const NEW_YORK = 'America/New_York';
+// В Сантьяго переход на летнее время происходит в полночь: 00:00 сразу становится 01:00
+const SANTIAGO = 'America/Santiago';
+
+const iso = (date) => date.toISOString();
+
+describe('addFrequency', () => {
+  it('ежедневный платеж сохраняет местное время через весенний переход', () => {
+    // 7 марта 2026, 09:00 в Нью-Йорке (EST) -> 8 марта, 09:00 (EDT)
+    const next = addFrequency(new Date('2026-03-07T14:00:00Z'), 'daily', 1, null, NEW_YORK);
+
+    assert.equal(iso(next), '2026-03-08T13:00:00.000Z');
+  });
+
+  it('еженедельный платеж сохраняет местное время через осенний переход', () => {
+    // 29 октября 2026, 09:00 (EDT) -> 5 ноября, 09:00 (EST)
+    const next = addFrequency(new Date('2026-10-29T13:00:00Z'), 'weekly', 1, null, NEW_YORK);
+
+    assert.equal(iso(next), '2026-11-05T14:00:00.000Z');
+  });
+
+  it('ежемесячный платеж в полночь приходится на местную полночь', () => {
+    // 1 марта 2026, 00:00 в Нью-Йорке -> 1 апреля, 00:00 по летнему времени
+    const next = addFrequency(new Date('2026-03-01T05:00:00Z'), 'monthly', 1, null, NEW_YORK);
+
+    assert.equal(iso(next), '2026-04-01T04:00:00.000Z');
+  });
+
+  it('день привязки ограничивается длиной месяца в часовом поясе', () => {
+    // 31 января 2026, 00:00 в Нью-Йорке -> 28 февраля -> 31 марта
+    const february = addFrequency(new Date('2026-01-31T05:00:00Z'), 'monthly', 1, 31, NEW_YORK);
+    const march = addFrequency(february, 'monthly', 1, 31, NEW_YORK);
+
+    assert.equal(iso(february), '2026-02-28T05:00:00.000Z');
+    assert.equal(iso(march), '2026-03-31T04:00:00.000Z');
+  });
+
+  it('полночь несуществующего дня начинается в 01:00 и не сдвигает следующие повторения', () => {
+    // 5 сентября 2026, 00:00 в Сантьяго -> 6 сентября (полуночи нет, 01:00) -> 7 сентября, 00:00
+    const skipped = addFrequency(new Date('2026-09-05T04:00:00Z'), 'daily', 1, null, SANTIAGO);
+    const after = addFrequency(new Date('2026-09-05T04:00:00Z'), 'daily', 2, null, SANTIAGO);
+
+    assert.equal(iso(skipped), '2026-09-06T04:00:00.000Z');
+    assert.equal(iso(after), '2026-09-07T03:00:00.000Z');
+  });
+});
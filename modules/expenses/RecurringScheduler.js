@@ -0,0 +1,187 @@
+import logger from '../../shared/config/logger.js';
+import { publish } from '../../shared/events/bus.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import { applyBaseConversion } from '../currency/CurrencyService.js';
+import { getPersonalWorkspace } from '../workspaces/WorkspaceService.js';
+import Expense from './ExpenseSchema.js';
+import RecurringExpense from './RecurringExpenseSchema.js';
+
+// Максимум повторений одного шаблона за один проход (остальные догонит следующий проход)
+const MAX_OCCURRENCES_PER_RUN = 500;
+
+let timer = null;
+let isProcessing = false;
+
+/**
+ * Создание расхода для одного повторения.
+ * Upsert по (recurringId, occurrenceDate) делает операцию идемпотентной:
+ * повторный запуск или параллельный инстанс не создадут дубликат.
+ */
+const materializeOccurrence = async (template, occurrenceDate, baseCurrency) => {
+  // Пересчет в валюту бюджета по курсу на дату повторения
+  const conversion = {
+    amount: template.amount,
+    currencyCode: template.currencyCode || baseCurrency,
+    userId: template.userId,
+  };
+  if (!(await applyBaseConversion(conversion, baseCurrency, occurrenceDate))) {
+    throw new Error(`Нет курса ${conversion.currencyCode} -> ${baseCurrency}`);
+  }
+
+  try {
+    const result = await Expense.updateOne(
+      { recurringId: template._id, occurrenceDate },
+      {
+        $setOnInsert: {
+          userId: template.userId,
+          workspaceId: template.workspaceId,
+          amount: template.amount,
+          currencyCode: conversion.currencyCode,
+          baseAmount: conversion.baseAmount,
+          exchangeRate: conversion.exchangeRate,
+          date: occurrenceDate,
+          category: template.category,
+          note: template.note,
+          tags: template.tags,
+          isRecurring: true,
+          recurringFrequency: template.frequency,
+        },
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+      return false;
+    }
+
+    // Созданный расход проходит те же подписчики, что и добавленный вручную (пороги, webhooks)
+    const expense = await Expense.findById(result.upsertedId);
+    publish('expense.created', {
+      workspaceId: template.workspaceId,
+      userId: template.userId,
+      expense,
+    });
+
+    return true;
+  } catch (error) {
+    // Дубликат от параллельного запуска - повторение уже создано
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Создание всех наступивших повторений шаблона (включая пропущенные за время простоя)
+ */
+export const materializeRecurringExpense = async (template, now = new Date()) => {
+  let occurrence = template.nextOccurrence;
+  let processed = 0;
+  let created = 0;
+
+  // Шаблоны, созданные до появления рабочих пространств, относятся к личному пространству
+  if (!template.workspaceId) {
+    const workspace = await getPersonalWorkspace(template.userId);
+    template.workspaceId = workspace._id;
+  }
+
+  const baseCurrency = await BudgetSettings.getBaseCurrency(template.workspaceId);
+
+  while (occurrence <= now && processed < MAX_OCCURRENCES_PER_RUN) {
+    if (template.endDate && occurrence > template.endDate) {
+      break;
+    }
+
+    if (
+      !template.isSkipped(occurrence) &&
+      (await materializeOccurrence(template, occurrence, baseCurrency))
+    ) {
+      created += 1;
+    }
+
+    occurrence = template.getNextOccurrence(occurrence);
+    processed += 1;
+  }
+
+  template.nextOccurrence = occurrence;
+  template.skippedDates = template.skippedDates.filter((date) => date >= occurrence);
+
+  if (template.endDate && occurrence > template.endDate) {
+    template.status = 'ended';
+  }
+
+  if (processed > 0) {
+    template.lastGeneratedAt = now;
+  }
+
+  await template.save();
+
+  return created;
+};
+
+/**
+ * Обработка всех активных шаблонов, по которым наступили повторения
+ */
+export const processDueRecurringExpenses = async (now = new Date()) => {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+  let created = 0;
+
+  try {
+    const templates = await RecurringExpense.find({
+      status: 'active',
+      nextOccurrence: { $lte: now },
+    });
+
+    for (const template of templates) {
+      try {
+        created += await materializeRecurringExpense(template, now);
+      } catch (error) {
+        logger.error({ err: error, recurringId: template._id }, 'Recurring Expense Error');
+      }
+    }
+
+    if (created > 0) {
+      logger.info(`Создано регулярных расходов: ${created}`);
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return created;
+};
+
+/**
+ * Запуск планировщика регулярных расходов
+ */
+export const startRecurringScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const intervalMs = Number(process.env.RECURRING_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const run = () => {
+    processDueRecurringExpenses().catch((error) => {
+      logger.error({ err: error }, 'Recurring Scheduler Error');
+    });
+  };
+
+  run();
+  timer = setInterval(run, intervalMs);
+  logger.info(`Recurring scheduler started (interval ${intervalMs} ms)`);
+};
+
+/**
+ * Остановка планировщика регулярных расходов
+ */
+export const stopRecurringScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,185 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import User from '../auth/AuthSchema.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import { applyBaseConversion } from '../currency/CurrencyService.js';
+import Settlement from './SettlementSchema.js';
+import { buildSettleUpTransfers, computeBalances } from './SplitService.js';
+
+/**
+ * Имена пользователей по ID (для ответов с балансами)
+ */
+const loadUserNames = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('name email');
+  return new Map(users.map((user) => [user.id, user.name || user.email]));
+};
+
+/**
+ * Может ли пользователь регистрировать и удалять расчет: только его стороны или владелец пространства
+ */
+const canManageSettlement = (req, fromUserId, toUserId) =>
+  [String(fromUserId), String(toUserId)].includes(String(req.userId)) ||
+  req.workspace.getMemberRole(req.userId) === 'owner';
+
+/**
+ * Балансы участников и переводы, которыми можно рассчитаться
+ * GET /api/expenses/balances
+ */
+export const getBalances = async (req, res) => {
+  try {
+    const balances = await computeBalances(req.workspaceId);
+    const transfers = buildSettleUpTransfers(balances);
+    const currencyCode = await BudgetSettings.getBaseCurrency(req.workspaceId);
+
+    const names = await loadUserNames([...balances.keys()]);
+
+    res.json({
+      currencyCode,
+      balances: [...balances]
+        .map(([userId, balance]) => ({
+          userId,
+          name: names.get(userId) || null,
+          balance,
+        }))
+        .sort((a, b) => b.balance - a.balance),
+      transfers: transfers.map((transfer) => ({
+        ...transfer,
+        fromName: names.get(transfer.fromUserId) || null,
+        toName: names.get(transfer.toUserId) || null,
+      })),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetBalances Error');
+    res.status(500).json({
+      message: 'Ошибка при расчете балансов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение расчетов между участниками
+ * GET /api/expenses/settlements
+ */
+export const getSettlements = async (req, res) => {
+  try {
+    const settlements = await Settlement.find({ workspaceId: req.workspaceId }).sort({ date: -1 });
+
+    res.json({
+      settlements,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetSettlements Error');
+    res.status(500).json({
+      message: 'Ошибка при получении расчетов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Регистрация расчета (один участник вернул деньги другому)
+ * POST /api/expenses/settlements
+ */
+export const createSettlement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { toUserId, amount, date, note } = req.body;
+    const fromUserId = req.body.fromUserId || req.userId;
+
+    if (String(fromUserId) === String(toUserId)) {
+      return res.status(400).json({
+        message: 'Нельзя рассчитаться с самим собой',
+      });
+    }
+
+    if (!canManageSettlement(req, fromUserId, toUserId)) {
+      return res.status(403).json({
+        message: 'Расчет может зарегистрировать только его участник или владелец пространства',
+      });
+    }
+
+    // Рассчитываться могут участники пространства и те, у кого есть баланс
+    // (бывшие участники, пользователи, с которыми разделили расход в личном пространстве)
+    const balances = await computeBalances(req.workspaceId);
+    const isParty = (userId) =>
+      Boolean(req.workspace.getMemberRole(userId)) || balances.has(String(userId));
+
+    if (!isParty(fromUserId) || !isParty(toUserId)) {
+      return res.status(400).json({
+        message: 'Оба участника расчета должны быть участниками рабочего пространства',
+      });
+    }
+
+    const currencyCode = await BudgetSettings.getBaseCurrency(req.workspaceId);
+    const settlement = new Settlement({
+      userId: req.userId,
+      workspaceId: req.workspaceId,
+      fromUserId,
+      toUserId,
+      amount,
+      currencyCode,
+      date: date ? new Date(date) : new Date(),
+      note: note || null,
+    });
+
+    // Курс 1:1 к текущей базовой валюте; при ее смене расчет пересчитывается
+    await applyBaseConversion(settlement, currencyCode);
+    await settlement.save();
+
+    res.status(201).json({
+      message: 'Расчет зарегистрирован',
+      settlement,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CreateSettlement Error');
+    res.status(500).json({
+      message: 'Ошибка при регистрации расчета',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление ошибочно зарегистрированного расчета
+ * DELETE /api/expenses/settlements/:id
+ */
+export const deleteSettlement = async (req, res) => {
+  try {
+    const settlement = await Settlement.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!settlement) {
+      return res.status(404).json({
+        message: 'Расчет не найден',
+      });
+    }
+
+    if (!canManageSettlement(req, settlement.fromUserId, settlement.toUserId)) {
+      return res.status(403).json({
+        message: 'Расчет может удалить только его участник или владелец пространства',
+      });
+    }
+
+    await settlement.deleteOne();
+
+    res.json({
+      message: 'Расчет удален',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteSettlement Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении расчета',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * Расчет между участниками рабочего пространства (возврат долга по разделенным расходам)
+ * Сумма хранится в базовой валюте бюджета на момент расчета, baseAmount - в текущей базовой валюте
+ * (пересчитывается при ее смене, как у расходов).
+ */
+const SettlementSchema = new mongoose.Schema(
+  {
+    // Кто зарегистрировал расчет
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
+    // Кто вернул деньги
+    fromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Кому вернули
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Сумма расчета обязательна'],
+      min: [0.01, 'Сумма расчета должна быть положительной'],
+    },
+    // Базовая валюта бюджета на момент расчета
+    currencyCode: {
+      type: String,
+      required: true,
+    },
+    // Сумма в текущей базовой валюте бюджета
+    baseAmount: {
+      type: Number,
+      default: null,
+    },
+    // Снимок курса, по которому посчитан baseAmount
+    exchangeRate: {
+      type: new mongoose.Schema(
+        {
+          baseCurrency: { type: String, required: true },
+          rate: { type: Number, required: true },
+          source: { type: String, default: null },
+          rateDate: { type: Date, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Заметка не может превышать 500 символов'],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SettlementSchema.index({ workspaceId: 1, date: -1 });
+
+// Виртуальное поле для суммы в базовой валюте
+// (у расчетов, созданных до пересчета валют, baseAmount нет - они в текущей базовой валюте)
+SettlementSchema.virtual('amountInBase').get(function () {
+  return this.baseAmount ?? this.amount;
+});
+
+export default mongoose.model('Settlement', SettlementSchema);
@@ -0,0 +1,371 @@
+import mongoose from 'mongoose';
+import logger from '../../shared/config/logger.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import { getExchangeRate } from '../currency/CurrencyService.js';
+import Workspace from '../workspaces/WorkspaceSchema.js';
+import Expense, {
+  BASE_AMOUNT_EXPR,
+  SPLIT_METHODS,
+  buildParticipantAmountExpr,
+  buildShareExpr,
+} from './ExpenseSchema.js';
+import Settlement from './SettlementSchema.js';
+
+const toCents = (value) => Math.round(value * 100);
+
+/**
+ * Распределение суммы в центах пропорционально весам (метод наибольшего остатка):
+ * сумма частей всегда в точности равна исходной
+ */
+const allocateCents = (totalCents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map((weight) => (totalCents * weight) / totalWeight);
+  const cents = exact.map(Math.floor);
+
+  let remainder = totalCents - cents.reduce((sum, value) => sum + value, 0);
+  const order = exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+  for (const { index } of order) {
+    if (remainder <= 0) {
+      break;
+    }
+    cents[index] += 1;
+    remainder -= 1;
+  }
+
+  return cents;
+};
+
+/**
+ * Пользователи, с которыми у userId есть общее (не личное) рабочее пространство
+ */
+const findWorkspaceContacts = async (userId) => {
+  const contacts = await Workspace.find({ isPersonal: false, 'members.userId': userId }).distinct(
+    'members.userId'
+  );
+  return new Set(contacts.map(String));
+};
+
+/**
+ * Разбор разделения расхода из запроса
+ * В общем пространстве участники и плательщик - его участники. В личном пространстве
+ * владелец может разделить расход только с теми, с кем состоит в общем пространстве
+ * (владелец должен быть плательщиком или участником).
+ * Возвращает { split } или { error }.
+ */
+export const parseSplit = async (input, amount, workspace, defaultPayer) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Разделение должно быть объектом { method, participants, paidBy }' };
+  }
+
+  const method = input.method || 'equal';
+  if (!SPLIT_METHODS.includes(method)) {
+    return { error: `Способ разделения должен быть одним из: ${SPLIT_METHODS.join(', ')}` };
+  }
+
+  const { participants } = input;
+  if (!Array.isArray(participants) || participants.length === 0) {
+    return { error: 'Участники разделения должны быть непустым массивом' };
+  }
+
+  const paidBy = input.paidBy || String(defaultPayer);
+  if (!mongoose.isValidObjectId(paidBy)) {
+    return { error: 'Некорректный плательщик' };
+  }
+
+  const seen = new Set();
+  for (const participant of participants) {
+    const userId = participant?.userId;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return { error: 'Некорректный участник разделения' };
+    }
+
+    if (seen.has(String(userId))) {
+      return { error: 'Участник указан в разделении несколько раз' };
+    }
+    seen.add(String(userId));
+  }
+
+  const userIds = [...new Set([...seen, String(paidBy)])];
+
+  if (workspace.isPersonal) {
+    if (!userIds.some((userId) => workspace.getMemberRole(userId))) {
+      return { error: 'Владелец пространства должен быть плательщиком или участником разделения' };
+    }
+
+    // Чужой расход попадает в личный бюджет участника - только с его согласия,
+    // которым считается участие в общем пространстве с владельцем
+    const contacts = await findWorkspaceContacts(workspace.ownerId);
+    if (userIds.some((userId) => !workspace.getMemberRole(userId) && !contacts.has(userId))) {
+      return {
+        error: 'Разделить личный расход можно только с участниками ваших общих рабочих пространств',
+      };
+    }
+  } else if (userIds.some((userId) => !workspace.getMemberRole(userId))) {
+    return {
+      error: 'Плательщик и участники разделения должны быть участниками рабочего пространства',
+    };
+  }
+
+  const totalCents = toCents(amount);
+  let cents;
+
+  if (method === 'equal') {
+    cents = allocateCents(
+      totalCents,
+      participants.map(() => 1)
+    );
+  }
+
+  if (method === 'shares') {
+    const shares = participants.map((participant) => Number(participant.shares));
+
+    if (shares.some((share) => !Number.isFinite(share) || share <= 0)) {
+      return { error: 'Доля каждого участника должна быть положительным числом' };
+    }
+
+    cents = allocateCents(totalCents, shares);
+  }
+
+  if (method === 'exact') {
+    cents = participants.map((participant) => toCents(Number(participant.amount)));
+
+    if (cents.some((value) => !Number.isFinite(value) || value < 0)) {
+      return { error: 'Сумма каждого участника должна быть неотрицательным числом' };
+    }
+
+    const sumCents = cents.reduce((sum, value) => sum + value, 0);
+    if (sumCents !== totalCents) {
+      return {
+        error: `Сумма частей (${sumCents / 100}) не совпадает с суммой расхода (${totalCents / 100})`,
+      };
+    }
+  }
+
+  return {
+    split: {
+      method,
+      paidBy,
+      participants: participants.map((participant, index) => ({
+        userId: participant.userId,
+        shares: method === 'shares' ? Number(participant.shares) : null,
+        amount: cents[index] / 100,
+      })),
+    },
+  };
+};
+
+/**
+ * Пересчет частей после изменения суммы расхода
+ * Для способов equal и shares части пересчитываются, точные суммы нужно указать заново.
+ */
+export const recalculateSplit = async (split, amount, workspace) => {
+  if (split.method === 'exact') {
+    return { error: 'Сумма расхода изменилась - укажите части участников заново (split)' };
+  }
+
+  return parseSplit(
+    {
+      method: split.method,
+      paidBy: String(split.paidBy),
+      participants: split.participants.map((participant) => ({
+        userId: String(participant.userId),
+        shares: participant.shares,
+      })),
+    },
+    amount,
+    workspace,
+    split.paidBy
+  );
+};
+
+/**
+ * Курсы валют расходов в базовую валюту (по текущему курсу), null - курс неизвестен
+ */
+const collectRatesTo = async (currencies, baseCurrency, userId) => {
+  const rates = new Map();
+
+  for (const currencyCode of currencies) {
+    const rate = currencyCode
+      ? await getExchangeRate(currencyCode, baseCurrency, new Date(), userId)
+      : null;
+    rates.set(currencyCode, rate ? rate.rate : null);
+  }
+
+  return rates;
+};
+
+/**
+ * Какие расходы и в каком размере учитываются в бюджете рабочего пространства
+ * Общее пространство - его расходы целиком (части участников в сумме дают сумму расхода).
+ * Личное - только доля владельца: в расходах пространства и в расходах чужих пространств,
+ * которые с ним разделили участники его общих пространств. Доля в чужом расходе
+ * пересчитывается из валюты расхода в базовую валюту владельца по текущему курсу
+ * (расходы в валюте без известного курса не учитываются).
+ * Возвращает { match, amountExpr, getAmount, getMemberShares }: условие $match, выражение суммы
+ * для агрегаций, функцию суммы для документа расхода (все - в базовой валюте) и функцию,
+ * которая возвращает части участников пространства в расходе ([{ userId, amount }]).
+ */
+export const getBudgetExpenseScope = async (workspaceId) => {
+  const workspace = await Workspace.findById(workspaceId).select('isPersonal ownerId');
+  const id = new mongoose.Types.ObjectId(workspaceId);
+
+  if (!workspace?.isPersonal) {
+    return {
+      match: { workspaceId: id },
+      amountExpr: BASE_AMOUNT_EXPR,
+      getAmount: (expense) => expense.amountInBase,
+      // Разделенный расход - по частям участников, остальные - целиком на того, кто добавил расход
+      getMemberShares: (expense) =>
+        (expense.split
+          ? expense.split.participants.map((participant) => participant.userId)
+          : [expense.userId]
+        ).map((userId) => ({ userId, amount: expense.getShareOf(userId) })),
+    };
+  }
+
+  const { ownerId } = workspace;
+  const memberOf = await Workspace.find({ 'members.userId': ownerId }).distinct('_id');
+  // Чужие расходы - только от тех, с кем у владельца есть общее пространство
+  const contacts = await findWorkspaceContacts(ownerId);
+  const foreignMatch = {
+    workspaceId: { $nin: [...memberOf, id] },
+    userId: { $in: [...contacts].map((userId) => new mongoose.Types.ObjectId(userId)) },
+    'split.participants.userId': ownerId,
+  };
+
+  const baseCurrency = await BudgetSettings.getBaseCurrency(workspaceId);
+  const rates = await collectRatesTo(
+    await Expense.distinct('currencyCode', foreignMatch),
+    baseCurrency,
+    ownerId
+  );
+
+  const missing = [...rates]
+    .filter(([, rate]) => rate === null)
+    .map(([currencyCode]) => currencyCode);
+  if (missing.length > 0) {
+    logger.warn(
+      { workspaceId, baseCurrency, currencies: missing },
+      'Split shares from other workspaces skipped: exchange rate unknown'
+    );
+  }
+
+  // Курс по валюте расхода (0 - курс неизвестен)
+  const foreignRateExpr = [...rates].reduce(
+    (expr, [currencyCode, rate]) =>
+      rate === null ? expr : { $cond: [{ $eq: ['$currencyCode', currencyCode] }, rate, expr] },
+    0
+  );
+
+  const getForeignShare = (expense) => {
+    const participant = expense.split.participants.find((item) => item.userId.equals(ownerId));
+    return participant ? participant.amount * (rates.get(expense.currencyCode) ?? 0) : 0;
+  };
+
+  const getAmount = (expense) =>
+    expense.workspaceId.equals(id) ? expense.getShareOf(ownerId) : getForeignShare(expense);
+
+  return {
+    match: { $or: [{ workspaceId: id }, foreignMatch] },
+    amountExpr: {
+      $cond: [
+        { $eq: ['$workspaceId', id] },
+        buildShareExpr(ownerId),
+        { $multiply: [buildParticipantAmountExpr(ownerId), foreignRateExpr] },
+      ],
+    },
+    getAmount,
+    getMemberShares: (expense) => [{ userId: ownerId, amount: getAmount(expense) }],
+  };
+};
+
+/**
+ * Минимальный набор переводов для взаимозачета
+ * Жадно сводит наибольшего должника с наибольшим кредитором:
+ * каждый перевод обнуляет хотя бы один баланс, поэтому переводов не больше n - 1.
+ */
+export const buildSettleUpTransfers = (balances) => {
+  const debtors = [];
+  const creditors = [];
+
+  for (const [userId, balance] of balances) {
+    const cents = toCents(balance);
+    if (cents < 0) {
+      debtors.push({ userId, cents: -cents });
+    } else if (cents > 0) {
+      creditors.push({ userId, cents });
+    }
+  }
+
+  debtors.sort((a, b) => b.cents - a.cents);
+  creditors.sort((a, b) => b.cents - a.cents);
+
+  const transfers = [];
+  let debtorIndex = 0;
+  let creditorIndex = 0;
+
+  while (debtorIndex < debtors.length && creditorIndex < creditors.length) {
+    const debtor = debtors[debtorIndex];
+    const creditor = creditors[creditorIndex];
+    const cents = Math.min(debtor.cents, creditor.cents);
+
+    transfers.push({ fromUserId: debtor.userId, toUserId: creditor.userId, amount: cents / 100 });
+
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+    if (debtor.cents === 0) {
+      debtorIndex += 1;
+    }
+    if (creditor.cents === 0) {
+      creditorIndex += 1;
+    }
+  }
+
+  return transfers;
+};
+
+/**
+ * Балансы участников рабочего пространства в базовой валюте:
+ * положительный - участнику должны, отрицательный - должен он.
+ * Плательщик разделенного расхода получает в плюс всю сумму, каждый участник - в минус свою часть;
+ * зарегистрированные расчеты уменьшают долг.
+ */
+export const computeBalances = async (workspaceId) => {
+  const balances = new Map();
+  const add = (userId, value) => {
+    const key = String(userId);
+    balances.set(key, (balances.get(key) || 0) + value);
+  };
+
+  const expenses = Expense.find({ workspaceId, split: { $ne: null } })
+    .select('userId amount baseAmount split')
+    .cursor();
+
+  for await (const expense of expenses) {
+    add(expense.split.paidBy, expense.amountInBase);
+
+    for (const participant of expense.split.participants) {
+      add(participant.userId, -expense.getShareOf(participant.userId));
+    }
+  }
+
+  const settlements = await Settlement.find({ workspaceId }).select(
+    'fromUserId toUserId amount baseAmount'
+  );
+
+  for (const settlement of settlements) {
+    add(settlement.fromUserId, settlement.amountInBase);
+    add(settlement.toUserId, -settlement.amountInBase);
+  }
+
+  // Округление до центов, чтобы не накапливать погрешность деления
+  for (const [userId, balance] of balances) {
+    balances.set(userId, toCents(balance) / 100);
+  }
+
+  return balances;
+};
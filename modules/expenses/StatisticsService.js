@@ -0,0 +1,442 @@
+import mongoose from 'mongoose';
+import { getZonedParts, zonedDate } from '../../shared/utils/timezone.js';
+import Expense, { BASE_AMOUNT_EXPR } from './ExpenseSchema.js';
+
+/**
+ * Шаг временного ряда и разбивка рядов
+ */
+export const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+export const TIMESERIES_GROUPS = ['category', 'tag'];
+
+// Окно скользящего среднего по умолчанию (в интервалах): неделя, месяц, квартал
+export const DEFAULT_ROLLING_WINDOW = {
+  day: 7,
+  week: 4,
+  month: 3,
+};
+
+// Предел числа интервалов в одном ряду
+export const MAX_TIMESERIES_BUCKETS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Интервалы считаются по местному времени, записанному как UTC ("настенные часы"):
+ * в нем нет переходов на летнее время, поэтому шаг в день или месяц всегда одинаков.
+ * Начало интервала (неделя - с понедельника) для момента времени в часовом поясе.
+ */
+const toLocalBucket = (date, interval, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+
+  if (interval === 'month') {
+    return new Date(Date.UTC(year, month, 1));
+  }
+
+  const localDay = new Date(Date.UTC(year, month, day));
+  if (interval === 'week') {
+    return new Date(localDay.getTime() - ((localDay.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+
+  return localDay;
+};
+
+/**
+ * Сдвиг начала интервала на count интервалов
+ */
+const shiftLocalBucket = (bucket, interval, count) => {
+  if (interval === 'month') {
+    return new Date(Date.UTC(bucket.getUTCFullYear(), bucket.getUTCMonth() + count, 1));
+  }
+
+  return new Date(bucket.getTime() + count * (interval === 'week' ? 7 : 1) * DAY_MS);
+};
+
+/**
+ * Момент начала интервала: полночь местной даты в часовом поясе
+ */
+const fromLocalBucket = (bucket, timeZone) =>
+  zonedDate(timeZone, bucket.getUTCFullYear(), bucket.getUTCMonth(), bucket.getUTCDate());
+
+/**
+ * Число интервалов, пересекающихся с периодом
+ */
+export const countBuckets = (start, end, interval, timeZone) => {
+  const first = toLocalBucket(start, interval, timeZone);
+  const last = toLocalBucket(end, interval, timeZone);
+
+  if (interval === 'month') {
+    return (
+      (last.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+      last.getUTCMonth() -
+      first.getUTCMonth() +
+      1
+    );
+  }
+
+  return Math.round((last - first) / ((interval === 'week' ? 7 : 1) * DAY_MS)) + 1;
+};
+
+/**
+ * Местная дата расхода (полночь по "настенным часам") в выражении агрегации
+ */
+const localDayExpr = (timeZone) => ({
+  $let: {
+    vars: { parts: { $dateToParts: { date: '$date', timezone: timeZone } } },
+    in: {
+      $dateFromParts: { year: '$$parts.year', month: '$$parts.month', day: '$$parts.day' },
+    },
+  },
+});
+
+/**
+ * Ряды сумм по интервалам: без разбивки - один ряд, с разбивкой - ряд на категорию или тег
+ * Пустые интервалы заполняются нулями ($densify), скользящее среднее считается по окну
+ * из window интервалов ($setWindowFields), для первых интервалов окно берет расходы до периода.
+ * При разбивке по тегам расход с несколькими тегами входит в ряд каждого тега.
+ */
+const aggregateSeries = async (
+  workspaceId,
+  { start, end, interval, groupBy, window, timeZone }
+) => {
+  const firstBucket = toLocalBucket(start, interval, timeZone);
+  const rollingStart = shiftLocalBucket(firstBucket, interval, -(window - 1));
+  const boundsEnd = shiftLocalBucket(toLocalBucket(end, interval, timeZone), interval, 1);
+
+  const groupKey = groupBy === 'tag' ? '$tags' : groupBy === 'category' ? '$category' : null;
+
+  return Expense.aggregate([
+    {
+      $match: {
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+        date: {
+          $gte: fromLocalBucket(rollingStart, timeZone),
+          $lte: end,
+        },
+      },
+    },
+    ...(groupBy === 'tag' ? [{ $unwind: '$tags' }] : []),
+    {
+      $group: {
+        _id: {
+          bucket: {
+            $dateTrunc: {
+              date: localDayExpr(timeZone),
+              unit: interval,
+              ...(interval === 'week' ? { startOfWeek: 'monday' } : {}),
+            },
+          },
+          key: groupKey,
+        },
+        totalAmount: { $sum: BASE_AMOUNT_EXPR },
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        bucket: '$_id.bucket',
+        key: '$_id.key',
+        totalAmount: 1,
+        count: 1,
+      },
+    },
+    {
+      $densify: {
+        field: 'bucket',
+        partitionByFields: ['key'],
+        range: {
+          step: interval === 'week' ? 7 : 1,
+          unit: interval === 'month' ? 'month' : 'day',
+          bounds: [rollingStart, boundsEnd],
+        },
+      },
+    },
+    {
+      $set: {
+        totalAmount: { $ifNull: ['$totalAmount', 0] },
+        count: { $ifNull: ['$count', 0] },
+      },
+    },
+    {
+      $setWindowFields: {
+        partitionBy: '$key',
+        sortBy: { bucket: 1 },
+        output: {
+          rollingAverage: {
+            $avg: '$totalAmount',
+            window: { documents: [-(window - 1), 0] },
+          },
+        },
+      },
+    },
+    { $match: { bucket: { $gte: firstBucket } } },
+    {
+      // Начало интервала - полночь в часовом поясе пользователя
+      $set: {
+        start: {
+          $dateFromParts: {
+            year: { $year: '$bucket' },
+            month: { $month: '$bucket' },
+            day: { $dayOfMonth: '$bucket' },
+            timezone: timeZone,
+          },
+        },
+      },
+    },
+    { $sort: { key: 1, bucket: 1 } },
+  ]);
+};
+
+/**
+ * Пустой ряд (расходов за период нет)
+ */
+const buildEmptyBuckets = (start, end, interval, timeZone) => {
+  const count = countBuckets(start, end, interval, timeZone);
+  let bucket = toLocalBucket(start, interval, timeZone);
+
+  const buckets = [];
+  for (let index = 0; index < count; index++) {
+    buckets.push({
+      start: fromLocalBucket(bucket, timeZone),
+      totalAmount: 0,
+      count: 0,
+      rollingAverage: 0,
+    });
+    bucket = shiftLocalBucket(bucket, interval, 1);
+  }
+
+  return buckets;
+};
+
+/**
+ * Суммы по дню недели (1 - понедельник) и часу в часовом поясе пользователя
+ * В ответе только ячейки, в которых были расходы.
+ */
+const aggregateHeatmap = (workspaceId, { start, end, timeZone }) =>
+  Expense.aggregate([
+    {
+      $match: {
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+        date: { $gte: start, $lte: end },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          dayOfWeek: { $isoDayOfWeek: { date: '$date', timezone: timeZone } },
+          hour: { $hour: { date: '$date', timezone: timeZone } },
+        },
+        totalAmount: { $sum: BASE_AMOUNT_EXPR },
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        dayOfWeek: '$_id.dayOfWeek',
+        hour: '$_id.hour',
+        totalAmount: { $round: ['$totalAmount', 2] },
+        count: 1,
+      },
+    },
+    { $sort: { dayOfWeek: 1, hour: 1 } },
+  ]);
+
+/**
+ * Число календарных дней периода в часовом поясе
+ */
+const countCalendarDays = (start, end, timeZone) => {
+  const first = getZonedParts(start, timeZone);
+  const next = getZonedParts(new Date(end.getTime() + 1), timeZone);
+
+  return Math.round(
+    (Date.UTC(next.year, next.month, next.day) - Date.UTC(first.year, first.month, first.day)) /
+      DAY_MS
+  );
+};
+
+/**
+ * Сдвиг на days календарных дней назад с тем же местным временем
+ */
+const shiftDaysBack = (date, days, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+
+  return zonedDate(
+    timeZone,
+    parts.year,
+    parts.month,
+    parts.day - days,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    parts.millisecond
+  );
+};
+
+/**
+ * Тот же период годом ранее (по местному времени)
+ */
+const shiftYearBack = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+
+  return zonedDate(
+    timeZone,
+    parts.year - 1,
+    parts.month,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    parts.millisecond
+  );
+};
+
+/**
+ * Сравнение с предыдущим периодом из того же числа дней и тем же периодом год назад
+ * Суммы трех периодов считаются одной агрегацией.
+ */
+const aggregateComparison = async (workspaceId, { start, end, timeZone }) => {
+  const periods = {
+    current: { start, end },
+    previous: {
+      start: shiftDaysBack(start, countCalendarDays(start, end, timeZone), timeZone),
+      end: new Date(start.getTime() - 1),
+    },
+    lastYear: {
+      start: shiftYearBack(start, timeZone),
+      end: shiftYearBack(end, timeZone),
+    },
+  };
+
+  const inPeriod = ({ start: from, end: to }) => ({
+    $and: [{ $gte: ['$date', from] }, { $lte: ['$date', to] }],
+  });
+
+  const rows = await Expense.aggregate([
+    {
+      $match: {
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+        $or: Object.values(periods).map(({ start: from, end: to }) => ({
+          date: { $gte: from, $lte: to },
+        })),
+      },
+    },
+    {
+      // Периоды могут пересекаться (короткий год назад и длинный период), поэтому
+      // расход относится к каждому периоду, в который попадает
+      $facet: Object.fromEntries(
+        Object.entries(periods).map(([name, period]) => [
+          name,
+          [
+            { $match: { $expr: inPeriod(period) } },
+            {
+              $group: {
+                _id: null,
+                totalAmount: { $sum: BASE_AMOUNT_EXPR },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+        ])
+      ),
+    },
+  ]);
+
+  const totals = Object.fromEntries(
+    Object.keys(periods).map((name) => [
+      name,
+      {
+        totalAmount: roundAmount(rows[0]?.[name][0]?.totalAmount ?? 0),
+        count: rows[0]?.[name][0]?.count ?? 0,
+      },
+    ])
+  );
+
+  const compareWith = (name) => {
+    const change = roundAmount(totals.current.totalAmount - totals[name].totalAmount);
+
+    return {
+      period: periods[name],
+      ...totals[name],
+      change,
+      changePercent:
+        totals[name].totalAmount > 0
+          ? roundAmount((change / totals[name].totalAmount) * 100)
+          : null,
+    };
+  };
+
+  return {
+    current: totals.current,
+    previous: compareWith('previous'),
+    lastYear: compareWith('lastYear'),
+  };
+};
+
+/**
+ * Временной ряд расходов за период: суммы по интервалам со скользящим средним,
+ * сравнение с прошлыми периодами и тепловая карта по дням недели и часам
+ * Все суммы - в базовой валюте, интервалы - в часовом поясе пользователя.
+ */
+export const buildTimeseries = async (
+  workspaceId,
+  { start, end, interval = 'day', groupBy = null, window, timeZone }
+) => {
+  const rollingWindow = window ?? DEFAULT_ROLLING_WINDOW[interval];
+  const options = { start, end, interval, groupBy, window: rollingWindow, timeZone };
+
+  const rows = await aggregateSeries(workspaceId, options);
+  const heatmap = await aggregateHeatmap(workspaceId, options);
+  const comparison = await aggregateComparison(workspaceId, options);
+
+  const seriesByKey = new Map();
+  for (const row of rows) {
+    const key = row.key ?? null;
+    if (!seriesByKey.has(key)) {
+      seriesByKey.set(key, { key, totalAmount: 0, count: 0, buckets: [] });
+    }
+
+    const series = seriesByKey.get(key);
+    series.totalAmount += row.totalAmount;
+    series.count += row.count;
+    series.buckets.push({
+      start: row.start,
+      totalAmount: roundAmount(row.totalAmount),
+      count: row.count,
+      rollingAverage: roundAmount(row.rollingAverage),
+    });
+  }
+
+  // Ряд с расходами только до начала периода (в окне среднего) остается в ответе:
+  // сумма за период у него нулевая, но скользящее среднее - нет
+  let series = [...seriesByKey.values()].map((item) => ({
+    ...item,
+    totalAmount: roundAmount(item.totalAmount),
+  }));
+
+  if (!groupBy && series.length === 0) {
+    series = [
+      {
+        key: null,
+        totalAmount: 0,
+        count: 0,
+        buckets: buildEmptyBuckets(start, end, interval, timeZone),
+      },
+    ];
+  }
+
+  series.sort((a, b) => b.totalAmount - a.totalAmount);
+
+  return {
+    period: { start, end },
+    interval,
+    groupBy,
+    window: rollingWindow,
+    timeZone,
+    series,
+    comparison,
+    heatmap,
+  };
+};
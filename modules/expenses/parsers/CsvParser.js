@@ -0,0 +1,119 @@
+import { parseAmount, parseDate } from './values.js';
+
+/**
+ * Определение разделителя по первой строке (наиболее частый из ; , \t)
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [';', ',', '\t'];
+
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+};
+
+/**
+ * Разбор CSV в массив строк (RFC 4180: кавычки, экранирование "", переводы строк в кавычках)
+ */
+export const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Пустые строки (например, в конце файла) пропускаем
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+/**
+ * Разбор CSV-выписки
+ * mapping - соответствие полей колонкам: { date, amount, note, category, currency, id }
+ * (название колонки из заголовка или ее номер с 0)
+ */
+export const parseCsv = (text, options = {}) => {
+  const {
+    mapping = {},
+    delimiter = detectDelimiter(text),
+    hasHeader = true,
+    dateFormat,
+    decimalSeparator = '.',
+    timeZone,
+  } = options;
+
+  const rows = parseCsvRows(text.replace(/^﻿/, ''), delimiter);
+  const header = hasHeader ? (rows.shift() || []).map((cell) => cell.trim()) : [];
+
+  const resolveColumn = (column) => {
+    if (column === undefined || column === null || column === '') return -1;
+    if (Number.isInteger(Number(column))) return Number(column);
+    return header.findIndex((name) => name.toLowerCase() === String(column).toLowerCase());
+  };
+
+  const columns = {
+    date: resolveColumn(mapping.date ?? 'date'),
+    amount: resolveColumn(mapping.amount ?? 'amount'),
+    note: resolveColumn(mapping.note ?? 'note'),
+    category: resolveColumn(mapping.category),
+    currency: resolveColumn(mapping.currency),
+    id: resolveColumn(mapping.id),
+  };
+
+  if (columns.date < 0 || columns.amount < 0) {
+    throw new Error('Не найдены колонки даты и суммы. Укажите mapping.date и mapping.amount');
+  }
+
+  return rows.map((cells, index) => {
+    const cell = (column) => (column >= 0 ? (cells[column] ?? '').trim() : '');
+
+    const date = parseDate(cell(columns.date), dateFormat, timeZone);
+    const amount = parseAmount(cell(columns.amount), decimalSeparator);
+
+    return {
+      line: index + (hasHeader ? 2 : 1),
+      date,
+      amount,
+      note: cell(columns.note) || null,
+      category: cell(columns.category) || null,
+      currencyCode: cell(columns.currency).toUpperCase() || null,
+      externalId: cell(columns.id) || null,
+      error: !date
+        ? 'Не удалось разобрать дату'
+        : amount === null
+          ? 'Не удалось разобрать сумму'
+          : null,
+    };
+  });
+};
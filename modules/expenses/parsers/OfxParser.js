@@ -0,0 +1,69 @@
+import { calendarDate } from './values.js';
+
+/**
+ * Разбор выписок OFX/QFX (как SGML-версии 1.x без закрывающих тегов, так и XML-версии 2.x)
+ */
+
+/**
+ * Значение тега внутри блока: <TAG>value (до следующего тега или конца строки)
+ */
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Дата OFX: YYYYMMDD[HHMMSS[.XXX]][[TZ]] - учитываем только календарный день
+ */
+const parseOfxDate = (value, timeZone) => {
+  const match = String(value ?? '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match
+    ? calendarDate(Number(match[1]), Number(match[2]), Number(match[3]), timeZone)
+    : null;
+};
+
+/**
+ * Декодирование XML-сущностей в текстовых полях
+ */
+const decodeEntities = (value) =>
+  value
+    ?.replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&') ?? null;
+
+export const parseOfx = (text, options = {}) => {
+  if (!/<OFX>/i.test(text)) {
+    throw new Error('Файл не является выпиской OFX');
+  }
+
+  const currencyCode = readTag(text, 'CURDEF')?.toUpperCase() || null;
+  const accountId = readTag(text, 'ACCTID');
+
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map((block, index) => {
+    const date = parseOfxDate(readTag(block, 'DTPOSTED'), options.timeZone);
+    const amount = Number(readTag(block, 'TRNAMT')?.replace(',', '.'));
+    const name = decodeEntities(readTag(block, 'NAME'));
+    const memo = decodeEntities(readTag(block, 'MEMO'));
+    const fitId = readTag(block, 'FITID');
+
+    return {
+      line: index + 1,
+      date,
+      amount: Number.isFinite(amount) ? amount : null,
+      note: [name, memo].filter(Boolean).join(' - ') || null,
+      category: null,
+      currencyCode: readTag(block, 'CURRENCY')?.toUpperCase() || currencyCode,
+      // FITID уникален только в пределах счета
+      externalId: fitId ? [accountId, fitId].filter(Boolean).join(':') : null,
+      error: !date
+        ? 'Не удалось разобрать дату'
+        : !Number.isFinite(amount)
+          ? 'Не удалось разобрать сумму'
+          : null,
+    };
+  });
+};
@@ -0,0 +1,73 @@
+import { parseAmount, parseDate } from './values.js';
+
+/**
+ * Разбор выписок QIF (Quicken Interchange Format)
+ * Запись состоит из строк "<код><значение>" и завершается строкой "^"
+ */
+
+/**
+ * Даты QIF часто записываются как 1/5'26 - приводим апостроф к разделителю и год к 4 цифрам
+ */
+const normalizeQifDate = (value) =>
+  value
+    .trim()
+    .replace(/'\s*/, '/')
+    .replace(/([/.-])(\d{2})$/, '$120$2');
+
+export const parseQif = (text, options = {}) => {
+  const { dateFormat = 'MM/DD/YYYY', decimalSeparator = '.', timeZone } = options;
+
+  const format = dateFormat.includes('YYYY') ? dateFormat : dateFormat.replace('YY', 'YYYY');
+
+  const transactions = [];
+  let record = {};
+  let startLine = 1;
+
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (!line || line.startsWith('!')) {
+      startLine = index + 2;
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code !== '^') {
+      // Поля разбиений (S, E, $) не поддерживаются - берем общую сумму транзакции
+      if (!(code in record)) {
+        record[code] = value;
+      }
+      return;
+    }
+
+    if (Object.keys(record).length > 0) {
+      const date = parseDate(normalizeQifDate(record.D ?? ''), format, timeZone);
+      const amount = parseAmount(record.T ?? record.U, decimalSeparator);
+
+      transactions.push({
+        line: startLine,
+        date,
+        amount,
+        note: [record.P, record.M].filter(Boolean).join(' - ') || null,
+        // Категория QIF может содержать подкатегорию через ":" и класс через "/"
+        category: record.L?.replace(/^\[.*\]$/, '').split(/[:/]/)[0] || null,
+        currencyCode: null,
+        externalId: record.N || null,
+        error: !date
+          ? 'Не удалось разобрать дату'
+          : amount === null
+            ? 'Не удалось разобрать сумму'
+            : null,
+      });
+    }
+
+    record = {};
+    startLine = index + 2;
+  });
+
+  return transactions;
+};
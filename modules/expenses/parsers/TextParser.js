@@ -0,0 +1,126 @@
+import { parseAmount, parseDate } from './values.js';
+
+/**
+ * Разбор расхода из произвольного текста: "кофе 4.50 вчера", "taxi 12€ 2026-03-01"
+ */
+
+// Границы слов с учетом кириллицы (\b в JS понимает только латиницу)
+const START = '(?<![\\p{L}\\p{N}])';
+const END = '(?![\\p{L}\\p{N}])';
+
+// Относительные даты: смещение в днях назад (длинные варианты раньше, "позавчера" содержит "вчера")
+const RELATIVE_DAYS = [
+  [/day before yesterday|позавчера/iu, 2],
+  [/yesterday|вчера/iu, 1],
+  [/today|сегодня/iu, 0],
+];
+
+// Символы валют и названия/коды валют (коды без словаря - только из списка)
+const CURRENCY_SYMBOLS = { '€': 'EUR', $: 'USD', '₽': 'RUB', '£': 'GBP', '₴': 'UAH', '₸': 'KZT' };
+const CURRENCY_WORDS = [
+  ['euros?|евро|eur', 'EUR'],
+  ['dollars?|доллар(?:ов|а)?|долл|usd', 'USD'],
+  ['руб(?:лей|ля|ль)?|rub', 'RUB'],
+  ['pounds?|gbp', 'GBP'],
+  ['грн|uah', 'UAH'],
+  ['тенге|kzt', 'KZT'],
+  ['zł|pln', 'PLN'],
+  ['chf|czk|sek|nok|dkk|cad|aud|jpy|cny|gel|amd|byn', null],
+];
+
+const atDay = (now, daysAgo) =>
+  new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysAgo, 12);
+
+/**
+ * Поиск даты в тексте, возвращает { date, rest }
+ */
+const extractDate = (text, now) => {
+  for (const [pattern, daysAgo] of RELATIVE_DAYS) {
+    const match = text.match(new RegExp(`${START}(?:${pattern.source})${END}`, 'iu'));
+    if (match) {
+      return { date: atDay(now, daysAgo), rest: text.replace(match[0], ' ') };
+    }
+  }
+
+  const ago = text.match(
+    new RegExp(`${START}(\\d{1,3})\\s*(?:days?|дн(?:ей|я)|день)\\s+(?:ago|назад)${END}`, 'iu')
+  );
+  if (ago) {
+    return { date: atDay(now, Number(ago[1])), rest: text.replace(ago[0], ' ') };
+  }
+
+  const iso = text.match(/(?<!\d)\d{4}-\d{2}-\d{2}(?!\d)/);
+  if (iso) {
+    return { date: parseDate(iso[0]), rest: text.replace(iso[0], ' ') };
+  }
+
+  // 01.03.2026, 01.03.26, 01/03, 01/03/2026 (день идет первым)
+  const dotted = text.match(
+    /(?<![\d.,])(\d{1,2})(?:\.(\d{1,2})\.(\d{2,4})|\/(\d{1,2})(?:\/(\d{2,4}))?)(?!\d)/
+  );
+  if (dotted) {
+    const [, day, dotMonth, dotYear, slashMonth, slashYear] = dotted;
+    const year = dotYear || slashYear || String(now.getFullYear());
+    const date = parseDate(
+      `${day}.${dotMonth || slashMonth}.${year}`,
+      year.length === 2 ? 'DD.MM.YY' : 'DD.MM.YYYY'
+    );
+    if (date) {
+      return { date, rest: text.replace(dotted[0], ' ') };
+    }
+  }
+
+  return { date: null, rest: text };
+};
+
+/**
+ * Поиск валюты в тексте, возвращает { currencyCode, rest }
+ */
+const extractCurrency = (text) => {
+  for (const [symbol, code] of Object.entries(CURRENCY_SYMBOLS)) {
+    if (text.includes(symbol)) {
+      return { currencyCode: code, rest: text.replace(symbol, ' ') };
+    }
+  }
+
+  for (const [words, code] of CURRENCY_WORDS) {
+    const match = text.match(new RegExp(`${START}(?:${words})${END}`, 'iu'));
+    if (match) {
+      return {
+        currencyCode: code || match[0].toUpperCase(),
+        rest: text.replace(match[0], ' '),
+      };
+    }
+  }
+
+  return { currencyCode: null, rest: text };
+};
+
+/**
+ * Черновик расхода из текста: { amount, currencyCode, date, note }
+ * Незаполненные поля - null (дата по умолчанию - сегодня определяет вызывающий код)
+ */
+export const parseExpenseText = (text, now = new Date()) => {
+  const { date, rest: withoutDate } = extractDate(` ${text} `, now);
+  const { currencyCode, rest: withoutCurrency } = extractCurrency(withoutDate);
+
+  let amount = null;
+  let rest = withoutCurrency;
+  const number = rest.match(/(?<![\p{L}\p{N}.,])\d+(?:[.,]\d{1,2})?(?![\p{N}])/u);
+  if (number) {
+    amount = parseAmount(number[0], number[0].includes(',') ? ',' : '.');
+    rest = rest.replace(number[0], ' ');
+  }
+
+  const note = rest
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,.;:-]+|[\s,.;:-]+$/g, '')
+    .slice(0, 500);
+
+  return {
+    amount: amount && amount > 0 ? amount : null,
+    currencyCode,
+    date,
+    note: note || null,
+  };
+};
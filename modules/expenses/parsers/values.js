@@ -0,0 +1,108 @@
+import { zonedDate } from '../../../shared/utils/timezone.js';
+
+/**
+ * Общие функции разбора значений из банковских выписок
+ */
+
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+};
+
+/**
+ * Полдень календарного дня в часовом поясе (без пояса - в локальном времени сервера):
+ * сдвиг часового пояса не меняет дату
+ */
+export const calendarDate = (year, month, day, timeZone) =>
+  zonedDate(timeZone, year, month - 1, day, 12);
+
+/**
+ * Разбор даты по формату из токенов YYYY, YY, MM, DD и любых разделителей
+ * (например "DD.MM.YYYY", "MM/DD/YYYY"). Без формата принимается ISO 8601.
+ * Возвращает Date (полдень дня в часовом поясе timeZone, см. calendarDate) или null
+ */
+export const parseDate = (value, format, timeZone = null) => {
+  const raw = String(value ?? '').trim();
+
+  if (!raw) {
+    return null;
+  }
+
+  if (!format) {
+    const iso = raw.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return iso ? calendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3]), timeZone) : null;
+  }
+
+  const order = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/YYYY|YY|MM|DD/g, (token) => {
+      order.push(token);
+      return DATE_TOKENS[token];
+    });
+
+  const match = raw.match(new RegExp(`^${pattern}`));
+
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  order.forEach((token, index) => {
+    parts[token] = Number(match[index + 1]);
+  });
+
+  const year = parts.YYYY ?? (parts.YY !== undefined ? 2000 + parts.YY : null);
+  const month = parts.MM;
+  const day = parts.DD;
+
+  if (!year || !month || !day || month > 12 || day > 31) {
+    return null;
+  }
+
+  // Отсекаем несуществующие даты вроде 31.02
+  if (new Date(Date.UTC(year, month - 1, day)).getUTCMonth() !== month - 1) {
+    return null;
+  }
+
+  return calendarDate(year, month, day, timeZone);
+};
+
+/**
+ * Разбор суммы с учетом десятичного разделителя ("." или ",")
+ * Пробелы и разделители тысяч удаляются, скобки "(12.50)" считаются отрицательной суммой
+ */
+export const parseAmount = (value, decimalSeparator = '.') => {
+  let raw = String(value ?? '')
+    .trim()
+    .replace(/[\s ']/g, '');
+
+  if (!raw) {
+    return null;
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(raw)) {
+    negative = true;
+    raw = raw.slice(1, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  raw = raw.split(thousandsSeparator).join('');
+  if (decimalSeparator === ',') {
+    raw = raw.replace(',', '.');
+  }
+
+  // Символы валют и прочий мусор
+  raw = raw.replace(/[^\d.+-]/g, '');
+
+  const amount = Number(raw);
+
+  if (!raw || !Number.isFinite(amount)) {
+    return null;
+  }
+
+  return negative ? -amount : amount;
+};
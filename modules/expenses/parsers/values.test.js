@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { formatDateInZone } from '../../../shared/utils/timezone.js';
+import { parseDate } from './values.js';
+
+const NEW_YORK = 'America/New_York';
+const AUCKLAND = 'Pacific/Auckland';
+
+describe('parseDate', () => {
+  it('дата выписки - полдень календарного дня в часовом поясе (в том числе в день перехода)', () => {
+    assert.equal(parseDate('2026-03-08', null, NEW_YORK).toISOString(), '2026-03-08T16:00:00.000Z');
+    assert.equal(
+      parseDate('05.04.2026', 'DD.MM.YYYY', AUCKLAND).toISOString(),
+      '2026-04-05T00:00:00.000Z'
+    );
+  });
+
+  it('календарный день сохраняется в часовом поясе пользователя', () => {
+    for (const timeZone of [NEW_YORK, AUCKLAND]) {
+      assert.equal(
+        formatDateInZone(parseDate('2026-11-01', null, timeZone), timeZone),
+        '2026-11-01'
+      );
+    }
+  });
+
+  it('несуществующая дата отклоняется', () => {
+    assert.equal(parseDate('31.02.2026', 'DD.MM.YYYY', NEW_YORK), null);
+  });
+});
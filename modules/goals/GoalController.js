@@ -0,0 +1,310 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import Goal from './GoalSchema.js';
+import { getGoalPeriod } from './GoalService.js';
+
+/**
+ * Получение целей рабочего пространства с прогрессом
+ * GET /api/goals
+ */
+export const getGoals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const filter = { workspaceId: req.workspaceId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const goals = await Goal.find(filter).sort({ createdAt: 1 });
+    const period = await getGoalPeriod(req.workspaceId, req.timezone);
+
+    res.json({
+      period: {
+        start: period.periodStart,
+        end: period.periodEnd,
+      },
+      goals: goals.map((goal) => goal.toPublicJSON(period)),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetGoals Error');
+    res.status(500).json({
+      message: 'Ошибка при получении целей',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение цели с историей взносов
+ * GET /api/goals/:id
+ */
+export const getGoalById = async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Цель не найдена',
+      });
+    }
+
+    const period = await getGoalPeriod(req.workspaceId, req.timezone);
+
+    res.json({
+      goal: goal.toPublicJSON(period, { withContributions: true }),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetGoalById Error');
+    res.status(500).json({
+      message: 'Ошибка при получении цели',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Создание цели (валюта по умолчанию - базовая валюта бюджета)
+ * POST /api/goals
+ */
+export const createGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { name, targetAmount, currencyCode, deadline, monthlyContribution } = req.body;
+
+    const goal = new Goal({
+      userId: req.userId,
+      workspaceId: req.workspaceId,
+      name,
+      targetAmount,
+      currencyCode: currencyCode || (await BudgetSettings.getBaseCurrency(req.workspaceId)),
+      deadline: deadline ? new Date(deadline) : null,
+      monthlyContribution: monthlyContribution ?? null,
+    });
+
+    await goal.save();
+
+    const period = await getGoalPeriod(req.workspaceId, req.timezone);
+
+    res.status(201).json({
+      message: 'Цель создана',
+      goal: goal.toPublicJSON(period),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CreateGoal Error');
+    res.status(500).json({
+      message: 'Ошибка при создании цели',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Обновление цели
+ * PUT /api/goals/:id
+ */
+export const updateGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Цель не найдена',
+      });
+    }
+
+    const { name, targetAmount, currencyCode, deadline, monthlyContribution, status } = req.body;
+
+    // Взносы хранятся в валюте цели, поэтому сменить ее можно только до первого взноса
+    if (
+      currencyCode !== undefined &&
+      currencyCode.toUpperCase() !== goal.currencyCode &&
+      goal.contributions.length > 0
+    ) {
+      return res.status(400).json({
+        message: 'Нельзя сменить валюту цели, по которой уже есть взносы',
+      });
+    }
+
+    if (name !== undefined) goal.name = name;
+    if (targetAmount !== undefined) goal.targetAmount = targetAmount;
+    if (currencyCode !== undefined) goal.currencyCode = currencyCode;
+    if (deadline !== undefined) goal.deadline = deadline ? new Date(deadline) : null;
+    if (monthlyContribution !== undefined) goal.monthlyContribution = monthlyContribution;
+
+    if (status !== undefined) {
+      goal.status = status === 'archived' ? 'archived' : 'active';
+    }
+    goal.syncStatus();
+
+    await goal.save();
+
+    const period = await getGoalPeriod(req.workspaceId, req.timezone);
+
+    res.json({
+      message: 'Цель обновлена',
+      goal: goal.toPublicJSON(period),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpdateGoal Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении цели',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление цели вместе с историей взносов
+ * DELETE /api/goals/:id
+ */
+export const deleteGoal = async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Цель не найдена',
+      });
+    }
+
+    res.json({
+      message: 'Цель удалена',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteGoal Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении цели',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Взнос на цель (отрицательная сумма - снятие)
+ * POST /api/goals/:id/contributions
+ */
+export const addContribution = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Цель не найдена',
+      });
+    }
+
+    const { amount, date, note } = req.body;
+
+    if (goal.savedAmount + amount < 0) {
+      return res.status(400).json({
+        message: `Нельзя снять больше накопленного (${goal.savedAmount} ${goal.currencyCode})`,
+      });
+    }
+
+    goal.contributions.push({
+      userId: req.userId,
+      amount,
+      date: date ? new Date(date) : new Date(),
+      note: note || null,
+    });
+    goal.syncStatus();
+
+    await goal.save();
+
+    const period = await getGoalPeriod(req.workspaceId, req.timezone);
+
+    res.status(201).json({
+      message: amount > 0 ? 'Взнос добавлен' : 'Снятие добавлено',
+      contribution: goal.contributions.at(-1),
+      goal: goal.toPublicJSON(period),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'AddGoalContribution Error');
+    res.status(500).json({
+      message: 'Ошибка при добавлении взноса',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление взноса из истории
+ * DELETE /api/goals/:id/contributions/:contributionId
+ */
+export const deleteContribution = async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Цель не найдена',
+      });
+    }
+
+    const contribution = goal.contributions.id(req.params.contributionId);
+
+    if (!contribution) {
+      return res.status(404).json({
+        message: 'Взнос не найден',
+      });
+    }
+
+    if (goal.savedAmount - contribution.amount < 0) {
+      return res.status(400).json({
+        message: 'После удаления взноса накопленная сумма станет отрицательной',
+      });
+    }
+
+    contribution.deleteOne();
+    goal.syncStatus();
+
+    await goal.save();
+
+    const period = await getGoalPeriod(req.workspaceId, req.timezone);
+
+    res.json({
+      message: 'Взнос удален',
+      goal: goal.toPublicJSON(period),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteGoalContribution Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении взноса',
+      error: error.message,
+    });
+  }
+};
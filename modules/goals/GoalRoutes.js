@@ -0,0 +1,139 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import workspaceAccess from '../../shared/middlewares/WorkspaceMiddleware.js';
+import * as GoalController from './GoalController.js';
+import { GOAL_STATUSES } from './GoalSchema.js';
+
+const router = express.Router();
+
+/**
+ * Валидация для создания цели
+ */
+const createGoalValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Название должно быть от 1 до 100 символов'),
+  body('targetAmount')
+    .isFloat({ gt: 0 })
+    .withMessage('Сумма цели должна быть положительным числом'),
+  body('currencyCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Код валюты должен состоять из 3 символов'),
+  body('deadline')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Дата должна быть в формате ISO 8601'),
+  body('monthlyContribution')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Плановый взнос должен быть неотрицательным числом'),
+];
+
+/**
+ * Валидация для обновления цели
+ */
+const updateGoalValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Название должно быть от 1 до 100 символов'),
+  body('targetAmount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Сумма цели должна быть положительным числом'),
+  body('currencyCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Код валюты должен состоять из 3 символов'),
+  body('deadline')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Дата должна быть в формате ISO 8601'),
+  body('monthlyContribution')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Плановый взнос должен быть неотрицательным числом'),
+  body('status')
+    .optional()
+    .isIn(['active', 'archived'])
+    .withMessage('Статус можно сменить только на active или archived'),
+];
+
+/**
+ * Валидация взноса
+ */
+const contributionValidation = [
+  body('amount')
+    .isFloat()
+    .custom((value) => Number(value) !== 0)
+    .withMessage('Сумма взноса должна быть ненулевым числом')
+    .toFloat(),
+  body('date').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Заметка не должна превышать 500 символов'),
+];
+
+/**
+ * Валидация фильтра списка целей
+ */
+const goalsQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(GOAL_STATUSES)
+    .withMessage(`Статус должен быть одним из: ${GOAL_STATUSES.join(', ')}`),
+];
+
+// Чтение доступно любому участнику рабочего пространства, изменения - редактору и владельцу
+router.get(
+  '/',
+  checkAuth,
+  workspaceAccess('viewer'),
+  goalsQueryValidation,
+  GoalController.getGoals
+);
+router.post(
+  '/',
+  checkAuth,
+  workspaceAccess('editor'),
+  createGoalValidation,
+  GoalController.createGoal
+);
+router.get('/:id', checkAuth, workspaceAccess('viewer'), GoalController.getGoalById);
+router.put(
+  '/:id',
+  checkAuth,
+  workspaceAccess('editor'),
+  updateGoalValidation,
+  GoalController.updateGoal
+);
+router.delete('/:id', checkAuth, workspaceAccess('editor'), GoalController.deleteGoal);
+
+// История взносов
+router.post(
+  '/:id/contributions',
+  checkAuth,
+  workspaceAccess('editor'),
+  contributionValidation,
+  GoalController.addContribution
+);
+router.delete(
+  '/:id/contributions/:contributionId',
+  checkAuth,
+  workspaceAccess('editor'),
+  GoalController.deleteContribution
+);
+
+export default router;
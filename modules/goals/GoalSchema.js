@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import { DEFAULT_PERIOD_SCHEDULE, listPeriods } from '../../shared/utils/period.js';
+
+export const GOAL_STATUSES = ['active', 'completed', 'archived'];
+
+// Верхняя граница подсчета оставшихся периодов
+const MAX_PERIODS = 1200;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const ContributionSchema = new mongoose.Schema(
+  {
+    // Кто внес взнос
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Отрицательная сумма - снятие денег с цели
+    amount: {
+      type: Number,
+      required: [true, 'Сумма взноса обязательна'],
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Заметка не может превышать 500 символов'],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Цель накопления (отпуск, подушка безопасности и т.п.) с историей взносов
+ * Суммы цели и взносов - в валюте цели.
+ */
+const GoalSchema = new mongoose.Schema(
+  {
+    // Кто создал цель
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Название цели обязательно'],
+      trim: true,
+      maxlength: [100, 'Название не может быть длиннее 100 символов'],
+    },
+    targetAmount: {
+      type: Number,
+      required: [true, 'Сумма цели обязательна'],
+      min: [0.01, 'Сумма цели должна быть положительной'],
+    },
+    currencyCode: {
+      type: String,
+      required: [true, 'Код валюты обязателен'],
+      uppercase: true,
+      trim: true,
+      validate: {
+        validator: (v) => /^[A-Z]{3}$/.test(v),
+        message: (props) => `${props.value} не является валидным кодом валюты (ISO 4217)!`,
+      },
+    },
+    // Срок, к которому нужно накопить (null - без срока)
+    deadline: {
+      type: Date,
+      default: null,
+    },
+    // Плановый взнос за период; без него используется расчетный по сроку
+    monthlyContribution: {
+      type: Number,
+      min: [0, 'Плановый взнос не может быть отрицательным'],
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: GOAL_STATUSES,
+      default: 'active',
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    contributions: {
+      type: [ContributionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+GoalSchema.index({ workspaceId: 1, status: 1 });
+
+// Виртуальное поле с накопленной суммой
+GoalSchema.virtual('savedAmount').get(function () {
+  return roundAmount(this.contributions.reduce((sum, item) => sum + item.amount, 0));
+});
+
+// Метод для синхронизации статуса с накопленной суммой (архивные цели не трогаются)
+GoalSchema.methods.syncStatus = function () {
+  if (this.status === 'archived') {
+    return;
+  }
+
+  if (this.savedAmount >= this.targetAmount) {
+    if (this.status !== 'completed') {
+      this.status = 'completed';
+      this.completedAt = new Date();
+    }
+  } else if (this.status === 'completed') {
+    this.status = 'active';
+    this.completedAt = null;
+  }
+};
+
+/**
+ * Метод для расчета прогресса цели в текущем периоде бюджета
+ * Обязательный взнос считается на начало периода: остаток делится на число периодов до срока
+ * (по расписанию периодов бюджета), поэтому взносы внутри периода не меняют его,
+ * а уменьшают remainingThisPeriod.
+ */
+GoalSchema.methods.getProgress = function (
+  { periodStart, periodEnd, schedule = DEFAULT_PERIOD_SCHEDULE },
+  now = new Date()
+) {
+  const savedAmount = this.savedAmount;
+  const remainingAmount = roundAmount(Math.max(this.targetAmount - savedAmount, 0));
+
+  const savedBeforePeriod = this.contributions
+    .filter((item) => item.date < periodStart)
+    .reduce((sum, item) => sum + item.amount, 0);
+  const contributedThisPeriod = roundAmount(
+    this.contributions
+      .filter((item) => item.date >= periodStart && item.date <= periodEnd)
+      .reduce((sum, item) => sum + item.amount, 0)
+  );
+
+  let periodsLeft = null;
+  let requiredMonthlyContribution = null;
+  const isOverdue = Boolean(this.deadline && this.deadline < now && remainingAmount > 0);
+
+  if (this.deadline) {
+    // Число периодов (включая текущий), которые начинаются не позже срока
+    periodsLeft = Math.max(
+      listPeriods(schedule, periodStart, this.deadline, MAX_PERIODS).length,
+      1
+    );
+
+    const remainingAtPeriodStart = Math.max(this.targetAmount - savedBeforePeriod, 0);
+    requiredMonthlyContribution = roundAmount(remainingAtPeriodStart / periodsLeft);
+  }
+
+  const plannedContribution =
+    this.status === 'active' ? (this.monthlyContribution ?? requiredMonthlyContribution ?? 0) : 0;
+
+  return {
+    savedAmount,
+    remainingAmount,
+    percentComplete: Math.min(Math.round((savedAmount / this.targetAmount) * 10000) / 100, 100),
+    periodsLeft,
+    requiredMonthlyContribution,
+    plannedContribution,
+    contributedThisPeriod,
+    remainingThisPeriod: roundAmount(Math.max(plannedContribution - contributedThisPeriod, 0)),
+    isOverdue,
+  };
+};
+
+// Метод для получения данных цели с прогрессом (история взносов - по запросу)
+GoalSchema.methods.toPublicJSON = function (period, { withContributions = false } = {}) {
+  return {
+    _id: this._id,
+    userId: this.userId,
+    workspaceId: this.workspaceId,
+    name: this.name,
+    targetAmount: this.targetAmount,
+    currencyCode: this.currencyCode,
+    deadline: this.deadline,
+    monthlyContribution: this.monthlyContribution,
+    status: this.status,
+    completedAt: this.completedAt,
+    contributionsCount: this.contributions.length,
+    contributions: withContributions
+      ? [...this.contributions].sort((a, b) => b.date - a.date)
+      : undefined,
+    progress: this.getProgress(period),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+export default mongoose.model('Goal', GoalSchema);
@@ -0,0 +1,56 @@
+import BudgetSettings from '../budget/BudgetSchema.js';
+import { convertToBase } from '../currency/CurrencyService.js';
+import Goal from './GoalSchema.js';
+
+/**
+ * Текущий период бюджета пространства с расписанием периодов
+ * (без настроек - календарный месяц в часовом поясе пользователя)
+ */
+export const getGoalPeriod = (workspaceId, timeZone) =>
+  BudgetSettings.getWorkspacePeriod(workspaceId, new Date(), timeZone);
+
+/**
+ * Отложенные на цели деньги в текущем периоде, в базовой валюте
+ * По каждой активной цели резервируется плановый взнос, а если внесено больше - внесенная сумма.
+ * Цели, для валюты которых нет курса, попадают в список с baseAmount: null и в сумму не входят.
+ */
+export const getPlannedGoalContributions = async (settings, workspaceId, period, userId) => {
+  const goals = await Goal.find({ workspaceId, status: 'active' });
+  const now = new Date();
+
+  const items = [];
+  for (const goal of goals) {
+    const progress = goal.getProgress(period, now);
+    const reserved = Math.max(progress.plannedContribution, progress.contributedThisPeriod);
+    if (reserved <= 0) {
+      continue;
+    }
+
+    let baseAmount = reserved;
+    if (goal.currencyCode !== settings.currencyCode) {
+      const conversion = await convertToBase(
+        reserved,
+        goal.currencyCode,
+        settings.currencyCode,
+        now,
+        userId
+      );
+      baseAmount = conversion ? conversion.baseAmount : null;
+    }
+
+    items.push({
+      goalId: goal._id,
+      name: goal.name,
+      amount: reserved,
+      currencyCode: goal.currencyCode,
+      baseAmount,
+      contributedThisPeriod: progress.contributedThisPeriod,
+      remainingThisPeriod: progress.remainingThisPeriod,
+    });
+  }
+
+  return {
+    total: Math.round(items.reduce((sum, item) => sum + (item.baseAmount ?? 0), 0) * 100) / 100,
+    items,
+  };
+};
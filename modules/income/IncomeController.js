@@ -0,0 +1,354 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import { parseDateBoundary } from '../../shared/utils/timezone.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import { applyBaseConversion } from '../currency/CurrencyService.js';
+import { BASE_AMOUNT_EXPR } from '../expenses/ExpenseSchema.js';
+import Income from './IncomeSchema.js';
+
+/**
+ * Создание нового дохода
+ * POST /api/income
+ */
+export const createIncome = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { amount, date, source, note, tags, currencyCode } = req.body;
+
+    // Валюта дохода по умолчанию - валюта бюджета
+    const baseCurrency = await BudgetSettings.getBaseCurrency(req.workspaceId);
+
+    const income = new Income({
+      userId: req.userId,
+      workspaceId: req.workspaceId,
+      amount,
+      currencyCode: currencyCode ? currencyCode.toUpperCase() : baseCurrency,
+      date: date ? new Date(date) : new Date(),
+      source: source || 'Other',
+      note: note || null,
+      tags: tags || [],
+    });
+
+    // Пересчет в валюту бюджета по курсу на дату дохода
+    if (!(await applyBaseConversion(income, baseCurrency))) {
+      return res.status(400).json({
+        message: `Нет курса ${income.currencyCode} -> ${baseCurrency} на дату дохода. Добавьте курс вручную.`,
+      });
+    }
+
+    await income.save();
+
+    res.status(201).json({
+      message: 'Доход создан',
+      income,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CreateIncome Error');
+    res.status(500).json({
+      message: 'Ошибка при создании дохода',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение всех доходов рабочего пространства с фильтрацией и пагинацией
+ * GET /api/income
+ */
+export const getIncomes = async (req, res) => {
+  try {
+    const {
+      source,
+      startDate,
+      endDate,
+      minAmount,
+      maxAmount,
+      search,
+      tags,
+      sort = '-date',
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const filter = { workspaceId: req.workspaceId };
+
+    // Фильтр по источнику
+    if (source) {
+      filter.source = source;
+    }
+
+    // Фильтр по датам
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) {
+        filter.date.$gte = parseDateBoundary(startDate, req.timezone);
+      }
+      if (endDate) {
+        filter.date.$lte = parseDateBoundary(endDate, req.timezone, 'end');
+      }
+    }
+
+    // Фильтр по сумме в базовой валюте пространства (как итог)
+    if (minAmount || maxAmount) {
+      const bounds = [];
+      if (minAmount) {
+        bounds.push({ $gte: [BASE_AMOUNT_EXPR, Number(minAmount)] });
+      }
+      if (maxAmount) {
+        bounds.push({ $lte: [BASE_AMOUNT_EXPR, Number(maxAmount)] });
+      }
+      filter.$expr = { $and: bounds };
+    }
+
+    // Поиск по заметкам
+    if (search) {
+      filter.note = { $regex: search, $options: 'i' };
+    }
+
+    // Фильтр по тегам
+    if (tags) {
+      const tagsArray = Array.isArray(tags) ? tags : tags.split(',');
+      filter.tags = { $in: tagsArray };
+    }
+
+    // Получение доходов с пагинацией
+    const incomes = await Income.find(filter)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .exec();
+
+    const total = await Income.countDocuments(filter);
+
+    // Подсчет общей суммы отфильтрованных доходов
+    const totalAmount = await Income.aggregate([
+      { $match: filter },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT_EXPR } } },
+    ]);
+
+    res.json({
+      incomes,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: Number(page),
+        perPage: Number(limit),
+      },
+      summary: {
+        totalAmount: totalAmount[0]?.total || 0,
+        count: total,
+      },
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetIncomes Error');
+    res.status(500).json({
+      message: 'Ошибка при получении доходов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение дохода по ID
+ * GET /api/income/:id
+ */
+export const getIncomeById = async (req, res) => {
+  try {
+    const income = await Income.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!income) {
+      return res.status(404).json({
+        message: 'Доход не найден',
+      });
+    }
+
+    res.json({
+      income,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetIncomeById Error');
+    res.status(500).json({
+      message: 'Ошибка при получении дохода',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Обновление дохода
+ * PUT /api/income/:id
+ */
+export const updateIncome = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { amount, date, source, note, tags, currencyCode } = req.body;
+
+    const income = await Income.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!income) {
+      return res.status(404).json({
+        message: 'Доход не найден',
+      });
+    }
+
+    // Обновление полей
+    if (amount !== undefined) income.amount = amount;
+    if (date !== undefined) income.date = new Date(date);
+    if (source !== undefined) income.source = source;
+    if (note !== undefined) income.note = note;
+    if (tags !== undefined) income.tags = tags;
+    if (currencyCode !== undefined) income.currencyCode = currencyCode.toUpperCase();
+
+    // Сумма, дата или валюта изменились - пересчитываем по курсу на дату дохода
+    if (
+      income.isModified('amount') ||
+      income.isModified('date') ||
+      income.isModified('currencyCode')
+    ) {
+      const baseCurrency = await BudgetSettings.getBaseCurrency(req.workspaceId);
+      if (!income.currencyCode) {
+        income.currencyCode = baseCurrency;
+      }
+
+      if (!(await applyBaseConversion(income, baseCurrency))) {
+        return res.status(400).json({
+          message: `Нет курса ${income.currencyCode} -> ${baseCurrency} на дату дохода. Добавьте курс вручную.`,
+        });
+      }
+    }
+
+    await income.save();
+
+    res.json({
+      message: 'Доход обновлен',
+      income,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpdateIncome Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении дохода',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление дохода
+ * DELETE /api/income/:id
+ */
+export const deleteIncome = async (req, res) => {
+  try {
+    const income = await Income.findOneAndDelete({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!income) {
+      return res.status(404).json({
+        message: 'Доход не найден',
+      });
+    }
+
+    res.json({
+      message: 'Доход удален',
+      income,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteIncome Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении дохода',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение статистики доходов по источникам
+ * GET /api/income/statistics/by-source
+ */
+export const getIncomeBySource = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    // Определение периода
+    let start;
+    let end;
+
+    if (startDate && endDate) {
+      start = parseDateBoundary(startDate, req.timezone);
+      end = parseDateBoundary(endDate, req.timezone, 'end');
+    } else {
+      // По умолчанию - текущий период бюджета
+      ({ periodStart: start, periodEnd: end } = await BudgetSettings.getWorkspacePeriod(
+        req.workspaceId,
+        new Date(),
+        req.timezone
+      ));
+    }
+
+    const sources = await Income.getIncomeBySource(req.workspaceId, start, end);
+
+    res.json({
+      period: { start, end },
+      sources,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetIncomeBySource Error');
+    res.status(500).json({
+      message: 'Ошибка при получении статистики по источникам',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Массовое удаление доходов
+ * POST /api/income/bulk-delete
+ */
+export const bulkDeleteIncomes = async (req, res) => {
+  try {
+    const { incomeIds } = req.body;
+
+    if (!Array.isArray(incomeIds) || incomeIds.length === 0) {
+      return res.status(400).json({
+        message: 'Необходимо указать массив ID доходов',
+      });
+    }
+
+    const result = await Income.deleteMany({
+      _id: { $in: incomeIds },
+      workspaceId: req.workspaceId,
+    });
+
+    res.json({
+      message: `Удалено доходов: ${result.deletedCount}`,
+      deletedCount: result.deletedCount,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'BulkDeleteIncomes Error');
+    res.status(500).json({
+      message: 'Ошибка при массовом удалении',
+      error: error.message,
+    });
+  }
+};
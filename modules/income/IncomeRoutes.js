@@ -0,0 +1,68 @@
+import express from 'express';
+import { body } from 'express-validator';
+import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import workspaceAccess from '../../shared/middlewares/WorkspaceMiddleware.js';
+import * as IncomeController from './IncomeController.js';
+
+const router = express.Router();
+
+/**
+ * Валидация для создания/обновления дохода
+ */
+const incomeValidation = [
+  body('amount').isFloat({ min: 0 }).withMessage('Сумма должна быть положительным числом'),
+  body('date').optional().isISO8601().withMessage('Дата должна быть в формате ISO 8601'),
+  body('source').optional().isString().trim().withMessage('Источник должен быть строкой'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Заметка не должна превышать 500 символов'),
+  body('tags').optional().isArray().withMessage('Теги должны быть массивом'),
+  body('currencyCode')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Код валюты должен содержать 3 символа')
+    .isAlpha()
+    .withMessage('Код валюты должен содержать только буквы'),
+];
+
+// Все роуты требуют авторизации: чтение доступно любому участнику рабочего пространства,
+// изменения - редактору и владельцу
+
+// CRUD операции
+router.post(
+  '/',
+  checkAuth,
+  workspaceAccess('editor'),
+  incomeValidation,
+  IncomeController.createIncome
+);
+router.get('/', checkAuth, workspaceAccess('viewer'), IncomeController.getIncomes);
+router.get('/:id', checkAuth, workspaceAccess('viewer'), IncomeController.getIncomeById);
+router.put(
+  '/:id',
+  checkAuth,
+  workspaceAccess('editor'),
+  incomeValidation,
+  IncomeController.updateIncome
+);
+router.delete('/:id', checkAuth, workspaceAccess('editor'), IncomeController.deleteIncome);
+
+// Статистика
+router.get(
+  '/statistics/by-source',
+  checkAuth,
+  workspaceAccess('viewer'),
+  IncomeController.getIncomeBySource
+);
+
+// Массовые операции
+router.post(
+  '/bulk-delete',
+  checkAuth,
+  workspaceAccess('editor'),
+  IncomeController.bulkDeleteIncomes
+);
+
+export default router;
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import { BASE_AMOUNT_EXPR } from '../expenses/ExpenseSchema.js';
+
+const IncomeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Рабочее пространство (бюджет), которому принадлежит доход; userId - кто его добавил
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Сумма дохода обязательна'],
+      min: [0, 'Сумма не может быть отрицательной'],
+    },
+    // Валюта дохода (ISO 4217); null - доход создан до мультивалютности (в валюте бюджета)
+    currencyCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+      validate: {
+        validator: (v) => v === null || /^[A-Z]{3}$/.test(v),
+        message: (props) => `${props.value} не является валидным кодом валюты (ISO 4217)!`,
+      },
+    },
+    // Сумма в базовой валюте бюджета по курсу на дату дохода
+    baseAmount: {
+      type: Number,
+      default: null,
+    },
+    // Снимок курса, по которому посчитан baseAmount
+    exchangeRate: {
+      type: new mongoose.Schema(
+        {
+          baseCurrency: { type: String, required: true },
+          rate: { type: Number, required: true },
+          source: { type: String, default: null },
+          rateDate: { type: Date, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      index: true,
+    },
+    // Источник дохода (зарплата, фриланс, подарок и т.д.)
+    source: {
+      type: String,
+      required: true,
+      default: 'Other',
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Заметка не может превышать 500 символов'],
+      default: null,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Составные индексы для оптимизации частых запросов
+IncomeSchema.index({ workspaceId: 1, date: -1 });
+IncomeSchema.index({ workspaceId: 1, source: 1 });
+
+// Виртуальное поле для суммы в базовой валюте
+IncomeSchema.virtual('amountInBase').get(function () {
+  return this.baseAmount ?? this.amount;
+});
+
+// Статический метод для получения доходов по источникам (суммы в базовой валюте)
+IncomeSchema.statics.getIncomeBySource = async function (workspaceId, startDate, endDate) {
+  return this.aggregate([
+    {
+      $match: {
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+        date: {
+          $gte: startDate,
+          $lte: endDate,
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$source',
+        totalAmount: { $sum: BASE_AMOUNT_EXPR },
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $sort: { totalAmount: -1 },
+    },
+  ]);
+};
+
+// Статический метод для получения суммы доходов за период в базовой валюте
+IncomeSchema.statics.getTotalForPeriod = async function (workspaceId, startDate, endDate) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+        date: {
+          $gte: startDate,
+          $lte: endDate,
+        },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        totalAmount: { $sum: BASE_AMOUNT_EXPR },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return result[0] || { totalAmount: 0, count: 0 };
+};
+
+export default mongoose.model('Income', IncomeSchema);
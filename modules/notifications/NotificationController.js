@@ -0,0 +1,329 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import { getNotificationChannels } from '../../shared/config/notifications.js';
+import NotificationPreference from './NotificationPreferenceSchema.js';
+import Notification from './NotificationSchema.js';
+
+// Публичные данные настроек (без ключей push-подписок)
+const toPublicPreferences = (preferences) => ({
+  channels: preferences.channels,
+  webhookUrl: preferences.webhookUrl,
+  pushSubscriptions: preferences.pushSubscriptions.map((subscription) => ({
+    endpoint: subscription.endpoint,
+    createdAt: subscription.createdAt,
+  })),
+  pushAvailable: Boolean(getNotificationChannels().push),
+});
+
+/**
+ * Входящие уведомления пользователя
+ * GET /api/notifications
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const filter = { userId: req.userId, inbox: true };
+    if (unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const notifications = await Notification.find(filter)
+      .select('-deliveries')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({
+      userId: req.userId,
+      inbox: true,
+      readAt: null,
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: Number(page),
+        perPage: Number(limit),
+      },
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetNotifications Error');
+    res.status(500).json({
+      message: 'Ошибка при получении уведомлений',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отметка уведомления прочитанным или непрочитанным
+ * PUT /api/notifications/:id/read
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const read = req.body.read ?? true;
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId, inbox: true },
+      { $set: { readAt: read ? new Date() : null } },
+      { new: true }
+    ).select('-deliveries');
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Уведомление не найдено',
+      });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    logger.error({ err: error }, 'MarkNotificationRead Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении уведомления',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отметка всех уведомлений прочитанными
+ * PUT /api/notifications/read-all
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.userId, inbox: true, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'Все уведомления прочитаны',
+      updatedCount: result.modifiedCount,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'MarkAllNotificationsRead Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении уведомлений',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление уведомления
+ * DELETE /api/notifications/:id
+ */
+export const deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Уведомление не найдено',
+      });
+    }
+
+    res.json({
+      message: 'Уведомление удалено',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteNotification Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении уведомления',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Настройки каналов уведомлений
+ * GET /api/notifications/preferences
+ */
+export const getPreferences = async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.getForUser(req.userId);
+
+    res.json({ preferences: toPublicPreferences(preferences) });
+  } catch (error) {
+    logger.error({ err: error }, 'GetNotificationPreferences Error');
+    res.status(500).json({
+      message: 'Ошибка при получении настроек уведомлений',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Изменение настроек каналов уведомлений
+ * PUT /api/notifications/preferences
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { channels, webhookUrl } = req.body;
+    const preferences = await NotificationPreference.getForUser(req.userId);
+
+    if (channels) {
+      for (const [name, enabled] of Object.entries(channels)) {
+        preferences.channels[name] = enabled;
+      }
+    }
+    if (webhookUrl !== undefined) {
+      preferences.webhookUrl = webhookUrl || null;
+    }
+
+    if (preferences.channels.webhook && !preferences.webhookUrl) {
+      return res.status(400).json({
+        message: 'Для уведомлений через webhook укажите webhookUrl',
+      });
+    }
+
+    await preferences.save();
+
+    res.json({
+      message: 'Настройки уведомлений сохранены',
+      preferences: toPublicPreferences(preferences),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpdateNotificationPreferences Error');
+    res.status(500).json({
+      message: 'Ошибка при сохранении настроек уведомлений',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Публичный VAPID-ключ для подписки браузера на push-уведомления
+ * GET /api/notifications/push/public-key
+ */
+export const getPushPublicKey = async (req, res) => {
+  const push = getNotificationChannels().push;
+
+  if (!push) {
+    return res.status(404).json({
+      message: 'Push-уведомления не настроены на сервере',
+    });
+  }
+
+  res.json({ publicKey: push.publicKey });
+};
+
+/**
+ * Сохранение push-подписки браузера (PushSubscription.toJSON())
+ * POST /api/notifications/push-subscriptions
+ */
+export const addPushSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    if (!getNotificationChannels().push) {
+      return res.status(404).json({
+        message: 'Push-уведомления не настроены на сервере',
+      });
+    }
+
+    const { endpoint, keys } = req.body;
+    const preferences = await NotificationPreference.getForUser(req.userId);
+
+    // Повторная подписка того же браузера заменяет прежнюю
+    preferences.pushSubscriptions = preferences.pushSubscriptions.filter(
+      (subscription) => subscription.endpoint !== endpoint
+    );
+    preferences.pushSubscriptions.push({ endpoint, keys });
+    preferences.channels.push = true;
+    await preferences.save();
+
+    res.status(201).json({
+      message: 'Подписка на push-уведомления сохранена',
+      preferences: toPublicPreferences(preferences),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'AddPushSubscription Error');
+    res.status(500).json({
+      message: 'Ошибка при сохранении push-подписки',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление push-подписки браузера
+ * DELETE /api/notifications/push-subscriptions
+ */
+export const removePushSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const preferences = await NotificationPreference.getForUser(req.userId);
+    const remaining = preferences.pushSubscriptions.filter(
+      (subscription) => subscription.endpoint !== req.body.endpoint
+    );
+
+    if (remaining.length === preferences.pushSubscriptions.length) {
+      return res.status(404).json({
+        message: 'Подписка не найдена',
+      });
+    }
+
+    preferences.pushSubscriptions = remaining;
+    if (remaining.length === 0) {
+      preferences.channels.push = false;
+    }
+    await preferences.save();
+
+    res.json({
+      message: 'Подписка на push-уведомления удалена',
+      preferences: toPublicPreferences(preferences),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RemovePushSubscription Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении push-подписки',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const PushSubscriptionSchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        default: null,
+      },
+      auth: {
+        type: String,
+        default: null,
+      },
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Настройки уведомлений пользователя: включенные каналы, адрес webhook и push-подписки
+ * Пока пользователь не менял настройки, используются значения по умолчанию
+ */
+const NotificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    channels: {
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      push: {
+        type: Boolean,
+        default: false,
+      },
+      webhook: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    pushSubscriptions: {
+      type: [PushSubscriptionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Статический метод для получения настроек пользователя (без сохранения значений по умолчанию)
+NotificationPreferenceSchema.statics.getForUser = async function (userId) {
+  const preferences = await this.findOne({ userId });
+  return preferences || new this({ userId });
+};
+
+export default mongoose.model('NotificationPreference', NotificationPreferenceSchema);
@@ -0,0 +1,86 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import { outboundUrlValidator } from '../../shared/utils/outboundUrl.js';
+import * as NotificationController from './NotificationController.js';
+import { NOTIFICATION_CHANNELS } from './NotificationSchema.js';
+
+const router = express.Router();
+
+/**
+ * Валидация параметров списка уведомлений
+ */
+const listValidation = [
+  query('unread').optional().isBoolean().withMessage('unread должен быть булевым значением'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page должен быть положительным числом'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit должен быть от 1 до 100'),
+];
+
+/**
+ * Валидация отметки прочтения
+ */
+const readValidation = [
+  param('id').isMongoId().withMessage('Некорректный ID уведомления'),
+  body('read').optional().isBoolean().withMessage('read должен быть булевым значением'),
+];
+
+/**
+ * Валидация настроек уведомлений
+ */
+const preferencesValidation = [
+  body('channels').optional().isObject().withMessage('channels должен быть объектом'),
+  body('channels.*').isBoolean().withMessage('Значение канала должно быть булевым'),
+  body('channels')
+    .optional()
+    .custom((channels) =>
+      Object.keys(channels).every((name) => NOTIFICATION_CHANNELS.includes(name))
+    )
+    .withMessage(`Каналы могут быть только: ${NOTIFICATION_CHANNELS.join(', ')}`),
+  body('webhookUrl')
+    .optional({ values: 'null' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('webhookUrl должен быть корректным http(s) URL')
+    .bail()
+    .custom(outboundUrlValidator),
+];
+
+/**
+ * Валидация push-подписки браузера
+ */
+const pushSubscriptionValidation = [
+  body('endpoint')
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('endpoint должен быть https URL'),
+  body('keys.p256dh').optional().isString().withMessage('keys.p256dh должен быть строкой'),
+  body('keys.auth').optional().isString().withMessage('keys.auth должен быть строкой'),
+];
+
+router.get('/', checkAuth, listValidation, NotificationController.getNotifications);
+router.put('/read-all', checkAuth, NotificationController.markAllNotificationsRead);
+router.get('/preferences', checkAuth, NotificationController.getPreferences);
+router.put(
+  '/preferences',
+  checkAuth,
+  preferencesValidation,
+  NotificationController.updatePreferences
+);
+router.get('/push/public-key', checkAuth, NotificationController.getPushPublicKey);
+router.post(
+  '/push-subscriptions',
+  checkAuth,
+  pushSubscriptionValidation,
+  NotificationController.addPushSubscription
+);
+router.delete(
+  '/push-subscriptions',
+  checkAuth,
+  pushSubscriptionValidation,
+  NotificationController.removePushSubscription
+);
+router.put('/:id/read', checkAuth, readValidation, NotificationController.markNotificationRead);
+router.delete('/:id', checkAuth, NotificationController.deleteNotification);
+
+export default router;
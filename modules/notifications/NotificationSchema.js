@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push', 'webhook'];
+export const DELIVERY_STATUSES = ['sent', 'failed', 'skipped'];
+
+// Срок хранения уведомлений, после которого MongoDB удаляет их сама
+const NOTIFICATION_TTL_SECONDS = 180 * 24 * 60 * 60;
+
+const DeliverySchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      required: true,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Уведомление пользователя с журналом доставки по каналам
+ * В списке GET /api/notifications показываются только уведомления с inbox = true
+ */
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+    },
+    // Тип события, вызвавшего уведомление (например, budget.threshold_reached)
+    type: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    inbox: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    deliveries: {
+      type: [DeliverySchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationSchema.index({ userId: 1, inbox: 1, createdAt: -1 });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS });
+
+export default mongoose.model('Notification', NotificationSchema);
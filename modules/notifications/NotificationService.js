@@ -0,0 +1,143 @@
+import logger from '../../shared/config/logger.js';
+import { getNotificationChannels } from '../../shared/config/notifications.js';
+import { subscribe } from '../../shared/events/bus.js';
+import User from '../auth/AuthSchema.js';
+import Workspace from '../workspaces/WorkspaceSchema.js';
+import NotificationPreference from './NotificationPreferenceSchema.js';
+import Notification, { NOTIFICATION_CHANNELS } from './NotificationSchema.js';
+
+/**
+ * Локализованные тексты уведомлений: (data) => { title, message }
+ */
+const texts = {
+  ru: {
+    'budget.threshold_reached': ({
+      category,
+      percentUsed,
+      spent,
+      limit,
+      currencyCode,
+      workspaceName,
+    }) =>
+      category
+        ? {
+            title: `Лимит категории «${category}» почти исчерпан`,
+            message: `В бюджете «${workspaceName}» на категорию «${category}» потрачено ${spent} из ${limit} ${currencyCode} (${percentUsed}%).`,
+          }
+        : {
+            title: 'Бюджет почти исчерпан',
+            message: `В бюджете «${workspaceName}» потрачено ${spent} из ${limit} ${currencyCode} (${percentUsed}%).`,
+          },
+  },
+  en: {
+    'budget.threshold_reached': ({
+      category,
+      percentUsed,
+      spent,
+      limit,
+      currencyCode,
+      workspaceName,
+    }) =>
+      category
+        ? {
+            title: `"${category}" category limit is almost reached`,
+            message: `In the "${workspaceName}" budget you have spent ${spent} of ${limit} ${currencyCode} on "${category}" (${percentUsed}%).`,
+          }
+        : {
+            title: 'Budget is almost used up',
+            message: `In the "${workspaceName}" budget you have spent ${spent} of ${limit} ${currencyCode} (${percentUsed}%).`,
+          },
+  },
+};
+
+const renderNotification = (type, locale, data) => (texts[locale] || texts.ru)[type](data);
+
+/**
+ * Доставка уведомления одному пользователю по включенным у него каналам
+ * Результат каждого канала записывается в deliveries; ошибка канала не мешает остальным.
+ */
+const deliverToUser = async (user, { type, workspaceId, data }) => {
+  const channels = getNotificationChannels();
+  const preferences = await NotificationPreference.getForUser(user._id);
+
+  const notification = await Notification.create({
+    userId: user._id,
+    workspaceId,
+    type,
+    ...renderNotification(type, user.locale, data),
+    data,
+  });
+
+  for (const name of NOTIFICATION_CHANNELS) {
+    if (!preferences.channels[name]) {
+      continue;
+    }
+
+    const channel = channels[name];
+    if (!channel) {
+      notification.deliveries.push({
+        channel: name,
+        status: 'skipped',
+        error: 'Канал не настроен на сервере',
+      });
+      continue;
+    }
+
+    try {
+      const result = await channel.send({ user, preferences, notification });
+      notification.deliveries.push({ channel: name, status: 'sent' });
+
+      // Push-сервис сообщил, что подписка больше не действует
+      if (result?.expiredEndpoints?.length > 0) {
+        await NotificationPreference.updateOne(
+          { userId: user._id },
+          { $pull: { pushSubscriptions: { endpoint: { $in: result.expiredEndpoints } } } }
+        );
+      }
+    } catch (error) {
+      logger.warn({ err: error, channel: name, userId: user._id }, 'Notification delivery failed');
+      notification.deliveries.push({ channel: name, status: 'failed', error: error.message });
+    }
+  }
+
+  await notification.save();
+  return notification;
+};
+
+/**
+ * Уведомление всех участников рабочего пространства
+ */
+export const notifyWorkspaceMembers = async (workspaceId, type, data) => {
+  const workspace = await Workspace.findById(workspaceId).select('name members');
+  if (!workspace) {
+    return [];
+  }
+
+  const users = await User.find({
+    _id: { $in: workspace.members.map((member) => member.userId) },
+    isActive: true,
+  }).select('email name locale');
+
+  const notifications = [];
+  for (const user of users) {
+    notifications.push(
+      await deliverToUser(user, {
+        type,
+        workspaceId,
+        data: { ...data, workspaceName: workspace.name },
+      })
+    );
+  }
+
+  return notifications;
+};
+
+/**
+ * Подписка на события, о которых нужно уведомлять пользователей
+ */
+export const registerNotificationHandlers = () => {
+  subscribe('budget.threshold_reached', ({ type, payload }) => {
+    const { workspaceId, ...data } = payload;
+    return notifyWorkspaceMembers(workspaceId, type, data);
+  });
+};
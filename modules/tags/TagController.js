@@ -0,0 +1,203 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import { parseDateBoundary } from '../../shared/utils/timezone.js';
+import {
+  MAX_STATS_PERIODS,
+  collectTagStatistics,
+  getStatsPeriods,
+  listTags,
+  removeTag,
+  replaceTags,
+} from './TagService.js';
+
+/**
+ * Список тегов рабочего пространства с числом использований
+ * GET /api/tags
+ */
+export const getTags = async (req, res) => {
+  try {
+    const tags = await listTags(req.workspaceId, { search: req.query.search });
+
+    res.json({
+      count: tags.length,
+      tags,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetTags Error');
+    res.status(500).json({
+      message: 'Ошибка при получении тегов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Переименование тега во всех расходах пространства
+ * Если новое имя уже используется, теги сливаются.
+ * PUT /api/tags/:tag
+ */
+export const renameTag = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { tag } = req.params;
+    const { name } = req.body;
+
+    if (name === tag) {
+      return res.status(400).json({
+        message: 'Новое имя совпадает с текущим',
+      });
+    }
+
+    const modified = await replaceTags(req.workspaceId, [tag], name);
+
+    if (modified.expenses === 0 && modified.recurringExpenses === 0 && modified.rules === 0) {
+      return res.status(404).json({
+        message: 'Тег не найден',
+      });
+    }
+
+    res.json({
+      message: 'Тег переименован',
+      tag: name,
+      modified,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RenameTag Error');
+    res.status(500).json({
+      message: 'Ошибка при переименовании тега',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Слияние нескольких тегов в один во всех расходах пространства
+ * POST /api/tags/merge
+ */
+export const mergeTags = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { tags, into } = req.body;
+    const sources = [...new Set(tags)].filter((tag) => tag !== into);
+
+    if (sources.length === 0) {
+      return res.status(400).json({
+        message: 'Укажите хотя бы один тег, отличный от целевого',
+      });
+    }
+
+    const modified = await replaceTags(req.workspaceId, sources, into);
+
+    res.json({
+      message: `Теги объединены в "${into}"`,
+      tag: into,
+      merged: sources,
+      modified,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'MergeTags Error');
+    res.status(500).json({
+      message: 'Ошибка при слиянии тегов',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление тега из всех расходов пространства
+ * DELETE /api/tags/:tag
+ */
+export const deleteTag = async (req, res) => {
+  try {
+    const modified = await removeTag(req.workspaceId, req.params.tag);
+
+    if (modified.expenses === 0 && modified.recurringExpenses === 0) {
+      return res.status(404).json({
+        message: 'Тег не найден',
+      });
+    }
+
+    res.json({
+      message: 'Тег удален',
+      modified,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteTag Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении тега',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Суммы расходов по тегам в каждом периоде бюджета
+ * GET /api/tags/statistics
+ */
+export const getTagStatistics = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { tags } = req.query;
+    const from = req.query.from ? parseDateBoundary(req.query.from, req.timezone) : undefined;
+    const to = req.query.to ? parseDateBoundary(req.query.to, req.timezone, 'end') : undefined;
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        message: 'Дата from должна быть не позже даты to',
+      });
+    }
+
+    const periods = await getStatsPeriods(req.workspaceId, { from, to, timeZone: req.timezone });
+
+    if (periods.length === 0) {
+      return res.status(400).json({
+        message: 'За указанный интервал нет периодов',
+      });
+    }
+
+    if (periods.length > MAX_STATS_PERIODS) {
+      return res.status(400).json({
+        message: `Слишком много периодов (больше ${MAX_STATS_PERIODS}): уменьшите интервал`,
+      });
+    }
+
+    const statistics = await collectTagStatistics(req.workspaceId, periods, {
+      tags: tags ? tags.split(',') : null,
+    });
+
+    res.json({
+      periods: periods.map(({ periodStart, periodEnd }) => ({
+        start: periodStart,
+        end: periodEnd,
+      })),
+      tags: statistics,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetTagStatistics Error');
+    res.status(500).json({
+      message: 'Ошибка при получении статистики по тегам',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,72 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import workspaceAccess from '../../shared/middlewares/WorkspaceMiddleware.js';
+import * as TagController from './TagController.js';
+
+const router = express.Router();
+
+/**
+ * Проверка имени тега: непустая строка до 50 символов
+ */
+const tagName = (chain) =>
+  chain
+    .isString()
+    .withMessage('Тег должен быть строкой')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Тег должен быть от 1 до 50 символов');
+
+/**
+ * Валидация переименования тега
+ */
+const renameValidation = [tagName(body('name'))];
+
+/**
+ * Валидация слияния тегов
+ */
+const mergeValidation = [
+  body('tags')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Теги для слияния должны быть непустым массивом (до 50 тегов)'),
+  tagName(body('tags.*')),
+  tagName(body('into')),
+];
+
+/**
+ * Валидация параметров статистики по тегам
+ */
+const statisticsValidation = [
+  query('from').optional().isISO8601().withMessage('Дата from должна быть в формате ISO 8601'),
+  query('to').optional().isISO8601().withMessage('Дата to должна быть в формате ISO 8601'),
+];
+
+// Список и статистика (до /:tag)
+router.get('/', checkAuth, workspaceAccess('viewer'), TagController.getTags);
+router.get(
+  '/statistics',
+  checkAuth,
+  workspaceAccess('viewer'),
+  statisticsValidation,
+  TagController.getTagStatistics
+);
+
+// Слияние, переименование и удаление
+router.post(
+  '/merge',
+  checkAuth,
+  workspaceAccess('editor'),
+  mergeValidation,
+  TagController.mergeTags
+);
+router.put(
+  '/:tag',
+  checkAuth,
+  workspaceAccess('editor'),
+  renameValidation,
+  TagController.renameTag
+);
+router.delete('/:tag', checkAuth, workspaceAccess('editor'), TagController.deleteTag);
+
+export default router;
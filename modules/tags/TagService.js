@@ -0,0 +1,220 @@
+import mongoose from 'mongoose';
+import { listPeriods, shiftPeriod } from '../../shared/utils/period.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import CategoryRule from '../expenses/CategoryRuleSchema.js';
+import Expense, { BASE_AMOUNT_EXPR } from '../expenses/ExpenseSchema.js';
+import RecurringExpense from '../expenses/RecurringExpenseSchema.js';
+
+// Число периодов в статистике по умолчанию (текущий и пять прошлых) и предел
+const DEFAULT_STATS_PERIODS = 6;
+export const MAX_STATS_PERIODS = 60;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Теги рабочего пространства с числом расходов, суммой в базовой валюте и датой последнего расхода
+ */
+export const listTags = (workspaceId, { search } = {}) =>
+  Expense.aggregate([
+    { $match: { workspaceId: new mongoose.Types.ObjectId(workspaceId) } },
+    { $unwind: '$tags' },
+    ...(search ? [{ $match: { tags: { $regex: escapeRegex(search), $options: 'i' } } }] : []),
+    {
+      $group: {
+        _id: '$tags',
+        count: { $sum: 1 },
+        totalAmount: { $sum: BASE_AMOUNT_EXPR },
+        lastUsedAt: { $max: '$date' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        tag: '$_id',
+        count: 1,
+        totalAmount: { $round: ['$totalAmount', 2] },
+        lastUsedAt: 1,
+      },
+    },
+    { $sort: { count: -1, tag: 1 } },
+  ]);
+
+/**
+ * Выражение обновления массива тегов: теги из sources заменяются на target,
+ * порядок сохраняется, повторы (если target уже был) убираются
+ */
+const replaceTagsExpr = (field, sources, target) => ({
+  $reduce: {
+    input: {
+      $map: {
+        input: { $ifNull: [`$${field}`, []] },
+        in: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] },
+      },
+    },
+    initialValue: [],
+    in: {
+      $cond: [
+        { $in: ['$$this', '$$value'] },
+        '$$value',
+        { $concatArrays: ['$$value', ['$$this']] },
+      ],
+    },
+  },
+});
+
+/**
+ * Замена тегов sources на target во всех расходах, шаблонах регулярных расходов
+ * и правилах категоризации пространства (переименование - один исходный тег, слияние - несколько)
+ * Возвращает число измененных документов каждого вида.
+ */
+export const replaceTags = async (workspaceId, sources, target) => {
+  const expenses = await Expense.updateMany(
+    { workspaceId, tags: { $in: sources } },
+    [{ $set: { tags: replaceTagsExpr('tags', sources, target) } }],
+    { updatePipeline: true }
+  );
+
+  const recurring = await RecurringExpense.updateMany(
+    { workspaceId, tags: { $in: sources } },
+    [{ $set: { tags: replaceTagsExpr('tags', sources, target) } }],
+    { updatePipeline: true }
+  );
+
+  const rules = await CategoryRule.updateMany(
+    {
+      workspaceId,
+      $or: [{ 'conditions.tags': { $in: sources } }, { 'actions.tags': { $in: sources } }],
+    },
+    [
+      {
+        $set: {
+          'conditions.tags': replaceTagsExpr('conditions.tags', sources, target),
+          'actions.tags': replaceTagsExpr('actions.tags', sources, target),
+        },
+      },
+    ],
+    { updatePipeline: true }
+  );
+
+  return {
+    expenses: expenses.modifiedCount,
+    recurringExpenses: recurring.modifiedCount,
+    rules: rules.modifiedCount,
+  };
+};
+
+/**
+ * Удаление тега из расходов и шаблонов регулярных расходов пространства
+ * Правила категоризации не меняются: удаление тега из условия расширило бы правило,
+ * а из действия - могло бы оставить правило без действий.
+ */
+export const removeTag = async (workspaceId, tag) => {
+  const expenses = await Expense.updateMany({ workspaceId, tags: tag }, { $pull: { tags: tag } });
+
+  const recurring = await RecurringExpense.updateMany(
+    { workspaceId, tags: tag },
+    { $pull: { tags: tag } }
+  );
+
+  return {
+    expenses: expenses.modifiedCount,
+    recurringExpenses: recurring.modifiedCount,
+  };
+};
+
+/**
+ * Периоды бюджета для статистики: по умолчанию текущий и пять прошлых
+ * (без настроек бюджета - календарные месяцы в часовом поясе пользователя)
+ */
+export const getStatsPeriods = async (workspaceId, { from, to, timeZone }) => {
+  const now = new Date();
+  const { schedule } = await BudgetSettings.getWorkspacePeriod(workspaceId, now, timeZone);
+
+  return listPeriods(
+    schedule,
+    from ?? shiftPeriod(schedule, now, -(DEFAULT_STATS_PERIODS - 1)).periodStart,
+    to ?? shiftPeriod(schedule, now, 0).periodEnd,
+    MAX_STATS_PERIODS + 1
+  );
+};
+
+/**
+ * Суммы расходов по тегам в каждом периоде бюджета (в базовой валюте)
+ * Расход с несколькими тегами учитывается в каждом из них. Периоды без расходов - нулевые.
+ */
+export const collectTagStatistics = async (workspaceId, periods, { tags } = {}) => {
+  const starts = periods.map((period) => period.periodStart);
+  const tagFilter = tags?.length ? { tags: { $in: tags } } : {};
+
+  const rows = await Expense.aggregate([
+    {
+      $match: {
+        workspaceId: new mongoose.Types.ObjectId(workspaceId),
+        date: { $gte: starts[0], $lte: periods.at(-1).periodEnd },
+        ...tagFilter,
+      },
+    },
+    { $unwind: '$tags' },
+    { $match: tagFilter },
+    {
+      // Начало периода расхода - последнее из начал периодов, не позже даты расхода
+      $set: {
+        periodStart: {
+          $arrayElemAt: [
+            starts,
+            {
+              $subtract: [
+                {
+                  $size: {
+                    $filter: { input: starts, cond: { $lte: ['$$this', '$date'] } },
+                  },
+                },
+                1,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { tag: '$tags', periodStart: '$periodStart' },
+        totalAmount: { $sum: BASE_AMOUNT_EXPR },
+        count: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.tag',
+        totalAmount: { $sum: '$totalAmount' },
+        count: { $sum: '$count' },
+        periods: {
+          $push: { start: '$_id.periodStart', totalAmount: '$totalAmount', count: '$count' },
+        },
+      },
+    },
+    { $sort: { totalAmount: -1, _id: 1 } },
+  ]);
+
+  return rows.map((row) => {
+    const byStart = new Map(row.periods.map((item) => [item.start.getTime(), item]));
+
+    return {
+      tag: row._id,
+      totalAmount: roundAmount(row.totalAmount),
+      count: row.count,
+      periods: periods.map(({ periodStart, periodEnd }) => {
+        const item = byStart.get(periodStart.getTime());
+
+        return {
+          start: periodStart,
+          end: periodEnd,
+          totalAmount: roundAmount(item?.totalAmount ?? 0),
+          count: item?.count ?? 0,
+        };
+      }),
+    };
+  });
+};
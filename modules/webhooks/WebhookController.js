@@ -0,0 +1,300 @@
+import { validationResult } from 'express-validator';
+import logger from '../../shared/config/logger.js';
+import WebhookDelivery from './WebhookDeliverySchema.js';
+import Webhook from './WebhookSchema.js';
+import { generateWebhookSecret, redeliver, sendTestEvent } from './WebhookService.js';
+
+/**
+ * Получение webhooks рабочего пространства
+ * GET /api/webhooks
+ */
+export const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ workspaceId: req.workspaceId }).sort({ createdAt: 1 });
+
+    res.json({
+      webhooks: webhooks.map((webhook) => webhook.toPublicJSON()),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetWebhooks Error');
+    res.status(500).json({
+      message: 'Ошибка при получении webhooks',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Регистрация webhook (секрет возвращается только в этом ответе)
+ * POST /api/webhooks
+ */
+export const createWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const { url, events, description } = req.body;
+    const secret = generateWebhookSecret();
+
+    const webhook = await Webhook.create({
+      userId: req.userId,
+      workspaceId: req.workspaceId,
+      url,
+      events: [...new Set(events)],
+      description: description || null,
+      secret,
+    });
+
+    res.status(201).json({
+      message: 'Webhook создан',
+      webhook: webhook.toPublicJSON(),
+      secret,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CreateWebhook Error');
+    res.status(500).json({
+      message: 'Ошибка при создании webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Изменение webhook
+ * PUT /api/webhooks/:id
+ */
+export const updateWebhook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook не найден',
+      });
+    }
+
+    const { url, events, description, isActive } = req.body;
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description || null;
+    if (isActive !== undefined) webhook.isActive = isActive;
+
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook обновлен',
+      webhook: webhook.toPublicJSON(),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpdateWebhook Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Смена секрета подписи (прежний сразу перестает действовать)
+ * POST /api/webhooks/:id/rotate-secret
+ */
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, workspaceId: req.workspaceId },
+      { $set: { secret } },
+      { new: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook не найден',
+      });
+    }
+
+    res.json({
+      message: 'Секрет webhook обновлен',
+      webhook: webhook.toPublicJSON(),
+      secret,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RotateWebhookSecret Error');
+    res.status(500).json({
+      message: 'Ошибка при смене секрета webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление webhook вместе с журналом доставок
+ * DELETE /api/webhooks/:id
+ */
+export const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({
+      _id: req.params.id,
+      workspaceId: req.workspaceId,
+    });
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook не найден',
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    res.json({
+      message: 'Webhook удален',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteWebhook Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Тестовая отправка события webhook.test
+ * POST /api/webhooks/:id/test
+ */
+export const testWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook не найден',
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook, req.userId);
+
+    res.json({
+      message:
+        delivery.status === 'success'
+          ? 'Тестовое событие доставлено'
+          : 'Тестовое событие не доставлено',
+      delivery,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'TestWebhook Error');
+    res.status(500).json({
+      message: 'Ошибка при тестовой отправке webhook',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Журнал доставок webhook
+ * GET /api/webhooks/:id/deliveries
+ */
+export const getDeliveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook не найден',
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filter = { webhookId: webhook._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    // Тела ответов больше не сохраняются; в старых записях журнала они скрываются
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-attempts.responseBody')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit));
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: Number(page),
+        perPage: Number(limit),
+      },
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetWebhookDeliveries Error');
+    res.status(500).json({
+      message: 'Ошибка при получении журнала доставок',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Повторная отправка события из журнала (новая доставка с тем же ID события)
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ */
+export const redeliverDelivery = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook не найден',
+      });
+    }
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhookId: webhook._id,
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Доставка не найдена',
+      });
+    }
+
+    res.status(201).json({
+      message: 'Событие отправлено повторно',
+      delivery: await redeliver(webhook, delivery),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RedeliverWebhook Error');
+    res.status(500).json({
+      message: 'Ошибка при повторной отправке',
+      error: error.message,
+    });
+  }
+};
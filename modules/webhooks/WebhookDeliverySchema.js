@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// Срок хранения журнала доставок, после которого MongoDB удаляет записи сама
+const DELIVERY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const AttemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true,
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Доставка одного события на webhook с журналом попыток
+ * Пока статус pending, планировщик повторяет отправку в nextAttemptAt
+ */
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    // ID события: одинаковый у повторных отправок, получатель может по нему отсеять дубликаты
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Тело запроса (конверт события)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    // Тестовая отправка делается один раз, без повторов
+    isTest: {
+      type: Boolean,
+      default: false,
+    },
+    attempts: {
+      type: [AttemptSchema],
+      default: [],
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_TTL_SECONDS });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
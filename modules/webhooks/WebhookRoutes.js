@@ -0,0 +1,105 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import workspaceAccess from '../../shared/middlewares/WorkspaceMiddleware.js';
+import { outboundUrlValidator } from '../../shared/utils/outboundUrl.js';
+import * as WebhookController from './WebhookController.js';
+import { DELIVERY_STATUSES } from './WebhookDeliverySchema.js';
+import { WEBHOOK_EVENTS } from './WebhookSchema.js';
+
+const router = express.Router();
+
+const urlValidator = (field) =>
+  body(field)
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('url должен быть корректным http(s) URL')
+    .bail()
+    .custom(outboundUrlValidator);
+
+const eventsValidator = (field) =>
+  body(field)
+    .isArray({ min: 1 })
+    .withMessage('events должен быть непустым массивом')
+    .custom((events) => events.every((event) => WEBHOOK_EVENTS.includes(event)))
+    .withMessage(`События могут быть только: ${WEBHOOK_EVENTS.join(', ')}`);
+
+/**
+ * Валидация для регистрации webhook
+ */
+const createWebhookValidation = [
+  urlValidator('url'),
+  eventsValidator('events'),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Описание не может быть длиннее 200 символов'),
+];
+
+/**
+ * Валидация для изменения webhook
+ */
+const updateWebhookValidation = [
+  urlValidator('url').optional(),
+  eventsValidator('events').optional(),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Описание не может быть длиннее 200 символов'),
+  body('isActive').optional().isBoolean().withMessage('isActive должен быть булевым значением'),
+];
+
+/**
+ * Валидация параметров журнала доставок
+ */
+const deliveriesValidation = [
+  query('status')
+    .optional()
+    .isIn(DELIVERY_STATUSES)
+    .withMessage(`Статус должен быть одним из: ${DELIVERY_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page должен быть положительным числом'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit должен быть от 1 до 100'),
+];
+
+router.get('/', checkAuth, workspaceAccess('editor'), WebhookController.getWebhooks);
+router.post(
+  '/',
+  checkAuth,
+  workspaceAccess('editor'),
+  createWebhookValidation,
+  WebhookController.createWebhook
+);
+router.put(
+  '/:id',
+  checkAuth,
+  workspaceAccess('editor'),
+  updateWebhookValidation,
+  WebhookController.updateWebhook
+);
+router.delete('/:id', checkAuth, workspaceAccess('editor'), WebhookController.deleteWebhook);
+router.post(
+  '/:id/rotate-secret',
+  checkAuth,
+  workspaceAccess('editor'),
+  WebhookController.rotateWebhookSecret
+);
+router.post('/:id/test', checkAuth, workspaceAccess('editor'), WebhookController.testWebhook);
+router.get(
+  '/:id/deliveries',
+  checkAuth,
+  workspaceAccess('editor'),
+  deliveriesValidation,
+  WebhookController.getDeliveries
+);
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  checkAuth,
+  workspaceAccess('editor'),
+  WebhookController.redeliverDelivery
+);
+
+export default router;
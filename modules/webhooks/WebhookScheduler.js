@@ -0,0 +1,80 @@
+import logger from '../../shared/config/logger.js';
+import WebhookDelivery from './WebhookDeliverySchema.js';
+import { attemptDelivery } from './WebhookService.js';
+
+// Максимум доставок за один проход (остальные догонит следующий проход)
+const MAX_DELIVERIES_PER_RUN = 200;
+
+let timer = null;
+let isProcessing = false;
+
+/**
+ * Повтор неудачных доставок, у которых наступило время следующей попытки
+ */
+export const processDueWebhookDeliveries = async (now = new Date()) => {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+  let processed = 0;
+
+  try {
+    const deliveries = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(MAX_DELIVERIES_PER_RUN)
+      .select('_id');
+
+    for (const { _id } of deliveries) {
+      try {
+        if (await attemptDelivery(_id, now)) {
+          processed += 1;
+        }
+      } catch (error) {
+        logger.error({ err: error, deliveryId: _id }, 'Webhook Delivery Error');
+      }
+    }
+
+    if (processed > 0) {
+      logger.info(`Повторных отправок webhooks: ${processed}`);
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+/**
+ * Запуск планировщика повторных отправок webhooks
+ */
+export const startWebhookScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const intervalMs = Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000;
+
+  const run = () => {
+    processDueWebhookDeliveries().catch((error) => {
+      logger.error({ err: error }, 'Webhook Scheduler Error');
+    });
+  };
+
+  run();
+  timer = setInterval(run, intervalMs);
+  logger.info(`Webhook scheduler started (interval ${intervalMs} ms)`);
+};
+
+/**
+ * Остановка планировщика повторных отправок webhooks
+ */
+export const stopWebhookScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// События, на которые можно подписать webhook
+export const WEBHOOK_EVENTS = [
+  'expense.created',
+  'expense.updated',
+  'expense.deleted',
+  'budget.updated',
+  'budget.threshold_reached',
+  'period.closed',
+];
+
+/**
+ * Исходящий webhook рабочего пространства
+ * Секрет нужен для HMAC-подписи запросов и показывается только при создании и смене
+ */
+const WebhookSchema = new mongoose.Schema(
+  {
+    // Кто зарегистрировал webhook
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'URL обязателен'],
+      trim: true,
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: 'Нужно выбрать хотя бы одно событие',
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Описание не может быть длиннее 200 символов'],
+      default: null,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['success', 'failed', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WebhookSchema.index({ workspaceId: 1, isActive: 1, events: 1 });
+
+// Метод для получения публичных данных webhook (без секрета)
+WebhookSchema.methods.toPublicJSON = function () {
+  return {
+    _id: this._id,
+    userId: this.userId,
+    workspaceId: this.workspaceId,
+    url: this.url,
+    events: this.events,
+    description: this.description,
+    isActive: this.isActive,
+    lastDeliveryAt: this.lastDeliveryAt,
+    lastDeliveryStatus: this.lastDeliveryStatus,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+export default mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,198 @@
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+import { subscribeAll } from '../../shared/events/bus.js';
+import { outboundFetch } from '../../shared/utils/outboundUrl.js';
+import WebhookDelivery from './WebhookDeliverySchema.js';
+import Webhook, { WEBHOOK_EVENTS } from './WebhookSchema.js';
+
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const getRetryBaseMs = () => Number(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+const getTimeoutMs = () => Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+/**
+ * Новый секрет для подписи запросов
+ */
+export const generateWebhookSecret = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+/**
+ * Подпись тела запроса: HMAC-SHA256 от "<timestamp>.<тело>" в hex
+ * Метка времени входит в подпись, чтобы получатель мог отклонять старые запросы
+ */
+export const signPayload = (secret, timestamp, body) =>
+  createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Пауза перед повтором: экспоненциальная, от WEBHOOK_RETRY_BASE_MS
+ */
+export const getRetryDelayMs = (attempt) => getRetryBaseMs() * 2 ** (attempt - 1);
+
+/**
+ * Конверт события, который получает webhook
+ * Документы Mongoose превращаются в обычный JSON
+ */
+const buildPayload = ({ type, payload, occurredAt }, eventId) => {
+  const { workspaceId, ...data } = payload;
+
+  return JSON.parse(
+    JSON.stringify({
+      id: eventId,
+      type,
+      occurredAt,
+      workspaceId,
+      data,
+    })
+  );
+};
+
+/**
+ * Одна попытка отправки
+ * Доставка сначала захватывается (nextAttemptAt сдвигается вперед),
+ * чтобы планировщик и немедленная отправка не отправили ее одновременно.
+ */
+export const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + getTimeoutMs() * 2) } },
+    { new: true }
+  );
+  if (!delivery) {
+    return null;
+  }
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  const attempt = { at: now };
+
+  if (!webhook || (!webhook.isActive && !delivery.isTest)) {
+    attempt.error = 'Webhook удален или отключен';
+    delivery.attempts.push(attempt);
+    delivery.status = 'failed';
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    // Адрес проверяется при каждом соединении: DNS имени мог смениться после создания
+    const response = await outboundFetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AI-Budget-Webhooks/1.0',
+        'X-Webhook-Id': String(webhook._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.eventId,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(getTimeoutMs()),
+    });
+
+    // Тело ответа не читается и не хранится - в журнале только статус и время
+    await response.body?.cancel();
+
+    attempt.responseStatus = response.status;
+    if (!response.ok) {
+      attempt.error = `Получатель ответил ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.isTest || delivery.attempts.length >= getMaxAttempts()) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelayMs(delivery.attempts.length));
+  }
+
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: now, lastDeliveryStatus: delivery.status } }
+    );
+  }
+
+  return delivery;
+};
+
+/**
+ * Создание доставки и первая попытка отправки
+ */
+export const createDelivery = async (webhook, event, payload, { isTest = false } = {}) => {
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook._id,
+    workspaceId: webhook.workspaceId,
+    eventId: payload.id,
+    event,
+    payload,
+    isTest,
+  });
+
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+/**
+ * Рассылка события всем активным webhooks пространства, подписанным на него
+ */
+export const dispatchEvent = async (event) => {
+  if (!WEBHOOK_EVENTS.includes(event.type) || !event.payload.workspaceId) {
+    return [];
+  }
+
+  const webhooks = await Webhook.find({
+    workspaceId: event.payload.workspaceId,
+    isActive: true,
+    events: event.type,
+  });
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const payload = buildPayload(event, randomUUID());
+
+  return Promise.all(webhooks.map((webhook) => createDelivery(webhook, event.type, payload)));
+};
+
+/**
+ * Тестовое событие webhook.test: одна попытка, результат сразу в ответе
+ */
+export const sendTestEvent = (webhook, userId) =>
+  createDelivery(
+    webhook,
+    'webhook.test',
+    buildPayload(
+      {
+        type: 'webhook.test',
+        payload: {
+          workspaceId: webhook.workspaceId,
+          userId,
+          message: 'Тестовое событие AI Budget',
+        },
+        occurredAt: new Date(),
+      },
+      randomUUID()
+    ),
+    { isTest: true }
+  );
+
+/**
+ * Повторная отправка доставки с тем же ID события
+ */
+export const redeliver = (webhook, delivery) =>
+  createDelivery(webhook, delivery.event, delivery.payload, { isTest: delivery.isTest });
+
+/**
+ * Пересылка событий шины во внешние webhooks
+ */
+export const registerWebhookHandlers = () => {
+  subscribeAll(dispatchEvent);
+};
@@ -0,0 +1,573 @@
+import { validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import logger from '../../shared/config/logger.js';
+import { sendTemplateMail } from '../../shared/config/mail.js';
+import User from '../auth/AuthSchema.js';
+import WorkspaceInvitation, { INVITATION_TTL_MS } from './WorkspaceInvitationSchema.js';
+import Workspace from './WorkspaceSchema.js';
+import { deleteWorkspaceData, getPersonalWorkspace } from './WorkspaceService.js';
+
+/**
+ * Отправка приглашения на email (ошибка отправки не отменяет приглашение)
+ */
+const sendInvitationMail = async (invitation, workspace, inviter) => {
+  try {
+    // Письмо на языке приглашенного, если он уже зарегистрирован
+    const invitee = await User.findOne({ email: invitation.email }).select('locale');
+
+    await sendTemplateMail(
+      invitation.email,
+      'workspaceInvitation',
+      invitee?.locale || inviter.locale,
+      {
+        inviterName: inviter.name,
+        workspaceName: workspace.name,
+        role: invitation.role,
+        link: `${process.env.APP_URL || 'http://localhost:3000'}/invitations`,
+      }
+    );
+  } catch (error) {
+    logger.error({ err: error }, 'Workspace invitation email failed');
+  }
+};
+
+/**
+ * Получение списка рабочих пространств пользователя
+ * GET /api/workspaces
+ */
+export const getWorkspaces = async (req, res) => {
+  try {
+    // Личное пространство есть у каждого пользователя
+    await getPersonalWorkspace(req.userId);
+
+    const workspaces = await Workspace.find({ 'members.userId': req.userId }).sort({
+      isPersonal: -1,
+      createdAt: 1,
+    });
+
+    res.json({
+      workspaces: workspaces.map((workspace) => workspace.toPublicJSON(req.userId)),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetWorkspaces Error');
+    res.status(500).json({
+      message: 'Ошибка при получении рабочих пространств',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Создание общего рабочего пространства (создатель становится владельцем)
+ * POST /api/workspaces
+ */
+export const createWorkspace = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      ownerId: req.userId,
+      members: [{ userId: req.userId, role: 'owner' }],
+    });
+
+    res.status(201).json({
+      message: 'Рабочее пространство создано',
+      workspace: workspace.toPublicJSON(req.userId),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CreateWorkspace Error');
+    res.status(500).json({
+      message: 'Ошибка при создании рабочего пространства',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение рабочего пространства с участниками
+ * GET /api/workspaces/:workspaceId
+ */
+export const getWorkspace = async (req, res) => {
+  try {
+    const workspace = req.workspace;
+
+    const users = await User.find({
+      _id: { $in: workspace.members.map((member) => member.userId) },
+    }).select('name email');
+    const usersById = new Map(users.map((user) => [user.id, user]));
+
+    res.json({
+      workspace: {
+        ...workspace.toPublicJSON(req.userId),
+        members: workspace.members.map((member) => {
+          const user = usersById.get(String(member.userId));
+          return {
+            userId: member.userId,
+            name: user ? user.name : null,
+            email: user ? user.email : null,
+            role: member.role,
+            joinedAt: member.joinedAt,
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetWorkspace Error');
+    res.status(500).json({
+      message: 'Ошибка при получении рабочего пространства',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Переименование рабочего пространства
+ * PATCH /api/workspaces/:workspaceId
+ */
+export const updateWorkspace = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const workspace = req.workspace;
+    workspace.name = req.body.name;
+    await workspace.save();
+
+    res.json({
+      message: 'Рабочее пространство обновлено',
+      workspace: workspace.toPublicJSON(req.userId),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpdateWorkspace Error');
+    res.status(500).json({
+      message: 'Ошибка при обновлении рабочего пространства',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Удаление общего рабочего пространства вместе со всеми данными
+ * DELETE /api/workspaces/:workspaceId
+ */
+export const deleteWorkspace = async (req, res) => {
+  try {
+    if (req.workspace.isPersonal) {
+      return res.status(400).json({
+        message: 'Личное рабочее пространство нельзя удалить',
+      });
+    }
+
+    await deleteWorkspaceData(req.workspace);
+
+    res.json({
+      message: 'Рабочее пространство удалено',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeleteWorkspace Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении рабочего пространства',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Изменение роли участника
+ * Роль owner передает владение: прежний владелец становится редактором.
+ * PUT /api/workspaces/:workspaceId/members/:userId
+ */
+export const updateMemberRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const workspace = req.workspace;
+    const { role } = req.body;
+
+    const member = workspace.members.find((item) => String(item.userId) === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Участник не найден',
+      });
+    }
+
+    if (member.userId.equals(workspace.ownerId)) {
+      return res.status(400).json({
+        message: 'Роль владельца меняется только передачей владения другому участнику',
+      });
+    }
+
+    if (role === 'owner') {
+      const owner = workspace.members.find((item) => item.userId.equals(workspace.ownerId));
+      owner.role = 'editor';
+      workspace.ownerId = member.userId;
+    }
+    member.role = role;
+
+    await workspace.save();
+
+    res.json({
+      message: role === 'owner' ? 'Владение передано' : 'Роль участника изменена',
+      workspace: workspace.toPublicJSON(req.userId),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'UpdateMemberRole Error');
+    res.status(500).json({
+      message: 'Ошибка при изменении роли участника',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Исключение участника владельцем или выход участника из пространства
+ * DELETE /api/workspaces/:workspaceId/members/:userId
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const isSelf = req.params.userId === String(req.userId);
+
+    if (!isSelf && req.workspaceRole !== 'owner') {
+      return res.status(403).json({
+        message: 'Исключать участников может только владелец',
+      });
+    }
+
+    const member = workspace.members.find((item) => String(item.userId) === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Участник не найден',
+      });
+    }
+
+    if (member.userId.equals(workspace.ownerId)) {
+      return res.status(400).json({
+        message: 'Владелец не может покинуть пространство. Передайте владение или удалите его.',
+      });
+    }
+
+    workspace.members = workspace.members.filter((item) => item !== member);
+    await workspace.save();
+
+    res.json({
+      message: isSelf ? 'Вы покинули рабочее пространство' : 'Участник исключен',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RemoveMember Error');
+    res.status(500).json({
+      message: 'Ошибка при удалении участника',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение активных приглашений рабочего пространства
+ * GET /api/workspaces/:workspaceId/invitations
+ */
+export const getWorkspaceInvitations = async (req, res) => {
+  try {
+    const invitations = await WorkspaceInvitation.find({
+      workspaceId: req.workspaceId,
+      status: 'pending',
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      invitations,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetWorkspaceInvitations Error');
+    res.status(500).json({
+      message: 'Ошибка при получении приглашений',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Приглашение участника по email
+ * POST /api/workspaces/:workspaceId/invitations
+ */
+export const createInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Ошибка валидации',
+        errors: errors.array(),
+      });
+    }
+
+    const workspace = req.workspace;
+    const { email, role = 'editor' } = req.body;
+
+    if (workspace.isPersonal) {
+      return res.status(400).json({
+        message: 'В личное пространство нельзя приглашать участников. Создайте общее пространство.',
+      });
+    }
+
+    const invitee = await User.findOne({ email }).select('_id');
+    if (invitee && workspace.getMemberRole(invitee._id)) {
+      return res.status(409).json({
+        message: 'Пользователь уже участник пространства',
+      });
+    }
+
+    let invitation = await WorkspaceInvitation.findOne({
+      workspaceId: workspace._id,
+      email,
+      status: 'pending',
+    });
+
+    if (invitation?.isOpen()) {
+      return res.status(409).json({
+        message: 'Приглашение на этот email уже отправлено',
+      });
+    }
+
+    if (invitation) {
+      // Просроченное приглашение продлевается и отправляется заново
+      invitation.role = role;
+      invitation.invitedBy = req.userId;
+      invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+      await invitation.save();
+    } else {
+      try {
+        invitation = await WorkspaceInvitation.create({
+          workspaceId: workspace._id,
+          email,
+          role,
+          invitedBy: req.userId,
+        });
+      } catch (error) {
+        // Параллельный запрос уже создал приглашение
+        if (error.code === 11000) {
+          return res.status(409).json({
+            message: 'Приглашение на этот email уже отправлено',
+          });
+        }
+        throw error;
+      }
+    }
+
+    const inviter = await User.findById(req.userId).select('name locale');
+    await sendInvitationMail(invitation, workspace, inviter);
+
+    res.status(201).json({
+      message: 'Приглашение отправлено',
+      invitation,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'CreateInvitation Error');
+    res.status(500).json({
+      message: 'Ошибка при создании приглашения',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отзыв приглашения
+ * DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await WorkspaceInvitation.findOneAndUpdate(
+      {
+        _id: req.params.invitationId,
+        workspaceId: req.workspaceId,
+        status: 'pending',
+      },
+      { $set: { status: 'revoked', respondedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Приглашение не найдено',
+      });
+    }
+
+    res.json({
+      message: 'Приглашение отозвано',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'RevokeInvitation Error');
+    res.status(500).json({
+      message: 'Ошибка при отзыве приглашения',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Получение приглашений текущего пользователя (по email аккаунта)
+ * GET /api/workspaces/invitations
+ */
+export const getMyInvitations = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('email');
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'Пользователь не найден',
+      });
+    }
+
+    const invitations = await WorkspaceInvitation.find({
+      email: user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    })
+      .populate('workspaceId', 'name')
+      .populate('invitedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      invitations: invitations.map((invitation) => ({
+        _id: invitation._id,
+        workspace: invitation.workspaceId,
+        invitedBy: invitation.invitedBy,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt,
+      })),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'GetMyInvitations Error');
+    res.status(500).json({
+      message: 'Ошибка при получении приглашений',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Поиск открытого приглашения, адресованного текущему пользователю
+ * При ошибке отправляет ответ и возвращает null
+ */
+const findOwnInvitation = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.invitationId)) {
+    res.status(400).json({ message: 'Некорректный ID приглашения' });
+    return null;
+  }
+
+  const user = await User.findById(req.userId).select('email isEmailVerified');
+  const invitation = user
+    ? await WorkspaceInvitation.findOne({ _id: req.params.invitationId, email: user.email })
+    : null;
+
+  if (!invitation) {
+    res.status(404).json({ message: 'Приглашение не найдено' });
+    return null;
+  }
+
+  if (!invitation.isOpen()) {
+    res.status(410).json({ message: 'Приглашение уже недействительно' });
+    return null;
+  }
+
+  return { user, invitation };
+};
+
+/**
+ * Принятие приглашения (требуется подтвержденный email)
+ * POST /api/workspaces/invitations/:invitationId/accept
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const found = await findOwnInvitation(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { user, invitation } = found;
+
+    if (!user.isEmailVerified) {
+      return res.status(403).json({
+        message: 'Подтвердите email, чтобы принять приглашение',
+      });
+    }
+
+    const workspace = await Workspace.findById(invitation.workspaceId);
+
+    if (!workspace) {
+      return res.status(410).json({
+        message: 'Рабочее пространство больше не существует',
+      });
+    }
+
+    // Условие по members.userId защищает от повторного добавления при параллельных запросах
+    await Workspace.updateOne(
+      { _id: workspace._id, 'members.userId': { $ne: user._id } },
+      { $push: { members: { userId: user._id, role: invitation.role } } }
+    );
+
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const updated = await Workspace.findById(workspace._id);
+
+    res.json({
+      message: 'Приглашение принято',
+      workspace: updated.toPublicJSON(user._id),
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'AcceptInvitation Error');
+    res.status(500).json({
+      message: 'Ошибка при принятии приглашения',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Отклонение приглашения
+ * POST /api/workspaces/invitations/:invitationId/decline
+ */
+export const declineInvitation = async (req, res) => {
+  try {
+    const found = await findOwnInvitation(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { invitation } = found;
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      message: 'Приглашение отклонено',
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'DeclineInvitation Error');
+    res.status(500).json({
+      message: 'Ошибка при отклонении приглашения',
+      error: error.message,
+    });
+  }
+};
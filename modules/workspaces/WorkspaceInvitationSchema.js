@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Срок действия приглашения
+export const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WorkspaceInvitationSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Владельцем пригласить нельзя - владение передается отдельно
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      default: 'editor',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked'],
+      default: 'pending',
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_TTL_MS),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WorkspaceInvitationSchema.index({ email: 1, status: 1 });
+// Одно активное приглашение на email в пространство
+WorkspaceInvitationSchema.index(
+  { workspaceId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Метод для проверки, можно ли еще ответить на приглашение
+WorkspaceInvitationSchema.methods.isOpen = function () {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+export default mongoose.model('WorkspaceInvitation', WorkspaceInvitationSchema);
@@ -0,0 +1,102 @@
+import express from 'express';
+import { body } from 'express-validator';
+import checkAuth from '../../shared/middlewares/AuthMiddleware.js';
+import workspaceAccess from '../../shared/middlewares/WorkspaceMiddleware.js';
+import * as WorkspaceController from './WorkspaceController.js';
+import { WORKSPACE_ROLES } from './WorkspaceSchema.js';
+
+const router = express.Router();
+
+/**
+ * Валидация названия рабочего пространства
+ */
+const workspaceValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Название должно быть от 1 до 100 символов'),
+];
+
+/**
+ * Валидация для изменения роли участника
+ */
+const memberRoleValidation = [
+  body('role')
+    .isIn(WORKSPACE_ROLES)
+    .withMessage(`Роль должна быть одной из: ${WORKSPACE_ROLES.join(', ')}`),
+];
+
+/**
+ * Валидация для приглашения участника
+ */
+const invitationValidation = [
+  body('email').isEmail().withMessage('Введите корректный email').normalizeEmail(),
+  body('role')
+    .optional()
+    .isIn(['editor', 'viewer'])
+    .withMessage('Роль приглашенного должна быть одной из: editor, viewer'),
+];
+
+// Все роуты требуют авторизации
+
+// Приглашения текущего пользователя (до /:workspaceId, чтобы "invitations" не принимался за ID)
+router.get('/invitations', checkAuth, WorkspaceController.getMyInvitations);
+router.post('/invitations/:invitationId/accept', checkAuth, WorkspaceController.acceptInvitation);
+router.post('/invitations/:invitationId/decline', checkAuth, WorkspaceController.declineInvitation);
+
+// Рабочие пространства
+router.get('/', checkAuth, WorkspaceController.getWorkspaces);
+router.post('/', checkAuth, workspaceValidation, WorkspaceController.createWorkspace);
+router.get('/:workspaceId', checkAuth, workspaceAccess('viewer'), WorkspaceController.getWorkspace);
+router.patch(
+  '/:workspaceId',
+  checkAuth,
+  workspaceAccess('owner'),
+  workspaceValidation,
+  WorkspaceController.updateWorkspace
+);
+router.delete(
+  '/:workspaceId',
+  checkAuth,
+  workspaceAccess('owner'),
+  WorkspaceController.deleteWorkspace
+);
+
+// Участники (выйти из пространства может любой участник, остальное - только владелец)
+router.put(
+  '/:workspaceId/members/:userId',
+  checkAuth,
+  workspaceAccess('owner'),
+  memberRoleValidation,
+  WorkspaceController.updateMemberRole
+);
+router.delete(
+  '/:workspaceId/members/:userId',
+  checkAuth,
+  workspaceAccess('viewer'),
+  WorkspaceController.removeMember
+);
+
+// Приглашения пространства
+router.get(
+  '/:workspaceId/invitations',
+  checkAuth,
+  workspaceAccess('owner'),
+  WorkspaceController.getWorkspaceInvitations
+);
+router.post(
+  '/:workspaceId/invitations',
+  checkAuth,
+  workspaceAccess('owner'),
+  invitationValidation,
+  WorkspaceController.createInvitation
+);
+router.delete(
+  '/:workspaceId/invitations/:invitationId',
+  checkAuth,
+  workspaceAccess('owner'),
+  WorkspaceController.revokeInvitation
+);
+
+export default router;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// Роли по возрастанию прав: viewer - только чтение, editor - изменение расходов и доходов,
+// owner - настройки бюджета, участники и приглашения
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Проверка, что роль дает права не ниже требуемой
+ */
+export const hasWorkspaceRole = (role, minRole) =>
+  WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+
+const WorkspaceMemberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const WorkspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Название обязательно'],
+      trim: true,
+      maxlength: [100, 'Название не должно превышать 100 символов'],
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Личное пространство создается автоматически, в нем всегда один участник
+    isPersonal: {
+      type: Boolean,
+      default: false,
+    },
+    members: {
+      type: [WorkspaceMemberSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WorkspaceSchema.index({ 'members.userId': 1 });
+// У пользователя ровно одно личное пространство
+WorkspaceSchema.index(
+  { ownerId: 1 },
+  { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+// Метод для получения роли пользователя (null, если он не участник)
+WorkspaceSchema.methods.getMemberRole = function (userId) {
+  const member = this.members.find((item) => item.userId.equals(userId));
+  return member ? member.role : null;
+};
+
+// Метод для получения публичных данных пространства
+WorkspaceSchema.methods.toPublicJSON = function (userId) {
+  return {
+    _id: this._id,
+    name: this.name,
+    isPersonal: this.isPersonal,
+    ownerId: this.ownerId,
+    role: userId ? this.getMemberRole(userId) : undefined,
+    membersCount: this.members.length,
+    createdAt: this.createdAt,
+  };
+};
+
+export default mongoose.model('Workspace', WorkspaceSchema);
@@ -0,0 +1,137 @@
+import logger from '../../shared/config/logger.js';
+import BudgetAlert from '../budget/BudgetAlertSchema.js';
+import BudgetPeriod from '../budget/BudgetPeriodSchema.js';
+import BudgetSettings from '../budget/BudgetSchema.js';
+import CategoryModel from '../expenses/CategoryModelSchema.js';
+import CategoryRule from '../expenses/CategoryRuleSchema.js';
+import Expense from '../expenses/ExpenseSchema.js';
+import ImportBatch from '../expenses/ImportBatchSchema.js';
+import { findReceiptFiles, removeReceiptFiles } from '../expenses/ReceiptService.js';
+import RecurringExpense from '../expenses/RecurringExpenseSchema.js';
+import Settlement from '../expenses/SettlementSchema.js';
+import Goal from '../goals/GoalSchema.js';
+import Income from '../income/IncomeSchema.js';
+import WebhookDelivery from '../webhooks/WebhookDeliverySchema.js';
+import Webhook from '../webhooks/WebhookSchema.js';
+import WorkspaceInvitation from './WorkspaceInvitationSchema.js';
+import Workspace from './WorkspaceSchema.js';
+
+// Модели с данными рабочего пространства (поле workspaceId)
+const WORKSPACE_OWNED_MODELS = [
+  BudgetSettings,
+  Expense,
+  RecurringExpense,
+  Income,
+  ImportBatch,
+  Settlement,
+  CategoryRule,
+  Goal,
+];
+
+const PERSONAL_WORKSPACE_NAME = 'Личный бюджет';
+
+/**
+ * Привязка данных, созданных до появления рабочих пространств, к личному пространству
+ */
+const attachLegacyData = async (userId, workspaceId) => {
+  for (const Model of WORKSPACE_OWNED_MODELS) {
+    const result = await Model.updateMany({ userId, workspaceId: null }, { $set: { workspaceId } });
+
+    if (result.modifiedCount > 0) {
+      logger.info(
+        { userId, workspaceId, model: Model.modelName, count: result.modifiedCount },
+        'Legacy data attached to personal workspace'
+      );
+    }
+  }
+};
+
+/**
+ * Получение личного рабочего пространства пользователя (создается при первом обращении)
+ */
+export const getPersonalWorkspace = async (userId) => {
+  const existing = await Workspace.findOne({ ownerId: userId, isPersonal: true });
+
+  if (existing) {
+    return existing;
+  }
+
+  let workspace;
+  try {
+    workspace = await Workspace.create({
+      name: PERSONAL_WORKSPACE_NAME,
+      ownerId: userId,
+      isPersonal: true,
+      members: [{ userId, role: 'owner' }],
+    });
+  } catch (error) {
+    // Параллельный запрос уже создал пространство
+    if (error.code === 11000) {
+      return Workspace.findOne({ ownerId: userId, isPersonal: true });
+    }
+    throw error;
+  }
+
+  await attachLegacyData(userId, workspace._id);
+
+  return workspace;
+};
+
+/**
+ * Поиск рабочего пространства, в котором пользователь является участником
+ */
+export const findMemberWorkspace = (workspaceId, userId) => {
+  return Workspace.findOne({ _id: workspaceId, 'members.userId': userId });
+};
+
+/**
+ * Удаление рабочего пространства вместе со всеми его данными
+ */
+export const deleteWorkspaceData = async (workspace) => {
+  const receiptFiles = await findReceiptFiles({ workspaceId: workspace._id });
+
+  for (const Model of WORKSPACE_OWNED_MODELS) {
+    await Model.deleteMany({ workspaceId: workspace._id });
+  }
+  await WorkspaceInvitation.deleteMany({ workspaceId: workspace._id });
+  await CategoryModel.deleteMany({ workspaceId: workspace._id });
+  await BudgetAlert.deleteMany({ workspaceId: workspace._id });
+  await BudgetPeriod.deleteMany({ workspaceId: workspace._id });
+  await Webhook.deleteMany({ workspaceId: workspace._id });
+  await WebhookDelivery.deleteMany({ workspaceId: workspace._id });
+  await Workspace.deleteOne({ _id: workspace._id });
+
+  for (const receiptFile of receiptFiles) {
+    await removeReceiptFiles(receiptFile);
+  }
+};
+
+/**
+ * Удаление пользователя из всех рабочих пространств (при удалении аккаунта)
+ * Пространства, где он единственный участник, удаляются вместе с данными;
+ * в общих пространствах владение переходит к участнику с наибольшей ролью и стажем.
+ */
+export const removeUserFromWorkspaces = async (userId) => {
+  const workspaces = await Workspace.find({ 'members.userId': userId });
+
+  for (const workspace of workspaces) {
+    const others = workspace.members.filter((member) => !member.userId.equals(userId));
+
+    if (workspace.isPersonal || others.length === 0) {
+      await deleteWorkspaceData(workspace);
+      continue;
+    }
+
+    workspace.members = others;
+
+    if (workspace.ownerId.equals(userId)) {
+      const [successor] = [...others].sort(
+        (a, b) => (b.role === 'editor') - (a.role === 'editor') || a.joinedAt - b.joinedAt
+      );
+      successor.role = 'owner';
+      workspace.ownerId = successor.userId;
+    }
+
+    await workspace.save();
+  }
+};
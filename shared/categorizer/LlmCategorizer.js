@@ -0,0 +1,90 @@
+/**
+ * Категоризация и разбор текста через LLM с OpenAI-совместимым API (POST {apiUrl}/chat/completions)
+ * Модель отвечает JSON-объектом; в запрос уходят только текст расхода, сумма и список категорий.
+ */
+export default class LlmCategorizer {
+  constructor({ apiUrl, apiKey, model, timeoutMs }) {
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async complete(instructions, input) {
+    const response = await fetch(`${this.apiUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`,
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: instructions },
+          { role: 'user', content: JSON.stringify(input) },
+        ],
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM API ответил ${response.status}`);
+    }
+
+    const data = await response.json();
+    return JSON.parse(data?.choices?.[0]?.message?.content || '{}');
+  }
+
+  /**
+   * Категория из списка с уверенностью; ответ вне списка отбрасывается
+   */
+  async suggest({ text, amount, categories }) {
+    const result = await this.complete(
+      'You categorize personal expenses. Pick the best category for the expense strictly from ' +
+        '"categories". Reply with JSON {"category": string, "confidence": number from 0 to 1}. ' +
+        'If none fits, reply {"category": null, "confidence": 0}.',
+      { text, amount, categories }
+    );
+
+    const confidence = Number(result.confidence);
+    if (!categories.includes(result.category) || !Number.isFinite(confidence)) {
+      return [];
+    }
+
+    return [{ category: result.category, confidence: Math.min(Math.max(confidence, 0), 1) }];
+  }
+
+  /**
+   * Черновик расхода из произвольного текста ("кофе 4.50 вчера")
+   */
+  async parse({ text, categories, today, currencyCode }) {
+    const result = await this.complete(
+      'You turn a short free-text note about a purchase into an expense draft. ' +
+        '"today" is the current date (YYYY-MM-DD), resolve relative dates against it. ' +
+        'Reply with JSON {"amount": number|null, "currencyCode": ISO 4217 code|null, ' +
+        '"date": "YYYY-MM-DD"|null, "note": short description without amount and date, ' +
+        '"category": one of "categories"|null, "confidence": number from 0 to 1}. ' +
+        `Use null for currencyCode if the text does not mention a currency (default is ${currencyCode}).`,
+      { text, today, categories }
+    );
+
+    const amount = Number(result.amount);
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(result.date || '') ? result.date : null;
+    const currency = /^[A-Z]{3}$/.test(result.currencyCode || '') ? result.currencyCode : null;
+    const category = categories.includes(result.category) ? result.category : null;
+    const confidence = Number(result.confidence);
+
+    return {
+      amount: Number.isFinite(amount) && amount > 0 ? amount : null,
+      currencyCode: currency,
+      date,
+      note: typeof result.note === 'string' && result.note.trim() ? result.note.trim() : null,
+      suggestions:
+        category && Number.isFinite(confidence)
+          ? [{ category, confidence: Math.min(Math.max(confidence, 0), 1) }]
+          : [],
+    };
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Локальная категоризация наивным байесовским классификатором
+ * Модель - частоты слов заметок по категориям, обучается на размеченных расходах
+ * рабочего пространства: { documents, classes: [{ category, documents, tokenTotal, tokens }] }
+ */
+
+/**
+ * Признаки расхода: слова заметки (без повторов) и порядок суммы
+ */
+export const tokenizeExpense = (text, amount) => {
+  const words = String(text ?? '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+
+  const tokens = new Set((words || []).filter((word) => word.length > 1 && !/^\d+$/.test(word)));
+
+  if (tokens.size > 0 && Number.isFinite(amount) && amount > 0) {
+    tokens.add(`#amount:${Math.floor(Math.log2(amount + 1))}`);
+  }
+
+  return [...tokens];
+};
+
+export default class NaiveBayesCategorizer {
+  constructor({ minDocuments }) {
+    this.minDocuments = minDocuments;
+  }
+
+  /**
+   * Категории-кандидаты с уверенностью (по убыванию), пустой массив - подсказать нечего
+   */
+  async suggest({ text, amount, categories, model }) {
+    if (!model || model.documents < this.minDocuments) {
+      return [];
+    }
+
+    const classes = new Map(model.classes.map((item) => [item.category, item]));
+    const vocabulary = new Set();
+    for (const item of model.classes) {
+      for (const token of item.tokens.keys()) {
+        vocabulary.add(token);
+      }
+    }
+
+    // Учитываются только слова, которые модель уже видела
+    const tokens = tokenizeExpense(text, amount).filter((token) => vocabulary.has(token));
+    if (!tokens.some((token) => !token.startsWith('#'))) {
+      return [];
+    }
+
+    const candidates = (categories || [...classes.keys()]).filter(
+      (category) => category !== 'Other'
+    );
+
+    // Логарифмы апостериорных вероятностей со сглаживанием Лапласа
+    const scores = candidates.map((category) => {
+      const item = classes.get(category);
+      const documents = item ? item.documents : 0;
+      const tokenTotal = item ? item.tokenTotal : 0;
+
+      let score = Math.log((documents + 1) / (model.documents + candidates.length));
+      for (const token of tokens) {
+        const count = item ? item.tokens.get(token) || 0 : 0;
+        score += Math.log((count + 1) / (tokenTotal + vocabulary.size));
+      }
+
+      return { category, score };
+    });
+
+    // Нормализация в вероятности (softmax)
+    const maxScore = Math.max(...scores.map((item) => item.score));
+    const weights = scores.map((item) => Math.exp(item.score - maxScore));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return scores
+      .map((item, index) => ({ category: item.category, confidence: weights[index] / total }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
@@ -0,0 +1,50 @@
+import LlmCategorizer from '../categorizer/LlmCategorizer.js';
+import NaiveBayesCategorizer from '../categorizer/NaiveBayesCategorizer.js';
+
+/**
+ * Выбор провайдера подсказок категорий и разбора текста
+ * CATEGORIZER=local - наивный Байес на истории расходов пространства (по умолчанию)
+ * CATEGORIZER=llm - OpenAI-совместимый API (LLM_API_URL, LLM_API_KEY, LLM_MODEL);
+ * при ошибке API используется локальная модель
+ */
+let categorizer;
+let localCategorizer;
+
+export const getLocalCategorizer = () => {
+  if (!localCategorizer) {
+    localCategorizer = new NaiveBayesCategorizer({
+      minDocuments: Number(process.env.CATEGORIZER_MIN_EXPENSES) || 10,
+    });
+  }
+
+  return localCategorizer;
+};
+
+export const getCategorizer = () => {
+  if (categorizer) {
+    return categorizer;
+  }
+
+  const driver = process.env.CATEGORIZER || 'local';
+
+  switch (driver) {
+    case 'local':
+      categorizer = getLocalCategorizer();
+      break;
+    case 'llm':
+      if (!process.env.LLM_API_KEY) {
+        throw new Error('Для CATEGORIZER=llm нужен LLM_API_KEY');
+      }
+      categorizer = new LlmCategorizer({
+        apiUrl: process.env.LLM_API_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.LLM_API_KEY,
+        model: process.env.LLM_MODEL || 'gpt-4o-mini',
+        timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 10000,
+      });
+      break;
+    default:
+      throw new Error(`Неизвестный провайдер категоризации: ${driver}`);
+  }
+
+  return categorizer;
+};
@@ -0,0 +1,52 @@
+import HttpRateFetcher from '../currency/HttpRateFetcher.js';
+import StaticRateFetcher from '../currency/StaticRateFetcher.js';
+import logger from './logger.js';
+
+/**
+ * Выбор источника курсов валют (используется, если курса нет в таблице exchangerates)
+ * RATE_FETCHER=http - внешний API по шаблону RATE_FETCHER_URL (по умолчанию)
+ * RATE_FETCHER=static - таблица STATIC_RATES (JSON) для локальной разработки и тестов
+ * RATE_FETCHER=none - только курсы из таблицы
+ */
+let fetcher;
+
+const parseStaticRates = () => {
+  if (!process.env.STATIC_RATES) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.STATIC_RATES);
+  } catch (error) {
+    logger.error({ err: error }, 'STATIC_RATES is not valid JSON');
+    return {};
+  }
+};
+
+export const getRateFetcher = () => {
+  if (fetcher !== undefined) {
+    return fetcher;
+  }
+
+  const driver = process.env.RATE_FETCHER || 'http';
+
+  switch (driver) {
+    case 'http':
+      fetcher = new HttpRateFetcher({
+        urlTemplate:
+          process.env.RATE_FETCHER_URL || 'https://api.frankfurter.app/{date}?from={from}&to={to}',
+        timeoutMs: Number(process.env.RATE_FETCHER_TIMEOUT_MS) || 5000,
+      });
+      break;
+    case 'static':
+      fetcher = new StaticRateFetcher(parseStaticRates());
+      break;
+    case 'none':
+      fetcher = null;
+      break;
+    default:
+      throw new Error(`Неизвестный источник курсов валют: ${driver}`);
+  }
+
+  return fetcher;
+};
@@ -0,0 +1,54 @@
+import ConsoleTransport from '../mail/ConsoleTransport.js';
+import FileTransport from '../mail/FileTransport.js';
+import SmtpTransport from '../mail/SmtpTransport.js';
+import { renderMailTemplate } from '../mail/templates.js';
+import logger from './logger.js';
+
+/**
+ * Выбор транспорта для отправки писем
+ * MAIL_TRANSPORT=smtp - SMTP-сервер (по умолчанию в production)
+ * MAIL_TRANSPORT=console - вывод в лог (по умолчанию в разработке)
+ * MAIL_TRANSPORT=file - JSON-файлы в MAIL_DIR (для тестов)
+ */
+let transport = null;
+
+export const getMailTransport = () => {
+  if (transport) {
+    return transport;
+  }
+
+  const from = process.env.MAIL_FROM || 'AI Budget <no-reply@ai-budget.app>';
+  const driver =
+    process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  switch (driver) {
+    case 'smtp':
+      transport = new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from,
+      });
+      break;
+    case 'file':
+      transport = new FileTransport({ dir: process.env.MAIL_DIR || 'mail-outbox', from });
+      break;
+    case 'console':
+      transport = new ConsoleTransport({ logger, from });
+      break;
+    default:
+      throw new Error(`Неизвестный транспорт почты: ${driver}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Отправка письма по шаблону
+ */
+export const sendTemplateMail = async (to, templateName, locale, params) => {
+  const message = renderMailTemplate(templateName, locale, params);
+  await getMailTransport().send({ to, ...message });
+};
@@ -1,3 +1,4 @@
+import path from 'node:path';
 import multer from 'multer';
 
 /**
@@ -24,3 +25,25 @@ export const upload = multer({
   },
   fileFilter: fileFilter,
 });
+
+/**
+ * Загрузка банковских выписок (CSV, OFX/QFX, QIF) для импорта расходов
+ * Тип определяется по расширению: браузеры и банки присылают для них разные mimetype
+ */
+const statementFileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.csv', '.txt', '.ofx', '.qfx', '.qif'];
+
+  if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Неподдерживаемый формат файла. Разрешены: CSV, OFX, QFX, QIF'), false);
+  }
+};
+
+export const statementUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // Максимум 10MB
+  },
+  fileFilter: statementFileFilter,
+});
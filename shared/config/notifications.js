@@ -0,0 +1,40 @@
+import EmailChannel from '../notifications/EmailChannel.js';
+import InAppChannel from '../notifications/InAppChannel.js';
+import WebPushChannel from '../notifications/WebPushChannel.js';
+import WebhookChannel from '../notifications/WebhookChannel.js';
+import { sendTemplateMail } from './mail.js';
+
+/**
+ * Каналы доставки уведомлений
+ * Каждый канал реализует send({ user, preferences, notification }).
+ * Web push включается, только если заданы VAPID_PUBLIC_KEY и VAPID_PRIVATE_KEY.
+ */
+let channels = null;
+
+export const getNotificationChannels = () => {
+  if (channels) {
+    return channels;
+  }
+
+  const timeoutMs = Number(process.env.NOTIFICATION_TIMEOUT_MS) || 10000;
+
+  channels = {
+    inApp: new InAppChannel(),
+    email: new EmailChannel({
+      sendTemplateMail,
+      appUrl: process.env.APP_URL || 'http://localhost:3000',
+    }),
+    webhook: new WebhookChannel({ timeoutMs }),
+  };
+
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    channels.push = new WebPushChannel({
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+      subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@ai-budget.app',
+      timeoutMs,
+    });
+  }
+
+  return channels;
+};
@@ -0,0 +1,30 @@
+import GridFSStorage from '../storage/GridFSStorage.js';
+import LocalStorage from '../storage/LocalStorage.js';
+
+/**
+ * Выбор хранилища загружаемых файлов (чеки, аватары)
+ * STORAGE_DRIVER=local - локальная директория UPLOAD_DIR (по умолчанию)
+ * STORAGE_DRIVER=gridfs - MongoDB GridFS
+ */
+let storage = null;
+
+export const getStorage = () => {
+  if (storage) {
+    return storage;
+  }
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      storage = new LocalStorage(process.env.UPLOAD_DIR || 'uploads');
+      break;
+    case 'gridfs':
+      storage = new GridFSStorage(process.env.GRIDFS_BUCKET || 'uploads');
+      break;
+    default:
+      throw new Error(`Неизвестный драйвер хранилища: ${driver}`);
+  }
+
+  return storage;
+};
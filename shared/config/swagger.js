@@ -16,6 +16,13 @@ const schemas = loadYaml('schemas.yaml');
 const authDocs = loadYaml('auth.yaml');
 const budgetDocs = loadYaml('budget.yaml');
 const expensesDocs = loadYaml('expenses.yaml');
+const incomeDocs = loadYaml('income.yaml');
+const currencyDocs = loadYaml('currency.yaml');
+const workspacesDocs = loadYaml('workspaces.yaml');
+const notificationsDocs = loadYaml('notifications.yaml');
+const webhooksDocs = loadYaml('webhooks.yaml');
+const goalsDocs = loadYaml('goals.yaml');
+const tagsDocs = loadYaml('tags.yaml');
 
 const swaggerDocument = {
   openapi: '3.0.0',
@@ -34,7 +41,18 @@ const swaggerDocument = {
       description: 'Development server',
     },
   ],
-  tags: [...(authDocs.tags || []), ...(budgetDocs.tags || []), ...(expensesDocs.tags || [])],
+  tags: [
+    ...(authDocs.tags || []),
+    ...(budgetDocs.tags || []),
+    ...(expensesDocs.tags || []),
+    ...(incomeDocs.tags || []),
+    ...(currencyDocs.tags || []),
+    ...(workspacesDocs.tags || []),
+    ...(notificationsDocs.tags || []),
+    ...(webhooksDocs.tags || []),
+    ...(goalsDocs.tags || []),
+    ...(tagsDocs.tags || []),
+  ],
   components: {
     ...schemas.components,
   },
@@ -42,6 +60,13 @@ const swaggerDocument = {
     ...authDocs.paths,
     ...budgetDocs.paths,
     ...expensesDocs.paths,
+    ...incomeDocs.paths,
+    ...currencyDocs.paths,
+    ...workspacesDocs.paths,
+    ...notificationsDocs.paths,
+    ...webhooksDocs.paths,
+    ...goalsDocs.paths,
+    ...tagsDocs.paths,
   },
 };
 
@@ -0,0 +1,29 @@
+/**
+ * Получение курсов валют из внешнего HTTP API
+ * URL задается шаблоном с плейсхолдерами {date}, {from}, {to};
+ * ответ должен содержать { rates: { <to>: <rate> } } (формат frankfurter.app / exchangerate.host)
+ */
+export default class HttpRateFetcher {
+  constructor({ urlTemplate, timeoutMs }) {
+    this.urlTemplate = urlTemplate;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async fetchRate(from, to, date) {
+    const url = this.urlTemplate
+      .replace('{date}', date.toISOString().split('T')[0])
+      .replace('{from}', encodeURIComponent(from))
+      .replace('{to}', encodeURIComponent(to));
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+
+    if (!response.ok) {
+      throw new Error(`Сервис курсов валют ответил ${response.status}`);
+    }
+
+    const data = await response.json();
+    const rate = Number(data?.rates?.[to]);
+
+    return Number.isFinite(rate) && rate > 0 ? rate : null;
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Курсы валют из статической таблицы (локальная разработка и тесты)
+ * Таблица задает стоимость единицы базовой валюты в каждой валюте, например
+ * { "EUR": 1, "USD": 1.08, "RUB": 98.5 }; курс from->to = rates[to] / rates[from]
+ */
+export default class StaticRateFetcher {
+  constructor(rates = {}) {
+    this.rates = rates;
+  }
+
+  async fetchRate(from, to) {
+    const fromRate = this.rates[from];
+    const toRate = this.rates[to];
+
+    if (!fromRate || !toRate) {
+      return null;
+    }
+
+    return toRate / fromRate;
+  }
+}
@@ -0,0 +1,43 @@
+import { EventEmitter } from 'node:events';
+import logger from '../config/logger.js';
+
+/**
+ * Шина доменных событий приложения
+ * Контроллеры и сервисы публикуют события ('expense.created', 'budget.threshold_reached', ...),
+ * подписчики (уведомления и т.п.) обрабатывают их после ответа клиенту.
+ * Ошибка одного подписчика логируется и не влияет на остальных.
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Служебное имя для подписчиков на все события
+const ALL_EVENTS = '*';
+
+const listen = (name, handler) => {
+  emitter.on(name, (event) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch((error) => logger.error({ err: error, type: event.type }, 'Event handler failed'));
+  });
+};
+
+/**
+ * Подписка на событие; обработчик получает { type, payload, occurredAt }
+ */
+export const subscribe = (type, handler) => listen(type, handler);
+
+/**
+ * Подписка на все события (например, для пересылки во внешние webhooks)
+ */
+export const subscribeAll = (handler) => listen(ALL_EVENTS, handler);
+
+/**
+ * Публикация события: обработчики запускаются асинхронно, публикующий их не ждет
+ */
+export const publish = (type, payload) => {
+  const event = { type, payload, occurredAt: new Date() };
+  setImmediate(() => {
+    emitter.emit(type, event);
+    emitter.emit(ALL_EVENTS, event);
+  });
+};
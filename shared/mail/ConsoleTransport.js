@@ -0,0 +1,16 @@
+/**
+ * Вывод писем в лог вместо отправки (локальная разработка)
+ */
+export default class ConsoleTransport {
+  constructor({ logger, from }) {
+    this.logger = logger;
+    this.from = from;
+  }
+
+  async send(message) {
+    this.logger.info(
+      { mail: { from: this.from, to: message.to, subject: message.subject } },
+      `Mail:\n${message.text}`
+    );
+  }
+}
@@ -0,0 +1,21 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Сохранение писем в JSON-файлы вместо отправки (локальная разработка и тесты)
+ */
+export default class FileTransport {
+  constructor({ dir, from }) {
+    this.dir = path.resolve(dir);
+    this.from = from;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    const content = { from: this.from, ...message, sentAt: new Date() };
+
+    await fs.promises.writeFile(path.join(this.dir, fileName), JSON.stringify(content, null, 2));
+  }
+}
@@ -0,0 +1,20 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Отправка писем через SMTP (прод)
+ */
+export default class SmtpTransport {
+  constructor({ host, port, secure, user, pass, from }) {
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail({ from: this.from, ...message });
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Локализованные шаблоны писем
+ * Каждый шаблон - функция (params) => { subject, text, html }
+ */
+
+export const SUPPORTED_LOCALES = ['ru', 'en'];
+export const DEFAULT_LOCALE = 'ru';
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Общая HTML-обертка письма со ссылкой-кнопкой
+const layout = ({ greeting, lines, action, link, footer }) => `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto;">
+  <p>${escapeHtml(greeting)}</p>
+  ${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n  ')}
+  <p><a href="${escapeHtml(link)}" style="display: inline-block; padding: 10px 20px; background: #4f46e5; color: #fff; text-decoration: none; border-radius: 6px;">${escapeHtml(action)}</a></p>
+  <p style="color: #6b7280; font-size: 12px;">${escapeHtml(footer)}</p>
+</div>`;
+
+const templates = {
+  ru: {
+    verifyEmail: ({ name, link }) => {
+      const content = {
+        greeting: `Здравствуйте, ${name}!`,
+        lines: ['Подтвердите адрес электронной почты, чтобы завершить регистрацию в AI Budget.'],
+        action: 'Подтвердить email',
+        link,
+        footer:
+          'Ссылка действительна 24 часа. Если вы не регистрировались, просто проигнорируйте это письмо.',
+      };
+      return {
+        subject: 'Подтверждение email в AI Budget',
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    resetPassword: ({ name, link }) => {
+      const content = {
+        greeting: `Здравствуйте, ${name}!`,
+        lines: ['Мы получили запрос на сброс пароля для вашего аккаунта AI Budget.'],
+        action: 'Сбросить пароль',
+        link,
+        footer:
+          'Ссылка действительна 1 час. Если вы не запрашивали сброс, просто проигнорируйте это письмо.',
+      };
+      return {
+        subject: 'Сброс пароля в AI Budget',
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    accountDeletion: ({ name, link, date }) => {
+      const content = {
+        greeting: `Здравствуйте, ${name}!`,
+        lines: [
+          'Ваш аккаунт AI Budget удален по вашему запросу.',
+          `${new Date(date).toLocaleDateString('ru-RU')} аккаунт и все данные будут удалены безвозвратно. До этой даты аккаунт можно восстановить, войдя с прежним email и паролем.`,
+        ],
+        action: 'Восстановить аккаунт',
+        link,
+        footer: 'Если вы не удаляли аккаунт, восстановите его и смените пароль.',
+      };
+      return {
+        subject: 'Аккаунт AI Budget удален',
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    workspaceInvitation: ({ inviterName, workspaceName, role, link }) => {
+      const roleName = role === 'viewer' ? 'просмотр' : 'редактирование';
+      const content = {
+        greeting: 'Здравствуйте!',
+        lines: [
+          `${inviterName} приглашает вас в общий бюджет «${workspaceName}» в AI Budget (доступ: ${roleName}).`,
+          'Войдите или зарегистрируйтесь с этим email, чтобы принять или отклонить приглашение.',
+        ],
+        action: 'Открыть приглашение',
+        link,
+        footer:
+          'Приглашение действительно 7 дней. Если вы не ждали его, просто проигнорируйте это письмо.',
+      };
+      return {
+        subject: `Приглашение в общий бюджет «${workspaceName}»`,
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    notification: ({ name, title, message, link }) => {
+      const content = {
+        greeting: `Здравствуйте, ${name}!`,
+        lines: [message],
+        action: 'Открыть уведомления',
+        link,
+        footer: 'Настроить каналы уведомлений можно в настройках профиля.',
+      };
+      return {
+        subject: title,
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+  },
+  en: {
+    verifyEmail: ({ name, link }) => {
+      const content = {
+        greeting: `Hello, ${name}!`,
+        lines: ['Please confirm your email address to finish signing up for AI Budget.'],
+        action: 'Confirm email',
+        link,
+        footer: "The link is valid for 24 hours. If you didn't sign up, just ignore this email.",
+      };
+      return {
+        subject: 'Confirm your email for AI Budget',
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    resetPassword: ({ name, link }) => {
+      const content = {
+        greeting: `Hello, ${name}!`,
+        lines: ['We received a request to reset the password for your AI Budget account.'],
+        action: 'Reset password',
+        link,
+        footer:
+          "The link is valid for 1 hour. If you didn't request a reset, just ignore this email.",
+      };
+      return {
+        subject: 'Reset your AI Budget password',
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    accountDeletion: ({ name, link, date }) => {
+      const content = {
+        greeting: `Hello, ${name}!`,
+        lines: [
+          'Your AI Budget account has been deleted at your request.',
+          `On ${new Date(date).toLocaleDateString('en-US')} the account and all its data will be permanently erased. Until then you can restore it by signing in with your email and password.`,
+        ],
+        action: 'Restore account',
+        link,
+        footer: "If you didn't delete your account, restore it and change your password.",
+      };
+      return {
+        subject: 'Your AI Budget account has been deleted',
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    workspaceInvitation: ({ inviterName, workspaceName, role, link }) => {
+      const roleName = role === 'viewer' ? 'view' : 'edit';
+      const content = {
+        greeting: 'Hello!',
+        lines: [
+          `${inviterName} invited you to the shared budget "${workspaceName}" in AI Budget (access: ${roleName}).`,
+          'Sign in or sign up with this email to accept or decline the invitation.',
+        ],
+        action: 'Open invitation',
+        link,
+        footer:
+          "The invitation is valid for 7 days. If you weren't expecting it, just ignore this email.",
+      };
+      return {
+        subject: `Invitation to the shared budget "${workspaceName}"`,
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+    notification: ({ name, title, message, link }) => {
+      const content = {
+        greeting: `Hello, ${name}!`,
+        lines: [message],
+        action: 'Open notifications',
+        link,
+        footer: 'You can choose notification channels in your profile settings.',
+      };
+      return {
+        subject: title,
+        text: `${content.greeting}\n\n${content.lines.join('\n')}\n\n${link}\n\n${content.footer}`,
+        html: layout(content),
+      };
+    },
+  },
+};
+
+/**
+ * Рендер шаблона письма на нужном языке (с откатом на язык по умолчанию)
+ */
+export const renderMailTemplate = (name, locale, params) => {
+  const localeTemplates = templates[locale] || templates[DEFAULT_LOCALE];
+  const template = localeTemplates[name];
+
+  if (!template) {
+    throw new Error(`Шаблон письма не найден: ${name}`);
+  }
+
+  return template(params);
+};
@@ -1,4 +1,6 @@
 import jwt from 'jsonwebtoken';
+import User from '../../modules/auth/AuthSchema.js';
+import { isSessionActive } from '../../modules/auth/TokenService.js';
 
 /**
  * Middleware для проверки JWT токена
@@ -27,9 +29,28 @@ const checkAuth = async (req, res, next) => {
     // Верифицируем токен
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Токен должен принадлежать неотозванной сессии (старые токены без sessionId не принимаются)
+    if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId, decoded.userId))) {
+      return res.status(401).json({
+        message: 'Сессия завершена. Пожалуйста, войдите снова.',
+      });
+    }
+
+    // Деактивированный аккаунт теряет доступ сразу, не дожидаясь истечения токена
+    const user = await User.findById(decoded.userId).select('isActive timezone');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        message: 'Аккаунт деактивирован или не существует',
+      });
+    }
+
     // Добавляем данные пользователя в запрос
     req.userId = decoded.userId;
+    req.sessionId = decoded.sessionId;
     req.user = decoded;
+    // Часовой пояс пользователя для границ дней в фильтрах по датам
+    req.timezone = user.timezone;
 
     next();
   } catch (error) {
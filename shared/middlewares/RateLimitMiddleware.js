@@ -0,0 +1,44 @@
+/**
+ * Middleware ограничения частоты запросов (фиксированное окно, счетчики в памяти процесса)
+ * key(req) - по чему считаются запросы (IP, email, пользователь); без ключа запрос не ограничивается.
+ * При нескольких экземплярах приложения лимит действует в каждом отдельно.
+ */
+const rateLimit = ({ windowMs, max, key, message }) => {
+  const counters = new Map();
+
+  // Истекшие окна периодически удаляются, чтобы счетчики не копились
+  setInterval(() => {
+    const now = Date.now();
+    for (const [counterKey, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(counterKey);
+      }
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const counterKey = key(req);
+    if (!counterKey) {
+      return next();
+    }
+
+    const now = Date.now();
+    let counter = counters.get(counterKey);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(counterKey, counter);
+    }
+
+    if (counter.count >= max) {
+      res.set('Retry-After', String(Math.ceil((counter.resetAt - now) / 1000)));
+      return res.status(429).json({
+        message,
+      });
+    }
+
+    counter.count += 1;
+    next();
+  };
+};
+
+export default rateLimit;
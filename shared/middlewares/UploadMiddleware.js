@@ -0,0 +1,32 @@
+import multer from 'multer';
+import { upload } from '../config/multer.js';
+
+/**
+ * Middleware для загрузки одного файла из multipart/form-data
+ * Ошибки multer (размер, формат) возвращаются клиенту как 400 вместо общего 500
+ * По умолчанию загружаются изображения, для других файлов передается свой экземпляр multer
+ */
+const uploadSingle =
+  (fieldName, uploader = upload, maxSizeMb = 5) =>
+  (req, res, next) => {
+    uploader.single(fieldName)(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          message:
+            error.code === 'LIMIT_FILE_SIZE'
+              ? `Файл слишком большой. Максимальный размер - ${maxSizeMb}MB`
+              : `Ошибка загрузки файла: ${error.message}`,
+        });
+      }
+
+      return res.status(400).json({
+        message: error.message,
+      });
+    });
+  };
+
+export default uploadSingle;
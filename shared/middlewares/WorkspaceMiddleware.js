@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { hasWorkspaceRole } from '../../modules/workspaces/WorkspaceSchema.js';
+import {
+  findMemberWorkspace,
+  getPersonalWorkspace,
+} from '../../modules/workspaces/WorkspaceService.js';
+
+/**
+ * Middleware для выбора рабочего пространства и проверки роли в нем
+ * Пространство берется из параметра маршрута :workspaceId, заголовка X-Workspace-Id
+ * или query-параметра workspaceId, без них используется личное пространство пользователя.
+ * Используется после checkAuth.
+ */
+const workspaceAccess =
+  (minRole = 'viewer') =>
+  async (req, res, next) => {
+    try {
+      const workspaceId =
+        req.params.workspaceId || req.get('X-Workspace-Id') || req.query.workspaceId;
+
+      let workspace;
+      if (workspaceId) {
+        if (!mongoose.isValidObjectId(workspaceId)) {
+          return res.status(400).json({
+            message: 'Некорректный ID рабочего пространства',
+          });
+        }
+
+        workspace = await findMemberWorkspace(workspaceId, req.userId);
+
+        if (!workspace) {
+          return res.status(404).json({
+            message: 'Рабочее пространство не найдено',
+          });
+        }
+      } else {
+        workspace = await getPersonalWorkspace(req.userId);
+      }
+
+      const role = workspace.getMemberRole(req.userId);
+
+      if (!hasWorkspaceRole(role, minRole)) {
+        return res.status(403).json({
+          message: 'Недостаточно прав в рабочем пространстве',
+        });
+      }
+
+      req.workspace = workspace;
+      req.workspaceId = workspace._id;
+      req.workspaceRole = role;
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        message: 'Ошибка при выборе рабочего пространства',
+        error: error.message,
+      });
+    }
+  };
+
+export default workspaceAccess;
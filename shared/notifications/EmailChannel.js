@@ -0,0 +1,19 @@
+/**
+ * Уведомления по email через настроенный транспорт почты (см. shared/config/mail.js)
+ */
+export default class EmailChannel {
+  constructor({ sendTemplateMail, appUrl }) {
+    this.name = 'email';
+    this.sendTemplateMail = sendTemplateMail;
+    this.appUrl = appUrl;
+  }
+
+  async send({ user, notification }) {
+    await this.sendTemplateMail(user.email, 'notification', user.locale, {
+      name: user.name,
+      title: notification.title,
+      message: notification.message,
+      link: `${this.appUrl}/notifications`,
+    });
+  }
+}
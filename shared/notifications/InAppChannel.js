@@ -0,0 +1,13 @@
+/**
+ * Входящие уведомления в приложении: уведомление попадает в GET /api/notifications
+ * Запись уведомления сохраняет вызывающий код, канал только помечает ее для входящих.
+ */
+export default class InAppChannel {
+  constructor() {
+    this.name = 'inApp';
+  }
+
+  async send({ notification }) {
+    notification.inbox = true;
+  }
+}
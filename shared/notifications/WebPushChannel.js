@@ -0,0 +1,99 @@
+import { createPrivateKey, sign } from 'node:crypto';
+
+// Срок жизни push-сообщения у push-сервиса, сек
+const PUSH_TTL = 24 * 60 * 60;
+
+// Срок действия VAPID-подписи, сек (не больше 24 часов по RFC 8292)
+const VAPID_EXPIRATION = 12 * 60 * 60;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Web Push по протоколу VAPID (RFC 8292) без шифрованного содержимого:
+ * service worker по сигналу запрашивает непрочитанные уведомления через API.
+ * Ключи - пара P-256 в base64url (публичный ключ в несжатом виде, 65 байт).
+ */
+export default class WebPushChannel {
+  constructor({ publicKey, privateKey, subject, timeoutMs }) {
+    this.name = 'push';
+    this.publicKey = publicKey;
+    this.subject = subject;
+    this.timeoutMs = timeoutMs;
+
+    const point = Buffer.from(publicKey, 'base64url');
+    this.signingKey = createPrivateKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: base64url(point.subarray(1, 33)),
+        y: base64url(point.subarray(33, 65)),
+        d: privateKey,
+      },
+      format: 'jwk',
+    });
+  }
+
+  /**
+   * JWT (ES256) для push-сервиса конкретной подписки
+   */
+  createToken(endpoint) {
+    const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url(
+      JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + VAPID_EXPIRATION,
+        sub: this.subject,
+      })
+    );
+    const signature = sign('sha256', Buffer.from(`${header}.${claims}`), {
+      key: this.signingKey,
+      dsaEncoding: 'ieee-p1363',
+    });
+
+    return `${header}.${claims}.${base64url(signature)}`;
+  }
+
+  /**
+   * Отправка на все подписки пользователя
+   * Возвращает подписки, которые push-сервис больше не принимает (404/410)
+   */
+  async send({ preferences }) {
+    const subscriptions = preferences.pushSubscriptions || [];
+    if (subscriptions.length === 0) {
+      throw new Error('Нет подписок на push-уведомления');
+    }
+
+    const expiredEndpoints = [];
+    let delivered = 0;
+    let lastError = null;
+
+    for (const subscription of subscriptions) {
+      try {
+        const response = await fetch(subscription.endpoint, {
+          method: 'POST',
+          headers: {
+            TTL: String(PUSH_TTL),
+            Authorization: `vapid t=${this.createToken(subscription.endpoint)}, k=${this.publicKey}`,
+          },
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        if (response.status === 404 || response.status === 410) {
+          expiredEndpoints.push(subscription.endpoint);
+        } else if (!response.ok) {
+          lastError = new Error(`Push-сервис ответил ${response.status}`);
+        } else {
+          delivered++;
+        }
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    if (delivered === 0 && lastError) {
+      throw lastError;
+    }
+
+    return { expiredEndpoints };
+  }
+}
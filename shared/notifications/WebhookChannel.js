@@ -0,0 +1,37 @@
+import { outboundFetch } from '../utils/outboundUrl.js';
+
+/**
+ * Уведомления POST-запросом на URL пользователя (настройка webhookUrl)
+ */
+export default class WebhookChannel {
+  constructor({ timeoutMs }) {
+    this.name = 'webhook';
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send({ preferences, notification }) {
+    if (!preferences.webhookUrl) {
+      throw new Error('Не указан URL для уведомлений');
+    }
+
+    // Адрес проверяется при каждом соединении: DNS имени мог измениться после сохранения настроек
+    const response = await outboundFetch(preferences.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        id: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+        createdAt: notification.createdAt,
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      throw new Error(`Webhook ответил ${response.status}`);
+    }
+  }
+}
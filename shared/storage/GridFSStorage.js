@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * Хранилище файлов в MongoDB GridFS
+ * Ключ файла используется как filename в бакете
+ */
+export default class GridFSStorage {
+  constructor(bucketName) {
+    this.bucketName = bucketName;
+    this.bucket = null;
+  }
+
+  // Бакет создается лениво - к моменту первого запроса соединение уже установлено
+  getBucket() {
+    if (!this.bucket) {
+      this.bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+        bucketName: this.bucketName,
+      });
+    }
+
+    return this.bucket;
+  }
+
+  async save(key, buffer, contentType) {
+    // Перезапись: удаляем предыдущую версию файла с тем же ключом
+    await this.delete(key);
+
+    await new Promise((resolve, reject) => {
+      const uploadStream = this.getBucket().openUploadStream(key, {
+        metadata: { contentType },
+      });
+      uploadStream.once('finish', resolve);
+      uploadStream.once('error', reject);
+      uploadStream.end(buffer);
+    });
+  }
+
+  async exists(key) {
+    const file = await this.getBucket().find({ filename: key }).limit(1).next();
+    return Boolean(file);
+  }
+
+  async createReadStream(key) {
+    if (!(await this.exists(key))) {
+      return null;
+    }
+
+    return this.getBucket().openDownloadStreamByName(key);
+  }
+
+  async delete(key) {
+    const files = await this.getBucket().find({ filename: key }).toArray();
+
+    for (const file of files) {
+      await this.getBucket().delete(file._id);
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Хранилище файлов на локальной файловой системе
+ * Ключ файла - относительный путь внутри базовой директории
+ */
+export default class LocalStorage {
+  constructor(baseDir) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  // Преобразование ключа в абсолютный путь с защитой от выхода за пределы baseDir
+  resolvePath(key) {
+    const filePath = path.resolve(this.baseDir, key);
+
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Недопустимый ключ файла: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolvePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async createReadStream(key) {
+    if (!(await this.exists(key))) {
+      return null;
+    }
+
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
@@ -0,0 +1,79 @@
+import sharp from 'sharp';
+
+/**
+ * Сигнатуры (magic bytes) поддерживаемых форматов изображений
+ */
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', extension: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 },
+  {
+    mimetype: 'image/png',
+    extension: 'png',
+    test: (b) =>
+      b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimetype: 'image/gif',
+    extension: 'gif',
+    test: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('ascii')),
+  },
+  {
+    mimetype: 'image/webp',
+    extension: 'webp',
+    test: (b) =>
+      b.subarray(0, 4).toString('ascii') === 'RIFF' &&
+      b.subarray(8, 12).toString('ascii') === 'WEBP',
+  },
+];
+
+/**
+ * Определение типа изображения по содержимому файла, а не по заявленному mimetype
+ * Возвращает { mimetype, extension } или null, если формат не поддерживается
+ */
+export const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const signature = SIGNATURES.find(({ test }) => test(buffer));
+
+  return signature ? { mimetype: signature.mimetype, extension: signature.extension } : null;
+};
+
+// Код ошибки для файла с верной сигнатурой, который не удалось декодировать (поврежден или обрезан)
+export const INVALID_IMAGE_ERROR = 'INVALID_IMAGE';
+
+/**
+ * Обработка изображения через sharp; ошибка декодирования помечается кодом INVALID_IMAGE_ERROR
+ */
+const renderImage = async (pipeline) => {
+  try {
+    return await pipeline.toBuffer();
+  } catch (error) {
+    error.code = INVALID_IMAGE_ERROR;
+    throw error;
+  }
+};
+
+/**
+ * Создание миниатюры изображения (WebP, вписывается в квадрат size x size)
+ */
+export const createThumbnail = (buffer, size) => {
+  return renderImage(
+    sharp(buffer)
+      .rotate() // Учитываем EXIF-ориентацию фото с телефона
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+  );
+};
+
+/**
+ * Квадратное изображение заданного размера с обрезкой по центру (WebP)
+ */
+export const createSquareImage = (buffer, size) => {
+  return renderImage(
+    sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: 'centre' })
+      .webp({ quality: 85 })
+  );
+};
@@ -0,0 +1,181 @@
+import dns from 'node:dns';
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { Agent, fetch } from 'undici';
+
+/**
+ * Разрешены ли запросы на внутренние адреса (localhost, частные сети)
+ * Включается только явно - для локальной разработки и тестовых стендов.
+ */
+const allowPrivateHosts = () => process.env.OUTBOUND_ALLOW_PRIVATE_HOSTS === 'true';
+
+const ipv4ToNumber = (address) =>
+  address.split('.').reduce((result, octet) => result * 256 + Number(octet), 0);
+
+// Внутренние и служебные диапазоны IPv4: [начало сети, длина префикса]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "этот" хост
+  ['10.0.0.0', 8], // частная сеть
+  ['100.64.0.0', 10], // CGNAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (в т.ч. метаданные облака 169.254.169.254)
+  ['172.16.0.0', 12], // частная сеть
+  ['192.0.0.0', 24], // служебные адреса IETF
+  ['192.168.0.0', 16], // частная сеть
+  ['198.18.0.0', 15], // тестирование сетей
+  ['224.0.0.0', 3], // multicast и зарезервированные
+].map(([network, prefix]) => [ipv4ToNumber(network), prefix]);
+
+const isPrivateIPv4 = (address) => {
+  const value = ipv4ToNumber(address);
+
+  return PRIVATE_IPV4_RANGES.some(
+    ([network, prefix]) => Math.floor(value / 2 ** (32 - prefix)) === network / 2 ** (32 - prefix)
+  );
+};
+
+const isPrivateIPv6 = (address) => {
+  const normalized = address.toLowerCase();
+
+  // IPv4, встроенный в IPv6 (::ffff:10.0.0.1)
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateIPv4(mapped[1]);
+  }
+
+  return (
+    normalized === '::' ||
+    normalized === '::1' ||
+    normalized.startsWith('::ffff:') || // ::ffff:7f00:1 - IPv4 в шестнадцатеричной записи
+    /^f[cd]/.test(normalized) || // ULA fc00::/7
+    /^fe[89ab]/.test(normalized) || // link-local fe80::/10
+    normalized.startsWith('ff') // multicast
+  );
+};
+
+/**
+ * Внутренний ли IP-адрес: loopback, частные сети, link-local, ULA, multicast
+ */
+export const isPrivateAddress = (address) =>
+  isIP(address) === 4 ? isPrivateIPv4(address) : isPrivateIPv6(address);
+
+const PRIVATE_ADDRESS_ERROR =
+  'URL указывает на внутренний адрес (localhost, частную сеть или link-local)';
+
+// Код ошибки соединения с внутренним адресом (см. outboundFetch)
+const PRIVATE_ADDRESS_CODE = 'OUTBOUND_PRIVATE_ADDRESS';
+
+/**
+ * Разбор URL исходящего запроса: { hostname } (IPv6 без квадратных скобок) или { error }
+ */
+const parseOutboundUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { error: 'Некорректный URL' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'Разрешены только http(s) URL' };
+  }
+
+  return { hostname: url.hostname.replace(/^\[|\]$/g, '') };
+};
+
+/**
+ * Проверка URL для исходящего запроса на адрес пользователя (webhooks)
+ * Имя хоста разрешается в DNS: запрос запрещен, если хотя бы один адрес внутренний.
+ * Возвращает текст ошибки или null, если URL можно использовать.
+ * Проверка нужна для понятной ошибки при сохранении URL; при отправке адрес
+ * проверяет outboundFetch.
+ */
+export const checkOutboundUrl = async (value) => {
+  const { hostname, error } = parseOutboundUrl(value);
+  if (error) {
+    return error;
+  }
+
+  if (allowPrivateHosts()) {
+    return null;
+  }
+
+  let addresses;
+  if (isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await lookup(hostname, { all: true, verbatim: true })).map(
+        (item) => item.address
+      );
+    } catch {
+      return `Не удалось разрешить имя хоста ${hostname}`;
+    }
+  }
+
+  if (addresses.some(isPrivateAddress)) {
+    return PRIVATE_ADDRESS_ERROR;
+  }
+
+  return null;
+};
+
+/**
+ * lookup для соединений исходящих запросов: имя разрешается один раз, и соединение идет
+ * на уже проверенный адрес (повторное разрешение с другим ответом - DNS rebinding - невозможно)
+ */
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!allowPrivateHosts() && addresses.some((item) => isPrivateAddress(item.address))) {
+      const error = new Error(PRIVATE_ADDRESS_ERROR);
+      error.code = PRIVATE_ADDRESS_CODE;
+      return callback(error);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const outboundAgent = new Agent({ connect: { lookup: checkedLookup } });
+
+/**
+ * fetch на адрес пользователя (webhooks) с защитой от запросов во внутреннюю сеть
+ * IP в URL проверяется сразу, имя хоста - при соединении (checkedLookup).
+ * Редиректы не выполняются: иначе проверку адреса можно обойти перенаправлением.
+ */
+export const outboundFetch = async (value, options) => {
+  const { hostname, error } = parseOutboundUrl(value);
+  if (error) {
+    throw new Error(error);
+  }
+
+  if (!allowPrivateHosts() && isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new Error(PRIVATE_ADDRESS_ERROR);
+  }
+
+  try {
+    return await fetch(value, { ...options, redirect: 'manual', dispatcher: outboundAgent });
+  } catch (fetchError) {
+    // fetch оборачивает ошибку соединения в "fetch failed" - наружу отдается причина
+    throw fetchError.cause?.code === PRIVATE_ADDRESS_CODE ? fetchError.cause : fetchError;
+  }
+};
+
+/**
+ * Валидатор express-validator для URL исходящих запросов
+ */
+export const outboundUrlValidator = async (value) => {
+  const error = await checkOutboundUrl(value);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return true;
+};
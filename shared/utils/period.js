@@ -0,0 +1,155 @@
+import { DEFAULT_TIMEZONE, getZonedParts, zonedDate } from './timezone.js';
+
+/**
+ * Типы периодов бюджета:
+ * weekly, biweekly - 7 и 14 дней от даты привязки;
+ * semimonthly - два периода в месяц: с дня привязки (1-15) и через 15 дней после него;
+ * monthly - с дня привязки каждого месяца (в коротких месяцах - с последнего дня);
+ * custom - произвольное число дней от даты привязки.
+ * Границы периодов - полночь в часовом поясе расписания (timeZone, без него - время сервера).
+ */
+export const PERIOD_TYPES = ['weekly', 'biweekly', 'semimonthly', 'monthly', 'custom'];
+
+// Длина периодов фиксированной длины в днях
+const FIXED_LENGTH_DAYS = {
+  weekly: 7,
+  biweekly: 14,
+};
+
+// Без настроек бюджета используется календарный месяц
+export const DEFAULT_PERIOD_SCHEDULE = {
+  type: 'monthly',
+  anchor: new Date(Date.UTC(2000, 0, 1)),
+  lengthDays: null,
+  timeZone: DEFAULT_TIMEZONE,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Предел числа периодов в одном списке
+const MAX_LISTED_PERIODS = 1000;
+
+/**
+ * Полночь дня месяца, ограниченного длиной месяца (31 -> 28/29 февраля)
+ */
+const clampToMonth = (timeZone, year, month, day) => {
+  // Номер месяца может выходить за 0-11, нормализуем его вместе с годом
+  const monthStart = new Date(Date.UTC(year, month, 1));
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return zonedDate(
+    timeZone,
+    monthStart.getUTCFullYear(),
+    monthStart.getUTCMonth(),
+    Math.min(day, daysInMonth)
+  );
+};
+
+/**
+ * Число календарных дней между датами в часовом поясе (переход на летнее время не влияет)
+ */
+const calendarDaysBetween = (from, to, timeZone) => {
+  const fromParts = getZonedParts(from, timeZone);
+  const toParts = getZonedParts(to, timeZone);
+
+  return Math.round(
+    (Date.UTC(toParts.year, toParts.month, toParts.day) -
+      Date.UTC(fromParts.year, fromParts.month, fromParts.day)) /
+      DAY_MS
+  );
+};
+
+/**
+ * Длина периода в днях для периодов фиксированной длины (null - период привязан к месяцу)
+ */
+export const getPeriodLengthDays = ({ type, lengthDays }) => {
+  if (type === 'custom') {
+    return lengthDays;
+  }
+
+  return FIXED_LENGTH_DAYS[type] ?? null;
+};
+
+/**
+ * Начала периодов, которые приходятся на месяц (для периодов, привязанных к месяцу)
+ */
+const getMonthPeriodStarts = ({ type, anchor, timeZone }, year, month) => {
+  const { day } = getZonedParts(anchor, timeZone);
+
+  if (type === 'semimonthly') {
+    const firstDay = ((day - 1) % 15) + 1;
+    return [
+      clampToMonth(timeZone, year, month, firstDay),
+      clampToMonth(timeZone, year, month, firstDay + 15),
+    ];
+  }
+
+  return [clampToMonth(timeZone, year, month, day)];
+};
+
+/**
+ * Период, в который попадает дата: { periodStart, periodEnd }
+ * Конец периода - последняя миллисекунда перед началом следующего.
+ */
+export const getPeriodContaining = (schedule, date) => {
+  const lengthDays = getPeriodLengthDays(schedule);
+  const { timeZone } = schedule;
+
+  if (lengthDays) {
+    const anchor = getZonedParts(schedule.anchor, timeZone);
+    const index = Math.floor(calendarDaysBetween(schedule.anchor, date, timeZone) / lengthDays);
+    const startDay = anchor.day + index * lengthDays;
+
+    return {
+      periodStart: zonedDate(timeZone, anchor.year, anchor.month, startDay),
+      periodEnd: new Date(
+        zonedDate(timeZone, anchor.year, anchor.month, startDay + lengthDays).getTime() - 1
+      ),
+    };
+  }
+
+  // Начала периодов в соседних месяцах: последнее не позже даты и первое после нее
+  const { year, month } = getZonedParts(date, timeZone);
+  const starts = [-1, 0, 1].flatMap((offset) =>
+    getMonthPeriodStarts(schedule, year, month + offset)
+  );
+  const periodStart = starts.filter((start) => start <= date).at(-1);
+  const nextStart = starts.find((start) => start > date);
+
+  return {
+    periodStart,
+    periodEnd: new Date(nextStart.getTime() - 1),
+  };
+};
+
+/**
+ * Период, сдвинутый на offset периодов от периода, в который попадает дата
+ */
+export const shiftPeriod = (schedule, date, offset) => {
+  let period = getPeriodContaining(schedule, date);
+
+  for (let step = 0; step < Math.abs(offset); step++) {
+    const edge =
+      offset > 0
+        ? new Date(period.periodEnd.getTime() + 1)
+        : new Date(period.periodStart.getTime() - 1);
+    period = getPeriodContaining(schedule, edge);
+  }
+
+  return period;
+};
+
+/**
+ * Периоды, пересекающиеся с интервалом [from, to], по возрастанию
+ */
+export const listPeriods = (schedule, from, to, limit = MAX_LISTED_PERIODS) => {
+  const periods = [];
+  let period = getPeriodContaining(schedule, from);
+
+  while (period.periodStart <= to && periods.length < limit) {
+    periods.push(period);
+    period = getPeriodContaining(schedule, new Date(period.periodEnd.getTime() + 1));
+  }
+
+  return periods;
+};
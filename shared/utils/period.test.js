@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getPeriodContaining } from './period.js';
+
+const NEW_YORK = 'America/New_York';
+const SANTIAGO = 'America/Santiago';
+
+const iso = ({ periodStart, periodEnd }) => [periodStart.toISOString(), periodEnd.toISOString()];
+
+describe('getPeriodContaining', () => {
+  const weekly = {
+    type: 'weekly',
+    // Понедельник 2 марта 2026, полночь в Нью-Йорке
+    anchor: new Date('2026-03-02T05:00:00Z'),
+    lengthDays: null,
+    timeZone: NEW_YORK,
+  };
+
+  it('неделя с весенним переходом заканчивается в местную полночь', () => {
+    assert.deepEqual(iso(getPeriodContaining(weekly, new Date('2026-03-08T12:00:00Z'))), [
+      '2026-03-02T05:00:00.000Z',
+      '2026-03-09T03:59:59.999Z',
+    ]);
+  });
+
+  it('неделя после перехода начинается в местную полночь по летнему времени', () => {
+    assert.deepEqual(iso(getPeriodContaining(weekly, new Date('2026-03-10T12:00:00Z'))), [
+      '2026-03-09T04:00:00.000Z',
+      '2026-03-16T03:59:59.999Z',
+    ]);
+  });
+
+  it('месяц заканчивается перед полуночью дня осеннего перехода', () => {
+    const monthly = {
+      type: 'monthly',
+      anchor: new Date('2026-01-01T05:00:00Z'),
+      lengthDays: null,
+      timeZone: NEW_YORK,
+    };
+
+    assert.deepEqual(iso(getPeriodContaining(monthly, new Date('2026-10-31T12:00:00Z'))), [
+      '2026-10-01T04:00:00.000Z',
+      '2026-11-01T03:59:59.999Z',
+    ]);
+  });
+
+  it('период с днем без полуночи начинается в 01:00 местного времени', () => {
+    const monthly = {
+      type: 'monthly',
+      anchor: new Date('2026-01-06T03:00:00Z'),
+      lengthDays: null,
+      timeZone: SANTIAGO,
+    };
+
+    assert.deepEqual(iso(getPeriodContaining(monthly, new Date('2026-09-10T12:00:00Z'))), [
+      '2026-09-06T04:00:00.000Z',
+      '2026-10-06T02:59:59.999Z',
+    ]);
+  });
+});
@@ -0,0 +1,171 @@
+// Часовой пояс по умолчанию для пользователей и бюджетов без явной настройки
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Форматтеры создаются дорого, поэтому кешируются по часовому поясу
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+
+  return formatters.get(timeZone);
+};
+
+/**
+ * Проверка, что строка - известный IANA часовой пояс (Europe/Moscow, Asia/Tokyo)
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Календарные части момента времени в часовом поясе (month - с 0)
+ * Без часового пояса используется локальное время сервера.
+ */
+export const getZonedParts = (date, timeZone) => {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      millisecond: date.getMilliseconds(),
+    };
+  }
+
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(date)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getUTCMilliseconds(),
+  };
+};
+
+/**
+ * Смещение часового пояса относительно UTC в момент времени, мс
+ */
+const getOffset = (timestamp, timeZone) => {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+
+  return (
+    Date.UTC(
+      parts.year,
+      parts.month,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+      parts.millisecond
+    ) - timestamp
+  );
+};
+
+/**
+ * Момент времени для местного времени в часовом поясе, аналог new Date(year, month, day, ...)
+ * Выход за границы месяца и дня нормализуется так же (day 0 - последний день прошлого месяца).
+ * Для несуществующего местного времени (переход на летнее время) берется момент после перехода.
+ */
+export const zonedDate = (
+  timeZone,
+  year,
+  month,
+  day = 1,
+  hour = 0,
+  minute = 0,
+  second = 0,
+  millisecond = 0
+) => {
+  if (!timeZone) {
+    return new Date(year, month, day, hour, minute, second, millisecond);
+  }
+
+  const wallTime = Date.UTC(year, month, day, hour, minute, second, millisecond);
+
+  // Смещение уточняется по найденному моменту: рядом с переходом оно может отличаться
+  const firstOffset = getOffset(wallTime, timeZone);
+  const secondOffset = getOffset(wallTime - firstOffset, timeZone);
+  if (firstOffset === secondOffset) {
+    return new Date(wallTime - firstOffset);
+  }
+
+  const candidate = wallTime - secondOffset;
+  return getOffset(candidate, timeZone) === secondOffset
+    ? new Date(candidate)
+    : new Date(wallTime - Math.min(firstOffset, secondOffset));
+};
+
+/**
+ * Начало и конец календарного дня, в который попадает момент времени, в часовом поясе
+ */
+export const getDayBounds = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+
+  return {
+    start: zonedDate(timeZone, year, month, day),
+    end: new Date(zonedDate(timeZone, year, month, day + 1).getTime() - 1),
+  };
+};
+
+/**
+ * Граница фильтра по дате из запроса
+ * Дата без времени (YYYY-MM-DD) - календарный день в часовом поясе пользователя:
+ * для начала интервала берется начало дня, для конца - конец дня. Для даты со временем
+ * начало интервала точное, а конец расширяется до конца дня в часовом поясе.
+ */
+export const parseDateBoundary = (value, timeZone, edge = 'start') => {
+  const match = DATE_ONLY_PATTERN.exec(value);
+  const date = match
+    ? zonedDate(timeZone, Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+
+  if (edge === 'end') {
+    return getDayBounds(date, timeZone).end;
+  }
+
+  return date;
+};
+
+/**
+ * Дата в формате YYYY-MM-DD в часовом поясе
+ */
+export const formatDateInZone = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getDayBounds, parseDateBoundary, zonedDate } from './timezone.js';
+
+const NEW_YORK = 'America/New_York';
+// В Сантьяго переход на летнее время происходит в полночь: 00:00 сразу становится 01:00
+const SANTIAGO = 'America/Santiago';
+
+const iso = (date) => date.toISOString();
+
+describe('zonedDate', () => {
+  it('переводит местное время с учетом смещения до и после перехода', () => {
+    assert.equal(iso(zonedDate(NEW_YORK, 2026, 2, 8, 1, 30)), '2026-03-08T06:30:00.000Z');
+    assert.equal(iso(zonedDate(NEW_YORK, 2026, 2, 8, 3, 30)), '2026-03-08T07:30:00.000Z');
+  });
+
+  it('для несуществующего времени (весенний переход) берет момент после перехода', () => {
+    assert.equal(iso(zonedDate(NEW_YORK, 2026, 2, 8, 2, 30)), '2026-03-08T07:30:00.000Z');
+    assert.equal(iso(zonedDate(SANTIAGO, 2026, 8, 6)), '2026-09-06T04:00:00.000Z');
+  });
+
+  it('для повторяющегося времени (осенний переход) берет первое из двух', () => {
+    assert.equal(iso(zonedDate(NEW_YORK, 2026, 10, 1, 1, 30)), '2026-11-01T05:30:00.000Z');
+    assert.equal(iso(zonedDate(SANTIAGO, 2026, 3, 4, 23, 30)), '2026-04-05T02:30:00.000Z');
+  });
+});
+
+describe('getDayBounds', () => {
+  it('день весеннего перехода длится 23 часа', () => {
+    const { start, end } = getDayBounds(new Date('2026-03-08T17:00:00Z'), NEW_YORK);
+
+    assert.equal(iso(start), '2026-03-08T05:00:00.000Z');
+    assert.equal(iso(end), '2026-03-09T03:59:59.999Z');
+  });
+
+  it('день осеннего перехода длится 25 часов', () => {
+    const { start, end } = getDayBounds(new Date('2026-11-01T17:00:00Z'), NEW_YORK);
+
+    assert.equal(iso(start), '2026-11-01T04:00:00.000Z');
+    assert.equal(iso(end), '2026-11-02T04:59:59.999Z');
+  });
+
+  it('без полуночи день начинается в 01:00 местного времени', () => {
+    const { start, end } = getDayBounds(new Date('2026-09-06T15:00:00Z'), SANTIAGO);
+
+    assert.equal(iso(start), '2026-09-06T04:00:00.000Z');
+    assert.equal(iso(end), '2026-09-07T02:59:59.999Z');
+  });
+
+  it('день перед осенним переходом в полночь включает повторный час', () => {
+    const { start, end } = getDayBounds(new Date('2026-04-04T15:00:00Z'), SANTIAGO);
+
+    assert.equal(iso(start), '2026-04-04T03:00:00.000Z');
+    assert.equal(iso(end), '2026-04-05T03:59:59.999Z');
+  });
+});
+
+describe('parseDateBoundary', () => {
+  it('дата без времени - границы дня перехода в часовом поясе', () => {
+    assert.equal(iso(parseDateBoundary('2026-03-08', NEW_YORK)), '2026-03-08T05:00:00.000Z');
+    assert.equal(iso(parseDateBoundary('2026-03-08', NEW_YORK, 'end')), '2026-03-09T03:59:59.999Z');
+    assert.equal(iso(parseDateBoundary('2026-09-06', SANTIAGO)), '2026-09-06T04:00:00.000Z');
+    assert.equal(iso(parseDateBoundary('2026-09-05', SANTIAGO, 'end')), '2026-09-06T03:59:59.999Z');
+  });
+
+  it('конец интервала со временем расширяется до конца 25-часового дня', () => {
+    assert.equal(
+      iso(parseDateBoundary('2026-11-01T10:00:00Z', NEW_YORK, 'end')),
+      '2026-11-02T04:59:59.999Z'
+    );
+  });
+});